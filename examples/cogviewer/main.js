@@ -6,7 +6,7 @@
  * manages the 3D visualization, AR, and hand tracking.
  */
 
-import { TerrainViewer } from '../../src/index.js';
+import { TerrainViewer, getColormaps } from '../../src/index.js';
 import { LoadingProgress } from './LoadingProgress.js';
 
 // ============================================
@@ -44,23 +44,23 @@ function showViewer() {
 
 /**
  * Transition from viewer back to landing state.
+ * The viewer (renderer, camera, AR support) is kept for the next load.
  */
 function showLanding() {
     document.getElementById('viewer').style.display = 'none';
     document.getElementById('landing').style.display = 'flex';
 
-    // Clean up viewer
+    // Cancel a load still in progress
     if (viewer) {
-        viewer.dispose();
-        viewer = null;
+        viewer.abortLoad();
+    }
+    if (loadingProgress) {
+        loadingProgress.hide();
+        loadingProgress = null;
     }
 
     currentCOGUrl = null;
     history.replaceState(null, '', window.location.pathname);
-
-    // Clear the viewer container
-    const container = document.getElementById('viewer-container');
-    container.innerHTML = '';
 }
 
 /**
@@ -77,6 +77,23 @@ function updateControlsFromData() {
     refValue.textContent = `${info.referenceElevation.toFixed(1)} m`;
 }
 
+/**
+ * Show band pickers for multi-band rasters.
+ */
+function updateBandControls() {
+    const info = viewer.getElevationInfo();
+    document.getElementById('band-controls').style.display = info.bandCount > 1 ? 'block' : 'none';
+    if (info.bandCount <= 1) return;
+
+    const bands = Array.from({ length: info.bandCount }, (_, i) => `<option value="${i}">Band ${i + 1}</option>`);
+    const bandSelect = document.getElementById('band-select');
+    const colorSelect = document.getElementById('color-band-select');
+    bandSelect.innerHTML = bands.join('');
+    colorSelect.innerHTML = ['<option value="">Depth</option>', ...bands].join('');
+    bandSelect.value = String(info.band);
+    colorSelect.value = info.colorBand !== null ? String(info.colorBand) : '';
+}
+
 /**
  * Update data info display.
  */
@@ -90,6 +107,59 @@ function updateDataInfo() {
         <p>Range: ${info.depthRange[1]} m</p>
         <p>Valid: ${(info.validFraction * 100).toFixed(1)}%</p>
         ${info.noDataValue !== null ? `<p>NoData: ${info.noDataValue}</p>` : ''}
+        ${info.vertical?.datum ? `<p>Vertical datum: ${info.vertical.datum}</p>` : ''}
+        ${info.vertical && info.vertical.units !== 'metre' ? `<p>Source units: ${info.vertical.units} (shown in m)</p>` : ''}
+    `;
+}
+
+/**
+ * Draw the class legend (hidden for continuous coloring).
+ */
+function updateLegend() {
+    const legend = viewer.getLegend();
+    const legendEl = document.getElementById('legend');
+    legendEl.style.display = legend ? '' : 'none';
+    if (!legend) return;
+
+    const units = legend.value === 'band' ? '' : ' m';
+    legendEl.innerHTML = legend.classes.map(c => `
+        <div class="legend-row">
+            <span class="legend-swatch" style="background: ${c.color}"></span>
+            <span>${c.min.toFixed(1)}–${c.max.toFixed(1)}${units}</span>
+            <span class="legend-area">${(c.fraction * 100).toFixed(0)}%</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Show cut/fill statistics and the change histogram (hidden without a comparison).
+ */
+function updateDifferenceUI() {
+    const stats = viewer.getDifference();
+    document.getElementById('difference-controls').style.display = stats ? '' : 'none';
+    document.getElementById('compare-clear-btn').style.display = stats ? '' : 'none';
+    if (!stats) return;
+
+    const { threshold } = viewer.getDifferenceSettings();
+    document.getElementById('difference-threshold-slider').value = threshold;
+    document.getElementById('difference-threshold-value').textContent = `±${threshold.toFixed(2)} m`;
+
+    // Erosion red, deposition blue (the 'change' colormap)
+    const { edges, areas } = stats.histogram;
+    const largest = Math.max(...areas, 1e-9);
+    const bars = areas.map((area, i) => {
+        const mid = (edges[i] + edges[i + 1]) / 2;
+        const color = Math.abs(mid) < threshold ? '#f7f7f7' : mid < 0 ? '#ef8a62' : '#67a9cf';
+        return `<span style="height: ${(area / largest) * 100}%; background: ${color}"></span>`;
+    });
+
+    const volume = (m3) => `${Math.round(m3).toLocaleString()} m³`;
+    document.getElementById('difference-stats').innerHTML = `
+        <p>Cut: ${volume(stats.cutVolume)}</p>
+        <p>Fill: ${volume(stats.fillVolume)}</p>
+        <p>Net: ${volume(stats.netVolume)}</p>
+        <p>Mean change: ${stats.meanChange.toFixed(3)} m</p>
+        <div class="difference-histogram" title="Area by change, ${edges[0].toFixed(2)} to ${edges[edges.length - 1].toFixed(2)} m">${bars.join('')}</div>
     `;
 }
 
@@ -192,7 +262,7 @@ function updateBrowserURL(cogUrl) {
 
 /**
  * Handle loading a COG (from file or URL).
- * @param {string|File} source - URL or File object
+ * @param {string|File|File[]} source - URL, File object, or several Files for a mosaic
  */
 async function handleLoad(source) {
     try {
@@ -208,26 +278,60 @@ async function handleLoad(source) {
         const contourInterval = parseFloat(document.getElementById('landing-contour-interval').value);
         const zExaggeration = parseFloat(document.getElementById('z-exag-slider').value);
         const normalStrength = parseFloat(document.getElementById('normal-strength-slider').value);
+        const colormap = document.getElementById('colormap-select').value;
+        const classMethod = document.getElementById('classification-select').value;
+        const renderMode = document.getElementById('render-mode-select').value;
+        const sunAzimuth = parseFloat(document.getElementById('sun-azimuth-slider').value);
+        const sunAltitude = parseFloat(document.getElementById('sun-altitude-slider').value);
 
         // Sync contour settings to viewer sidebar
         document.getElementById('contour-toggle').checked = contoursEnabled;
         document.getElementById('contour-interval').value = contourInterval;
         document.getElementById('contour-controls').style.display = contoursEnabled ? '' : 'none';
 
-        // Create viewer
-        viewer = new TerrainViewer('#viewer-container', {
-            source,
-            enableAR: true,
-            enableTools: true,
+        const loadOptions = {
             enableContours: contoursEnabled,
             terrain: {
                 polygons: targetPolygons,
                 zExaggeration,
-                normalStrength
+                normalStrength,
+                colormap,
+                classification: classMethod ? { method: classMethod, classes: 5 } : null,
+                renderMode,
+                sunAzimuth,
+                sunAltitude
             },
             contours: {
-                interval: contourInterval
-            },
+                interval: contourInterval,
+                majorEvery: parseInt(document.getElementById('contour-major-every').value, 10),
+                major: document.getElementById('contour-major-toggle').checked,
+                minor: document.getElementById('contour-minor-toggle').checked,
+                labels: document.getElementById('contour-label-toggle').checked,
+                fullResolution: document.getElementById('contour-full-res-toggle').checked,
+                smoothing: parseFloat(document.getElementById('contour-smoothing').value),
+                bands: {
+                    enabled: document.getElementById('contour-band-toggle').checked,
+                    opacity: parseFloat(document.getElementById('contour-band-opacity-slider').value),
+                    flat: document.getElementById('contour-band-flat').checked
+                }
+            }
+        };
+
+        // Reuse the existing viewer: only the terrain is replaced
+        if (viewer) {
+            // Failures are reported through onError
+            viewer.load(source, loadOptions).catch(() => {});
+            return;
+        }
+
+        // Create viewer
+        viewer = new TerrainViewer('#viewer-container', {
+            source,
+            enableAR: true,
+            enableTools: true,
+            // Keep fetched COG blocks so reopened surveys load from disk
+            cache: { enabled: true },
+            ...loadOptions,
             onProgress: (stage, percent) => {
                 if (loadingProgress) {
                     loadingProgress.setStage(stage);
@@ -245,9 +349,15 @@ async function handleLoad(source) {
 
                 // Update UI
                 updateControlsFromData();
+                updateBandControls();
                 updateDataInfo();
+                updateLegend();
+                updateDifferenceUI();
                 updateContourUI();
 
+                // URLs can be saved for offline use
+                document.getElementById('offline-btn').style.display = currentCOGUrl ? 'block' : 'none';
+
                 // Show AR button if supported
                 if (viewer.isARSupported()) {
                     document.getElementById('enter-ar-btn').style.display = 'block';
@@ -275,6 +385,13 @@ async function handleLoad(source) {
                 document.getElementById('z-exag-slider').value = exag;
                 document.getElementById('z-exag-value').textContent = `${exag.toFixed(1)}x`;
                 updateBrowserURL(currentCOGUrl);
+            },
+            onColormapChange: (name) => {
+                document.getElementById('colormap-select').value = name;
+            },
+            onSectionChange: (section) => {
+                document.getElementById('section-toggle').checked = section !== null;
+                document.getElementById('section-row').style.display = 'none';
             }
         });
 
@@ -302,17 +419,31 @@ function initEventHandlers() {
     // Drop zone - click to browse
     dropZone.addEventListener('click', () => fileInput.click());
 
-    // File input change
-    fileInput.addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (!file) return;
+    // Several GeoTIFFs load as one mosaic
+    const loadFiles = (fileList, verb) => {
+        const files = Array.from(fileList);
+        if (files.length === 0) return;
 
-        if (!file.name.match(/\.tiff?$/i)) {
-            showError('Please select a .tif or .tiff file');
+        if (files.length === 1) {
+            if (!files[0].name.match(/\.(tiff?|asc|xyz|png)$/i)) {
+                showError(`Please ${verb} a .tif, .asc, .xyz or Terrain-RGB .png file`);
+                return;
+            }
+            handleLoad(files[0]);
             return;
         }
 
-        handleLoad(file);
+        if (!files.every(file => file.name.match(/\.tiff?$/i))) {
+            showError(`Please ${verb} .tif or .tiff files only to mosaic several files`);
+            return;
+        }
+
+        handleLoad(files);
+    };
+
+    // File input change
+    fileInput.addEventListener('change', (e) => {
+        loadFiles(e.target.files, 'select');
     });
 
     // Drag and drop - entire page
@@ -335,15 +466,7 @@ function initEventHandlers() {
         e.stopPropagation();
         dropZone.classList.remove('drag-over');
 
-        const file = e.dataTransfer.files[0];
-        if (!file) return;
-
-        if (!file.name.match(/\.tiff?$/i)) {
-            showError('Please drop a .tif or .tiff file');
-            return;
-        }
-
-        handleLoad(file);
+        loadFiles(e.dataTransfer.files, 'drop');
     });
 
     // URL load
@@ -378,6 +501,7 @@ function initEventHandlers() {
             if (viewer) {
                 await viewer.setReferenceElevation(val);
                 updateContourUI();
+                updateLegend();
             }
         }, 150);
     });
@@ -410,6 +534,178 @@ function initEventHandlers() {
         updateBrowserURL(currentCOGUrl);
     });
 
+    // Colormap (recolors without rebuilding the terrain)
+    const colormapSelect = document.getElementById('colormap-select');
+    for (const name of getColormaps()) {
+        colormapSelect.add(new Option(name.charAt(0).toUpperCase() + name.slice(1), name));
+    }
+    colormapSelect.addEventListener('change', () => {
+        viewer?.setColormap(colormapSelect.value);
+    });
+
+    // Discrete classes (legend drawn from viewer.getLegend())
+    document.getElementById('classification-select').addEventListener('change', async (e) => {
+        if (!viewer) return;
+        await viewer.setClassification(e.target.value ? { method: e.target.value, classes: 5 } : null);
+        updateLegend();
+    });
+
+    // Render mode (sun controls apply to hillshade)
+    const renderModeSelect = document.getElementById('render-mode-select');
+    const azimuthSlider = document.getElementById('sun-azimuth-slider');
+    const altitudeSlider = document.getElementById('sun-altitude-slider');
+
+    const applyRenderMode = () => {
+        const sunAzimuth = parseFloat(azimuthSlider.value);
+        const sunAltitude = parseFloat(altitudeSlider.value);
+        document.getElementById('sun-azimuth-value').textContent = `${sunAzimuth}°`;
+        document.getElementById('sun-altitude-value').textContent = `${sunAltitude}°`;
+        document.getElementById('sun-controls').style.display =
+            renderModeSelect.value === 'hillshade' ? '' : 'none';
+        viewer?.setRenderMode(renderModeSelect.value, { sunAzimuth, sunAltitude });
+    };
+    renderModeSelect.addEventListener('change', applyRenderMode);
+    azimuthSlider.addEventListener('input', applyRenderMode);
+    altitudeSlider.addEventListener('input', applyRenderMode);
+
+    // Imagery drape: pick the image, plus its world file for PNG/JPEG
+    const imageryInput = document.getElementById('imagery-input');
+    const imageryBlendSlider = document.getElementById('imagery-blend-slider');
+    const imageryClearBtn = document.getElementById('imagery-clear-btn');
+
+    document.getElementById('imagery-btn').addEventListener('click', () => imageryInput.click());
+    imageryInput.addEventListener('change', async () => {
+        const files = Array.from(imageryInput.files);
+        imageryInput.value = '';
+        const image = files.find(f => /\.(tiff?|png|jpe?g|webp)$/i.test(f.name));
+        const worldFile = files.find(f => /\.(pgw|pngw|jgw|jpgw|wld)$/i.test(f.name));
+        if (!viewer || !image) return;
+
+        try {
+            const { coverage } = await viewer.loadImagery(image, { worldFile });
+            console.log(`Imagery covers ${(coverage * 100).toFixed(0)}% of the terrain`);
+            imageryClearBtn.style.display = '';
+            document.getElementById('imagery-blend-row').style.display = '';
+        } catch (err) {
+            showError(`Imagery: ${err.message}`);
+        }
+    });
+    imageryClearBtn.addEventListener('click', () => {
+        viewer?.clearImagery();
+        imageryClearBtn.style.display = 'none';
+        document.getElementById('imagery-blend-row').style.display = 'none';
+    });
+    imageryBlendSlider.addEventListener('input', () => {
+        const blend = parseFloat(imageryBlendSlider.value);
+        document.getElementById('imagery-blend-value').textContent = `${Math.round(blend * 100)}%`;
+        viewer?.setImageryBlend(blend);
+    });
+
+    // Elevation change against a later survey (reloads the current dataset)
+    const compareInput = document.getElementById('compare-input');
+    document.getElementById('compare-btn').addEventListener('click', () => compareInput.click());
+    compareInput.addEventListener('change', () => {
+        const file = compareInput.files[0];
+        compareInput.value = '';
+        // Failures are reported through onError
+        if (viewer && file) viewer.setComparison(file).catch(() => {});
+    });
+    document.getElementById('compare-clear-btn').addEventListener('click', () => {
+        viewer?.setComparison(null).catch(() => {});
+    });
+    const thresholdSlider = document.getElementById('difference-threshold-slider');
+    thresholdSlider.addEventListener('input', () => {
+        document.getElementById('difference-threshold-value').textContent = `±${parseFloat(thresholdSlider.value).toFixed(2)} m`;
+    });
+    thresholdSlider.addEventListener('change', async () => {
+        if (!viewer) return;
+        await viewer.setDifference({ threshold: parseFloat(thresholdSlider.value) });
+        updateDifferenceUI();
+        updateLegend();
+    });
+
+    // Water plane at the reference elevation
+    const waterToggle = document.getElementById('water-toggle');
+    const shorelineToggle = document.getElementById('shoreline-toggle');
+    const applyWater = () => {
+        document.getElementById('shoreline-row').style.display = waterToggle.checked ? 'flex' : 'none';
+        viewer?.setWater({ enabled: waterToggle.checked, shoreline: shorelineToggle.checked });
+    };
+    waterToggle.addEventListener('change', applyWater);
+    shorelineToggle.addEventListener('change', applyWater);
+
+    // Cross-section through the terrain centre (the AR section tool can move it)
+    const sectionToggle = document.getElementById('section-toggle');
+    const sectionAzimuthSlider = document.getElementById('section-azimuth-slider');
+    const applySection = () => {
+        const azimuth = parseFloat(sectionAzimuthSlider.value);
+        document.getElementById('section-azimuth-value').textContent = `${azimuth}°`;
+        document.getElementById('section-row').style.display = sectionToggle.checked ? '' : 'none';
+        const bounds = viewer?.getElevationInfo().geoBounds;
+        if (!bounds) return;
+        viewer.setSection(sectionToggle.checked ? {
+            vertical: { x: (bounds[0] + bounds[2]) / 2, y: (bounds[1] + bounds[3]) / 2, azimuth }
+        } : null);
+    };
+    sectionToggle.addEventListener('change', applySection);
+    sectionAzimuthSlider.addEventListener('input', applySection);
+
+    // Walls and base closing the terrain into a block
+    document.getElementById('skirt-toggle').addEventListener('change', (e) => {
+        viewer?.setSkirt({ enabled: e.target.checked }).catch((err) => console.error('Skirt failed:', err));
+    });
+
+    // Download the baked model (includes the base when the skirt is shown)
+    const exportBtn = document.getElementById('export-btn');
+    exportBtn.addEventListener('click', async () => {
+        if (!viewer) return;
+        const format = document.getElementById('export-format').value;
+        exportBtn.disabled = true;
+        try {
+            const blob = await viewer.exportModel(format);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `terrain.${format}`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        } catch (err) {
+            showError(`Export failed: ${err.message}`);
+        } finally {
+            exportBtn.disabled = false;
+        }
+    });
+
+    // Download the contour lines or bands in the raster CRS for GIS/CAD
+    const contourExportBtn = document.getElementById('contour-export-btn');
+    const contourExtensions = { geojson: 'geojson', dxf: 'dxf', shapefile: 'zip' };
+    contourExportBtn.addEventListener('click', async () => {
+        if (!viewer) return;
+        const format = document.getElementById('contour-export-format').value;
+        const bands = document.getElementById('contour-export-kind').value === 'bands';
+        contourExportBtn.disabled = true;
+        try {
+            const blob = bands ? await viewer.exportContourBands(format) : await viewer.exportContours(format);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${bands ? 'contour_bands' : 'contours'}.${contourExtensions[format]}`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        } catch (err) {
+            showError(`Contour export failed: ${err.message}`);
+        } finally {
+            contourExportBtn.disabled = false;
+        }
+    });
+
+    // Band selection (multi-band rasters reload the dataset)
+    document.getElementById('band-select').addEventListener('change', (e) => {
+        viewer?.setBand(parseInt(e.target.value, 10)).catch(() => updateBandControls());
+    });
+    document.getElementById('color-band-select').addEventListener('change', (e) => {
+        const band = e.target.value === '' ? null : parseInt(e.target.value, 10);
+        viewer?.setColorBand(band).catch(() => updateBandControls());
+    });
+
     // Contour interval
     const contourInterval = document.getElementById('contour-interval');
     contourInterval.addEventListener('change', async () => {
@@ -430,6 +726,69 @@ function initEventHandlers() {
         updateBrowserURL(currentCOGUrl);
     });
 
+    // Index contours: spacing, major/minor and label toggles
+    const majorEverySelect = document.getElementById('contour-major-every');
+    majorEverySelect.addEventListener('change', async () => {
+        if (viewer) {
+            await viewer.setContourMajorEvery(parseInt(majorEverySelect.value, 10));
+            updateContourUI();
+        }
+    });
+
+    const contourMajorToggle = document.getElementById('contour-major-toggle');
+    contourMajorToggle.addEventListener('change', () => {
+        if (viewer) {
+            viewer.setMajorContourVisibility(contourMajorToggle.checked);
+        }
+    });
+
+    const contourMinorToggle = document.getElementById('contour-minor-toggle');
+    contourMinorToggle.addEventListener('change', () => {
+        if (viewer) {
+            viewer.setMinorContourVisibility(contourMinorToggle.checked);
+        }
+    });
+
+    const contourLabelToggle = document.getElementById('contour-label-toggle');
+    contourLabelToggle.addEventListener('change', () => {
+        if (viewer) {
+            viewer.setContourLabelVisibility(contourLabelToggle.checked);
+        }
+    });
+
+    // Contours traced on the full-resolution raster, optionally smoothed
+    const contourFullResToggle = document.getElementById('contour-full-res-toggle');
+    const contourSmoothing = document.getElementById('contour-smoothing');
+    const setContourResolution = async () => {
+        document.getElementById('contour-smoothing-row').style.display = contourFullResToggle.checked ? '' : 'none';
+        if (viewer) {
+            await viewer.setContourResolution({
+                fullResolution: contourFullResToggle.checked,
+                smoothing: parseFloat(contourSmoothing.value)
+            });
+            updateContourUI();
+        }
+    };
+    contourFullResToggle.addEventListener('change', setContourResolution);
+    contourSmoothing.addEventListener('change', setContourResolution);
+
+    // Filled bands between the contours: opacity and flat chart view
+    const contourBandToggle = document.getElementById('contour-band-toggle');
+    const contourBandOpacity = document.getElementById('contour-band-opacity-slider');
+    const contourBandFlat = document.getElementById('contour-band-flat');
+    contourBandToggle.addEventListener('change', () => {
+        document.getElementById('contour-band-options').style.display = contourBandToggle.checked ? '' : 'none';
+        viewer?.setContourBands({ enabled: contourBandToggle.checked });
+    });
+    contourBandOpacity.addEventListener('input', () => {
+        const opacity = parseFloat(contourBandOpacity.value);
+        document.getElementById('contour-band-opacity-value').textContent = `${Math.round(opacity * 100)}%`;
+        viewer?.setContourBands({ opacity });
+    });
+    contourBandFlat.addEventListener('change', () => {
+        viewer?.setContourBands({ flat: contourBandFlat.checked });
+    });
+
     // Enter AR button
     const enterArBtn = document.getElementById('enter-ar-btn');
     const exitArBtn = document.getElementById('exit-ar-btn');
@@ -447,6 +806,27 @@ function initEventHandlers() {
         }
     });
 
+    // Download the current COG into the cache
+    const offlineBtn = document.getElementById('offline-btn');
+    offlineBtn.addEventListener('click', async () => {
+        if (!viewer || !currentCOGUrl) return;
+        offlineBtn.disabled = true;
+        try {
+            await viewer.prefetch(currentCOGUrl, {
+                onProgress: (fraction) => {
+                    offlineBtn.textContent = `Saving... ${Math.round(fraction * 100)}%`;
+                }
+            });
+            const stats = await viewer.getCacheStats();
+            offlineBtn.textContent = `Saved (cache ${(stats.bytes / 1048576).toFixed(0)} MB)`;
+        } catch (err) {
+            offlineBtn.textContent = 'Save for Offline';
+            showError(`Offline save failed: ${err.message}`);
+        } finally {
+            offlineBtn.disabled = false;
+        }
+    });
+
     // Load new file button
     document.getElementById('load-new-btn').addEventListener('click', () => {
         showLanding();
@@ -2,16 +2,39 @@
  * TerrainViewer.js - Main orchestrator for terrain visualization
  *
  * Provides a clean API for loading and viewing COG terrain data
- * with optional AR/XR support.
+ * with optional AR/XR support. The scene (renderer, camera, AR session)
+ * is created by the first load and kept; later loads replace only the
+ * terrain, overlays and placed tools.
  */
 
+import * as THREE from 'three';
 import { ARManager, ARMode } from './scene/ARManager.js';
 import { TerrainMesh } from './core/TerrainMesh.js';
+import { TerrainTiles } from './core/TerrainTiles.js';
 import { OverlayLayers } from './core/OverlayLayers.js';
+import { WaterSurface, normalizeWaterSettings } from './core/WaterSurface.js';
+import { SectionClipping, normalizeSection } from './core/SectionClipping.js';
+import { TerrainSkirt, normalizeSkirtSettings } from './core/TerrainSkirt.js';
+import { exportTerrain, ExportFormat } from './core/TerrainExport.js';
+import { exportContours, exportIsobands, ContourFormat } from './core/ContourExport.js';
+import { normalizeBandSettings } from './core/ContourBands.js';
+import {
+    resampleSurvey, computeDifference, thresholdDifference, differenceRange, differenceStatistics,
+    normalizeDifferenceSettings
+} from './core/Difference.js';
+import { groundDimensions } from './core/CRS.js';
 import { HandTracking } from './ar/HandTracking.js';
 import { ToolManager } from './tools/ToolManager.js';
-import { loadCOGFromUrl, loadCOGFromFile } from './core/COGLoader.js';
+import { MenuAction } from './ar/HandMenu.js';
+import { loadCOGMosaic } from './core/COGLoader.js';
+import { loadElevation } from './core/ElevationFormats.js';
 import { analyzeElevation } from './core/ElevationAnalysis.js';
+import { RangeCache } from './core/RangeCache.js';
+import { createColormap, getColormaps } from './core/Colormaps.js';
+import { normalizeClassification } from './core/Classification.js';
+import { renderModeIndex, normalizeRenderSettings, DEFAULT_RENDER_SETTINGS } from './core/RenderModes.js';
+import { loadImagery } from './core/Imagery.js';
+import { isAbortError, throwIfAborted } from './core/utils.js';
 
 // Maximum contour vertices before auto-hiding for performance
 const MAX_CONTOUR_VERTICES = 2_000_000;
@@ -24,7 +47,7 @@ export class TerrainViewer {
      * Create a new TerrainViewer.
      * @param {string|HTMLElement} container - Container element or selector
      * @param {Object} [options] - Configuration options
-     * @param {string|File} [options.source] - Initial data source (URL or File)
+     * @param {string|File|Array<string|File>} [options.source] - Initial data source (URL, File, or several for a mosaic)
      * @param {boolean} [options.enableAR=true] - Enable AR mode
      * @param {boolean} [options.enableTools=true] - Enable AR tools (requires enableAR)
      * @param {boolean} [options.enableContours=true] - Enable contour lines
@@ -32,13 +55,48 @@ export class TerrainViewer {
      * @param {number} [options.terrain.polygons=1000000] - Target polygon count
      * @param {number} [options.terrain.zExaggeration=4] - Z exaggeration factor
      * @param {number} [options.terrain.normalStrength=2] - Normal map strength
+     * @param {boolean} [options.terrain.tiled=false] - Stream view-dependent LOD tiles from COG overviews
+     * @param {string} [options.terrain.mosaicOverlap='last'] - Where mosaic sources overlap: 'first', 'last', 'mean', 'min' or 'max'
+     * @param {number|null} [options.terrain.xyzCellSize=null] - Grid cell size for XYZ points (null: point spacing)
+     * @param {string|null} [options.terrain.rgbEncoding=null] - Terrain-RGB PNG encoding, 'mapbox' or 'terrarium' (null: from the file name)
+     * @param {number} [options.terrain.band=0] - Raster band used for elevation (multi-band GeoTIFFs)
+     * @param {number|null} [options.terrain.colorBand=null] - Raster band that colors the terrain instead of depth (single GeoTIFFs only)
+     * @param {string|Array} [options.terrain.colormap='turbo'] - Colormap name (see getColormaps()), stop list or CSS gradient string
+     * @param {Object|null} [options.terrain.classification=null] - Discrete color classes (see setClassification())
+     * @param {string} [options.terrain.renderMode='color'] - 'color', 'hillshade', 'slope', 'aspect' or 'curvature' (see setRenderMode())
+     * @param {number} [options.terrain.sunAzimuth=315] - Hillshade sun azimuth in degrees, clockwise from north
+     * @param {number} [options.terrain.sunAltitude=45] - Hillshade sun altitude in degrees
+     * @param {number} [options.terrain.slopeMax=45] - Slope (degrees) at the top of the colormap in slope mode
+     * @param {number} [options.terrain.imageryBlend=1] - Weight of draped imagery against the colormap (see loadImagery())
      * @param {Object} [options.contours] - Contour configuration
      * @param {number} [options.contours.interval=1] - Contour interval in meters
+     * @param {boolean} [options.contours.labels=true] - Elevation labels along the index contours
+     * @param {number} [options.contours.majorEvery=5] - Every nth contour is an index contour
+     *   (thicker, colored, labelled; 0 = none)
+     * @param {boolean} [options.contours.major=true] - Show the index contours
+     * @param {boolean} [options.contours.minor=true] - Show the contours between them
+     * @param {boolean} [options.contours.fullResolution=false] - Trace contours on the full-resolution
+     *   raster instead of the mesh grid (see setContourResolution())
+     * @param {number} [options.contours.smoothing=0] - Gaussian smoothing (sigma, metres) of the
+     *   full-resolution raster before tracing
+     * @param {Object} [options.contours.bands] - Filled bands between the contours (see setContourBands())
+     * @param {boolean} [options.contours.bands.enabled=false] - Show the bands
+     * @param {Object} [options.water] - Water plane at the reference elevation (see setWater())
+     * @param {boolean} [options.water.enabled=false] - Show the water plane
+     * @param {Object|null} [options.section=null] - Cross-section cutting the terrain (see setSection())
+     * @param {Object} [options.skirt] - Walls and base closing the terrain into a block (see setSkirt())
+     * @param {boolean} [options.skirt.enabled=false] - Show the skirt
+     * @param {Object} [options.difference] - Elevation difference settings (see setDifference())
+     * @param {Object} [options.cache] - Persistent range-request cache for COG URLs
+     * @param {boolean} [options.cache.enabled=false] - Read COG URLs through an IndexedDB block cache
+     * @param {number} [options.cache.maxBytes=536870912] - Cache size cap (least recently used blocks are evicted)
      * @param {Function} [options.onProgress] - Progress callback (stage, percent)
      * @param {Function} [options.onReady] - Ready callback (viewer)
      * @param {Function} [options.onError] - Error callback (error)
      * @param {Function} [options.onModeChange] - Mode change callback ('desktop' | 'ar')
      * @param {Function} [options.onZExaggerationChange] - Z exaggeration change callback (factor)
+     * @param {Function} [options.onColormapChange] - Colormap change callback (name), fired by the hand menu
+     * @param {Function} [options.onSectionChange] - Section change callback (section|null), fired by the AR section tool
      */
     constructor(container, options = {}) {
         // Resolve container element
@@ -60,10 +118,47 @@ export class TerrainViewer {
             terrain: {
                 polygons: options.terrain?.polygons ?? 1_000_000,
                 zExaggeration: options.terrain?.zExaggeration ?? 4,
-                normalStrength: options.terrain?.normalStrength ?? 2
+                normalStrength: options.terrain?.normalStrength ?? 2,
+                tiled: options.terrain?.tiled ?? false,
+                mosaicOverlap: options.terrain?.mosaicOverlap ?? 'last',
+                xyzCellSize: options.terrain?.xyzCellSize ?? null,
+                rgbEncoding: options.terrain?.rgbEncoding ?? null,
+                band: options.terrain?.band ?? 0,
+                colorBand: options.terrain?.colorBand ?? null,
+                colormap: options.terrain?.colormap ?? 'turbo',
+                classification: options.terrain?.classification ?? null,
+                renderMode: options.terrain?.renderMode ?? 'color',
+                sunAzimuth: options.terrain?.sunAzimuth ?? DEFAULT_RENDER_SETTINGS.sunAzimuth,
+                sunAltitude: options.terrain?.sunAltitude ?? DEFAULT_RENDER_SETTINGS.sunAltitude,
+                slopeMax: options.terrain?.slopeMax ?? DEFAULT_RENDER_SETTINGS.slopeMax,
+                imageryBlend: options.terrain?.imageryBlend ?? 1
             },
             contours: {
-                interval: options.contours?.interval ?? 1
+                interval: options.contours?.interval ?? 1,
+                labels: options.contours?.labels ?? true,
+                majorEvery: options.contours?.majorEvery ?? 5,
+                major: options.contours?.major ?? true,
+                minor: options.contours?.minor ?? true,
+                fullResolution: options.contours?.fullResolution ?? false,
+                smoothing: options.contours?.smoothing ?? 0,
+                bands: {
+                    enabled: options.contours?.bands?.enabled ?? false,
+                    ...normalizeBandSettings(options.contours?.bands)
+                }
+            },
+            water: {
+                enabled: options.water?.enabled ?? false,
+                ...normalizeWaterSettings(options.water)
+            },
+            section: normalizeSection(options.section),
+            skirt: {
+                enabled: options.skirt?.enabled ?? false,
+                ...normalizeSkirtSettings(options.skirt)
+            },
+            difference: normalizeDifferenceSettings(options.difference),
+            cache: {
+                enabled: options.cache?.enabled ?? false,
+                maxBytes: options.cache?.maxBytes ?? 512 * 1024 * 1024
             }
         };
 
@@ -73,13 +168,22 @@ export class TerrainViewer {
         this.onError = options.onError ?? ((err) => console.error(err));
         this.onModeChange = options.onModeChange ?? (() => {});
         this.onZExaggerationChange = options.onZExaggerationChange ?? (() => {});
+        this.onColormapChange = options.onColormapChange ?? (() => {});
+        this.onSectionChange = options.onSectionChange ?? (() => {});
 
         // Internal state
         this.arManager = null;
         this.terrainMesh = null;
+        this.terrainTiles = null;
         this.overlayLayers = null;
+        this.waterSurface = null;
+        this.sectionClipping = null;
+        this.terrainSkirt = null;
         this.handTracking = null;
         this.toolManager = null;
+        this.rangeCache = this.options.cache.enabled
+            ? new RangeCache({ maxBytes: this.options.cache.maxBytes })
+            : null;
 
         // Elevation info
         this.elevationInfo = {
@@ -90,9 +194,26 @@ export class TerrainViewer {
             noDataValue: null,
             validFraction: 0,
             width: 0,
-            height: 0
+            height: 0,
+            crs: null,
+            vertical: null,
+            band: 0,
+            bandCount: 1,
+            colorBand: null,
+            geoBounds: null,
+            difference: null
         };
 
+        // Source and format of the displayed dataset, for band switching
+        this._lastLoad = null;
+        this._readFullResElevation = null;
+
+        // Draped imagery (see loadImagery()), reapplied when the same area reloads
+        this._imagery = null;
+
+        // Elevation difference of the displayed dataset (see load() compareTo)
+        this._difference = null;
+
         // Cached contour data for scene rebuilds
         this._lastContourResult = null;
         this._contoursExceedLimit = false;
@@ -101,129 +222,451 @@ export class TerrainViewer {
         // Current mode
         this._mode = 'none';
 
+        // Controller for the in-flight load (aborted when a new load starts)
+        this._loadController = null;
+        this._loadGeneration = 0;
+        this._optionsBeforeLoad = null;
+
+        // Controller for the in-flight contour regeneration (aborted when a
+        // newer one starts or the terrain it traces is replaced or disposed)
+        this._contourController = null;
+
         // Auto-load if source provided
         if (options.source) {
-            this.load(options.source);
+            // Failures are reported through onError
+            this.load(options.source).catch(() => {});
         }
     }
 
     /**
      * Load terrain data from a URL or File.
-     * @param {string|File} source - COG URL or File object
+     *
+     * Starting a new load cancels any load still in progress. A cancelled
+     * load releases what it created and rejects with an AbortError (onError
+     * is not called for cancellations). The per-load options below only stick
+     * once the load succeeds; a failed or cancelled load leaves the viewer's
+     * options as they were for the terrain still on display.
+     *
+     * Loading into a viewer that already shows terrain keeps the renderer,
+     * camera, AR session and callbacks: the new terrain is built off-scene
+     * and swapped in when ready, so the previous dataset stays visible (and
+     * interactive, even mid-AR session) until then.
+     *
+     * @param {string|File|Array<string|File>} source - URL or File (COG, Esri ASCII grid, XYZ or Terrain-RGB PNG), or several COGs to load as one mosaic
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels this load
+     * @param {string} [options.format] - Elevation format ('geotiff', 'ascii-grid', 'xyz', 'terrain-rgb'); detected when omitted
+     * @param {Object} [options.terrain] - Terrain options for this and later loads (see constructor)
+     * @param {boolean} [options.enableContours] - Contour generation for this and later loads
+     * @param {Object} [options.contours] - Contour options for this and later loads
+     * @param {string|File|Array<string|File>} [options.compareTo] - Later survey of the same area:
+     *   resampled onto this dataset's grid, and the terrain colored by the change (see setDifference())
+     * @param {Object} [options.difference] - Difference settings for this and later loads
      * @returns {Promise<void>}
      */
-    async load(source) {
+    async load(source, options = {}) {
+        // Options to restore if this load fails: those of the terrain on
+        // display, also when superseding a load that has not finished
+        const previousOptions = this._loadController ? this._optionsBeforeLoad : this._saveLoadOptions();
+        const generation = ++this._loadGeneration;
+
+        // Supersede any in-flight load
+        this.abortLoad();
+        this._optionsBeforeLoad = previousOptions;
+
+        Object.assign(this.options.terrain, options.terrain);
+        const { bands, ...contours } = options.contours ?? {};
+        Object.assign(this.options.contours, contours);
+        if (bands) {
+            const { enabled = this.options.contours.bands.enabled, ...changes } = bands;
+            this.options.contours.bands = { enabled, ...normalizeBandSettings({ ...this._bandSettings(), ...changes }) };
+        }
+        if (options.difference) {
+            this.options.difference = normalizeDifferenceSettings({ ...this.options.difference, ...options.difference });
+        }
+        if (options.enableContours !== undefined && options.enableContours !== this.options.enableContours) {
+            this.options.enableContours = options.enableContours;
+            this._contoursVisible = options.enableContours;
+        }
+
+        const controller = new AbortController();
+        this._loadController = controller;
+        const { signal } = controller;
+
+        const external = options.signal;
+        const onExternalAbort = () => controller.abort();
+        if (external?.aborted) controller.abort();
+        external?.addEventListener('abort', onExternalAbort, { once: true });
+
         try {
             this.onProgress('LOAD_COG', 0);
 
-            // Load COG data
-            let cogData;
-            if (typeof source === 'string') {
-                cogData = await loadCOGFromUrl(source);
-            } else if (source instanceof File) {
-                cogData = await loadCOGFromFile(source);
-            } else {
-                throw new Error('Invalid source: must be URL string or File object');
+            // Load elevation data (COG, mosaic or another registered format)
+            const { compareTo = null } = options;
+            const cogData = await this._readElevation(source, {
+                format: options.format,
+                // The difference colors the terrain instead of a band
+                colorBand: compareTo ? null : this.options.terrain.colorBand,
+                signal
+            });
+
+            // Resample the later survey onto this grid and take the difference
+            if (compareTo) {
+                const other = await this._readElevation(compareTo, { tiled: false, colorBand: null, signal });
+                cogData.difference = this._createDifference(cogData, other);
+                cogData.colorBand = cogData.difference.colorBand;
             }
 
             this.onProgress('LOAD_COG', 100);
 
             // Build the terrain
-            await this._buildTerrain(cogData);
+            await this._buildTerrain(cogData, signal);
+            this._lastLoad = { source, format: options.format, compareTo };
+            // Reads the full-resolution raster again (COG and mosaics only)
+            this._readFullResElevation = cogData.readFullResElevation ?? null;
 
             this.onReady(this);
         } catch (err) {
-            this.onError(err);
+            // The previous terrain stays, so do its options (unless a newer load took over)
+            if (generation === this._loadGeneration) this._restoreLoadOptions(previousOptions);
+            if (!isAbortError(err)) this.onError(err);
             throw err;
+        } finally {
+            external?.removeEventListener('abort', onExternalAbort);
+            if (this._loadController === controller) this._loadController = null;
+        }
+    }
+
+    /**
+     * Options a load may change, for restoring them when it fails.
+     * @returns {Object}
+     * @private
+     */
+    _saveLoadOptions() {
+        return {
+            terrain: { ...this.options.terrain },
+            contours: { ...this.options.contours },
+            difference: this.options.difference,
+            enableContours: this.options.enableContours,
+            contoursVisible: this._contoursVisible
+        };
+    }
+
+    /**
+     * Put back options saved by _saveLoadOptions().
+     * @param {Object} saved
+     * @private
+     */
+    _restoreLoadOptions(saved) {
+        this.options.terrain = { ...saved.terrain };
+        this.options.contours = { ...saved.contours };
+        this.options.difference = saved.difference;
+        this.options.enableContours = saved.enableContours;
+        this._contoursVisible = saved.contoursVisible;
+    }
+
+    /**
+     * Read elevation data from one source (COG or another registered format)
+     * or several COGs as a mosaic.
+     * @param {string|File|Array<string|File>} source
+     * @param {Object} options - { format, colorBand, tiled, signal }
+     * @returns {Promise<Object>} cogData (see extractCOGData())
+     * @private
+     */
+    async _readElevation(source, options) {
+        const loadOptions = {
+            tiled: options.tiled ?? this.options.terrain.tiled,
+            band: this.options.terrain.band,
+            rangeCache: this.rangeCache ?? undefined,
+            signal: options.signal
+        };
+        if (Array.isArray(source)) {
+            return loadCOGMosaic(source, { ...loadOptions, overlap: this.options.terrain.mosaicOverlap });
+        }
+        if (typeof source === 'string' || source instanceof File) {
+            return loadElevation(source, {
+                ...loadOptions,
+                format: options.format,
+                colorBand: options.colorBand,
+                cellSize: this.options.terrain.xyzCellSize ?? undefined,
+                encoding: this.options.terrain.rgbEncoding ?? undefined
+            });
+        }
+        throw new Error('Invalid source: must be URL string, File object or an array of them');
+    }
+
+    /**
+     * Difference of a later survey against the loaded one, on the loaded
+     * grid (mesh resolution).
+     * @param {Object} cogData - Loaded dataset
+     * @param {Object} other - Later survey
+     * @returns {Object} { change, width, height, cellArea, colorBand, statistics }
+     * @private
+     */
+    _createDifference(cogData, other) {
+        const { elevation, width, height, geoBounds, crs, noDataValue } = cogData;
+        const after = resampleSurvey({ width, height, geoBounds, crs }, other);
+        const ground = groundDimensions(geoBounds, crs);
+        const difference = {
+            change: computeDifference(elevation, after, noDataValue),
+            width,
+            height,
+            cellArea: (ground.width * ground.height) / (width * height)
+        };
+        Object.assign(difference, this._thresholdDifference(difference));
+
+        const { cutVolume, fillVolume, meanChange } = difference.statistics;
+        console.log(`Difference: cut ${cutVolume.toFixed(1)} m³, fill ${fillVolume.toFixed(1)} m³, mean change ${meanChange.toFixed(3)} m`);
+        return difference;
+    }
+
+    /**
+     * Coloring values and statistics of a difference for the current settings.
+     * @param {Object} difference - { change, width, height, cellArea }
+     * @returns {{ colorBand: Object, statistics: Object }}
+     * @private
+     */
+    _thresholdDifference(difference) {
+        const { change, width, height, cellArea } = difference;
+        const settings = this.options.difference;
+        const range = differenceRange(change, settings.threshold);
+        return {
+            colorBand: {
+                band: null,
+                value: 'difference',
+                data: thresholdDifference(change, settings.threshold),
+                width,
+                height,
+                range
+            },
+            statistics: differenceStatistics(change, cellArea, settings, range)
+        };
+    }
+
+    /**
+     * Cancel the load in progress, if any.
+     */
+    abortLoad() {
+        if (this._loadController) {
+            this._loadController.abort();
+            this._loadController = null;
         }
     }
 
     /**
      * Build the terrain from COG data.
+     * If the signal aborts, everything created by this call is disposed
+     * and the previously displayed terrain is left untouched.
      * @param {Object} cogData
+     * @param {AbortSignal} [signal]
      * @private
      */
-    async _buildTerrain(cogData) {
-        const { elevation, width, height, geoBounds, noDataValue, fullResElevationPromise } = cogData;
+    async _buildTerrain(cogData, signal) {
+        const created = {};
+        try {
+            await this._buildTerrainContents(cogData, signal, created);
+        } catch (err) {
+            // Staged terrain is never left behind; the scene survives unless cancelled
+            const { arManager, handTracking, toolManager, ...staged } = created;
+            this._releaseBuild(isAbortError(err) ? created : staged);
+            throw err;
+        }
+    }
+
+    /**
+     * Dispose components created by an aborted build, detaching any that
+     * were already installed on the viewer.
+     * @param {Object} created - { arManager, handTracking, terrainMesh, terrainTiles, overlayLayers, waterSurface, sectionClipping, terrainSkirt, toolManager }
+     * @private
+     */
+    _releaseBuild(created) {
+        for (const key of ['terrainTiles', 'overlayLayers', 'waterSurface', 'sectionClipping', 'terrainSkirt', 'toolManager', 'terrainMesh', 'arManager']) {
+            const component = created[key];
+            if (!component) continue;
+            if (this[key] === component) this[key] = null;
+            component.dispose();
+        }
+        if (created.handTracking && this.handTracking === created.handTracking) {
+            this.handTracking = null;
+        }
+        if (created.arManager) {
+            this._lastContourResult = null;
+            this._mode = 'none';
+        }
+    }
+
+    /**
+     * Create the terrain, overlays and (on first load) the scene and AR
+     * components. New terrain is built into a detached group and installed
+     * only once complete.
+     * @param {Object} cogData
+     * @param {AbortSignal} [signal]
+     * @param {Object} created - Receives each component as it is created
+     * @private
+     */
+    async _buildTerrainContents(cogData, signal, created) {
+        const { elevation, width, height, geoBounds, crs, noDataValue, fullResElevationPromise, tileSource, colorBand } = cogData;
+        const difference = cogData.difference ?? null;
 
         // Analyze elevation
         const analysis = analyzeElevation(elevation, noDataValue);
-        this.elevationInfo = {
+        const elevationInfo = {
             ...analysis,
             noDataValue,
             width,
-            height
+            height,
+            crs: crs ?? null,
+            // Source vertical reference; elevations themselves are always metres
+            vertical: crs?.vertical ?? null,
+            band: cogData.band ?? 0,
+            bandCount: cogData.bandCount ?? 1,
+            colorBand: colorBand?.band ?? null,
+            geoBounds,
+            difference: difference?.statistics ?? null
         };
 
-        // Create AR manager
-        this.arManager = new ARManager();
-        await this.arManager.init({
-            containerEl: this.containerEl,
-            mapEl: null,
-            state: null,
-            config: null
-        });
-
-        // Start in desktop mode
-        await this.arManager.enterDesktop3DMode();
-        this._mode = 'desktop';
-        this.onModeChange('desktop');
+        if (!this.arManager) {
+            await this._createScene(signal, created);
+        }
 
-        const arScene = this.arManager.getARScene();
-        const modelContainer = this.arManager.getModelContainer();
-        const renderer = arScene.getRenderer();
+        const staging = new THREE.Group();
+        const renderer = this.arManager.getARScene().getRenderer();
 
         // Create terrain mesh
-        this.terrainMesh = new TerrainMesh({
+        const terrainMesh = created.terrainMesh = new TerrainMesh({
             targetPolygons: this.options.terrain.polygons
         });
-        this.terrainMesh.setElevationConfig(
-            this.elevationInfo.referenceElevation,
-            this.elevationInfo.depthRange,
+        terrainMesh.setElevationConfig(
+            elevationInfo.referenceElevation,
+            elevationInfo.depthRange,
             noDataValue
         );
-        this.terrainMesh.setRenderer(renderer);
-        this.arManager.setTerrainMesh(this.terrainMesh);
+        terrainMesh.setRenderer(renderer);
 
         // Build terrain with progress reporting
-        await this.terrainMesh.createFromData({
+        await terrainMesh.createFromData({
             elevation,
             width,
             height,
             geoBounds,
-            fullResElevationPromise
-        }, modelContainer, (stage, progress) => {
+            crs,
+            fullResElevationPromise,
+            // Only full-resolution contours need the normal map raster afterwards
+            keepFullResElevation: this.options.contours.fullResolution,
+            colorBand,
+            colormap: difference ? this.options.difference.colormap : this.options.terrain.colormap,
+            classification: this.options.terrain.classification,
+            signal
+        }, staging, (stage, progress) => {
             this.onProgress(stage, progress !== null ? progress * 100 : null);
         });
 
         // Apply initial settings
-        this.terrainMesh.setZExaggeration(this.options.terrain.zExaggeration);
-        this.terrainMesh.setNormalScale(this.options.terrain.normalStrength);
+        terrainMesh.setZExaggeration(this.options.terrain.zExaggeration);
+        terrainMesh.setNormalScale(this.options.terrain.normalStrength);
+        terrainMesh.setRenderMode(this.options.terrain.renderMode, this._renderSettings());
+        terrainMesh.setImageryBlend(this.options.terrain.imageryBlend);
+
+        // Imagery stays draped across reloads of the same area (band changes)
+        if (this._imagery && sameBounds(this._imagery.geoBounds, geoBounds)) {
+            terrainMesh.setImagery(this._imagery);
+        }
+
+        // LOD tiles take over rendering once the root tile is loaded
+        let terrainTiles = null;
+        if (tileSource) {
+            terrainTiles = created.terrainTiles = new TerrainTiles();
+            terrainTiles.init(staging, terrainMesh, tileSource);
+        }
 
         // Create overlay layers (contours)
-        this.overlayLayers = new OverlayLayers();
-        this.overlayLayers.init(modelContainer, this.terrainMesh);
-        this.arManager.setOverlayLayers(this.overlayLayers);
+        const overlayLayers = created.overlayLayers = new OverlayLayers({
+            contourMajorEvery: this.options.contours.majorEvery,
+            contourBands: this._bandSettings()
+        });
+        overlayLayers.init(staging, terrainMesh, terrainTiles);
+        this._applyContourLayerVisibility(overlayLayers);
+
+        // Water plane at the reference elevation
+        let waterSurface = null;
+        if (this.options.water.enabled) {
+            waterSurface = created.waterSurface = new WaterSurface(this._waterSettings());
+            waterSurface.init(staging, terrainMesh);
+        }
+
+        // Cross-section (cuts everything sharing the terrain's clipping planes)
+        let sectionClipping = null;
+        if (this.options.section) {
+            sectionClipping = created.sectionClipping = new SectionClipping(this.options.section);
+            sectionClipping.init(staging, terrainMesh);
+        }
+
+        // Walls and base around the valid-data footprint
+        let terrainSkirt = null;
+        if (this.options.skirt.enabled) {
+            terrainSkirt = created.terrainSkirt = new TerrainSkirt(this._skirtSettings());
+            await terrainSkirt.init(staging, terrainMesh, signal);
+        }
 
         // Generate contours if enabled
+        const content = {
+            terrainMesh, terrainTiles, overlayLayers, waterSurface, sectionClipping, terrainSkirt, elevationInfo, difference, contourResult: null
+        };
         if (this.options.enableContours) {
             this.onProgress('CREATE_CONTOURS', null);
-            await this._generateContours(this.options.contours.interval);
+            content.contourResult = await this._computeContours(content, this.options.contours.interval, signal);
         }
+        throwIfAborted(signal);
+
+        this._installContent(content);
+    }
+
+    /**
+     * Create the AR manager, desktop scene, hand tracking and tool manager.
+     * Called once per viewer; later loads reuse them.
+     * @param {AbortSignal} [signal]
+     * @param {Object} created - Receives each component as it is created
+     * @private
+     */
+    async _createScene(signal, created) {
+        // Create AR manager
+        this.arManager = created.arManager = new ARManager();
+        await this.arManager.init({
+            containerEl: this.containerEl,
+            mapEl: null,
+            state: null,
+            config: null
+        });
+        throwIfAborted(signal);
+
+        // Start in desktop mode
+        await this.arManager.enterDesktop3DMode();
+        throwIfAborted(signal);
+        this._mode = 'desktop';
+        this.onModeChange('desktop');
 
         // Set up hand tracking for AR
         if (this.options.enableAR) {
-            this.handTracking = new HandTracking();
-            this.handTracking.setTerrainMesh(this.terrainMesh);
+            this.handTracking = created.handTracking = new HandTracking();
             this.handTracking.setZExaggerationCallback((exag) => {
-                this.overlayLayers.updateForZExaggeration();
+                this.options.terrain.zExaggeration = exag;
+                this.terrainTiles?.updateForZExaggeration();
+                this.overlayLayers?.updateForZExaggeration();
                 this.onZExaggerationChange(exag);
             });
             this.arManager.setHandTracking(this.handTracking);
 
             // Set up tool manager
             if (this.options.enableTools) {
-                this.toolManager = new ToolManager();
+                this.toolManager = created.toolManager = new ToolManager();
+                this.toolManager.onMenuAction = (action) => {
+                    if (action === MenuAction.CYCLE_COLORMAP) {
+                        this.cycleColormap()
+                            .then(() => this.onColormapChange(this.getColormap()))
+                            .catch(err => console.warn('Colormap change failed:', err));
+                    }
+                };
+                this.toolManager.onSectionChange = (line) => this._applySectionLine(line);
                 this.arManager.setToolManager(this.toolManager);
             }
         }
@@ -238,36 +681,171 @@ export class TerrainViewer {
     }
 
     /**
-     * Generate contour lines.
+     * Swap newly built terrain content into the scene, disposing the
+     * previous terrain, overlays and placed tools.
+     * @param {Object} content - { terrainMesh, terrainTiles, overlayLayers, waterSurface, sectionClipping, terrainSkirt, elevationInfo, difference, contourResult }
+     * @private
+     */
+    _installContent(content) {
+        // Contours still being traced on the previous terrain are not wanted
+        this._abortContours();
+
+        for (const key of ['terrainTiles', 'overlayLayers', 'waterSurface', 'sectionClipping', 'terrainSkirt', 'terrainMesh']) {
+            if (this[key]) this[key].dispose();
+            this[key] = content[key];
+        }
+        this.elevationInfo = content.elevationInfo;
+        this._difference = content.difference;
+
+        // Imagery of another area is not kept for a later reload of that area
+        if (this._imagery && !sameBounds(this._imagery.geoBounds, this.terrainMesh.geoBounds)) {
+            this._imagery = null;
+        }
+
+        // A new dataset gets a fresh contour budget
+        if (this._contoursExceedLimit) {
+            this._contoursExceedLimit = false;
+            this._contoursVisible = this.options.enableContours;
+        }
+        this._lastContourResult = null;
+        this._applyContours(content.contourResult);
+
+        this.arManager.setTerrainMesh(this.terrainMesh);
+        this.arManager.setTerrainTiles(this.terrainTiles);
+        this.arManager.setOverlayLayers(this.overlayLayers);
+        this.arManager.setWaterSurface(this.waterSurface);
+        this.arManager.setSectionClipping(this.sectionClipping);
+        this.arManager.setTerrainSkirt(this.terrainSkirt);
+        if (this.handTracking) {
+            this.handTracking.setTerrainMesh(this.terrainMesh);
+        }
+        if (this.toolManager) {
+            this.toolManager.setTerrainMesh(this.terrainMesh);
+        }
+
+        this._rebuildSceneContents();
+    }
+
+    /**
+     * Generate contour lines for the displayed terrain. Jobs run on separate
+     * pool workers, so a newer call (e.g. each tick of a reference drag)
+     * aborts the previous one rather than racing it. The result is dropped
+     * if it was superseded or its terrain has been replaced or disposed.
      * @param {number} interval
      * @private
      */
     async _generateContours(interval) {
-        if (!this.terrainMesh || !this.overlayLayers) return;
+        const { terrainMesh, overlayLayers } = this;
+        if (!terrainMesh || !overlayLayers) return;
+
+        this._abortContours();
+        const controller = new AbortController();
+        this._contourController = controller;
+        const content = { terrainMesh, overlayLayers, elevationInfo: { ...this.elevationInfo } };
 
-        const result = await this.terrainMesh.generateContours(
-            this.elevationInfo.referenceElevation,
-            this.elevationInfo.minElevation,
+        try {
+            const result = await this._computeContours(content, interval, controller.signal);
+            if (controller.signal.aborted || this.terrainMesh !== terrainMesh) return;
+            this._applyContours(result);
+        } catch (err) {
+            if (isAbortError(err)) return;
+            throw err;
+        } finally {
+            if (this._contourController === controller) this._contourController = null;
+        }
+    }
+
+    /**
+     * Cancel the contour regeneration in progress, if any.
+     * @private
+     */
+    _abortContours() {
+        if (this._contourController) {
+            this._contourController.abort();
+            this._contourController = null;
+        }
+    }
+
+    /**
+     * Generate contour segments (and bands when shown) for a terrain without touching viewer state.
+     * @param {Object} content - { terrainMesh, overlayLayers, elevationInfo } (the viewer itself for current content)
+     * @param {number} interval
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Object|null>} TerrainMesh.generateContours result, with the
+     *   TerrainMesh.generateIsobands result as isobands
+     * @private
+     */
+    async _computeContours(content, interval, signal) {
+        const result = await content.terrainMesh.generateContours(
+            content.elevationInfo.referenceElevation,
+            content.elevationInfo.minElevation,
             interval,
             0.0008,
             (p) => this.onProgress('CREATE_CONTOURS', p * 100),
             0.0001,
-            MAX_CONTOUR_VERTICES
+            MAX_CONTOUR_VERTICES,
+            signal,
+            { every: this.options.contours.majorEvery, spacing: content.overlayLayers.getLabelSpacing() },
+            { fullResolution: this.options.contours.fullResolution, smoothing: this.options.contours.smoothing }
         );
+        if (result && !result.aborted && this.options.contours.bands.enabled) {
+            result.isobands = await this._computeIsobands(content, interval, signal);
+        }
+        return result;
+    }
 
+    /**
+     * Generate filled contour bands for a terrain.
+     * @param {Object} content - { terrainMesh, elevationInfo }
+     * @param {number} interval
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Object|null>} TerrainMesh.generateIsobands result
+     * @private
+     */
+    _computeIsobands(content, interval, signal) {
+        return content.terrainMesh.generateIsobands(
+            content.elevationInfo.referenceElevation,
+            content.elevationInfo.minElevation,
+            interval,
+            { maxVertices: MAX_CONTOUR_VERTICES, onProgress: (p) => this.onProgress('CREATE_CONTOURS', p * 100), signal }
+        );
+    }
+
+    /**
+     * Show a contour result on the current overlay layers.
+     * @param {Object|null} result
+     * @private
+     */
+    _applyContours(result) {
+        if (!result) return;
         this._lastContourResult = result;
 
-        if (result?.aborted) {
+        if (result.aborted) {
             this._contoursExceedLimit = true;
             this._contoursVisible = false;
             this.overlayLayers.setVisibility('contours', false);
-        } else if (result && result.vertexCount > 0) {
+        } else if (result.vertexCount > 0) {
             this._contoursExceedLimit = false;
-            this.overlayLayers.createContoursFromSegments(result.segments, result.vertexCount);
+            this.overlayLayers.createContoursFromSegments(
+                result.segments, result.vertexCount, result.labels, result.segmentThresholds, result.isobands
+            );
             this.overlayLayers.setVisibility('contours', this._contoursVisible);
         }
     }
 
+    /**
+     * Show or hide index contours, the contours between them, labels and bands per the options.
+     * @param {OverlayLayers} overlayLayers
+     * @private
+     */
+    _applyContourLayerVisibility(overlayLayers) {
+        const { major, minor, labels, bands } = this.options.contours;
+        overlayLayers.setVisibility('major', major);
+        overlayLayers.setVisibility('minor', minor);
+        overlayLayers.setVisibility('labels', labels);
+        overlayLayers.setVisibility('bands', bands.enabled);
+    }
+
     /**
      * Re-attach terrain and overlays after mode switch.
      * @private
@@ -289,6 +867,41 @@ export class TerrainViewer {
             }
         }
 
+        // Re-attach LOD tiles
+        if (this.terrainTiles?.group) {
+            if (this.terrainTiles.group.parent) {
+                this.terrainTiles.group.parent.remove(this.terrainTiles.group);
+            }
+            modelContainer.add(this.terrainTiles.group);
+        }
+
+        // Re-attach the water plane
+        if (this.waterSurface?.group) {
+            if (this.waterSurface.group.parent) {
+                this.waterSurface.group.parent.remove(this.waterSurface.group);
+            }
+            modelContainer.add(this.waterSurface.group);
+            this.waterSurface.parentGroup = modelContainer;
+        }
+
+        // Re-attach the section caps (planes follow the new container)
+        if (this.sectionClipping?.group) {
+            if (this.sectionClipping.group.parent) {
+                this.sectionClipping.group.parent.remove(this.sectionClipping.group);
+            }
+            modelContainer.add(this.sectionClipping.group);
+            this.sectionClipping.parentGroup = modelContainer;
+        }
+
+        // Re-attach the skirt
+        if (this.terrainSkirt?.group) {
+            if (this.terrainSkirt.group.parent) {
+                this.terrainSkirt.group.parent.remove(this.terrainSkirt.group);
+            }
+            modelContainer.add(this.terrainSkirt.group);
+            this.terrainSkirt.parentGroup = modelContainer;
+        }
+
         // Re-attach overlay layers
         if (this.overlayLayers) {
             if (this.overlayLayers.contourGroup) {
@@ -297,17 +910,22 @@ export class TerrainViewer {
                 }
                 modelContainer.add(this.overlayLayers.contourGroup);
             } else {
-                this.overlayLayers.init(modelContainer, this.terrainMesh);
+                this.overlayLayers.init(modelContainer, this.terrainMesh, this.terrainTiles);
                 if (this._lastContourResult && this._lastContourResult.vertexCount > 0) {
                     this.overlayLayers.createContoursFromSegments(
                         this._lastContourResult.segments,
-                        this._lastContourResult.vertexCount
+                        this._lastContourResult.vertexCount,
+                        this._lastContourResult.labels,
+                        this._lastContourResult.segmentThresholds,
+                        this._lastContourResult.isobands
                     );
                 }
             }
             this.overlayLayers.parentGroup = modelContainer;
             this.overlayLayers.terrainMesh = this.terrainMesh;
+            this.overlayLayers.terrainTiles = this.terrainTiles;
             this.overlayLayers.setVisibility('contours', this._contoursVisible);
+            this._applyContourLayerVisibility(this.overlayLayers);
         }
 
         // Re-attach tools
@@ -325,9 +943,13 @@ export class TerrainViewer {
      * @param {number} factor - Exaggeration factor (1-10)
      */
     setZExaggeration(factor) {
+        this.options.terrain.zExaggeration = factor;
         if (this.terrainMesh) {
             this.terrainMesh.setZExaggeration(factor);
         }
+        if (this.terrainTiles) {
+            this.terrainTiles.updateForZExaggeration();
+        }
         if (this.overlayLayers && !this._contoursExceedLimit) {
             this.overlayLayers.updateForZExaggeration();
         }
@@ -346,6 +968,7 @@ export class TerrainViewer {
      * @param {number} strength - Normal strength (0-10)
      */
     setNormalStrength(strength) {
+        this.options.terrain.normalStrength = strength;
         if (this.terrainMesh) {
             this.terrainMesh.setNormalScale(strength);
         }
@@ -366,6 +989,12 @@ export class TerrainViewer {
                 this.elevationInfo.noDataValue
             );
             await this.terrainMesh.updateReferenceElevation(elevation);
+            if (this.terrainTiles) {
+                this.terrainTiles.updateReferenceElevation();
+            }
+            if (this.waterSurface) {
+                this.waterSurface.updateReferenceElevation();
+            }
 
             // Regenerate contours
             if (!this._contoursExceedLimit && this._contoursVisible) {
@@ -374,6 +1003,145 @@ export class TerrainViewer {
         }
     }
 
+    /**
+     * Change the terrain colormap without rebuilding geometry.
+     * @param {string|Array} colormap - Registered name (see getColormaps()), stop list
+     *   ([[0, '#08306b'], [1, '#deebf7']]) or CSS gradient string
+     * @returns {Promise<void>}
+     */
+    async setColormap(colormap) {
+        // Validate before touching the current terrain
+        createColormap(colormap);
+        // An elevation difference keeps its own (diverging) colormap
+        this.options[this._difference ? 'difference' : 'terrain'].colormap = colormap;
+        if (this.terrainMesh) {
+            // Tiles share the mesh's colormap texture
+            await this.terrainMesh.setColormap(colormap);
+        }
+    }
+
+    /**
+     * Get the current colormap spec.
+     * @returns {string|Array}
+     */
+    getColormap() {
+        return this.options[this._difference ? 'difference' : 'terrain'].colormap;
+    }
+
+    /**
+     * Switch to the next registered colormap (custom ramps go back to the first).
+     * @returns {Promise<void>}
+     */
+    async cycleColormap() {
+        const names = getColormaps();
+        const next = names[(names.indexOf(this.getColormap()) + 1) % names.length];
+        await this.setColormap(next);
+    }
+
+    /**
+     * Color the terrain by discrete classes instead of a continuous gradient.
+     * Classes follow reference elevation changes (data-driven breaks are
+     * recomputed); see getLegend() for class ranges, colors and areas.
+     * @param {Object|null} classification - null for continuous coloring, or:
+     * @param {string} [classification.method='equal'] - 'equal' (equal interval), 'quantile',
+     *   'jenks' (natural breaks) or 'explicit'
+     * @param {number} [classification.classes=5] - Class count (1-16) for data-driven methods
+     * @param {number[]} [classification.breaks] - Explicit ascending breaks, e.g. [0, 2, 5, 10]
+     * @param {Array} [classification.colors] - One color per class (default: from the colormap)
+     * @returns {Promise<void>}
+     */
+    async setClassification(classification) {
+        // Validate before touching the current terrain
+        if (classification) normalizeClassification(classification);
+        this.options.terrain.classification = classification;
+        if (this.terrainMesh) {
+            await this.terrainMesh.setClassification(classification);
+        }
+    }
+
+    /**
+     * Legend data for the current classification: per class its value range
+     * (depth in metres, or coloring band values), #rrggbb color and ground
+     * area (m²) below the reference elevation.
+     * @returns {Object|null} See TerrainMesh.getLegend(); null for continuous coloring
+     */
+    getLegend() {
+        return this.terrainMesh?.getLegend() ?? null;
+    }
+
+    /**
+     * Switch between colormap coloring and the analytical render modes, all
+     * derived from the full-resolution normal map (uniform updates only):
+     * - 'color': colormap by depth or coloring band, lit (default)
+     * - 'hillshade': multi-directional hillshade around the sun azimuth
+     * - 'slope': slope angle through the colormap, 0 to slopeMax degrees
+     * - 'aspect': downhill direction as a hue wheel (gray where flat)
+     * - 'curvature': concave (low end) to convex (high end) through the colormap
+     * @param {string} mode
+     * @param {Object} [settings] - Omitted values keep their current setting
+     * @param {number} [settings.sunAzimuth] - Degrees clockwise from north
+     * @param {number} [settings.sunAltitude] - Degrees above the horizon (0-90)
+     * @param {number} [settings.slopeMax] - Degrees
+     */
+    setRenderMode(mode, settings = {}) {
+        // Validate before touching the current terrain
+        renderModeIndex(mode);
+        const next = normalizeRenderSettings({ ...this._renderSettings(), ...settings });
+        Object.assign(this.options.terrain, { renderMode: mode, ...next });
+        // Tiles share the mesh's render mode uniforms
+        this.terrainMesh?.setRenderMode(mode, next);
+    }
+
+    /**
+     * Current render mode and settings (degrees).
+     * @returns {{ mode: string, sunAzimuth: number, sunAltitude: number, slopeMax: number }}
+     */
+    getRenderMode() {
+        return { mode: this.options.terrain.renderMode, ...this._renderSettings() };
+    }
+
+    /**
+     * Render settings from the terrain options.
+     * @private
+     */
+    _renderSettings() {
+        const { sunAzimuth, sunAltitude, slopeMax } = this.options.terrain;
+        return { sunAzimuth, sunAltitude, slopeMax };
+    }
+
+    /**
+     * Display another band of the current dataset. The dataset is reloaded
+     * (see load()), so the previous band stays visible until it is ready.
+     * @param {number} band - Band index (0-based)
+     * @returns {Promise<void>}
+     */
+    async setBand(band) {
+        await this._reloadBands({ band });
+    }
+
+    /**
+     * Color the terrain by another band of the current dataset, or by depth.
+     * @param {number|null} band - Band index (0-based), or null for depth coloring
+     * @returns {Promise<void>}
+     */
+    async setColorBand(band) {
+        await this._reloadBands({ colorBand: band });
+    }
+
+    /**
+     * Reload the current dataset with different band options.
+     * @param {Object} terrain - { band } and/or { colorBand }
+     * @private
+     */
+    async _reloadBands(terrain) {
+        if (!this._lastLoad) {
+            throw new Error('TerrainViewer: no dataset loaded');
+        }
+        // A failed load keeps the bands of the terrain still on display (e.g. after an out-of-range band)
+        const { source, format, compareTo } = this._lastLoad;
+        await this.load(source, { format, compareTo, terrain });
+    }
+
     /**
      * Set the contour interval and regenerate contours.
      * @param {number} interval - Contour interval in meters
@@ -397,6 +1165,185 @@ export class TerrainViewer {
         }
     }
 
+    /**
+     * Set how often index contours occur and regenerate contours.
+     * @param {number} every - Every nth contour is an index contour (0 = none)
+     */
+    async setContourMajorEvery(every) {
+        if (!Number.isInteger(every) || every < 0) {
+            throw new Error(`Index contour spacing must be a whole number of intervals, got ${every}`);
+        }
+        this.options.contours.majorEvery = every;
+        if (this.overlayLayers) {
+            this.overlayLayers.config.contourMajorEvery = every;
+        }
+        if (!this._contoursExceedLimit) {
+            await this._generateContours(this.options.contours.interval);
+        }
+    }
+
+    /**
+     * Trace contours on the full-resolution raster (the one read for the
+     * normal map) instead of the mesh grid, so they no longer change with the
+     * polygon count, and regenerate them. Full-resolution contours are draped
+     * on the mesh surface; filled bands stay on the mesh grid. Kept across reloads.
+     *
+     * The raster (up to 64 MB) is only kept while this is on. Turning it on
+     * again reads it again; in-memory formats (ASCII grid, XYZ, PNG tiles)
+     * cannot, so the dataset is reloaded.
+     * @param {Object} settings - Omitted values keep their current setting
+     * @param {boolean} [settings.fullResolution] - Full resolution instead of the mesh grid
+     * @param {number} [settings.smoothing] - Gaussian smoothing before tracing at full
+     *   resolution (sigma in metres, 0 = none)
+     */
+    async setContourResolution(settings) {
+        const { fullResolution = this.options.contours.fullResolution, smoothing = this.options.contours.smoothing } = settings;
+        if (typeof fullResolution !== 'boolean') {
+            throw new Error(`Contour fullResolution must be true or false, got ${fullResolution}`);
+        }
+        if (!(smoothing >= 0 && Number.isFinite(smoothing))) {
+            throw new Error(`Contour smoothing must be a non-negative number of metres, got ${smoothing}`);
+        }
+        Object.assign(this.options.contours, { fullResolution, smoothing });
+
+        const terrainMesh = this.terrainMesh;
+        if (terrainMesh) {
+            terrainMesh.keepFullResElevation = fullResolution;
+            if (!fullResolution) {
+                terrainMesh.setFullResElevation(null);
+            } else if (!terrainMesh.fullResElevation && this._readFullResElevation) {
+                try {
+                    const fullRes = await this._readFullResElevation();
+                    if (this.terrainMesh !== terrainMesh) return;
+                    terrainMesh.setFullResElevation(fullRes);
+                } catch (err) {
+                    if (isAbortError(err)) throw err;
+                    console.warn('Full-res elevation failed, contours trace the mesh raster:', err);
+                }
+            } else if (!terrainMesh.fullResElevation && this._lastLoad) {
+                const { source, format, compareTo } = this._lastLoad;
+                await this.load(source, { format, compareTo });
+                return;
+            }
+        }
+
+        // Regenerated even over the vertex limit: the mesh grid may fit again
+        await this._generateContours(this.options.contours.interval);
+    }
+
+    /**
+     * Current contour resolution settings.
+     * @returns {Object} { fullResolution, smoothing }
+     */
+    getContourResolution() {
+        const { fullResolution, smoothing } = this.options.contours;
+        return { fullResolution, smoothing };
+    }
+
+    /**
+     * Show or hide the index (major) contours (shown only with the contours).
+     * @param {boolean} visible
+     */
+    setMajorContourVisibility(visible) {
+        this.options.contours.major = visible;
+        if (this.overlayLayers) {
+            this.overlayLayers.setVisibility('major', visible);
+        }
+    }
+
+    /**
+     * Show or hide the contours between the index contours (shown only with the contours).
+     * @param {boolean} visible
+     */
+    setMinorContourVisibility(visible) {
+        this.options.contours.minor = visible;
+        if (this.overlayLayers) {
+            this.overlayLayers.setVisibility('minor', visible);
+        }
+    }
+
+    /**
+     * Check if index contours are enabled.
+     * @returns {boolean}
+     */
+    isMajorContourVisible() {
+        return this.options.contours.major;
+    }
+
+    /**
+     * Check if the contours between index contours are enabled.
+     * @returns {boolean}
+     */
+    isMinorContourVisible() {
+        return this.options.contours.minor;
+    }
+
+    /**
+     * Show or hide the elevation labels on the index contours (shown only
+     * with the contours).
+     * @param {boolean} visible
+     */
+    setContourLabelVisibility(visible) {
+        this.options.contours.labels = visible;
+        if (this.overlayLayers) {
+            this.overlayLayers.setVisibility('labels', visible);
+        }
+    }
+
+    /**
+     * Check if contour labels are enabled.
+     * @returns {boolean}
+     */
+    isContourLabelVisible() {
+        return this.options.contours.labels;
+    }
+
+    /**
+     * Show, hide or restyle the filled bands between the contours
+     * (isobands), colored like the terrain at the middle of each band: draped
+     * over the terrain or, flat, as a chart seen from above. Shown only with
+     * the contours; kept across reloads.
+     * @param {Object} settings - Omitted values keep their current setting
+     * @param {boolean} [settings.enabled] - Show the bands
+     * @param {number} [settings.opacity] - Opacity (0-1)
+     * @param {boolean} [settings.flat] - Flat at the reference elevation instead of draped
+     * @returns {Promise<void>} Resolves once the bands are shown
+     */
+    async setContourBands(settings) {
+        const { enabled = this.options.contours.bands.enabled, ...changes } = settings;
+        // Validate before touching the current bands
+        const next = normalizeBandSettings({ ...this._bandSettings(), ...changes });
+        this.options.contours.bands = { enabled, ...next };
+        if (!this.overlayLayers) return;
+
+        this.overlayLayers.setBandSettings(next);
+        this.overlayLayers.setVisibility('bands', enabled);
+
+        // Bands are generated with the contours while shown
+        const result = this._lastContourResult;
+        if (enabled && result && !result.aborted && !result.isobands) {
+            result.isobands = await this._computeIsobands(this, this.options.contours.interval);
+            if (this._lastContourResult === result) this._applyContours(result);
+        }
+    }
+
+    /**
+     * Current filled band settings.
+     * @returns {Object} { enabled, opacity, flat }
+     */
+    getContourBands() {
+        return { ...this.options.contours.bands };
+    }
+
+    /**
+     * Band settings from the options, without the enabled flag.
+     * @private
+     */
+    _bandSettings() {
+        const { enabled, ...settings } = this.options.contours.bands;
+        return settings;
+    }
+
     /**
      * Check if contours are visible.
      * @returns {boolean}
@@ -433,6 +1380,439 @@ export class TerrainViewer {
         return { ...this.elevationInfo };
     }
 
+    // ============================================
+    // Public API - Elevation Difference
+    // ============================================
+
+    /**
+     * Compare the current dataset with a later survey of the same area, or
+     * go back to a single survey with null. The dataset is reloaded (see
+     * load() compareTo), so the current terrain stays visible until ready.
+     * @param {string|File|Array<string|File>|null} compareTo - Later survey (any format load() reads)
+     * @returns {Promise<void>}
+     */
+    async setComparison(compareTo) {
+        if (!this._lastLoad) {
+            throw new Error('TerrainViewer: no dataset loaded');
+        }
+        const { source, format } = this._lastLoad;
+        await this.load(source, { format, compareTo });
+    }
+
+    /**
+     * Change the elevation difference settings. A threshold change recolors
+     * the terrain and updates the statistics without reloading.
+     * @param {Object} settings - Omitted values keep their current setting
+     * @param {number} [settings.threshold] - Changes within ±threshold metres are
+     *   no significant change (shown as zero, left out of volumes)
+     * @param {number} [settings.bins] - Histogram bins
+     * @param {string|Array} [settings.colormap] - Colormap while a difference is shown
+     * @returns {Promise<void>}
+     */
+    async setDifference(settings) {
+        // Validate before touching the current terrain
+        const next = normalizeDifferenceSettings({ ...this.options.difference, ...settings });
+        if (settings.colormap !== undefined) createColormap(next.colormap);
+        this.options.difference = next;
+
+        const difference = this._difference;
+        if (!difference || !this.terrainMesh) return;
+
+        Object.assign(difference, this._thresholdDifference(difference));
+        this.elevationInfo.difference = difference.statistics;
+        await this.terrainMesh.setColorBand(difference.colorBand);
+        if (settings.colormap !== undefined) {
+            await this.terrainMesh.setColormap(next.colormap);
+        }
+    }
+
+    /**
+     * Statistics of the elevation difference (later survey minus the loaded
+     * one), at mesh resolution: cut and fill volumes (m³) and areas (m²)
+     * beyond the threshold, mean, minimum and maximum change (m), and an
+     * area histogram of the change.
+     * @returns {Object|null} See differenceStatistics() in Difference.js; null without a comparison
+     */
+    getDifference() {
+        return this._difference?.statistics ?? null;
+    }
+
+    /**
+     * Current difference settings.
+     * @returns {{ threshold: number, bins: number, colormap: string|Array }}
+     */
+    getDifferenceSettings() {
+        return { ...this.options.difference };
+    }
+
+    // ============================================
+    // Public API - Imagery
+    // ============================================
+
+    /**
+     * Drape an orthophoto, backscatter mosaic or other RGB(A) raster over the
+     * current terrain. The imagery is clipped (and if needed reprojected) to
+     * the terrain bounds and resampled to at most maxSize pixels per side,
+     * within the GPU texture limit. It is kept across band reloads and
+     * dropped when a different area is loaded.
+     * @param {string|File} source - GeoTIFF/COG, or PNG/JPEG/WebP placed by a world file
+     * @param {Object} [options] - See loadImagery() in Imagery.js
+     * @param {string|File} [options.worldFile] - World file (URLs: looked up next to the image)
+     * @param {number|Object} [options.crs] - Imagery CRS (EPSG code) when it has no GeoKeys
+     * @param {Function} [options.transform] - Terrain CRS (x, y) => imagery CRS [x, y]
+     * @param {number} [options.maxSize=4096] - Longest side of the draped texture
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<{ width: number, height: number, coverage: number }>}
+     *   coverage: fraction of the terrain bounds the imagery covers
+     */
+    async loadImagery(source, options = {}) {
+        const terrainMesh = this.terrainMesh;
+        if (!terrainMesh) {
+            throw new Error('Load terrain before draping imagery');
+        }
+
+        const imagery = await loadImagery(source, { geoBounds: terrainMesh.geoBounds, crs: terrainMesh.crs }, {
+            ...options,
+            maxSize: Math.min(options.maxSize ?? 4096, terrainMesh.maxTextureSize)
+        });
+        if (this.terrainMesh !== terrainMesh) {
+            throw new Error('Terrain changed while loading imagery');
+        }
+
+        this._imagery = imagery;
+        terrainMesh.setImagery(imagery);
+        return { width: imagery.width, height: imagery.height, coverage: imagery.coverage };
+    }
+
+    /**
+     * Remove draped imagery.
+     */
+    clearImagery() {
+        this._imagery = null;
+        this.terrainMesh?.setImagery(null);
+    }
+
+    /**
+     * Weight of draped imagery against the colormap.
+     * @param {number} blend - 0 (colormap only) to 1 (imagery only)
+     */
+    setImageryBlend(blend) {
+        if (!(blend >= 0 && blend <= 1)) {
+            throw new Error(`Imagery blend must be between 0 and 1, got ${blend}`);
+        }
+        this.options.terrain.imageryBlend = blend;
+        this.terrainMesh?.setImageryBlend(blend);
+    }
+
+    // ============================================
+    // Public API - Water
+    // ============================================
+
+    /**
+     * Show, hide or restyle the translucent water plane. The plane sits at
+     * the reference elevation (following setReferenceElevation() and
+     * Z-exaggeration), clipped to wet cells inside the data footprint.
+     * @param {Object} settings - Omitted values keep their current setting
+     * @param {boolean} [settings.enabled] - Show the water plane
+     * @param {number|string} [settings.color] - Water tint
+     * @param {number} [settings.opacity] - Base opacity (0-1)
+     * @param {boolean} [settings.shoreline] - Highlight where the water meets the terrain
+     * @param {number|string} [settings.shorelineColor]
+     * @param {number} [settings.shorelineWidth] - Shoreline width in pixels
+     * @param {boolean} [settings.animate] - Animate ripples
+     */
+    setWater(settings) {
+        const { enabled = this.options.water.enabled, ...changes } = settings;
+        // Validate before touching the current water plane
+        const next = normalizeWaterSettings({ ...this._waterSettings(), ...changes });
+        this.options.water = { enabled, ...next };
+
+        if (!enabled) {
+            if (this.waterSurface) {
+                this.waterSurface.dispose();
+                this.waterSurface = null;
+                this.arManager.setWaterSurface(null);
+            }
+            return;
+        }
+
+        if (this.waterSurface) {
+            this.waterSurface.setConfig(next);
+        } else if (this.terrainMesh) {
+            this.waterSurface = new WaterSurface(next);
+            this.waterSurface.init(this.arManager.getModelContainer(), this.terrainMesh);
+            this.arManager.setWaterSurface(this.waterSurface);
+        }
+    }
+
+    /**
+     * Current water plane settings.
+     * @returns {Object} { enabled, color, opacity, shoreline, ... }
+     */
+    getWater() {
+        return { ...this.options.water };
+    }
+
+    /**
+     * Water settings from the options, without the enabled flag.
+     * @private
+     */
+    _waterSettings() {
+        const { enabled, ...settings } = this.options.water;
+        return settings;
+    }
+
+    // ============================================
+    // Public API - Skirt
+    // ============================================
+
+    /**
+     * Show, hide or restyle the skirt: walls along the edge of the valid
+     * data (including NoData holes) down to a flat base, shaded in depth
+     * bands, so the terrain reads as a solid block. Follows Z-exaggeration
+     * and the reference elevation; kept across reloads.
+     * @param {Object} settings - Omitted values keep their current setting
+     * @param {boolean} [settings.enabled] - Show the skirt
+     * @param {number|null} [settings.baseDepth] - Base in metres below the lowest
+     *   elevation (null: 5% of the relief)
+     * @param {number|null} [settings.bandInterval] - Metres per depth band (null: automatic)
+     * @param {Array<number|string>} [settings.colors] - Band colors from the reference down (1-8, repeated)
+     * @param {number|string} [settings.lineColor] - Line between bands
+     * @returns {Promise<void>} Resolves once the skirt is shown
+     */
+    async setSkirt(settings) {
+        const { enabled = this.options.skirt.enabled, ...changes } = settings;
+        // Validate before touching the current skirt
+        const next = normalizeSkirtSettings({ ...this._skirtSettings(), ...changes });
+        this.options.skirt = { enabled, ...next };
+
+        if (!enabled) {
+            if (this.terrainSkirt) {
+                this.terrainSkirt.dispose();
+                this.terrainSkirt = null;
+                this.arManager.setTerrainSkirt(null);
+            }
+            return;
+        }
+
+        if (this.terrainSkirt) {
+            this.terrainSkirt.setConfig(next);
+        } else if (this.terrainMesh) {
+            const skirt = this.terrainSkirt = new TerrainSkirt(next);
+            this.arManager.setTerrainSkirt(skirt);
+            await skirt.init(this.arManager.getModelContainer(), this.terrainMesh);
+        }
+    }
+
+    /**
+     * Current skirt settings.
+     * @returns {Object} { enabled, baseDepth, bandInterval, colors, lineColor }
+     */
+    getSkirt() {
+        return { ...this.options.skirt, colors: [...this.options.skirt.colors] };
+    }
+
+    /**
+     * Skirt settings from the options, without the enabled flag.
+     * @private
+     */
+    _skirtSettings() {
+        const { enabled, ...settings } = this.options.skirt;
+        return settings;
+    }
+
+    // ============================================
+    // Public API - Export
+    // ============================================
+
+    /**
+     * Export the displayed terrain with baked heights (current Z-exaggeration,
+     * clamped at the reference elevation) for 3D printing and other tools.
+     * NoData triangles are left out; render modes, imagery and sections are not applied.
+     * @param {string} [format='glb'] - 'glb' (vertex colors, contours), 'stl' (binary,
+     *   Z-up) or 'obj' (geometry, contours)
+     * @param {Object} [options]
+     * @param {boolean} [options.base] - Add walls and a bottom so the model is a
+     *   watertight solid (default: whether the skirt is shown)
+     * @param {boolean} [options.contours=true] - Include visible contour lines (GLB, OBJ)
+     * @param {number} [options.size] - Longest horizontal side in file units (default:
+     *   model metres for GLB/OBJ, 150 for STL, read as millimetres by slicers)
+     * @returns {Promise<Blob>} File contents with its MIME type
+     */
+    async exportModel(format = ExportFormat.GLB, options = {}) {
+        const { base = this.options.skirt.enabled, contours = true, size } = options;
+        const lines = contours && this.isContourVisible() && this.overlayLayers
+            ? this.overlayLayers.getContourLines()
+            : [];
+        return exportTerrain(this.terrainMesh, format, {
+            base,
+            baseDepth: this.options.skirt.baseDepth,
+            contours: lines,
+            size
+        });
+    }
+
+    /**
+     * Export contour lines for GIS and CAD, as polylines per elevation in the
+     * raster's CRS (the mapping of getElevationInfo() bounds).
+     * @param {string} [format='geojson'] - 'geojson' (LineStrings, elevation property),
+     *   'dxf' (LWPOLYLINE at its elevation) or 'shapefile' (zipped .shp/.shx/.dbf, ELEV field)
+     * @param {Object} [options]
+     * @param {number} [options.interval] - Contour interval in metres (default: the displayed
+     *   interval; other intervals are generated for the export only)
+     * @param {string} [options.name='contours'] - Shapefile name inside the zip
+     * @param {string} [options.prj] - CRS WKT for the Shapefile .prj (written for WGS84 without it)
+     * @returns {Promise<Blob>} File contents with its MIME type
+     */
+    async exportContours(format = ContourFormat.GEOJSON, options = {}) {
+        const { interval = this.options.contours.interval, ...fileOptions } = options;
+        let contours = this._lastContourResult;
+        if (!contours || contours.aborted || interval !== this.options.contours.interval) {
+            contours = this.terrainMesh ? await this._computeContours(this, interval) : null;
+        }
+        return exportContours(this.terrainMesh, contours, format, fileOptions);
+    }
+
+    /**
+     * Export the filled bands between the contours as polygons in the
+     * raster's CRS, each with its lower and upper elevation.
+     * @param {string} [format='geojson'] - 'geojson' (MultiPolygons), 'dxf' (closed LWPOLYLINEs,
+     *   a layer per band) or 'shapefile' (zipped Polygon .shp/.shx/.dbf, LOWER and UPPER fields)
+     * @param {Object} [options]
+     * @param {number} [options.interval] - Contour interval in metres (default: the displayed
+     *   interval; other intervals are generated for the export only)
+     * @param {string} [options.name='contour_bands'] - Shapefile name inside the zip
+     * @param {string} [options.prj] - CRS WKT for the Shapefile .prj (written for WGS84 without it)
+     * @returns {Promise<Blob>} File contents with its MIME type
+     */
+    async exportContourBands(format = ContourFormat.GEOJSON, options = {}) {
+        const { interval = this.options.contours.interval, ...fileOptions } = options;
+        let isobands = interval === this.options.contours.interval ? this._lastContourResult?.isobands : null;
+        if (!isobands && this.terrainMesh) {
+            isobands = await this._computeIsobands(this, interval);
+        }
+        return exportIsobands(this.terrainMesh, isobands, format, fileOptions);
+    }
+
+    // ============================================
+    // Public API - Sections
+    // ============================================
+
+    /**
+     * Cut the terrain along a vertical and/or horizontal plane, showing a
+     * solid capped face. The cut applies to the terrain, LOD tiles, water
+     * plane and contours, and is kept across reloads (coordinates are in the
+     * terrain CRS). In AR the vertical plane can also be dragged with the
+     * hand menu's section tool.
+     * @param {Object|null} section - Null (or no planes) removes the section
+     * @param {Object} [section.vertical] - { x, y, azimuth }: through a point,
+     *   removing the half in the azimuth direction (degrees clockwise from grid
+     *   north); or { from: [x, y], to: [x, y] }: along a line, removing its right-hand side
+     * @param {Object} [section.horizontal] - { elevation }: removes everything above (metres)
+     * @param {number|string} [section.capColor] - Cut face color
+     * @param {number|null} [section.baseDepth] - Cut face bottom in metres below
+     *   the lowest elevation (null: 5% of the relief)
+     */
+    setSection(section) {
+        // Validate before touching the current section
+        const next = normalizeSection(section);
+        this.options.section = next;
+        if (!this.terrainMesh) return;
+
+        if (!next) {
+            if (this.sectionClipping) {
+                this.sectionClipping.dispose();
+                this.sectionClipping = null;
+                this.arManager.setSectionClipping(null);
+            }
+            return;
+        }
+
+        if (this.sectionClipping) {
+            this.sectionClipping.setSection(next);
+        } else {
+            this.sectionClipping = new SectionClipping(next);
+            this.sectionClipping.init(this.arManager.getModelContainer(), this.terrainMesh);
+            this.arManager.setSectionClipping(this.sectionClipping);
+        }
+    }
+
+    /**
+     * Current section, or null when the terrain is not cut.
+     * @returns {Object|null} { vertical, horizontal, capColor, baseDepth }
+     */
+    getSection() {
+        return this.options.section ? { ...this.options.section } : null;
+    }
+
+    /**
+     * Remove the section and show the whole terrain.
+     */
+    clearSection() {
+        this.setSection(null);
+    }
+
+    /**
+     * Apply a line from the AR section tool as the vertical plane.
+     * @param {{ from: THREE.Vector3, to: THREE.Vector3 }|null} line - Model-local, null when the tool is removed
+     * @private
+     */
+    _applySectionLine(line) {
+        const current = this.options.section;
+        if (!line) {
+            if (current?.vertical) {
+                this.setSection({ ...current, vertical: null });
+                this.onSectionChange(this.getSection());
+            }
+            return;
+        }
+
+        // Ignore lines leaving the terrain or collapsed to a point
+        const from = this.terrainMesh?.localToGeo(line.from);
+        const to = this.terrainMesh?.localToGeo(line.to);
+        if (!from || !to || (from[0] === to[0] && from[1] === to[1])) return;
+
+        this.setSection({ ...current, vertical: { from, to } });
+        this.onSectionChange(this.getSection());
+    }
+
+    // ============================================
+    // Public API - Offline Cache
+    // ============================================
+
+    /**
+     * Download a COG into the range cache so it opens offline.
+     * Requires options.cache.enabled.
+     * @param {string} url
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @param {Function} [options.onProgress] - (fraction) => void
+     * @returns {Promise<{ url: string, size: number }>}
+     */
+    async prefetch(url, options = {}) {
+        if (!this.rangeCache) {
+            throw new Error('TerrainViewer: range cache is disabled (set options.cache.enabled)');
+        }
+        return await this.rangeCache.prefetch(url, options);
+    }
+
+    /**
+     * Get range cache statistics.
+     * @returns {Promise<Object|null>} { bytes, maxBytes, blocks, hits, misses, datasets }, or null when disabled
+     */
+    async getCacheStats() {
+        return this.rangeCache ? await this.rangeCache.getStats() : null;
+    }
+
+    /**
+     * Remove one dataset from the range cache, or empty it.
+     * @param {string} [url] - Dataset to remove (default: all)
+     * @returns {Promise<void>}
+     */
+    async clearCache(url) {
+        await this.rangeCache?.clear(url);
+    }
+
     // ============================================
     // Public API - Mode Control
     // ============================================
@@ -522,10 +1902,24 @@ export class TerrainViewer {
      * Dispose of all resources.
      */
     dispose() {
+        this.abortLoad();
+        this._abortContours();
         if (this.arManager) {
             this.arManager.dispose();
             this.arManager = null;
         }
+        if (this.terrainTiles) {
+            this.terrainTiles.dispose();
+            this.terrainTiles = null;
+        }
+        if (this.sectionClipping) {
+            this.sectionClipping.dispose();
+            this.sectionClipping = null;
+        }
+        if (this.terrainSkirt) {
+            this.terrainSkirt.dispose();
+            this.terrainSkirt = null;
+        }
         if (this.terrainMesh) {
             this.terrainMesh.dispose();
             this.terrainMesh = null;
@@ -534,12 +1928,29 @@ export class TerrainViewer {
             this.overlayLayers.dispose();
             this.overlayLayers = null;
         }
+        if (this.waterSurface) {
+            this.waterSurface.dispose();
+            this.waterSurface = null;
+        }
         if (this.toolManager) {
             this.toolManager.dispose();
             this.toolManager = null;
         }
+        if (this.rangeCache) {
+            this.rangeCache.close();
+            this.rangeCache = null;
+        }
         this.handTracking = null;
         this._lastContourResult = null;
+        this._imagery = null;
+        this._difference = null;
         this._mode = 'none';
     }
 }
+
+/**
+ * Whether two [minX, minY, maxX, maxY] bounds are identical.
+ */
+function sameBounds(a, b) {
+    return a.length === b.length && a.every((v, i) => v === b[i]);
+}
@@ -2,7 +2,8 @@
  * HandMenu.js - Circular hand menu for AR tool selection
  *
  * Appears on the back of the user's hand, allowing selection
- * of interactive tools (depth probe, measure tool) via pinch.
+ * of interactive tools (depth probe, measure, profile, section) via pinch,
+ * and actions such as switching the terrain colormap.
  */
 
 import * as THREE from 'three';
@@ -20,7 +21,13 @@ export const MenuState = {
 export const ToolType = {
     DEPTH_PROBE: 'depth_probe',
     MEASURE: 'measure',
-    PROFILE: 'profile'
+    PROFILE: 'profile',
+    SECTION: 'section'
+};
+
+/** Menu actions (fire once per pinch, no tool is spawned) */
+export const MenuAction = {
+    CYCLE_COLORMAP: 'cycle_colormap'
 };
 
 const MENU_RADIUS = 0.045; // meters (disc radius)
@@ -31,6 +38,16 @@ const ACTIVATION_DISTANCE = 0.12; // finger must be within this to activate
 const SELECT_DISTANCE = 0.035; // finger near icon to select
 const HAND_PROXIMITY_DISTANCE = 0.15; // other hand must be within this to show disc
 
+// Menu entries clockwise from the top, one sector each
+const MENU_ITEMS = [
+    { type: ToolType.DEPTH_PROBE, label: 'Depth' },
+    { type: ToolType.PROFILE, label: 'Profile' },
+    { type: ToolType.MEASURE, label: 'Measure' },
+    { type: ToolType.SECTION, label: 'Section' },
+    { action: MenuAction.CYCLE_COLORMAP, label: 'Colors' }
+];
+const SECTOR_ANGLE = (Math.PI * 2) / MENU_ITEMS.length;
+
 export class HandMenu {
     constructor() {
         this.group = new THREE.Group();
@@ -49,7 +66,7 @@ export class HandMenu {
 
         // Visual components
         this.disc = null;
-        this.icons = []; // [{sprite, toolType, angle}]
+        this.icons = []; // [{sprite, toolType, action, angle}]
         this.highlightArc = null;
         this.deleteIcon = null;
 
@@ -59,8 +76,12 @@ export class HandMenu {
         // Whether delete zone is active
         this.deleteActive = false;
 
+        // Interacting hand pinch state last frame (actions fire on pinch start)
+        this._wasPinching = false;
+
         // Callbacks
         this.onToolSelected = null; // (toolType, menuWorldPos) => void
+        this.onActionSelected = null; // (action) => void
 
         this._createVisuals();
     }
@@ -81,12 +102,8 @@ export class HandMenu {
         this.disc = new THREE.Mesh(discGeo, discMat);
         this.group.add(this.disc);
 
-        // Tool icons - evenly spaced at 120° intervals around the disc
-        const tools = [
-            { type: ToolType.DEPTH_PROBE, label: 'Depth', angle: Math.PI / 2 },           // top (90°)
-            { type: ToolType.PROFILE, label: 'Profile', angle: -Math.PI / 6 },            // bottom-right (-30°)
-            { type: ToolType.MEASURE, label: 'Measure', angle: -5 * Math.PI / 6 }         // bottom-left (-150°)
-        ];
+        // Tool and action icons - evenly spaced around the disc, first at the top
+        const tools = MENU_ITEMS.map((item, i) => ({ ...item, angle: Math.PI / 2 - i * SECTOR_ANGLE }));
 
         for (const tool of tools) {
             const sprite = createTextSprite(tool.label, {
@@ -105,11 +122,11 @@ export class HandMenu {
             sprite.material.color.set(0x4fc3f7);
             sprite.renderOrder = 1;
             this.group.add(sprite);
-            this.icons.push({ sprite, toolType: tool.type, angle: tool.angle });
+            this.icons.push({ sprite, toolType: tool.type ?? null, action: tool.action ?? null, angle: tool.angle });
         }
 
-        // Highlight arc (ring segment covering 1/3 of circle for 3 tools)
-        const arcGeo = new THREE.RingGeometry(MENU_RADIUS * 0.75, MENU_RADIUS * 0.95, 16, 1, 0, Math.PI * 2 / 3);
+        // Highlight arc (ring segment covering one icon's sector)
+        const arcGeo = new THREE.RingGeometry(MENU_RADIUS * 0.75, MENU_RADIUS * 0.95, 16, 1, 0, SECTOR_ANGLE);
         const arcMat = new THREE.MeshBasicMaterial({
             color: 0x4fc3f7,
             side: THREE.DoubleSide,
@@ -300,9 +317,9 @@ export class HandMenu {
         if (closestIcon) {
             this._setState(MenuState.SELECTING);
 
-            // Highlight the selected sector (arc is 1/3 circle, center on icon)
+            // Highlight the selected sector (arc centered on the icon)
             this.highlightArc.visible = true;
-            this.highlightArc.rotation.z = closestIcon.angle - Math.PI / 3;
+            this.highlightArc.rotation.z = closestIcon.angle - SECTOR_ANGLE / 2;
 
             // Highlight icon color
             for (const icon of this.icons) {
@@ -313,14 +330,20 @@ export class HandMenu {
             }
 
             // Check for pinch to select
-            const interactingState = handStates[this.interactingHandIndex];
-            if (interactingState?.isPinching) {
+            const pinching = handStates[this.interactingHandIndex]?.isPinching ?? false;
+            if (pinching && closestIcon.action) {
+                if (!this._wasPinching && this.onActionSelected) {
+                    this.onActionSelected(closestIcon.action);
+                }
+            } else if (pinching) {
                 this.selectedTool = closestIcon.toolType;
                 if (this.onToolSelected) {
                     this.onToolSelected(closestIcon.toolType, this.group.position.clone());
                 }
             }
+            this._wasPinching = pinching;
         } else {
+            this._wasPinching = handStates[this.interactingHandIndex]?.isPinching ?? false;
             this.highlightArc.visible = false;
             // Reset icon colors
             for (const icon of this.icons) {
@@ -361,6 +384,7 @@ export class HandMenu {
         if (newState === MenuState.HIDDEN) {
             this.group.visible = false;
             this.selectedTool = null;
+            this._wasPinching = false;
         }
     }
 
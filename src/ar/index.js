@@ -3,4 +3,4 @@
  */
 
 export { HandTracking, GestureType } from './HandTracking.js';
-export { HandMenu, MenuState, ToolType } from './HandMenu.js';
+export { HandMenu, MenuState, ToolType, MenuAction } from './HandMenu.js';
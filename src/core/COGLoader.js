@@ -4,56 +4,250 @@
  * Extracts elevation data from COG files for terrain visualization.
  */
 
+import { parseGeoKeys, parseVerticalKeys } from './CRS.js';
+import { planMosaic, mergeRasters } from './Mosaic.js';
+import { AbortError, isAbortError, throwIfAborted } from './utils.js';
+
+let decoderPool;
+
+/**
+ * Shared geotiff.js decoder pool, so tile decompression runs in workers.
+ * Null where geotiff.js or Worker is unavailable (raster reads then decode
+ * on the main thread).
+ * @returns {Object|null} GeoTIFF.Pool
+ */
+export function getDecoderPool() {
+    if (decoderPool === undefined) {
+        const supported = typeof GeoTIFF !== 'undefined' &&
+            typeof GeoTIFF.Pool === 'function' &&
+            typeof Worker !== 'undefined';
+        decoderPool = supported ? new GeoTIFF.Pool() : null;
+    }
+    return decoderPool;
+}
+
 /**
  * Load a COG from a URL.
  * @param {string} url
- * @returns {Promise<Object>} { elevation, width, height, geoBounds, noDataValue, fullResElevationPromise }
+ * @param {Object} [options] - Passed through to extractCOGData
+ * @param {AbortSignal} [options.signal] - Cancels outstanding range requests
+ * @param {RangeCache} [options.rangeCache] - Serve range requests through this persistent cache
+ * @returns {Promise<Object>} { elevation, width, height, geoBounds, crs, noDataValue, fullResElevationPromise }
  */
-export async function loadCOGFromUrl(url) {
-    const tiff = await GeoTIFF.fromUrl(url);
-    return await extractCOGData(tiff);
+export async function loadCOGFromUrl(url, options = {}) {
+    const tiff = await openCOG(url, options.signal, options.rangeCache);
+    return await extractCOGData(tiff, options);
 }
 
 /**
  * Load a COG from a File object.
  * @param {File} file
+ * @param {Object} [options] - Passed through to extractCOGData
+ * @param {AbortSignal} [options.signal]
  * @returns {Promise<Object>}
  */
-export async function loadCOGFromFile(file) {
-    const arrayBuffer = await file.arrayBuffer();
-    const tiff = await GeoTIFF.fromArrayBuffer(arrayBuffer);
-    return await extractCOGData(tiff);
+export async function loadCOGFromFile(file, options = {}) {
+    const tiff = await openCOG(file, options.signal);
+    return await extractCOGData(tiff, options);
+}
+
+/**
+ * Load several adjacent or overlapping COGs as one terrain.
+ *
+ * The sources must share a CRS and (within `resolutionTolerance`) a pixel
+ * size. Each is read at the mosaic's mesh and normal map scale and
+ * resampled onto a grid covering the union of their bounds; cells no source
+ * covers are NoData (NaN). Level-of-detail tiles are not available for
+ * mosaics, so `tiled` is ignored.
+ *
+ * @param {Array<string|File>} sources - COG URLs and/or File objects, in overlap order
+ * @param {Object} [options]
+ * @param {string} [options.overlap='last'] - Overlap rule: 'first', 'last', 'mean', 'min' or 'max'
+ * @param {number} [options.resolutionTolerance=0.01] - Allowed relative difference in pixel size
+ * @param {number} [options.maxMeshDim=1000] - Maximum mesh dimension
+ * @param {number} [options.maxNormalDim=4096] - Maximum normal map dimension
+ * @param {number} [options.band=0] - Band read from every source (a coloring band is not supported for mosaics)
+ * @param {AbortSignal} [options.signal] - Cancels outstanding reads; rejects with an AbortError
+ * @param {Object|null} [options.pool] - GeoTIFF.Pool for decoding (default: shared decoder pool)
+ * @param {RangeCache} [options.rangeCache] - Serve URL range requests through this persistent cache
+ * @returns {Promise<Object>} Same shape as extractCOGData (tileSource and colorBand are null)
+ */
+export async function loadCOGMosaic(sources, options = {}) {
+    const { maxMeshDim = 1000, maxNormalDim = 4096, overlap = 'last', resolutionTolerance = 0.01, band = 0, signal } = options;
+    const pool = options.pool !== undefined ? options.pool : getDecoderPool();
+
+    if (!Array.isArray(sources) || sources.length === 0) {
+        throw new Error('Invalid source: mosaic needs at least one URL or File');
+    }
+
+    const tiffs = await Promise.all(sources.map(source => openCOG(source, signal, options.rangeCache)));
+    const layers = await Promise.all(tiffs.map(async (tiff) => {
+        const image = await tiff.getImage();
+        const bandCount = checkBand(image, band);
+        const crs = parseGeoKeys(image.getGeoKeys());
+        crs.vertical = readVerticalInfo(image, band);
+        return {
+            bandCount,
+            image,
+            width: image.getWidth(),
+            height: image.getHeight(),
+            bounds: image.getBoundingBox(),
+            crs,
+            noDataValue: readNoDataValue(image)
+        };
+    }));
+    throwIfAborted(signal);
+
+    const grid = planMosaic(layers, { resolutionTolerance });
+
+    // Read every source at the mosaic's scale and resample onto the shared grid
+    const readMosaic = async (maxDim) => {
+        const scale = Math.min(1, maxDim / Math.max(grid.width, grid.height));
+        const width = Math.max(1, Math.round(grid.width * scale));
+        const height = Math.max(1, Math.round(grid.height * scale));
+
+        const rasters = await Promise.all(layers.map(async (layer) => {
+            const readWidth = Math.max(1, Math.round(layer.width * scale));
+            const readHeight = Math.max(1, Math.round(layer.height * scale));
+            const data = await withAbort(signal, () => layer.image.readRasters({
+                width: readWidth,
+                height: readHeight,
+                samples: [band],
+                interleave: false,
+                pool,
+                signal
+            }));
+            const elevation = new Float32Array(data[0]);
+            const noDataValue = adjustFloat16NoData(layer.image, elevation, layer.noDataValue);
+            applyVerticalTransform(elevation, noDataValue, layer.crs.vertical);
+            return {
+                data: elevation,
+                width: readWidth,
+                height: readHeight,
+                bounds: layer.bounds,
+                noDataValue
+            };
+        }));
+        throwIfAborted(signal);
+
+        return { elevation: mergeRasters(rasters, grid.bounds, width, height, overlap), width, height };
+    };
+
+    console.log(`COG mosaic: ${layers.length} sources, ${grid.width}x${grid.height} combined (overlap: ${overlap})`);
+    console.log(`Bounds: [${grid.bounds.map(b => b.toFixed(2)).join(', ')}]`);
+    console.log(`CRS: ${grid.crs.epsg ? `EPSG:${grid.crs.epsg}` : grid.crs.type} (${grid.crs.units})`);
+    logVerticalInfo(grid.crs.vertical);
+
+    const mesh = await readMosaic(maxMeshDim);
+
+    const normalScale = Math.min(1, maxNormalDim / Math.max(grid.width, grid.height));
+    const readFullResElevation = Math.round(grid.width * normalScale) === mesh.width &&
+        Math.round(grid.height * normalScale) === mesh.height
+        ? () => Promise.resolve(mesh)
+        : () => readMosaic(maxNormalDim);
+    const fullResElevationPromise = readFullResElevation();
+    // Consumers may never await this if the load is cancelled
+    fullResElevationPromise.catch(() => {});
+
+    return {
+        elevation: mesh.elevation,
+        width: mesh.width,
+        height: mesh.height,
+        geoBounds: grid.bounds,
+        crs: grid.crs,
+        noDataValue: null,
+        fullResElevationPromise,
+        readFullResElevation,
+        tileSource: null,
+        band,
+        bandCount: Math.min(...layers.map(layer => layer.bandCount)),
+        colorBand: null
+    };
+}
+
+/**
+ * Open a COG from a URL or File.
+ * @param {string|File} source
+ * @param {AbortSignal} [signal]
+ * @param {RangeCache|null} [rangeCache] - Read URLs through this cache (where it can validate them)
+ * @returns {Promise<GeoTIFF>}
+ */
+export async function openCOG(source, signal, rangeCache = null) {
+    throwIfAborted(signal);
+    if (typeof source === 'string') {
+        const client = rangeCache ? await rangeCache.createClient(source, signal) : null;
+        if (client) {
+            return await withAbort(signal, () => GeoTIFF.fromCustomClient(client, {}, signal));
+        }
+        return await withAbort(signal, () => GeoTIFF.fromUrl(source, {}, signal));
+    }
+    if (typeof source?.arrayBuffer === 'function') {
+        const arrayBuffer = await source.arrayBuffer();
+        throwIfAborted(signal);
+        return await withAbort(signal, () => GeoTIFF.fromArrayBuffer(arrayBuffer, signal));
+    }
+    throw new Error('Invalid source: must be URL string or File object');
+}
+
+/**
+ * Run a geotiff.js call, normalizing its abort errors to our AbortError.
+ * @param {AbortSignal|undefined} signal
+ * @param {Function} fn - Async function
+ * @returns {Promise<*>}
+ */
+async function withAbort(signal, fn) {
+    try {
+        const result = await fn();
+        throwIfAborted(signal);
+        return result;
+    } catch (err) {
+        if (signal?.aborted || isAbortError(err)) throw new AbortError();
+        throw err;
+    }
 }
 
 /**
  * Extract elevation data from a GeoTIFF.
+ *
+ * Elevations are returned in metres: GDAL_METADATA band scale/offset and the
+ * vertical units (VerticalUnitsGeoKey or band UNITTYPE) are applied, with
+ * NoData as NaN (noDataValue is then null). `crs.vertical` describes the
+ * source: { scale, offset, epsg, datum, units, metresPerUnit }.
+ *
+ * Multi-band rasters: `band` selects the elevation band, and `colorBand`
+ * optionally reads a second band (e.g. uncertainty) at mesh resolution to
+ * color the terrain: result.colorBand = { band, data, width, height, range }.
+ *
+ * The normal map raster is read in the background (fullResElevationPromise);
+ * readFullResElevation() reads it again later, so callers need not keep it.
+ *
  * @param {GeoTIFF} tiff
  * @param {Object} [options]
  * @param {number} [options.maxMeshDim=1000] - Maximum mesh dimension
  * @param {number} [options.maxNormalDim=4096] - Maximum normal map dimension
+ * @param {boolean} [options.tiled=false] - Also return a tileSource for level-of-detail tiles
+ * @param {number} [options.band=0] - Elevation band index
+ * @param {number|null} [options.colorBand=null] - Band index coloring the terrain (null: color by depth)
+ * @param {AbortSignal} [options.signal] - Cancels raster reads; rejects with an AbortError
+ * @param {Object|null} [options.pool] - GeoTIFF.Pool for decoding (default: shared decoder pool)
  * @returns {Promise<Object>}
  */
 export async function extractCOGData(tiff, options = {}) {
-    const { maxMeshDim = 1000, maxNormalDim = 4096 } = options;
+    const { maxMeshDim = 1000, maxNormalDim = 4096, tiled = false, band = 0, colorBand = null, signal } = options;
+    const pool = options.pool !== undefined ? options.pool : getDecoderPool();
 
+    throwIfAborted(signal);
     const image = await tiff.getImage();
+    const bandCount = checkBand(image, band);
+    if (colorBand !== null) checkBand(image, colorBand);
 
     const width = image.getWidth();
     const height = image.getHeight();
     const geoBounds = image.getBoundingBox(); // [minX, minY, maxX, maxY]
+    const crs = parseGeoKeys(image.getGeoKeys());
+    crs.vertical = readVerticalInfo(image, band);
 
-    // Get NoData value from metadata
-    let noDataValue = null;
-    const fileDirectory = image.fileDirectory;
-    if (fileDirectory.GDAL_NODATA !== undefined) {
-        noDataValue = parseFloat(fileDirectory.GDAL_NODATA);
-        if (!Number.isFinite(noDataValue)) noDataValue = null;
-    }
-
-    // Detect if source data is float16 (BitsPerSample=16, SampleFormat=3)
-    // Float16 has limited precision, so noDataValue like -9999 may be stored as -10000
-    const isFloat16 = fileDirectory.BitsPerSample?.[0] === 16 &&
-                      fileDirectory.SampleFormat?.[0] === 3;
+    let noDataValue = readNoDataValue(image);
 
     // Read at a reduced resolution for the mesh (target ~1000px on longest side)
     const scale = Math.min(1, maxMeshDim / Math.max(width, height));
@@ -62,32 +256,28 @@ export async function extractCOGData(tiff, options = {}) {
 
     console.log(`COG: ${width}x${height}, reading mesh at ${meshWidth}x${meshHeight}`);
     console.log(`Bounds: [${geoBounds.map(b => b.toFixed(2)).join(', ')}]`);
+    console.log(`CRS: ${crs.epsg ? `EPSG:${crs.epsg}` : crs.type} (${crs.units})`);
     if (noDataValue !== null) console.log(`NoData: ${noDataValue}`);
+    if (bandCount > 1) console.log(`Band ${band + 1} of ${bandCount}${colorBand !== null ? `, colored by band ${colorBand + 1}` : ''}`);
+    logVerticalInfo(crs.vertical);
 
-    const rasters = await image.readRasters({
+    const rasters = await withAbort(signal, () => image.readRasters({
         width: meshWidth,
         height: meshHeight,
-        interleave: false
-    });
+        samples: [band],
+        interleave: false,
+        pool,
+        signal
+    }));
     const elevation = new Float32Array(rasters[0]);
+    const rawNoDataValue = adjustFloat16NoData(image, elevation, noDataValue);
 
-    // For float16 data, the noDataValue from metadata may not match the actual
-    // stored value due to precision loss (e.g., -9999 -> -10000). Find the actual
-    // value in the raster that's close to the metadata noDataValue.
-    if (noDataValue !== null && isFloat16) {
-        const tolerance = Math.max(1, Math.abs(noDataValue) * 0.002); // ~0.2% or at least 1
-        for (let i = 0; i < Math.min(10000, elevation.length); i++) {
-            const v = elevation[i];
-            if (Number.isFinite(v) && Math.abs(v - noDataValue) <= tolerance && v !== noDataValue) {
-                console.log(`NoData precision adjustment (float16): ${noDataValue} -> ${v}`);
-                noDataValue = v;
-                break;
-            }
-        }
-    }
+    // Scaled elevations mark NoData as NaN instead of the raw NoData value
+    if (applyVerticalTransform(elevation, rawNoDataValue, crs.vertical)) noDataValue = null;
+    else noDataValue = rawNoDataValue;
 
-    // Start full-res read in parallel for normal map generation
-    const fullResElevationPromise = (async () => {
+    // Full-res read for normal map generation, started in parallel
+    const readFullResElevation = async () => {
         // For normal map, use up to 4096px on longest side
         const normalScale = Math.min(1, maxNormalDim / Math.max(width, height));
         const normalWidth = Math.round(width * normalScale);
@@ -99,24 +289,348 @@ export async function extractCOGData(tiff, options = {}) {
         }
 
         console.log(`Reading full-res for normals: ${normalWidth}x${normalHeight}`);
-        const fullRasters = await image.readRasters({
+        const fullRasters = await withAbort(signal, () => image.readRasters({
             width: normalWidth,
             height: normalHeight,
-            interleave: false
-        });
+            samples: [band],
+            interleave: false,
+            pool,
+            signal
+        }));
+        const fullElevation = new Float32Array(fullRasters[0]);
+        applyVerticalTransform(fullElevation, rawNoDataValue, crs.vertical);
         return {
-            elevation: new Float32Array(fullRasters[0]),
+            elevation: fullElevation,
             width: normalWidth,
             height: normalHeight
         };
-    })();
+    };
+    const fullResElevationPromise = readFullResElevation();
+    // Consumers may never await this if the load is cancelled
+    fullResElevationPromise.catch(() => {});
+
+    const colorBandData = colorBand !== null
+        ? await readColorBand(image, colorBand, meshWidth, meshHeight, pool, signal)
+        : null;
+
+    const tileSource = tiled ? await createCOGTileSource(tiff, rawNoDataValue, pool, band) : null;
+    throwIfAborted(signal);
 
     return {
         elevation,
         width: meshWidth,
         height: meshHeight,
         geoBounds,
+        crs,
         noDataValue,
-        fullResElevationPromise
+        fullResElevationPromise,
+        readFullResElevation,
+        tileSource,
+        band,
+        bandCount,
+        colorBand: colorBandData
     };
 }
+
+/**
+ * Validate a band index against an image's band count.
+ * @param {Object} image - GeoTIFFImage
+ * @param {number} band
+ * @returns {number} Band count
+ */
+function checkBand(image, band) {
+    const bandCount = image.getSamplesPerPixel?.() ?? 1;
+    if (!Number.isInteger(band) || band < 0 || band >= bandCount) {
+        throw new Error(`Band ${band} is out of range: the raster has ${bandCount} band${bandCount === 1 ? '' : 's'} (0-${bandCount - 1})`);
+    }
+    return bandCount;
+}
+
+/**
+ * Read a band used for coloring at mesh resolution. Its own scale/offset
+ * are applied (not vertical units: it need not be a length), NoData is NaN.
+ * @returns {Promise<{ band: number, data: Float32Array, width: number, height: number, range: number[] }>}
+ */
+async function readColorBand(image, band, width, height, pool, signal) {
+    const rasters = await withAbort(signal, () => image.readRasters({
+        width,
+        height,
+        samples: [band],
+        interleave: false,
+        pool,
+        signal
+    }));
+    const data = new Float32Array(rasters[0]);
+    const noDataValue = adjustFloat16NoData(image, data, readNoDataValue(image));
+    const { scale, offset } = readVerticalInfo(image, band);
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < data.length; i++) {
+        const v = data[i];
+        if (!Number.isFinite(v) || v === noDataValue) {
+            data[i] = Number.NaN;
+            continue;
+        }
+        data[i] = v * scale + offset;
+        if (data[i] < min) min = data[i];
+        if (data[i] > max) max = data[i];
+    }
+
+    const range = min <= max ? [min, max] : [0, 1];
+    console.log(`Color band ${band + 1}: ${range[0].toFixed(2)} to ${range[1].toFixed(2)}`);
+    return { band, data, width, height, range };
+}
+
+/**
+ * Get the NoData value from GDAL metadata.
+ * @param {Object} image - GeoTIFFImage
+ * @returns {number|null}
+ */
+function readNoDataValue(image) {
+    const { GDAL_NODATA } = image.fileDirectory;
+    if (GDAL_NODATA === undefined) return null;
+    const value = parseFloat(GDAL_NODATA);
+    return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Read GDAL_METADATA items for a band. Band items (sample="N") override
+ * dataset items; scale/offset/unittype items are keyed by their role.
+ * @param {Object} image - GeoTIFFImage
+ * @param {number} [sample=0] - Band index
+ * @returns {Object} { SCALE, OFFSET, UNITTYPE, ... } as strings
+ */
+function readGDALMetadata(image, sample = 0) {
+    const xml = image.fileDirectory.GDAL_METADATA;
+    const dataset = {};
+    const band = {};
+    if (typeof xml !== 'string') return dataset;
+
+    const itemPattern = /<Item\b([^>]*)>([^<]*)<\/Item>/g;
+    for (const [, attributes, text] of xml.matchAll(itemPattern)) {
+        const attr = {};
+        for (const [, key, value] of attributes.matchAll(/(\w+)="([^"]*)"/g)) attr[key] = value;
+
+        const key = (attr.role ?? attr.name ?? '').toUpperCase();
+        if (!key) continue;
+        const value = text.trim().replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+        if (attr.sample === undefined) dataset[key] = value;
+        else if (Number(attr.sample) === sample) band[key] = value;
+    }
+    return { ...dataset, ...band };
+}
+
+/**
+ * Band scale/offset and vertical reference of an image.
+ * Raw values convert to metres as (raw * scale + offset) * metresPerUnit.
+ * @param {Object} image - GeoTIFFImage
+ * @param {number} [band=0]
+ * @returns {{ scale: number, offset: number, epsg: number|null, datum: string|null, units: string, metresPerUnit: number }}
+ */
+function readVerticalInfo(image, band = 0) {
+    const metadata = readGDALMetadata(image, band);
+    const scale = parseFloat(metadata.SCALE);
+    const offset = parseFloat(metadata.OFFSET);
+
+    return {
+        scale: Number.isFinite(scale) && scale !== 0 ? scale : 1,
+        offset: Number.isFinite(offset) ? offset : 0,
+        ...parseVerticalKeys(image.getGeoKeys?.() ?? null, metadata.UNITTYPE ?? null)
+    };
+}
+
+/**
+ * Convert raw raster values to metres in place. NoData becomes NaN.
+ * @param {Float32Array} data
+ * @param {number|null} noDataValue - Raw NoData value
+ * @param {Object} vertical - Result of readVerticalInfo
+ * @returns {boolean} False if the values were already metres (data untouched)
+ */
+function applyVerticalTransform(data, noDataValue, vertical) {
+    if (!isVerticalScaled(vertical)) return false;
+    const factor = vertical.scale * vertical.metresPerUnit;
+    const add = vertical.offset * vertical.metresPerUnit;
+
+    // Raw integer values may exceed the 1e5 NoData heuristic, so only the exact value is NoData
+    for (let i = 0; i < data.length; i++) {
+        const v = data[i];
+        data[i] = !Number.isFinite(v) || v === noDataValue ? Number.NaN : v * factor + add;
+    }
+    return true;
+}
+
+/**
+ * Whether raw raster values need scaling to become metres.
+ * @param {Object} vertical - Result of readVerticalInfo
+ * @returns {boolean}
+ */
+function isVerticalScaled(vertical) {
+    return vertical.scale * vertical.metresPerUnit !== 1 || vertical.offset * vertical.metresPerUnit !== 0;
+}
+
+function logVerticalInfo(vertical) {
+    const parts = [];
+    if (vertical.datum) parts.push(vertical.datum);
+    if (vertical.units !== 'metre') parts.push(`${vertical.units} → metres`);
+    if (vertical.scale !== 1 || vertical.offset !== 0) parts.push(`scale ${vertical.scale}, offset ${vertical.offset}`);
+    if (parts.length > 0) console.log(`Vertical: ${parts.join(', ')}`);
+}
+
+/**
+ * For float16 data (BitsPerSample=16, SampleFormat=3), the noDataValue from
+ * metadata may not match the actual stored value due to precision loss
+ * (e.g., -9999 -> -10000). Find the actual value in the raster that's close
+ * to the metadata noDataValue.
+ * @param {Object} image - GeoTIFFImage
+ * @param {Float32Array} elevation
+ * @param {number|null} noDataValue
+ * @returns {number|null} Adjusted NoData value
+ */
+function adjustFloat16NoData(image, elevation, noDataValue) {
+    const fileDirectory = image.fileDirectory;
+    const isFloat16 = fileDirectory.BitsPerSample?.[0] === 16 &&
+                      fileDirectory.SampleFormat?.[0] === 3;
+    if (noDataValue === null || !isFloat16) return noDataValue;
+
+    const tolerance = Math.max(1, Math.abs(noDataValue) * 0.002); // ~0.2% or at least 1
+    for (let i = 0; i < Math.min(10000, elevation.length); i++) {
+        const v = elevation[i];
+        if (Number.isFinite(v) && Math.abs(v - noDataValue) <= tolerance && v !== noDataValue) {
+            console.log(`NoData precision adjustment (float16): ${noDataValue} -> ${v}`);
+            return v;
+        }
+    }
+    return noDataValue;
+}
+
+/**
+ * Create a tile source that reads arbitrary windows of a COG from the most
+ * appropriate overview level. Used by TerrainTiles for level-of-detail terrain.
+ *
+ * Tile samples are taken at exact UV positions (u = x / (width - 1)) with
+ * NoData-aware bilinear interpolation, so two tiles that share an edge at the
+ * same level produce identical edge values. Band scale/offset and vertical
+ * units are applied, so tiles are in metres like extractCOGData's rasters.
+ *
+ * @param {GeoTIFF} tiff
+ * @param {number|null} noDataValue - Raw (unscaled) NoData value
+ * @param {Object|null} [pool] - GeoTIFF.Pool for decoding (default: shared decoder pool)
+ * @param {number} [band=0] - Elevation band index
+ * @returns {Promise<Object>} { width, height, readTile(u0, v0, u1, v1, samples) }
+ */
+export async function createCOGTileSource(tiff, noDataValue, pool = getDecoderPool(), band = 0) {
+    const imageCount = await tiff.getImageCount();
+    const levels = [];
+
+    for (let i = 0; i < imageCount; i++) {
+        const image = await tiff.getImage(i);
+        // Skip transparency masks (NewSubfileType bit 2)
+        if ((image.fileDirectory.NewSubfileType ?? 0) & 4) continue;
+        levels.push({ image, width: image.getWidth(), height: image.getHeight() });
+    }
+
+    // Full resolution first, coarsest overview last
+    levels.sort((a, b) => b.width - a.width);
+
+    const full = levels[0];
+    const vertical = readVerticalInfo(full.image, band);
+    console.log(`COG tile source: ${levels.length} level(s), full-res ${full.width}x${full.height}`);
+
+    return {
+        width: full.width,
+        height: full.height,
+        levelCount: levels.length,
+
+        /**
+         * Read a (samples x samples) grid of elevations covering a UV window.
+         * @param {number} u0
+         * @param {number} v0
+         * @param {number} u1
+         * @param {number} v1
+         * @param {number} samples - Vertices per side
+         * @returns {Promise<Float32Array>} Row-major elevations, NaN for NoData
+         */
+        async readTile(u0, v0, u1, v1, samples) {
+            // Full-res pixels between adjacent samples
+            const step = Math.min(
+                (u1 - u0) * (full.width - 1),
+                (v1 - v0) * (full.height - 1)
+            ) / (samples - 1);
+
+            // Coarsest level that still has at least one pixel per sample
+            let level = full;
+            for (const candidate of levels) {
+                if (full.width / candidate.width <= step) level = candidate;
+            }
+
+            const lw = level.width;
+            const lh = level.height;
+            const x0 = Math.max(0, Math.floor(u0 * (lw - 1)));
+            const y0 = Math.max(0, Math.floor(v0 * (lh - 1)));
+            const x1 = Math.min(lw, Math.ceil(u1 * (lw - 1)) + 2);
+            const y1 = Math.min(lh, Math.ceil(v1 * (lh - 1)) + 2);
+
+            const rasters = await level.image.readRasters({
+                window: [x0, y0, x1, y1],
+                samples: [band],
+                interleave: false,
+                pool
+            });
+
+            const tile = sampleWindow(
+                rasters[0], x1 - x0, y1 - y0, x0, y0, lw, lh,
+                u0, v0, u1, v1, samples, noDataValue, !isVerticalScaled(vertical)
+            );
+            // Bilinear sampling commutes with the linear scale/offset
+            applyVerticalTransform(tile, null, vertical);
+            return tile;
+        }
+    };
+}
+
+/**
+ * Bilinearly resample a raster window at a regular grid of UV positions.
+ * Any NoData pixel in the 2x2 neighborhood yields NaN, matching
+ * TerrainMesh._sampleElevation.
+ * @param {boolean} [metres=true] - Whether raw values are already metres. The
+ *   1e5 NoData heuristic only applies then: scaled integers may exceed it.
+ * @returns {Float32Array}
+ */
+function sampleWindow(data, winW, winH, offX, offY, levelW, levelH, u0, v0, u1, v1, samples, noDataValue, metres = true) {
+    const out = new Float32Array(samples * samples);
+    const isNoData = (v) => !Number.isFinite(v) || (metres && v >= 1e5) || (noDataValue !== null && v === noDataValue);
+
+    for (let j = 0; j < samples; j++) {
+        const v = v0 + (v1 - v0) * (j / (samples - 1));
+        const py = Math.min(Math.max(v * (levelH - 1) - offY, 0), winH - 1);
+        const ry0 = Math.floor(py);
+        const ry1 = Math.min(ry0 + 1, winH - 1);
+        const fy = py - ry0;
+
+        for (let i = 0; i < samples; i++) {
+            const u = u0 + (u1 - u0) * (i / (samples - 1));
+            const px = Math.min(Math.max(u * (levelW - 1) - offX, 0), winW - 1);
+            const rx0 = Math.floor(px);
+            const rx1 = Math.min(rx0 + 1, winW - 1);
+            const fx = px - rx0;
+
+            const v00 = data[ry0 * winW + rx0];
+            const v10 = data[ry0 * winW + rx1];
+            const v01 = data[ry1 * winW + rx0];
+            const v11 = data[ry1 * winW + rx1];
+
+            if (isNoData(v00) || isNoData(v10) || isNoData(v01) || isNoData(v11)) {
+                out[j * samples + i] = Number.NaN;
+                continue;
+            }
+
+            const vA = v00 * (1 - fx) + v10 * fx;
+            const vB = v01 * (1 - fx) + v11 * fx;
+            out[j * samples + i] = vA * (1 - fy) + vB * fy;
+        }
+    }
+
+    return out;
+}
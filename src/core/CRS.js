@@ -0,0 +1,229 @@
+/**
+ * CRS.js — Coordinate reference system metadata and ground-distance helpers
+ *
+ * Interprets GeoTIFF GeoKeys so the terrain can be scaled in real metres
+ * whether the raster is in a projected CRS (metres or feet) or a geographic
+ * CRS (degrees of longitude/latitude).
+ */
+
+// GTModelTypeGeoKey values
+const MODEL_TYPE_PROJECTED = 1;
+const MODEL_TYPE_GEOGRAPHIC = 2;
+
+// GeoKey value meaning "user-defined"
+const USER_DEFINED = 32767;
+
+/**
+ * EPSG linear unit codes → metres per unit.
+ */
+const LINEAR_UNITS = {
+    9001: { name: 'metre', toMetres: 1 },
+    9002: { name: 'foot', toMetres: 0.3048 },
+    9003: { name: 'US survey foot', toMetres: 1200 / 3937 },
+    9030: { name: 'nautical mile', toMetres: 1852 },
+    9036: { name: 'kilometre', toMetres: 1000 }
+};
+
+/**
+ * Unit names used in GDAL band UNITTYPE metadata → EPSG linear unit codes.
+ */
+const UNIT_NAMES = {
+    'm': 9001, 'metre': 9001, 'meter': 9001, 'metres': 9001, 'meters': 9001,
+    'ft': 9002, 'foot': 9002, 'feet': 9002, 'international foot': 9002,
+    'us survey foot': 9003, 'us-ft': 9003, 'ftus': 9003, 'foot_us': 9003
+};
+
+/**
+ * Common vertical CRS codes (VerticalCSTypeGeoKey) → short datum names.
+ */
+const VERTICAL_DATUMS = {
+    5701: 'ODN',
+    5702: 'NGVD29',
+    5703: 'NAVD88',
+    5714: 'MSL',
+    5773: 'EGM96',
+    3855: 'EGM2008',
+    7839: 'NZVD2016'
+};
+
+// WGS84 ellipsoid
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_B = WGS84_A * (1 - WGS84_F);
+
+/**
+ * Parse GeoTIFF GeoKeys into a CRS description.
+ *
+ * Rasters without GeoKeys (or with user-defined codes) are reported as
+ * 'unknown' and treated as metres, matching the previous behaviour.
+ *
+ * @param {Object|null} geoKeys - Result of geotiff.js `image.getGeoKeys()`
+ * @returns {{ type: 'projected'|'geographic'|'unknown', epsg: number|null,
+ *             units: string, metresPerUnit: number, isGeographic: boolean }}
+ */
+export function parseGeoKeys(geoKeys) {
+    const keys = geoKeys ?? {};
+    const modelType = keys.GTModelTypeGeoKey;
+    const projected = validCode(keys.ProjectedCSTypeGeoKey);
+    const geographic = validCode(keys.GeographicTypeGeoKey);
+
+    const isGeographic = modelType === MODEL_TYPE_GEOGRAPHIC ||
+        (modelType === undefined && projected === null && geographic !== null);
+
+    if (isGeographic) {
+        return {
+            type: 'geographic',
+            epsg: geographic ?? 4326,
+            units: 'degree',
+            metresPerUnit: NaN,
+            isGeographic: true
+        };
+    }
+
+    const unit = LINEAR_UNITS[keys.ProjLinearUnitsGeoKey];
+    const metresPerUnit = unit?.toMetres ??
+        (Number.isFinite(keys.ProjLinearUnitSizeGeoKey) ? keys.ProjLinearUnitSizeGeoKey : 1);
+
+    return {
+        type: modelType === MODEL_TYPE_PROJECTED || projected !== null ? 'projected' : 'unknown',
+        epsg: projected,
+        units: unit?.name ?? 'metre',
+        metresPerUnit,
+        isGeographic: false
+    };
+}
+
+/**
+ * Parse the vertical GeoKeys (and GDAL's band UNITTYPE) into a vertical
+ * reference description. Units default to metres.
+ *
+ * @param {Object|null} geoKeys - Result of geotiff.js `image.getGeoKeys()`
+ * @param {string|null} [unitType] - GDAL band UNITTYPE metadata, e.g. 'ft'
+ * @returns {{ epsg: number|null, datum: string|null, units: string, metresPerUnit: number }}
+ */
+export function parseVerticalKeys(geoKeys, unitType = null) {
+    const keys = geoKeys ?? {};
+    const epsg = validCode(keys.VerticalCSTypeGeoKey);
+    const citation = typeof keys.VerticalCitationGeoKey === 'string'
+        ? keys.VerticalCitationGeoKey.replace(/\|$/, '').trim() || null
+        : null;
+
+    const unitCode = LINEAR_UNITS[keys.VerticalUnitsGeoKey]
+        ? keys.VerticalUnitsGeoKey
+        : UNIT_NAMES[unitType?.trim().toLowerCase()];
+    const unit = LINEAR_UNITS[unitCode] ?? LINEAR_UNITS[9001];
+
+    return {
+        epsg,
+        datum: VERTICAL_DATUMS[epsg] ?? citation ?? (epsg ? `EPSG:${epsg}` : null),
+        units: unit.name,
+        metresPerUnit: unit.toMetres
+    };
+}
+
+function validCode(code) {
+    return Number.isInteger(code) && code > 0 && code !== USER_DEFINED ? code : null;
+}
+
+/**
+ * Ground width and height of a raster's bounds in metres.
+ * Geographic bounds are measured along the central parallel and meridian.
+ * @param {number[]} geoBounds - [minX, minY, maxX, maxY] in CRS units
+ * @param {Object|null} crs - Result of parseGeoKeys
+ * @returns {{ width: number, height: number }}
+ */
+export function groundDimensions(geoBounds, crs) {
+    const [minX, minY, maxX, maxY] = geoBounds;
+
+    if (crs?.isGeographic) {
+        const midLat = (minY + maxY) / 2;
+        const midLon = (minX + maxX) / 2;
+        return {
+            width: geodesicInverse(minX, midLat, maxX, midLat).distance,
+            height: geodesicInverse(midLon, minY, midLon, maxY).distance
+        };
+    }
+
+    const k = crs?.metresPerUnit ?? 1;
+    return { width: (maxX - minX) * k, height: (maxY - minY) * k };
+}
+
+/**
+ * Geodesic distance and initial bearing between two lon/lat points on the
+ * WGS84 ellipsoid (Vincenty inverse). Falls back to a spherical great-circle
+ * for nearly antipodal points where Vincenty does not converge.
+ * @param {number} lon1 - Degrees
+ * @param {number} lat1 - Degrees
+ * @param {number} lon2 - Degrees
+ * @param {number} lat2 - Degrees
+ * @returns {{ distance: number, bearing: number }} Metres, degrees clockwise from north
+ */
+export function geodesicInverse(lon1, lat1, lon2, lat2) {
+    const toRad = Math.PI / 180;
+    const L = (lon2 - lon1) * toRad;
+    const U1 = Math.atan((1 - WGS84_F) * Math.tan(lat1 * toRad));
+    const U2 = Math.atan((1 - WGS84_F) * Math.tan(lat2 * toRad));
+    const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+    const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+    let lambda = L;
+    let sinSigma = 0, cosSigma = 1, sigma = 0, cos2Alpha = 1, cos2SigmaM = 0;
+    let sinLambda = 0, cosLambda = 1;
+    let converged = false;
+
+    for (let iter = 0; iter < 200; iter++) {
+        sinLambda = Math.sin(lambda);
+        cosLambda = Math.cos(lambda);
+        const a = cosU2 * sinLambda;
+        const b = cosU1 * sinU2 - sinU1 * cosU2 * cosLambda;
+        sinSigma = Math.hypot(a, b);
+        if (sinSigma === 0) return { distance: 0, bearing: 0 }; // Coincident points
+
+        cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+        sigma = Math.atan2(sinSigma, cosSigma);
+        const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+        cos2Alpha = 1 - sinAlpha * sinAlpha;
+        cos2SigmaM = cos2Alpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cos2Alpha : 0; // Equatorial line
+
+        const C = WGS84_F / 16 * cos2Alpha * (4 + WGS84_F * (4 - 3 * cos2Alpha));
+        const prev = lambda;
+        lambda = L + (1 - C) * WGS84_F * sinAlpha *
+            (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+        if (Math.abs(lambda - prev) < 1e-12) {
+            converged = true;
+            break;
+        }
+    }
+
+    if (!converged) return greatCircle(lon1, lat1, lon2, lat2);
+
+    const uSq = cos2Alpha * (WGS84_A * WGS84_A - WGS84_B * WGS84_B) / (WGS84_B * WGS84_B);
+    const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+    const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+    const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+        B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+
+    const distance = WGS84_B * A * (sigma - deltaSigma);
+    const alpha1 = Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+
+    return { distance, bearing: (alpha1 / toRad + 360) % 360 };
+}
+
+/**
+ * Spherical great-circle fallback (mean Earth radius).
+ */
+function greatCircle(lon1, lat1, lon2, lat2) {
+    const toRad = Math.PI / 180;
+    const R = 6371008.8;
+    const phi1 = lat1 * toRad, phi2 = lat2 * toRad;
+    const dPhi = phi2 - phi1;
+    const dLambda = (lon2 - lon1) * toRad;
+
+    const h = Math.sin(dPhi / 2) ** 2 + Math.cos(phi1) * Math.cos(phi2) * Math.sin(dLambda / 2) ** 2;
+    const distance = 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+    const y = Math.sin(dLambda) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLambda);
+
+    return { distance, bearing: (Math.atan2(y, x) / toRad + 360) % 360 };
+}
@@ -0,0 +1,187 @@
+/**
+ * Classification.js — Discrete color classes (pure functions, no DOM)
+ *
+ * Classifies the value that colors the terrain (depth below the reference,
+ * or the coloring band) into stepped classes. Breaks are ascending values
+ * [b0, b1, ..., bk] for k classes; class i covers [b(i), b(i+1)), with
+ * values outside [b0, bk] falling into the first or last class.
+ */
+
+import { parseColor, sampleColormap } from './Colormaps.js';
+
+/** Most classes a classification can have (sized for shader uniform arrays). */
+export const MAX_CLASSES = 16;
+
+/** Data-driven break methods; 'explicit' takes the breaks as given. */
+export const CLASSIFICATION_METHODS = ['equal', 'quantile', 'jenks', 'explicit'];
+
+// Natural breaks run on at most this many (evenly spaced, sorted) values
+const JENKS_SAMPLE_SIZE = 1000;
+
+/**
+ * Validate a classification spec and fill in defaults.
+ * @param {Object} spec
+ * @param {string} [spec.method='equal'] - 'equal', 'quantile', 'jenks' or 'explicit'
+ * @param {number} [spec.classes=5] - Class count for data-driven methods
+ * @param {number[]} [spec.breaks] - Ascending break values (implies 'explicit')
+ * @param {Array} [spec.colors] - One CSS color or [r, g, b] (0-1) per class (default: from the colormap)
+ * @returns {{ method: string, classes: number, breaks: number[]|null, colors: number[][]|null }}
+ */
+export function normalizeClassification(spec) {
+    const method = spec.method ?? (spec.breaks ? 'explicit' : 'equal');
+    if (!CLASSIFICATION_METHODS.includes(method)) {
+        throw new Error(`Unknown classification method: ${method} (expected ${CLASSIFICATION_METHODS.join(', ')})`);
+    }
+
+    let breaks = null;
+    let classes = spec.classes ?? 5;
+    if (method === 'explicit') {
+        breaks = spec.breaks;
+        if (!Array.isArray(breaks) || breaks.length < 2 || breaks.length > MAX_CLASSES + 1 ||
+            breaks.some((b, i) => !Number.isFinite(b) || (i > 0 && b <= breaks[i - 1]))) {
+            throw new Error(`Explicit breaks must be 2 to ${MAX_CLASSES + 1} ascending numbers`);
+        }
+        breaks = [...breaks];
+        classes = breaks.length - 1;
+    } else if (!Number.isInteger(classes) || classes < 1 || classes > MAX_CLASSES) {
+        throw new Error(`Class count must be an integer from 1 to ${MAX_CLASSES}`);
+    }
+
+    let colors = null;
+    if (spec.colors) {
+        if (spec.colors.length !== classes) {
+            throw new Error(`Expected ${classes} class colors, got ${spec.colors.length}`);
+        }
+        colors = spec.colors.map(c => (typeof c === 'string' ? parseColor(c) : c));
+    }
+
+    return { method, classes, breaks, colors };
+}
+
+/**
+ * Compute class breaks from data values.
+ * @param {ArrayLike<number>} values - Finite values (not modified)
+ * @param {string} method - 'equal', 'quantile' or 'jenks'
+ * @param {number} classes
+ * @returns {number[]} Ascending breaks; fewer classes when values repeat, empty without values
+ */
+export function computeBreaks(values, method, classes) {
+    if (values.length === 0) return [];
+
+    const sorted = Float64Array.from(values).sort();
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    if (min === max) return [min, max];
+
+    let breaks;
+    if (method === 'equal') {
+        // The last break is max itself (min + (max - min) can round away from it)
+        breaks = Array.from({ length: classes + 1 }, (_, i) => (i === classes ? max : min + (max - min) * (i / classes)));
+    } else if (method === 'quantile') {
+        breaks = [min];
+        for (let i = 1; i < classes; i++) breaks.push(sorted[Math.floor((i * sorted.length) / classes)]);
+        breaks.push(max);
+    } else if (method === 'jenks') {
+        breaks = jenksBreaks(evenSample(sorted, JENKS_SAMPLE_SIZE), classes);
+    } else {
+        throw new Error(`Cannot compute breaks for method: ${method}`);
+    }
+
+    // Repeated values collapse classes
+    return breaks.filter((b, i) => i === 0 || b > breaks[i - 1]);
+}
+
+/**
+ * Class index of a value (clamped to the first and last class).
+ * @param {ArrayLike<number>} breaks
+ * @param {number} value
+ * @returns {number}
+ */
+export function classIndex(breaks, value) {
+    let index = 0;
+    for (let i = 1; i < breaks.length - 1; i++) {
+        if (value >= breaks[i]) index = i;
+    }
+    return index;
+}
+
+/**
+ * Class colors sampled from a colormap at the class centers.
+ * @param {Float32Array} colormap - Lookup table from createColormap()
+ * @param {number} count - Class count
+ * @param {boolean} [invert=false] - Depth classes: the shallowest class takes the high end
+ * @returns {number[][]} [r, g, b] per class
+ */
+export function classColors(colormap, count, invert = false) {
+    return Array.from({ length: count }, (_, i) => {
+        const t = (i + 0.5) / count;
+        return sampleColormap(colormap, invert ? 1 - t : t);
+    });
+}
+
+/**
+ * Evenly spaced values of a sorted array (the whole array if short enough).
+ */
+function evenSample(sorted, size) {
+    if (sorted.length <= size) return sorted;
+    const sample = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+        sample[i] = sorted[Math.round((i * (sorted.length - 1)) / (size - 1))];
+    }
+    return sample;
+}
+
+/**
+ * Jenks natural breaks (Fisher's exact optimization of within-class variance).
+ * Breaks fall midway between the last value of one class and the first of the next.
+ * @param {Float64Array} sorted
+ * @param {number} classes
+ * @returns {number[]}
+ */
+function jenksBreaks(sorted, classes) {
+    const n = sorted.length;
+    const k = Math.min(classes, n);
+
+    // lower[l][j]: 1-based index of the first value in class j when the first l
+    // values form j classes; variance[l][j]: the minimal total variance
+    const lower = Array.from({ length: n + 1 }, () => new Int32Array(k + 1));
+    const variance = Array.from({ length: n + 1 }, () => new Float64Array(k + 1).fill(Infinity));
+    for (let j = 1; j <= k; j++) {
+        lower[1][j] = 1;
+        variance[1][j] = 0;
+    }
+
+    for (let l = 2; l <= n; l++) {
+        let sum = 0;
+        let sumSq = 0;
+        let v = 0;
+        for (let m = 1; m <= l; m++) {
+            const first = l - m + 1;
+            const value = sorted[first - 1];
+            sum += value;
+            sumSq += value * value;
+            v = sumSq - (sum * sum) / m;
+            if (first === 1) continue;
+            for (let j = 2; j <= k; j++) {
+                const total = v + variance[first - 1][j - 1];
+                if (variance[l][j] >= total) {
+                    lower[l][j] = first;
+                    variance[l][j] = total;
+                }
+            }
+        }
+        lower[l][1] = 1;
+        variance[l][1] = v;
+    }
+
+    const breaks = new Array(k + 1);
+    breaks[0] = sorted[0];
+    breaks[k] = sorted[n - 1];
+    let last = n;
+    for (let j = k; j >= 2; j--) {
+        const first = lower[last][j];
+        breaks[j - 1] = (sorted[first - 2] + sorted[first - 1]) / 2;
+        last = first - 1;
+    }
+    return breaks;
+}
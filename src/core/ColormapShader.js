@@ -0,0 +1,156 @@
+/**
+ * ColormapShader.js - GPU colormap lookup shared by the terrain and tile shaders
+ *
+ * The colormap is uploaded as a COLORMAP_SIZE x 1 texture and sampled per
+ * fragment from the interpolated elevation, so reference elevation, depth
+ * range and colormap changes are uniform or texture updates. A coloring
+ * band is uploaded as a float texture with NoData replaced by a sentinel.
+ * A classification (see Classification.js) replaces the colormap lookup
+ * with stepped class colors held in uniform arrays. Draped imagery (see
+ * Imagery.js) is blended over the result by its alpha and a blend factor.
+ */
+
+import * as THREE from 'three';
+import { COLORMAP_SIZE } from './Colormaps.js';
+import { MAX_CLASSES } from './Classification.js';
+
+/**
+ * GLSL declarations and `vec3 terrainColor(elevation, referenceElevation, bandUv)`.
+ * bandUv is in raster orientation (row 0 = north). Include in a fragment shader.
+ */
+export const colormapShaderChunk = /* glsl */`
+    uniform sampler2D colormapMap;
+    uniform vec2 depthRange;
+    uniform sampler2D colorBandMap;
+    uniform vec2 colorBandRange;
+    uniform float useColorBand;
+    uniform float classCount;
+    uniform float classBreaks[${MAX_CLASSES + 1}];
+    uniform vec3 classColors[${MAX_CLASSES}];
+    uniform sampler2D imageryMap;
+    uniform float imageryBlend;  // 0 without imagery
+
+    const vec3 NEUTRAL_COLOR = vec3(0.5);
+
+    // Values outside the breaks fall into the first or last class
+    vec3 classColor(float value) {
+        vec3 color = classColors[0];
+        for (int i = 1; i < ${MAX_CLASSES}; i++) {
+            if (float(i) >= classCount) break;
+            if (value >= classBreaks[i]) color = classColors[i];
+        }
+        return color;
+    }
+
+    vec3 sampleColormap(float t) {
+        // Texel centers, so the ends of the ramp are not blended with the edge
+        float x = (clamp(t, 0.0, 1.0) * ${(COLORMAP_SIZE - 1).toFixed(1)} + 0.5) / ${COLORMAP_SIZE.toFixed(1)};
+        return texture2D(colormapMap, vec2(x, 0.5)).rgb;
+    }
+
+    vec3 terrainColor(float elevation, float referenceElevation, vec2 bandUv) {
+        if (elevation >= referenceElevation) return NEUTRAL_COLOR;
+
+        if (useColorBand > 0.5) {
+            float value = texture2D(colorBandMap, bandUv).r;
+            if (value >= 1e30) return NEUTRAL_COLOR;  // NoData sentinel
+            if (classCount > 0.5) return classColor(value);
+            float span = colorBandRange.y - colorBandRange.x;
+            return sampleColormap(span > 0.0 ? (value - colorBandRange.x) / span : 0.5);
+        }
+
+        // Inverted: the shallowest depth takes the high end of the colormap
+        float depth = referenceElevation - elevation;
+        if (classCount > 0.5) return classColor(depth);
+        return sampleColormap(1.0 - (depth - depthRange.x) / (depthRange.y - depthRange.x));
+    }
+
+    // Imagery is in raster orientation, like the coloring band
+    vec3 drapeImagery(vec3 color, vec2 imageryUv) {
+        if (imageryBlend <= 0.0) return color;
+        vec4 texel = texture2D(imageryMap, imageryUv);
+        return mix(color, texel.rgb, imageryBlend * texel.a);
+    }
+`;
+
+/**
+ * Upload a colormap lookup table (see Colormaps.js) as a 1D texture.
+ * @param {Float32Array} table - COLORMAP_SIZE * 3 values in 0-1 range
+ * @returns {THREE.DataTexture}
+ */
+export function createColormapTexture(table) {
+    const texture = new THREE.DataTexture(
+        new Uint8Array(COLORMAP_SIZE * 4),
+        COLORMAP_SIZE,
+        1,
+        THREE.RGBAFormat,
+        THREE.UnsignedByteType
+    );
+    texture.wrapS = THREE.ClampToEdgeWrapping;
+    texture.wrapT = THREE.ClampToEdgeWrapping;
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    updateColormapTexture(texture, table);
+    return texture;
+}
+
+/**
+ * Replace the colors of a colormap texture in place.
+ * @param {THREE.DataTexture} texture - From createColormapTexture()
+ * @param {Float32Array} table
+ */
+export function updateColormapTexture(texture, table) {
+    const data = texture.image.data;
+    for (let i = 0; i < COLORMAP_SIZE; i++) {
+        data[i * 4] = Math.round(table[i * 3] * 255);
+        data[i * 4 + 1] = Math.round(table[i * 3 + 1] * 255);
+        data[i * 4 + 2] = Math.round(table[i * 3 + 2] * 255);
+        data[i * 4 + 3] = 255;
+    }
+    texture.needsUpdate = true;
+}
+
+/**
+ * Upload resampled imagery (see Imagery.js) as an RGBA texture.
+ * @param {{ pixels: Uint8ClampedArray, width: number, height: number }} imagery - Row 0 = north
+ * @returns {THREE.DataTexture}
+ */
+export function createImageryTexture(imagery) {
+    const { pixels, width, height } = imagery;
+    const texture = new THREE.DataTexture(
+        new Uint8Array(pixels.buffer, pixels.byteOffset, pixels.length),
+        width,
+        height,
+        THREE.RGBAFormat,
+        THREE.UnsignedByteType
+    );
+    texture.wrapS = THREE.ClampToEdgeWrapping;
+    texture.wrapT = THREE.ClampToEdgeWrapping;
+    texture.generateMipmaps = true;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+/**
+ * Upload a coloring band as a float texture (NoData → sentinel).
+ * @param {{ data: Float32Array, width: number, height: number }} colorBand
+ * @returns {THREE.DataTexture}
+ */
+export function createColorBandTexture(colorBand) {
+    const { data, width, height } = colorBand;
+    const values = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+        values[i] = Number.isFinite(data[i]) ? data[i] : 1e38;
+    }
+
+    const texture = new THREE.DataTexture(values, width, height, THREE.RedFormat, THREE.FloatType);
+    texture.wrapS = THREE.ClampToEdgeWrapping;
+    texture.wrapT = THREE.ClampToEdgeWrapping;
+    // Float textures are not filterable everywhere; nearest also keeps NoData from blending
+    texture.minFilter = THREE.NearestFilter;
+    texture.magFilter = THREE.NearestFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
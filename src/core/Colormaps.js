@@ -0,0 +1,288 @@
+/**
+ * Colormaps.js — Colormap registry and color ramp parsing (pure functions, no DOM)
+ *
+ * Every colormap is a 256-entry lookup table (Float32Array, r g b per entry
+ * in the 0-1 range), sampled with linear interpolation. Position 0 is the
+ * low end: the deepest point for depth coloring, the smallest value for a
+ * coloring band. Tables are plain typed arrays so they can be passed to the
+ * terrain workers.
+ *
+ * A colormap is given as a registered name, a stop list
+ * ([[0, '#08306b'], [1, '#deebf7']], [{ position, color }] or evenly spaced
+ * colors) or a CSS gradient string ('linear-gradient(navy, teal 40%, #ffe)').
+ */
+
+import { TURBO_COLORMAP } from './utils.js';
+
+/** Entries per lookup table. */
+export const COLORMAP_SIZE = 256;
+
+const NAMED_COLORS = {
+    black: [0, 0, 0], white: [255, 255, 255], gray: [128, 128, 128], grey: [128, 128, 128],
+    red: [255, 0, 0], green: [0, 128, 0], lime: [0, 255, 0], blue: [0, 0, 255],
+    yellow: [255, 255, 0], cyan: [0, 255, 255], aqua: [0, 255, 255], magenta: [255, 0, 255],
+    orange: [255, 165, 0], purple: [128, 0, 128], navy: [0, 0, 128], teal: [0, 128, 128],
+    brown: [165, 42, 42], tan: [210, 180, 140], beige: [245, 245, 220], olive: [128, 128, 0]
+};
+
+// name → lookup table
+const tables = new Map();
+
+/**
+ * Register a named colormap (replacing any of the same name).
+ * @param {string} name
+ * @param {Array|string} ramp - Stop list or CSS gradient string
+ */
+export function registerColormap(name, ramp) {
+    tables.set(name, buildTable(parseRamp(ramp)));
+}
+
+/**
+ * Names of the registered colormaps, in registration order.
+ * @returns {string[]}
+ */
+export function getColormaps() {
+    return [...tables.keys()];
+}
+
+/**
+ * Resolve a colormap spec to its lookup table.
+ * @param {string|Array} spec - Registered name, stop list or CSS gradient string
+ * @returns {Float32Array} COLORMAP_SIZE * 3 values
+ */
+export function createColormap(spec) {
+    if (typeof spec === 'string' && !spec.includes('(') && !spec.includes(',')) {
+        const table = tables.get(spec);
+        if (!table) {
+            throw new Error(`Unknown colormap: ${spec} (registered: ${getColormaps().join(', ')})`);
+        }
+        return table;
+    }
+    return buildTable(parseRamp(spec));
+}
+
+/**
+ * Color at position t (0-1, clamped) of a lookup table.
+ * @param {Float32Array} table
+ * @param {number} t
+ * @returns {number[]} [r, g, b] in 0-1 range
+ */
+export function sampleColormap(table, t) {
+    const last = table.length / 3 - 1;
+    const index = Math.max(0, Math.min(1, t)) * last;
+    const lower = Math.floor(index);
+    const upper = Math.min(last, lower + 1);
+    const frac = index - lower;
+    const l = lower * 3;
+    const u = upper * 3;
+
+    return [
+        table[l] + (table[u] - table[l]) * frac,
+        table[l + 1] + (table[u + 1] - table[l + 1]) * frac,
+        table[l + 2] + (table[u + 2] - table[l + 2]) * frac
+    ];
+}
+
+/**
+ * Color for a depth below the reference: the colormap is inverted so the
+ * shallowest depth takes the high end (deep = position 0).
+ * @param {Float32Array} table
+ * @param {number} depth
+ * @param {number} minDepth
+ * @param {number} maxDepth
+ * @returns {number[]} [r, g, b] in 0-1 range
+ */
+export function colorForDepth(table, depth, minDepth, maxDepth) {
+    const normalized = (depth - minDepth) / (maxDepth - minDepth);
+    return sampleColormap(table, 1 - Math.max(0, Math.min(1, normalized)));
+}
+
+/**
+ * Color for a value in [min, max] (low = position 0). Used when a second
+ * raster band drives the coloring.
+ * @param {Float32Array} table
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number[]} [r, g, b] in 0-1 range
+ */
+export function colorForValue(table, value, min, max) {
+    return sampleColormap(table, max > min ? (value - min) / (max - min) : 0.5);
+}
+
+/**
+ * Parse a CSS color: #rgb, #rrggbb, rgb()/rgba() or a basic color name.
+ * @param {string} css
+ * @returns {number[]} [r, g, b] in 0-1 range
+ */
+export function parseColor(css) {
+    const s = css.trim().toLowerCase();
+
+    let match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(s);
+    if (match) {
+        const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+        return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    }
+
+    match = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)\s*(?:[,/]\s*[\d.]+%?\s*)?\)$/.exec(s);
+    if (match) {
+        return [match[1], match[2], match[3]].map(v => Math.min(255, Number(v)) / 255);
+    }
+
+    if (NAMED_COLORS[s]) return NAMED_COLORS[s].map(v => v / 255);
+
+    throw new Error(`Unrecognized color: ${css}`);
+}
+
+/**
+ * Format an [r, g, b] color (0-1) as #rrggbb.
+ * @param {number[]} rgb
+ * @returns {string}
+ */
+export function colorToHex(rgb) {
+    return `#${rgb.map(v => Math.round(Math.max(0, Math.min(1, v)) * 255).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Parse a ramp into sorted stops [{ position, color: [r, g, b] }].
+ * Missing positions are spread evenly between their neighbours, as in CSS.
+ * @param {Array|string} ramp
+ * @returns {Object[]}
+ */
+function parseRamp(ramp) {
+    let stops;
+    if (typeof ramp === 'string') {
+        stops = parseGradient(ramp);
+    } else if (Array.isArray(ramp)) {
+        stops = ramp.map((stop) => {
+            if (Array.isArray(stop) && stop.length === 2) return { position: stop[0], color: stop[1] };
+            if (stop && typeof stop === 'object' && 'color' in stop) return { position: stop.position ?? null, color: stop.color };
+            return { position: null, color: stop };
+        });
+    } else {
+        throw new Error('Colormap must be a name, a stop list or a CSS gradient string');
+    }
+
+    if (stops.length < 2) {
+        throw new Error('Color ramp needs at least two stops');
+    }
+
+    stops = stops.map(({ position, color }) => ({
+        position,
+        color: typeof color === 'string' ? parseColor(color) : color
+    }));
+    if (stops.some(s => !Array.isArray(s.color) || s.color.length !== 3)) {
+        throw new Error('Color ramp stops need a CSS color string or an [r, g, b] array (0-1)');
+    }
+
+    // CSS rules: ends default to 0 and 1, gaps are spread evenly,
+    // and positions never decrease
+    if (stops[0].position === null) stops[0].position = 0;
+    if (stops[stops.length - 1].position === null) stops[stops.length - 1].position = 1;
+    let floor = stops[0].position;
+    for (let i = 1; i < stops.length; i++) {
+        if (stops[i].position === null) continue;
+        stops[i].position = Math.max(stops[i].position, floor);
+        floor = stops[i].position;
+    }
+    for (let i = 1; i < stops.length - 1; i++) {
+        if (stops[i].position !== null) continue;
+        let j = i;
+        while (stops[j].position === null) j++;
+        const from = stops[i - 1].position;
+        const step = (stops[j].position - from) / (j - i + 1);
+        for (let k = i; k < j; k++) stops[k].position = from + step * (k - i + 1);
+    }
+
+    return stops;
+}
+
+/**
+ * Stops of a CSS `linear-gradient(...)` string (or its bare argument list).
+ */
+function parseGradient(css) {
+    const inner = /^\s*(?:repeating-)?linear-gradient\((.*)\)\s*$/is.exec(css)?.[1] ?? css;
+
+    // Split on commas outside parentheses
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < inner.length; i++) {
+        if (inner[i] === '(') depth++;
+        else if (inner[i] === ')') depth--;
+        else if (inner[i] === ',' && depth === 0) {
+            parts.push(inner.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    parts.push(inner.slice(start).trim());
+
+    // An angle or "to <side>" direction is ignored: ramps run low to high
+    if (/^(to\s|[-\d.]+(deg|rad|turn|grad)$)/i.test(parts[0])) parts.shift();
+
+    return parts.map((part) => {
+        const match = /^(.*?)(?:\s+(-?[\d.]+)%)?$/.exec(part);
+        return { position: match[2] !== undefined ? Number(match[2]) / 100 : null, color: match[1] };
+    });
+}
+
+/**
+ * Resample stops into a lookup table.
+ * @param {Object[]} stops - Sorted [{ position, color }]
+ * @returns {Float32Array}
+ */
+function buildTable(stops) {
+    const table = new Float32Array(COLORMAP_SIZE * 3);
+    let s = 0;
+    for (let i = 0; i < COLORMAP_SIZE; i++) {
+        const t = i / (COLORMAP_SIZE - 1);
+        while (s < stops.length - 2 && t > stops[s + 1].position) s++;
+
+        const a = stops[s];
+        const b = stops[s + 1];
+        const span = b.position - a.position;
+        const f = span > 0 ? Math.max(0, Math.min(1, (t - a.position) / span)) : (t < b.position ? 0 : 1);
+        for (let c = 0; c < 3; c++) {
+            table[i * 3 + c] = a.color[c] + (b.color[c] - a.color[c]) * f;
+        }
+    }
+    return table;
+}
+
+// ============================================
+// Built-in colormaps
+// ============================================
+
+// Turbo's 256 entries map one-to-one onto the table
+registerColormap('turbo', TURBO_COLORMAP.map((color, i) => [i / (TURBO_COLORMAP.length - 1), color]));
+
+// Perceptually uniform (matplotlib), 11 and 10 evenly spaced samples
+registerColormap('viridis', [
+    '#440154', '#482475', '#414487', '#355f8d', '#2a788e', '#21918c',
+    '#22a884', '#44bf70', '#7ad151', '#bddf26', '#fde725'
+]);
+registerColormap('cividis', [
+    '#00224e', '#123570', '#3b496c', '#575d6d', '#707173',
+    '#8a8779', '#a69d75', '#c4b56c', '#e4cf5b', '#fee838'
+]);
+
+// Deep navy to pale blue
+registerColormap('bathymetry', [
+    '#08306b', '#08519c', '#2171b5', '#4292c6', '#6baed6', '#9ecae1', '#c6dbef', '#deebf7'
+]);
+
+// Lowland green through tan and brown to snow
+registerColormap('hypsometric', [
+    [0, '#1a9850'], [0.25, '#91cf60'], [0.45, '#d9ef8b'], [0.6, '#fee08b'],
+    [0.75, '#c8a165'], [0.9, '#8c6239'], [1, '#ffffff']
+]);
+
+// Blue, white at the midpoint, red
+registerColormap('diverging', [
+    '#2166ac', '#67a9cf', '#d1e5f0', '#f7f7f7', '#fddbc7', '#ef8a62', '#b2182b'
+]);
+
+// Elevation change: red erosion, white at no change, blue deposition
+registerColormap('change', [
+    '#b2182b', '#ef8a62', '#fddbc7', '#f7f7f7', '#d1e5f0', '#67a9cf', '#2166ac'
+]);
@@ -0,0 +1,155 @@
+/**
+ * ContourBands.js - Filled contour bands (isobands) over the terrain
+ *
+ * Bands come from generateIsobands() in Contours.js: triangles whose
+ * vertices carry their elevation and band index. Each band takes the
+ * terrain's color (colormap or class) at its middle elevation through the
+ * terrain's shared color uniforms, so colormap and classification changes
+ * apply without a rebuild. Heights are applied in the shader, as for the
+ * skirt: draped over the terrain, semi-transparent, or flat at the
+ * reference elevation as a 2D chart seen from above.
+ */
+
+import * as THREE from 'three';
+import { colormapShaderChunk } from './ColormapShader.js';
+
+/** Default band appearance. */
+export const DEFAULT_BAND_SETTINGS = {
+    // Opacity over the terrain (0-1)
+    opacity: 0.5,
+
+    // Flat at the reference elevation (a chart, seen from above) instead of draped
+    flat: false
+};
+
+// Draped bands sit this far above the surface (model units), like the contour lines
+const BAND_LIFT = 0.0004;
+
+const bandVertexShader = /* glsl */`
+    attribute float elevation;
+    attribute float bandElevation;
+    uniform float waterLevel;
+    uniform float heightScale;
+    uniform float flatten;
+
+    varying float vBandElevation;
+    #include <clipping_planes_pars_vertex>
+
+    void main() {
+        vBandElevation = bandElevation;
+
+        float height = (min(elevation, waterLevel) - waterLevel) * heightScale + ${BAND_LIFT};
+        vec4 mvPosition = modelViewMatrix * vec4(position.x, height * (1.0 - flatten), position.z, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        #include <clipping_planes_vertex>
+    }
+`;
+
+const bandFragmentShader = /* glsl */`
+    ${colormapShaderChunk}
+    uniform float waterLevel;
+    uniform float opacity;
+
+    varying float vBandElevation;
+    #include <clipping_planes_pars_fragment>
+
+    void main() {
+        #include <clipping_planes_fragment>
+        gl_FragColor = vec4(terrainColor(vBandElevation, waterLevel, vec2(0.0)), opacity);
+    }
+`;
+
+/**
+ * Build the band mesh for an isoband result.
+ * @param {Object} isobands - generateIsobands() result
+ * @param {TerrainMesh} terrainMesh - Terrain whose colors, heights and clipping planes the bands share
+ * @param {Object} [settings] - See DEFAULT_BAND_SETTINGS
+ * @returns {THREE.Mesh|null} Null when there are no bands
+ */
+export function createContourBandMesh(isobands, terrainMesh, settings = {}) {
+    const { positions, elevations, bands, indices, levels } = isobands;
+    if (indices.length === 0) return null;
+
+    // Each vertex is colored by the middle of its band
+    const bandElevation = new Float32Array(bands.length);
+    for (let i = 0; i < bands.length; i++) {
+        bandElevation[i] = (levels[bands[i]] + levels[bands[i] + 1]) / 2;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('elevation', new THREE.BufferAttribute(elevations, 1));
+    geometry.setAttribute('bandElevation', new THREE.BufferAttribute(bandElevation, 1));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+
+    const shared = terrainMesh.colorUniforms;
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            ...shared,
+            // Colored by depth, without imagery; classes only when they classify depth
+            useColorBand: { value: 0 },
+            imageryBlend: { value: 0 },
+            classCount: { value: 0 },
+            waterLevel: { value: terrainMesh.referenceElevation },
+            heightScale: { value: terrainMesh.getHeightScale() },
+            flatten: { value: 0 },
+            opacity: { value: DEFAULT_BAND_SETTINGS.opacity }
+        },
+        vertexShader: bandVertexShader,
+        fragmentShader: bandFragmentShader,
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+        // Ahead of the terrain where the band triangles cut through its cells
+        polygonOffset: true,
+        polygonOffsetFactor: -1,
+        polygonOffsetUnits: -4,
+        clipping: true,
+        clippingPlanes: terrainMesh.clippingPlanes
+    });
+    setContourBandSettings(material, settings);
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = 'contour_bands';
+    // Heights are applied in the shader (skipped by Z-exaggeration rescaling)
+    mesh.userData.shaderHeights = true;
+    mesh.frustumCulled = false;
+    // Under the contour lines and labels
+    mesh.renderOrder = -1;
+
+    mesh.onBeforeRender = () => {
+        const uniforms = material.uniforms;
+        uniforms.waterLevel.value = terrainMesh.referenceElevation;
+        uniforms.heightScale.value = terrainMesh.getHeightScale();
+        uniforms.classCount.value = terrainMesh.colorBand ? 0 : shared.classCount.value;
+    };
+
+    return mesh;
+}
+
+/**
+ * Apply band settings to a band mesh material.
+ * @param {THREE.ShaderMaterial} material - From createContourBandMesh()
+ * @param {Object} settings - See DEFAULT_BAND_SETTINGS
+ */
+export function setContourBandSettings(material, settings) {
+    const { opacity, flat } = { ...DEFAULT_BAND_SETTINGS, ...settings };
+    material.uniforms.opacity.value = opacity;
+    material.uniforms.flatten.value = flat ? 1 : 0;
+}
+
+/**
+ * Validate band settings and fill in defaults.
+ * @param {Object} [settings] - See DEFAULT_BAND_SETTINGS
+ * @returns {Object}
+ */
+export function normalizeBandSettings(settings = {}) {
+    const next = { ...DEFAULT_BAND_SETTINGS, ...settings };
+    if (!(next.opacity >= 0 && next.opacity <= 1)) {
+        throw new Error(`Contour band opacity must be between 0 and 1, got ${next.opacity}`);
+    }
+    if (typeof next.flat !== 'boolean') {
+        throw new Error(`Contour band flat must be true or false, got ${next.flat}`);
+    }
+    return next;
+}
@@ -0,0 +1,637 @@
+/**
+ * ContourExport.js - Contour lines and bands for GIS and CAD: GeoJSON, DXF, Shapefile
+ *
+ * Contour generation yields model-space line segments. For export they are
+ * chained into polylines per threshold (chainSegments() in Contours.js) and
+ * mapped back to the raster's CRS with TerrainMesh.localToGeo(), each
+ * polyline carrying its elevation (metres, after any vertical scaling of the
+ * raster):
+ * - GeoJSON: a FeatureCollection of LineStrings with an `elevation` property
+ *   (plus the legacy `crs` member naming the EPSG code of projected rasters)
+ * - DXF: LWPOLYLINE entities with the elevation as their Z (group 38)
+ * - Shapefile: .shp/.shx/.dbf (PolyLine with an ELEV field) and .prj when
+ *   known, zipped
+ *
+ * Filled bands (generateIsobands()) are outlined with isobandRings() and
+ * written the same way as polygons with their `lower` and `upper` elevation:
+ * GeoJSON MultiPolygons, closed LWPOLYLINEs on one layer per band, or a
+ * Polygon Shapefile with LOWER and UPPER fields.
+ */
+
+import { chainSegments, isobandRings } from './Contours.js';
+
+/**
+ * Supported contour export formats.
+ */
+export const ContourFormat = {
+    GEOJSON: 'geojson',
+    DXF: 'dxf',
+    SHAPEFILE: 'shapefile'
+};
+
+const MIME_TYPES = {
+    [ContourFormat.GEOJSON]: 'application/geo+json',
+    [ContourFormat.DXF]: 'image/vnd.dxf',
+    [ContourFormat.SHAPEFILE]: 'application/zip'
+};
+
+// WGS84 (EPSG:4326) .prj; other CRSs need the caller's WKT
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+    'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+// DXF $INSUNITS codes by CRS unit name (parseGeoKeys())
+const DXF_UNITS = { 'metre': 6, 'foot': 2, 'US survey foot': 21, 'kilometre': 5 };
+
+// Shapefile constants
+const SHP_HEADER_BYTES = 100;
+const SHP_POLYLINE = 3;
+const SHP_POLYGON = 5;
+const DBF_FIELD_WIDTH = 18;
+const DBF_FIELD_DECIMALS = 3;
+
+/**
+ * Chain contour segments into polylines in the raster's CRS.
+ * @param {TerrainMesh} terrainMesh - Terrain the contours were generated for (geoBounds, model size)
+ * @param {Object} contours - TerrainMesh.generateContours() result
+ *   ({ segments, segmentThresholds, thresholds })
+ * @returns {{ elevation: number, coordinates: number[][] }[]} Coordinates as [x, y] in the CRS
+ */
+export function contourPolylines(terrainMesh, contours) {
+    const { segments, segmentThresholds, thresholds } = contours;
+    if (!segmentThresholds || !thresholds) {
+        throw new Error('Contours have no thresholds per segment');
+    }
+
+    // Segments of each threshold, in order
+    const byThreshold = new Map();
+    for (let i = 0; i < segmentThresholds.length; i++) {
+        let list = byThreshold.get(segmentThresholds[i]);
+        if (!list) byThreshold.set(segmentThresholds[i], list = []);
+        list.push(i);
+    }
+
+    const toGeo = geoMapping(terrainMesh);
+    const polylines = [];
+    for (const [ti, indices] of byThreshold) {
+        const data = new Float32Array(indices.length * 6);
+        indices.forEach((s, k) => data.set(segments.subarray(s * 6, s * 6 + 6), k * 6));
+        for (const points of chainSegments(data)) {
+            polylines.push({ elevation: thresholds[ti], coordinates: points.map(toGeo) });
+        }
+    }
+    return polylines;
+}
+
+/**
+ * Outline filled contour bands as rings in the raster's CRS.
+ * @param {TerrainMesh} terrainMesh - Terrain the bands were generated for (geoBounds, model size)
+ * @param {Object} isobands - TerrainMesh.generateIsobands() result
+ * @returns {{ lower: number, upper: number, rings: number[][][] }[]} Per band with data, from
+ *   the reference down; outer rings clockwise (x east, y north), holes counter-clockwise
+ */
+export function isobandPolygons(terrainMesh, isobands) {
+    const toGeo = geoMapping(terrainMesh);
+    const { levels } = isobands;
+    return [...isobandRings(isobands)]
+        .sort(([a], [b]) => a - b)
+        .map(([band, rings]) => ({
+            lower: levels[band + 1],
+            upper: levels[band],
+            // Model z runs south, so cell order (outer rings) is clockwise here
+            rings: rings.map(ring => ring.map(toGeo))
+        }));
+}
+
+/**
+ * Map model-local [x, z] to [x, y] in the raster's CRS.
+ * @param {TerrainMesh} terrainMesh
+ * @returns {Function}
+ * @private
+ */
+function geoMapping(terrainMesh) {
+    // Interpolated points can round just past the terrain edge
+    const halfWidth = terrainMesh.modelWidth / 2;
+    const halfHeight = terrainMesh.modelHeight / 2;
+    return ([x, z]) => terrainMesh.localToGeo({
+        x: Math.min(Math.max(x, -halfWidth), halfWidth),
+        z: Math.min(Math.max(z, -halfHeight), halfHeight)
+    });
+}
+
+/**
+ * GeoJSON FeatureCollection of contour LineStrings.
+ * @param {Object[]} polylines - contourPolylines() result
+ * @param {Object|null} [crs=null] - CRS description (parseGeoKeys())
+ * @returns {string}
+ */
+export function writeContourGeoJSON(polylines, crs = null) {
+    const collection = {
+        type: 'FeatureCollection',
+        features: polylines.map(({ elevation, coordinates }) => ({
+            type: 'Feature',
+            properties: { elevation },
+            geometry: { type: 'LineString', coordinates }
+        }))
+    };
+    return stringifyCollection(collection, crs);
+}
+
+/**
+ * GeoJSON FeatureCollection of band MultiPolygons (exterior rings
+ * counter-clockwise, as RFC 7946 asks).
+ * @param {Object[]} polygons - isobandPolygons() result
+ * @param {Object|null} [crs=null] - CRS description (parseGeoKeys())
+ * @returns {string}
+ */
+export function writeIsobandGeoJSON(polygons, crs = null) {
+    const collection = {
+        type: 'FeatureCollection',
+        features: polygons.map(({ lower, upper, rings }) => ({
+            type: 'Feature',
+            properties: { lower, upper },
+            geometry: {
+                type: 'MultiPolygon',
+                coordinates: groupRings(rings).map(polygon => polygon.map(ring => [...ring].reverse()))
+            }
+        }))
+    };
+    return stringifyCollection(collection, crs);
+}
+
+/**
+ * @param {Object} collection - FeatureCollection
+ * @param {Object|null} crs
+ * @returns {string}
+ * @private
+ */
+function stringifyCollection(collection, crs) {
+    if (crs?.epsg && crs.epsg !== 4326) {
+        collection.crs = { type: 'name', properties: { name: `urn:ogc:def:crs:EPSG::${crs.epsg}` } };
+    }
+    return JSON.stringify(collection);
+}
+
+/**
+ * Group rings into polygons: each outer (clockwise) ring with the holes
+ * inside it. A hole goes to the smallest outer ring containing its first point.
+ * @param {number[][][]} rings
+ * @returns {number[][][][]} [[outer, ...holes], ...]
+ * @private
+ */
+function groupRings(rings) {
+    const outers = [];
+    const holes = [];
+    for (const ring of rings) {
+        const area = signedArea(ring);
+        (area < 0 ? outers : holes).push({ ring, area: Math.abs(area), holes: [] });
+    }
+    for (const hole of holes) {
+        let best = null;
+        for (const outer of outers) {
+            if ((!best || outer.area < best.area) && pointInRing(hole.ring[0], outer.ring)) best = outer;
+        }
+        if (best) best.holes.push(hole.ring);
+    }
+    return outers.map(({ ring, holes: inner }) => [ring, ...inner]);
+}
+
+/**
+ * DXF drawing with one LWPOLYLINE per contour, at its elevation, on layer CONTOURS.
+ * @param {Object[]} polylines - contourPolylines() result
+ * @param {Object|null} [crs=null] - CRS description (drawing units)
+ * @returns {string}
+ */
+export function writeContourDXF(polylines, crs = null) {
+    const lines = startDXF(crs);
+    for (const { elevation, coordinates } of polylines) {
+        pushLWPolyline(lines, coordinates, 'CONTOURS', elevation);
+    }
+    return endDXF(lines);
+}
+
+/**
+ * DXF drawing with the band outlines as closed LWPOLYLINEs, one layer per
+ * band (BAND_<lower>_<upper>, for hatching in CAD).
+ * @param {Object[]} polygons - isobandPolygons() result
+ * @param {Object|null} [crs=null] - CRS description (drawing units)
+ * @returns {string}
+ */
+export function writeIsobandDXF(polygons, crs = null) {
+    const lines = startDXF(crs);
+    for (const { lower, upper, rings } of polygons) {
+        const layer = `BAND_${formatLevel(lower)}_${formatLevel(upper)}`;
+        for (const ring of rings) pushLWPolyline(lines, ring, layer, null);
+    }
+    return endDXF(lines);
+}
+
+/**
+ * Header (version, units) and the start of the entities.
+ * @private
+ */
+function startDXF(crs) {
+    const lines = ['0', 'SECTION', '2', 'HEADER', '9', '$ACADVER', '1', 'AC1015'];
+    const units = crs && !crs.isGeographic ? DXF_UNITS[crs.units] : null;
+    if (units) lines.push('9', '$INSUNITS', '70', String(units));
+    lines.push('0', 'ENDSEC', '0', 'SECTION', '2', 'ENTITIES');
+    return lines;
+}
+
+/**
+ * @private
+ */
+function endDXF(lines) {
+    lines.push('0', 'ENDSEC', '0', 'EOF');
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Append an LWPOLYLINE (closed when its ends meet).
+ * @param {string[]} lines
+ * @param {number[][]} coordinates
+ * @param {string} layer
+ * @param {number|null} elevation - Z (group 38), null for none
+ * @private
+ */
+function pushLWPolyline(lines, coordinates, layer, elevation) {
+    const closed = isClosed(coordinates);
+    const points = closed ? coordinates.slice(0, -1) : coordinates;
+    lines.push(
+        '0', 'LWPOLYLINE', '8', layer, '100', 'AcDbEntity', '100', 'AcDbPolyline',
+        '90', String(points.length), '70', closed ? '1' : '0'
+    );
+    if (elevation !== null) lines.push('38', String(elevation));
+    for (const [x, y] of points) {
+        lines.push('10', String(x), '20', String(y));
+    }
+}
+
+/**
+ * Band limit for a layer name, to the centimetre.
+ * @private
+ */
+function formatLevel(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Shapefile (PolyLine, ELEV field) files.
+ * @param {Object[]} polylines - contourPolylines() result
+ * @param {Object} [options]
+ * @param {Object|null} [options.crs=null] - CRS description (WGS84 gets a .prj)
+ * @param {string|null} [options.prj=null] - WKT for the .prj (other CRSs)
+ * @returns {{ shp: Uint8Array, shx: Uint8Array, dbf: Uint8Array, prj: string|null }}
+ */
+export function writeContourShapefile(polylines, options = {}) {
+    return writeShapefile(
+        SHP_POLYLINE,
+        polylines.map(({ elevation, coordinates }) => ({ parts: [coordinates], values: [elevation] })),
+        ['ELEV'],
+        options
+    );
+}
+
+/**
+ * Shapefile (Polygon, LOWER and UPPER fields) files for filled bands.
+ * @param {Object[]} polygons - isobandPolygons() result (rings clockwise, holes counter-clockwise)
+ * @param {Object} [options] - As writeContourShapefile()
+ * @returns {{ shp: Uint8Array, shx: Uint8Array, dbf: Uint8Array, prj: string|null }}
+ */
+export function writeIsobandShapefile(polygons, options = {}) {
+    return writeShapefile(
+        SHP_POLYGON,
+        polygons.map(({ lower, upper, rings }) => ({ parts: rings, values: [lower, upper] })),
+        ['LOWER', 'UPPER'],
+        options
+    );
+}
+
+/**
+ * Shapefile of multi-part records with numeric attributes.
+ * @param {number} shapeType - SHP_POLYLINE or SHP_POLYGON (same record layout)
+ * @param {{ parts: number[][][], values: number[] }[]} records
+ * @param {string[]} fields - Numeric field names, one per value
+ * @param {Object} options - { crs, prj }
+ * @returns {{ shp: Uint8Array, shx: Uint8Array, dbf: Uint8Array, prj: string|null }}
+ * @private
+ */
+function writeShapefile(shapeType, records, fields, options) {
+    const { crs = null, prj = null } = options;
+
+    // Record content: type, box, part and point counts, part indices, points
+    const pointCounts = records.map(({ parts }) => parts.reduce((sum, part) => sum + part.length, 0));
+    const contentBytes = records.map(({ parts }, i) => 44 + parts.length * 4 + pointCounts[i] * 16);
+    const shpBytes = SHP_HEADER_BYTES + contentBytes.reduce((sum, bytes) => sum + 8 + bytes, 0);
+    const shxBytes = SHP_HEADER_BYTES + records.length * 8;
+
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    const boxes = records.map(({ parts }) => {
+        const box = [Infinity, Infinity, -Infinity, -Infinity];
+        for (const [x, y] of parts.flat()) {
+            box[0] = Math.min(box[0], x); box[1] = Math.min(box[1], y);
+            box[2] = Math.max(box[2], x); box[3] = Math.max(box[3], y);
+        }
+        bounds[0] = Math.min(bounds[0], box[0]); bounds[1] = Math.min(bounds[1], box[1]);
+        bounds[2] = Math.max(bounds[2], box[2]); bounds[3] = Math.max(bounds[3], box[3]);
+        return box;
+    });
+    if (records.length === 0) bounds.fill(0);
+
+    const shp = new DataView(new ArrayBuffer(shpBytes));
+    const shx = new DataView(new ArrayBuffer(shxBytes));
+    writeShapeHeader(shp, shpBytes, shapeType, bounds);
+    writeShapeHeader(shx, shxBytes, shapeType, bounds);
+
+    let offset = SHP_HEADER_BYTES;
+    records.forEach(({ parts }, i) => {
+        shx.setInt32(SHP_HEADER_BYTES + i * 8, offset / 2);
+        shx.setInt32(SHP_HEADER_BYTES + i * 8 + 4, contentBytes[i] / 2);
+
+        shp.setInt32(offset, i + 1);
+        shp.setInt32(offset + 4, contentBytes[i] / 2);
+        let o = offset + 8;
+        shp.setInt32(o, shapeType, true);
+        boxes[i].forEach((value, k) => shp.setFloat64(o + 4 + k * 8, value, true));
+        shp.setInt32(o + 36, parts.length, true);
+        shp.setInt32(o + 40, pointCounts[i], true);
+        o += 44;
+        let start = 0;
+        for (const part of parts) {
+            shp.setInt32(o, start, true);
+            start += part.length;
+            o += 4;
+        }
+        for (const [x, y] of parts.flat()) {
+            shp.setFloat64(o, x, true);
+            shp.setFloat64(o + 8, y, true);
+            o += 16;
+        }
+        offset = o;
+    });
+
+    return {
+        shp: new Uint8Array(shp.buffer),
+        shx: new Uint8Array(shx.buffer),
+        dbf: writeNumericTable(records, fields),
+        prj: prj ?? (crs?.isGeographic && crs.epsg === 4326 ? WGS84_PRJ : null)
+    };
+}
+
+/**
+ * Main file / index header (lengths big-endian in 16-bit words, the rest little-endian).
+ * @private
+ */
+function writeShapeHeader(view, byteLength, shapeType, bounds) {
+    view.setInt32(0, 9994);
+    view.setInt32(24, byteLength / 2);
+    view.setInt32(28, 1000, true);
+    view.setInt32(32, shapeType, true);
+    bounds.forEach((value, k) => view.setFloat64(36 + k * 8, value, true));
+}
+
+/**
+ * dBASE III table of numeric fields.
+ * @param {{ values: number[] }[]} records
+ * @param {string[]} fields - Field names (up to 10 characters)
+ * @private
+ */
+function writeNumericTable(records, fields) {
+    const headerBytes = 32 + fields.length * 32 + 1;
+    const recordBytes = 1 + fields.length * DBF_FIELD_WIDTH;
+    const bytes = new Uint8Array(headerBytes + records.length * recordBytes + 1);
+    const view = new DataView(bytes.buffer);
+
+    const today = new Date();
+    bytes.set([0x03, today.getFullYear() - 1900, today.getMonth() + 1, today.getDate()]);
+    view.setUint32(4, records.length, true);
+    view.setUint16(8, headerBytes, true);
+    view.setUint16(10, recordBytes, true);
+
+    // Field descriptors
+    fields.forEach((name, k) => {
+        const o = 32 + k * 32;
+        bytes.set(asciiBytes(name), o);
+        bytes[o + 11] = 'N'.charCodeAt(0);
+        bytes[o + 16] = DBF_FIELD_WIDTH;
+        bytes[o + 17] = DBF_FIELD_DECIMALS;
+    });
+    bytes[headerBytes - 1] = 0x0d;
+
+    records.forEach(({ values }, i) => {
+        const offset = headerBytes + i * recordBytes;
+        bytes[offset] = 0x20;
+        values.forEach((value, k) => {
+            const text = value.toFixed(DBF_FIELD_DECIMALS).padStart(DBF_FIELD_WIDTH).slice(-DBF_FIELD_WIDTH);
+            bytes.set(asciiBytes(text), offset + 1 + k * DBF_FIELD_WIDTH);
+        });
+    });
+    bytes[bytes.length - 1] = 0x1a;
+    return bytes;
+}
+
+/**
+ * Export contours as a file.
+ * @param {TerrainMesh} terrainMesh - Terrain the contours were generated for
+ * @param {Object} contours - TerrainMesh.generateContours() result
+ * @param {string} format - ContourFormat value
+ * @param {Object} [options]
+ * @param {string} [options.name='contours'] - File name inside the Shapefile zip (no extension)
+ * @param {string|null} [options.prj=null] - WKT of the CRS for the Shapefile .prj
+ * @returns {Blob}
+ */
+export function exportContours(terrainMesh, contours, format, options = {}) {
+    if (!MIME_TYPES[format]) {
+        throw new Error(`Unknown contour format "${format}" (expected ${Object.values(ContourFormat).join(', ')})`);
+    }
+    if (!terrainMesh?.geoBounds || !contours || contours.aborted) {
+        throw new Error('Nothing to export: no contours generated');
+    }
+    const { name = 'contours', prj = null } = options;
+    const crs = terrainMesh.crs;
+    const polylines = contourPolylines(terrainMesh, contours);
+    const type = MIME_TYPES[format];
+
+    if (format === ContourFormat.GEOJSON) {
+        return new Blob([writeContourGeoJSON(polylines, crs)], { type });
+    }
+    if (format === ContourFormat.DXF) {
+        return new Blob([writeContourDXF(polylines, crs)], { type });
+    }
+
+    return new Blob([zipShapefile(writeContourShapefile(polylines, { crs, prj }), name)], { type });
+}
+
+/**
+ * Export filled contour bands as a file.
+ * @param {TerrainMesh} terrainMesh - Terrain the bands were generated for
+ * @param {Object} isobands - TerrainMesh.generateIsobands() result
+ * @param {string} format - ContourFormat value
+ * @param {Object} [options]
+ * @param {string} [options.name='contour_bands'] - File name inside the Shapefile zip (no extension)
+ * @param {string|null} [options.prj=null] - WKT of the CRS for the Shapefile .prj
+ * @returns {Blob}
+ */
+export function exportIsobands(terrainMesh, isobands, format, options = {}) {
+    if (!MIME_TYPES[format]) {
+        throw new Error(`Unknown contour format "${format}" (expected ${Object.values(ContourFormat).join(', ')})`);
+    }
+    if (!terrainMesh?.geoBounds || !isobands) {
+        throw new Error('Nothing to export: no contour bands generated');
+    }
+    const { name = 'contour_bands', prj = null } = options;
+    const crs = terrainMesh.crs;
+    const polygons = isobandPolygons(terrainMesh, isobands);
+    const type = MIME_TYPES[format];
+
+    if (format === ContourFormat.GEOJSON) {
+        return new Blob([writeIsobandGeoJSON(polygons, crs)], { type });
+    }
+    if (format === ContourFormat.DXF) {
+        return new Blob([writeIsobandDXF(polygons, crs)], { type });
+    }
+    return new Blob([zipShapefile(writeIsobandShapefile(polygons, { crs, prj }), name)], { type });
+}
+
+/**
+ * Zip Shapefile parts, warning when there is no .prj.
+ * @param {{ shp: Uint8Array, shx: Uint8Array, dbf: Uint8Array, prj: string|null }} files
+ * @param {string} name - File name without extension
+ * @returns {Uint8Array}
+ * @private
+ */
+function zipShapefile(files, name) {
+    const entries = [
+        [`${name}.shp`, files.shp],
+        [`${name}.shx`, files.shx],
+        [`${name}.dbf`, files.dbf]
+    ];
+    if (files.prj) entries.push([`${name}.prj`, asciiBytes(files.prj)]);
+    else console.warn('Contour Shapefile has no .prj: pass the CRS WKT as options.prj');
+    return createZip(entries);
+}
+
+/**
+ * Uncompressed (stored) zip archive.
+ * @param {Array<[string, Uint8Array]>} entries - [name, contents]
+ * @returns {Uint8Array}
+ * @private
+ */
+function createZip(entries) {
+    const names = entries.map(([name]) => asciiBytes(name));
+    const localBytes = entries.reduce((sum, [, data], i) => sum + 30 + names[i].length + data.length, 0);
+    const centralBytes = entries.reduce((sum, _, i) => sum + 46 + names[i].length, 0);
+    const bytes = new Uint8Array(localBytes + centralBytes + 22);
+    const view = new DataView(bytes.buffer);
+
+    const offsets = [];
+    let o = 0;
+    entries.forEach(([, data], i) => {
+        offsets.push(o);
+        view.setUint32(o, 0x04034b50, true);
+        view.setUint16(o + 4, 20, true);
+        view.setUint16(o + 8, 0, true);
+        view.setUint16(o + 12, 0x21, true); // 1980-01-01
+        view.setUint32(o + 14, crc32(data), true);
+        view.setUint32(o + 18, data.length, true);
+        view.setUint32(o + 22, data.length, true);
+        view.setUint16(o + 26, names[i].length, true);
+        bytes.set(names[i], o + 30);
+        bytes.set(data, o + 30 + names[i].length);
+        o += 30 + names[i].length + data.length;
+    });
+
+    const centralOffset = o;
+    entries.forEach(([, data], i) => {
+        view.setUint32(o, 0x02014b50, true);
+        view.setUint16(o + 4, 20, true);
+        view.setUint16(o + 6, 20, true);
+        view.setUint16(o + 14, 0x21, true);
+        view.setUint32(o + 16, crc32(data), true);
+        view.setUint32(o + 20, data.length, true);
+        view.setUint32(o + 24, data.length, true);
+        view.setUint16(o + 28, names[i].length, true);
+        view.setUint32(o + 42, offsets[i], true);
+        bytes.set(names[i], o + 46);
+        o += 46 + names[i].length;
+    });
+
+    view.setUint32(o, 0x06054b50, true);
+    view.setUint16(o + 8, entries.length, true);
+    view.setUint16(o + 10, entries.length, true);
+    view.setUint32(o + 12, o - centralOffset, true);
+    view.setUint32(o + 16, centralOffset, true);
+    return bytes;
+}
+
+let crcTable = null;
+
+/**
+ * CRC-32 (zip checksum).
+ * @param {Uint8Array} data
+ * @returns {number}
+ * @private
+ */
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @private
+ */
+function asciiBytes(text) {
+    return new TextEncoder().encode(text);
+}
+
+/**
+ * Shoelace area, positive counter-clockwise.
+ * @param {number[][]} ring - Closed ring
+ * @returns {number}
+ * @private
+ */
+function signedArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return area / 2;
+}
+
+/**
+ * Even-odd point in ring test.
+ * @param {number[]} point
+ * @param {number[][]} ring - Closed ring
+ * @returns {boolean}
+ * @private
+ */
+function pointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0; i < ring.length - 1; i++) {
+        const [x0, y0] = ring[i];
+        const [x1, y1] = ring[i + 1];
+        if ((y0 > y) !== (y1 > y) && x < x0 + (y - y0) * (x1 - x0) / (y1 - y0)) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * @param {number[][]} coordinates
+ * @returns {boolean}
+ * @private
+ */
+function isClosed(coordinates) {
+    const first = coordinates[0];
+    const last = coordinates[coordinates.length - 1];
+    return coordinates.length > 3 && first[0] === last[0] && first[1] === last[1];
+}
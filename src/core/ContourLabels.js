@@ -0,0 +1,268 @@
+/**
+ * ContourLabels.js - Elevation labels along index contours
+ *
+ * Label anchors come from contour generation (placeContourLabels() in
+ * Contours.js): a point on the line, the line direction and a rank. All
+ * labels are one mesh of quads drawn from a text atlas with one entry per
+ * distinct elevation. The vertex shader keeps the text a constant size on
+ * screen, turns it along the projected line so it reads left to right, and
+ * thins labels out when their spacing on screen gets too small (zooming
+ * out or scaling the model down in AR): rank 2 labels go first, then rank 1.
+ *
+ * The anchor is the position attribute, so Z-exaggeration updates scale
+ * labels with the contour lines (OverlayLayers._scaleGroupY).
+ */
+
+import * as THREE from 'three';
+import { CONTOUR_LABEL_STRIDE, MAX_LABEL_RANK } from './Contours.js';
+
+/** Default label appearance. */
+export const DEFAULT_LABEL_SETTINGS = {
+    // Label height on screen (CSS pixels)
+    size: 16,
+
+    // Labels closer than this on screen (CSS pixels) are thinned out
+    minSpacing: 120,
+
+    // Text and halo colors (CSS), font family
+    color: '#000000',
+    haloColor: '#ffffff',
+    fontFamily: 'sans-serif'
+};
+
+// Atlas text size in canvas pixels and row width limit
+const ATLAS_FONT_SIZE = 32;
+const ATLAS_MAX_WIDTH = 1024;
+
+// Quad corners (x along the text, y up) and triangle order
+const CORNERS = [-0.5, -0.5, 0.5, -0.5, 0.5, 0.5, -0.5, 0.5];
+const QUAD_INDICES = [0, 1, 2, 0, 2, 3];
+
+const labelVertexShader = /* glsl */`
+    attribute vec2 corner;
+    attribute vec2 direction;
+    attribute vec4 uvRect;
+    attribute float rank;
+    attribute float aspect;
+    uniform vec2 viewport;
+    uniform float labelSize;
+    uniform float spacing;
+    uniform float minSpacing;
+
+    varying vec2 vUv;
+    #include <clipping_planes_pars_vertex>
+
+    void main() {
+        vUv = mix(uvRect.xy, uvRect.zw, corner + 0.5);
+
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        #include <clipping_planes_vertex>
+        vec4 anchor = projectionMatrix * mvPosition;
+
+        // Pixels per model unit at the anchor, whatever the line direction
+        float unitScale = length(modelViewMatrix[0].xyz);
+        float pixelsPerUnit = projectionMatrix[1][1] * 0.5 * viewport.y * unitScale / max(anchor.w, 1e-6);
+
+        // Keep a rank while the spacing of the labels left on screen leaves room
+        float shown = step(minSpacing, spacing * pixelsPerUnit * exp2(${MAX_LABEL_RANK}.0 - rank)) * step(0.0, anchor.w);
+
+        // Line direction on screen, turned to read left to right
+        vec4 ahead = projectionMatrix * modelViewMatrix *
+            vec4(position + vec3(direction.x, 0.0, direction.y) * spacing * 0.01, 1.0);
+        vec2 along = (ahead.xy / ahead.w - anchor.xy / anchor.w) * viewport;
+        vec2 axis = dot(along, along) > 1e-12 ? normalize(along) : vec2(1.0, 0.0);
+        if (axis.x < 0.0) axis = -axis;
+        vec2 up = vec2(-axis.y, axis.x);
+
+        // Move toward the camera by half the label width so rising ground
+        // beside the line does not cover the text (keeps the screen position)
+        vec3 toCamera = projectionMatrix[2][3] < 0.0 ? normalize(-mvPosition.xyz) : vec3(0.0, 0.0, 1.0);
+        mvPosition.xyz += toCamera * (0.5 * labelSize * aspect / max(pixelsPerUnit, 1e-6)) * unitScale;
+
+        gl_Position = projectionMatrix * mvPosition;
+        vec2 offset = (axis * corner.x * aspect + up * corner.y) * labelSize * shown;
+        gl_Position.xy += offset / viewport * 2.0 * gl_Position.w;
+    }
+`;
+
+const labelFragmentShader = /* glsl */`
+    uniform sampler2D atlas;
+
+    varying vec2 vUv;
+    #include <clipping_planes_pars_fragment>
+
+    void main() {
+        #include <clipping_planes_fragment>
+        vec4 texel = texture2D(atlas, vUv);
+        if (texel.a < 0.02) discard;
+        gl_FragColor = texel;
+    }
+`;
+
+/**
+ * Label text for a contour elevation (up to two decimals).
+ * @param {number} elevation
+ * @returns {string}
+ */
+export function formatContourElevation(elevation) {
+    return String(Math.round(elevation * 100) / 100);
+}
+
+/**
+ * Draw label texts into a canvas, each once, dark text on a light halo.
+ * @param {string[]} texts - Distinct texts
+ * @param {Object} [settings] - See DEFAULT_LABEL_SETTINGS
+ * @returns {{ canvas: HTMLCanvasElement, rects: Map<string, { uvRect: number[], aspect: number }> }}
+ *   uvRect: [u0, v0, u1, v1] bottom-left to top-right for a flipY texture;
+ *   aspect: entry width over height
+ */
+export function buildLabelAtlas(texts, settings = {}) {
+    const { color, haloColor, fontFamily } = { ...DEFAULT_LABEL_SETTINGS, ...settings };
+    const font = `bold ${ATLAS_FONT_SIZE}px ${fontFamily}`;
+    const halo = Math.ceil(ATLAS_FONT_SIZE / 6);
+    const rowHeight = Math.ceil(ATLAS_FONT_SIZE * 1.25) + halo * 2;
+
+    const canvas = document.createElement('canvas');
+    let ctx = canvas.getContext('2d');
+    ctx.font = font;
+
+    // Lay the entries out in rows
+    const layout = [];
+    let x = 0;
+    let y = 0;
+    let width = 0;
+    for (const text of texts) {
+        const w = Math.ceil(ctx.measureText(text).width) + halo * 2;
+        if (x > 0 && x + w > ATLAS_MAX_WIDTH) {
+            x = 0;
+            y += rowHeight;
+        }
+        layout.push({ text, x, y, w });
+        x += w;
+        width = Math.max(width, x);
+    }
+    canvas.width = Math.max(1, width);
+    canvas.height = y + rowHeight;
+
+    // Resizing resets the context state
+    ctx = canvas.getContext('2d');
+    ctx.font = font;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = halo * 2;
+    ctx.strokeStyle = haloColor;
+    ctx.fillStyle = color;
+
+    const rects = new Map();
+    for (const entry of layout) {
+        const cx = entry.x + entry.w / 2;
+        const cy = entry.y + rowHeight / 2;
+        ctx.strokeText(entry.text, cx, cy);
+        ctx.fillText(entry.text, cx, cy);
+        rects.set(entry.text, {
+            uvRect: [
+                entry.x / canvas.width, 1 - (entry.y + rowHeight) / canvas.height,
+                (entry.x + entry.w) / canvas.width, 1 - entry.y / canvas.height
+            ],
+            aspect: entry.w / rowHeight
+        });
+    }
+
+    return { canvas, rects };
+}
+
+/**
+ * Build the label mesh for a set of label anchors.
+ * @param {Float32Array} labels - CONTOUR_LABEL_STRIDE values per label (see generateContourSegments())
+ * @param {number} spacing - Model units between labels along a line, as placed
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - See DEFAULT_LABEL_SETTINGS
+ * @param {THREE.Plane[]|null} [options.clippingPlanes=null] - Shared with the terrain (sections)
+ * @returns {THREE.Mesh|null} Null when there are no labels
+ */
+export function createContourLabelMesh(labels, spacing, options = {}) {
+    const count = labels.length / CONTOUR_LABEL_STRIDE;
+    if (count === 0) return null;
+    const settings = { ...DEFAULT_LABEL_SETTINGS, ...options.settings };
+
+    const texts = [];
+    for (let i = 0; i < count; i++) {
+        texts.push(formatContourElevation(labels[i * CONTOUR_LABEL_STRIDE + 5]));
+    }
+    const { canvas, rects } = buildLabelAtlas([...new Set(texts)], settings);
+
+    const position = new Float32Array(count * 12);
+    const corner = new Float32Array(count * 8);
+    const direction = new Float32Array(count * 8);
+    const uvRect = new Float32Array(count * 16);
+    const rank = new Float32Array(count * 4);
+    const aspect = new Float32Array(count * 4);
+    const index = new Uint32Array(count * 6);
+
+    for (let i = 0; i < count; i++) {
+        const o = i * CONTOUR_LABEL_STRIDE;
+        const rect = rects.get(texts[i]);
+        for (let v = 0; v < 4; v++) {
+            const k = i * 4 + v;
+            position.set(labels.subarray(o, o + 3), k * 3);
+            corner.set(CORNERS.slice(v * 2, v * 2 + 2), k * 2);
+            direction.set(labels.subarray(o + 3, o + 5), k * 2);
+            uvRect.set(rect.uvRect, k * 4);
+            rank[k] = labels[o + 6];
+            aspect[k] = rect.aspect;
+        }
+        for (let j = 0; j < 6; j++) index[i * 6 + j] = i * 4 + QUAD_INDICES[j];
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(position, 3));
+    geometry.setAttribute('corner', new THREE.BufferAttribute(corner, 2));
+    geometry.setAttribute('direction', new THREE.BufferAttribute(direction, 2));
+    geometry.setAttribute('uvRect', new THREE.BufferAttribute(uvRect, 4));
+    geometry.setAttribute('rank', new THREE.BufferAttribute(rank, 1));
+    geometry.setAttribute('aspect', new THREE.BufferAttribute(aspect, 1));
+    geometry.setIndex(new THREE.BufferAttribute(index, 1));
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.generateMipmaps = false;
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            atlas: { value: texture },
+            viewport: { value: new THREE.Vector2(1, 1) },
+            labelSize: { value: settings.size },
+            spacing: { value: spacing },
+            minSpacing: { value: settings.minSpacing }
+        },
+        vertexShader: labelVertexShader,
+        fragmentShader: labelFragmentShader,
+        transparent: true,
+        depthWrite: false,
+        clipping: true,
+        clippingPlanes: options.clippingPlanes ?? null
+    });
+    // ShaderMaterial textures are not released by disposeThreeObject()
+    material.addEventListener('dispose', () => texture.dispose());
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = 'contour_labels';
+    // Quads are sized on screen, so the geometry bounds do not apply
+    mesh.frustumCulled = false;
+    // Over the contour lines
+    mesh.renderOrder = 2;
+
+    const viewport = new THREE.Vector4();
+    mesh.onBeforeRender = (renderer) => {
+        // Current viewport: the eye being drawn in XR
+        renderer.getCurrentViewport(viewport);
+        const pixelRatio = renderer.getPixelRatio();
+        material.uniforms.viewport.value.set(viewport.z, viewport.w);
+        material.uniforms.labelSize.value = settings.size * pixelRatio;
+        material.uniforms.minSpacing.value = settings.minSpacing * pixelRatio;
+    };
+
+    return mesh;
+}
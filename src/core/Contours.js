@@ -0,0 +1,1188 @@
+/**
+ * Contours.js — Marching squares contour generation (pure functions, no DOM)
+ *
+ * Runs in terrain workers or on the main thread (same code either way).
+ * Produces line segments in model-local coordinates, draped on the terrain
+ * by offsetting each vertex along the interpolated surface normal, and label
+ * anchors placed along the chained index contours. Filled bands between
+ * successive thresholds (isobands) come from the same cells, as triangles.
+ * Contours can also be traced at the pixels of a finer raster (optionally
+ * Gaussian-smoothed) and draped on the coarser mesh surface.
+ */
+
+import { sampleElevation } from './ElevationSampling.js';
+import { throwIfAborted, processInChunks } from './utils.js';
+
+// Marching squares edge lookup table (16 cases).
+// Each case maps to pairs of edges where the contour crosses.
+// Edges: 0=top, 1=right, 2=bottom, 3=left
+// Cases 5 and 10 are saddle cases resolved at runtime using center average.
+export const MS_EDGE_TABLE = [
+    [],           // 0:  no edges
+    [[3, 2]],     // 1:  bottom-left
+    [[2, 1]],     // 2:  bottom-right
+    [[3, 1]],     // 3:  bottom
+    [[0, 1]],     // 4:  top-right
+    null,         // 5:  saddle — resolved at runtime
+    [[0, 2]],     // 6:  right
+    [[3, 0]],     // 7:  all except top-left
+    [[0, 3]],     // 8:  top-left
+    [[0, 2]],     // 9:  left
+    null,         // 10: saddle — resolved at runtime
+    [[0, 1]],     // 11: all except top-right
+    [[3, 1]],     // 12: top
+    [[2, 1]],     // 13: all except bottom-right
+    [[3, 2]],     // 14: all except bottom-left
+    []            // 15: all corners above — no edges
+];
+
+// Edge-to-normal-index mapping: 0=tl->tr, 1=tr->br, 2=bl->br, 3=tl->bl
+const EDGE_NORMAL_MAP = [[0, 1], [1, 2], [3, 2], [0, 3]];
+
+// Isoband pieces of a cell as corner lists (0=tl, 1=tr, 2=br, 3=bl): the
+// whole cell, or two triangles split along a diagonal
+const WHOLE_CELL = [[0, 1, 2, 3]];
+const SPLIT_TL_BR = [[0, 1, 2], [0, 2, 3]];
+const SPLIT_TR_BL = [[0, 1, 3], [1, 2, 3]];
+
+// Grid rows per isoband progress step
+const ISOBAND_ROW_CHUNK = 32;
+
+/** Values per label anchor: x, y, z, dx, dz (unit direction along the line), elevation, rank. */
+export const CONTOUR_LABEL_STRIDE = 7;
+
+/** Highest label rank (labels of rank r repeat every 2^(MAX_LABEL_RANK - r) spacings). */
+export const MAX_LABEL_RANK = 2;
+
+// Gaussian kernels reach this many sigmas either side
+const SMOOTHING_RADIUS = 3;
+
+// Draped pieces shorter than this share of a segment are merged
+const CROSSING_EPSILON = 1e-6;
+
+// Lines shorter than this share of the label spacing get no label
+const MIN_LABELED_LENGTH = 0.25;
+
+// Direction is the chord over this share of the spacing around the anchor
+const LABEL_DIRECTION_WINDOW = 0.05;
+
+/**
+ * Generate contour line segments for all thresholds between the minimum
+ * elevation and the reference.
+ * @param {Object} params
+ * @param {Float32Array} params.elevationData
+ * @param {number} params.elevationWidth
+ * @param {number} params.elevationHeight
+ * @param {number|null} params.noDataValue
+ * @param {number} params.gridWidth - Contour grid width (mesh grid)
+ * @param {number} params.gridHeight
+ * @param {number} params.modelWidth
+ * @param {number} params.modelHeight
+ * @param {number} params.heightScale
+ * @param {number} params.heightOffset - Offset along the surface normal (above the mesh
+ *   surface with a contour raster)
+ * @param {Object|null} [params.contourRaster=null] - { elevationData, elevationWidth,
+ *   elevationHeight, noDataValue }: trace the contours at this raster's pixels instead of
+ *   on the mesh grid, draped on the mesh surface (see drapeSegments())
+ * @param {number} [params.smoothing=0] - Gaussian sigma in contour raster pixels (contour raster only)
+ * @param {number} params.referenceElevation
+ * @param {number} params.minElevation
+ * @param {number} params.interval
+ * @param {number} [params.simplifyTolerance=0]
+ * @param {number} [params.maxVertices=0] - Stop once exceeded (0 = no limit)
+ * @param {number} [params.labelEvery=0] - Label every nth contour (the index contours; 0 = no labels)
+ * @param {number} [params.labelSpacing=0] - Distance between labels along a line (model units)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - (fraction) => void
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ segments: Float32Array, vertexCount: number, segmentThresholds: Uint32Array,
+ *   thresholds: number[], labels: Float32Array, aborted: boolean, thresholdCount: number }>}
+ *   segmentThresholds: index into thresholds of each segment (index i is i + 1 intervals
+ *   below the reference); labels: CONTOUR_LABEL_STRIDE values per label
+ */
+export async function generateContourSegments(params, { onProgress, signal } = {}) {
+    const {
+        gridWidth: gw, gridHeight: gh, modelWidth, modelHeight,
+        heightScale, heightOffset, referenceElevation, minElevation, interval,
+        simplifyTolerance = 0, maxVertices = 0, labelEvery = 0, labelSpacing = 0,
+        contourRaster = null, smoothing = 0
+    } = params;
+
+    const thresholds = buildContourThresholds(referenceElevation, minElevation, interval);
+    if (thresholds.length === 0) {
+        return emptyContourResult(thresholds, false, 0, 0);
+    }
+
+    let ctx;
+    if (contourRaster) {
+        // Traced at the raster's pixels at the contour height, then draped on the mesh
+        const rw = contourRaster.elevationWidth;
+        const rh = contourRaster.elevationHeight;
+        const { grid, modelX, modelZ } = buildContourGrid(contourRaster, rw, rh, modelWidth, modelHeight);
+        ctx = {
+            grid: smoothing > 0 ? smoothContourGrid(grid, rw, rh, smoothing) : grid,
+            gw: rw, gh: rh, heightScale, heightOffset: 0, modelX, modelZ, vertexNormals: null, referenceElevation,
+            surface: buildMeshSurface(params)
+        };
+    } else {
+        const { grid, modelX, modelZ } = buildContourGrid(params, gw, gh, modelWidth, modelHeight);
+        const vertexNormals = precomputeVertexNormals(grid, gw, gh, modelWidth, modelHeight, heightScale);
+        ctx = { grid, gw, gh, heightScale, heightOffset, modelX, modelZ, vertexNormals, referenceElevation, surface: null };
+    }
+    ctx.rowRanges = contourRowRanges(ctx.grid, ctx.gw, ctx.gh);
+
+    const segmentChunks = [];
+    const chunkThresholds = [];
+    const labels = [];
+    let totalVertices = 0;
+
+    for (let ti = 0; ti < thresholds.length; ti++) {
+        const threshold = thresholds[ti];
+        const chunkData = processThreshold(threshold, ctx);
+        const contourY = (threshold - referenceElevation) * heightScale;
+        const labeled = labelSpacing > 0 && isIndexContour(ti, labelEvery);
+
+        if (chunkData.length > 0) {
+            let result = chunkData;
+            if (simplifyTolerance > 0 || labeled) {
+                const polylines = chainSegments(chunkData).map(poly =>
+                    simplifyTolerance > 0 ? simplifyPolyline2D(poly, simplifyTolerance) : poly);
+                if (simplifyTolerance > 0) result = polylinesToSegments(polylines, contourY);
+                if (labeled) {
+                    for (const poly of polylines) {
+                        for (const [x, z, dx, dz, rank] of placeContourLabels(poly, labelSpacing)) {
+                            const y = ctx.surface ? drapedHeight(ctx.surface, x, z, contourY) : contourY;
+                            labels.push(x, y, z, dx, dz, threshold, rank);
+                        }
+                    }
+                }
+            }
+            if (ctx.surface) result = drapeSegments(result, ctx.surface);
+            segmentChunks.push(result);
+            chunkThresholds.push(ti);
+            totalVertices += result.length / 3;
+        }
+
+        if (onProgress) onProgress((ti + 1) / thresholds.length);
+
+        if (maxVertices > 0 && totalVertices > maxVertices) {
+            return emptyContourResult(thresholds, true, totalVertices, ti + 1);
+        }
+
+        await new Promise(r => setTimeout(r, 0));
+        throwIfAborted(signal);
+    }
+
+    const segments = new Float32Array(totalVertices * 3);
+    const segmentThresholds = new Uint32Array(totalVertices / 2);
+    let offset = 0;
+    for (let c = 0; c < segmentChunks.length; c++) {
+        const chunk = segmentChunks[c];
+        segments.set(chunk, offset);
+        segmentThresholds.fill(chunkThresholds[c], offset / 6, (offset + chunk.length) / 6);
+        offset += chunk.length;
+    }
+
+    return {
+        segments, vertexCount: totalVertices, segmentThresholds, thresholds,
+        labels: new Float32Array(labels), aborted: false, thresholdCount: thresholds.length
+    };
+}
+
+/**
+ * Contour result without segments (no thresholds, or over the vertex budget).
+ * @returns {Object}
+ */
+function emptyContourResult(thresholds, aborted, vertexCount, thresholdCount) {
+    return {
+        segments: new Float32Array(0), vertexCount, segmentThresholds: new Uint32Array(0), thresholds,
+        labels: new Float32Array(0), aborted, thresholdCount
+    };
+}
+
+/**
+ * Whether a contour is an index (major) contour: every nth interval below
+ * the reference, the ones labelled.
+ * @param {number} thresholdIndex - Index in buildContourThresholds() order
+ * @param {number} every - Index contour spacing in intervals (0 = none)
+ * @returns {boolean}
+ */
+export function isIndexContour(thresholdIndex, every) {
+    return every > 0 && (thresholdIndex + 1) % every === 0;
+}
+
+/**
+ * Split contour segments into index (major) and intermediate (minor) contours.
+ * @param {Float32Array} segments - 6 values per segment
+ * @param {Uint32Array|null} segmentThresholds - Threshold index per segment (null: all minor)
+ * @param {number} every - Index contour spacing in intervals (0 = all minor)
+ * @returns {{ major: Float32Array, minor: Float32Array }}
+ */
+export function splitIndexContours(segments, segmentThresholds, every) {
+    const count = segments.length / 6;
+    if (!segmentThresholds || !(every > 0)) {
+        return { major: new Float32Array(0), minor: segments };
+    }
+
+    let majorCount = 0;
+    for (let i = 0; i < count; i++) {
+        if (isIndexContour(segmentThresholds[i], every)) majorCount++;
+    }
+    const major = new Float32Array(majorCount * 6);
+    const minor = new Float32Array((count - majorCount) * 6);
+    let m = 0;
+    let n = 0;
+    for (let i = 0; i < count; i++) {
+        const segment = segments.subarray(i * 6, i * 6 + 6);
+        if (isIndexContour(segmentThresholds[i], every)) {
+            major.set(segment, m);
+            m += 6;
+        } else {
+            minor.set(segment, n);
+            n += 6;
+        }
+    }
+    return { major, minor };
+}
+
+/**
+ * Build the list of contour elevation thresholds.
+ * @param {number} referenceElevation
+ * @param {number} minElevation
+ * @param {number} interval
+ * @returns {number[]}
+ */
+export function buildContourThresholds(referenceElevation, minElevation, interval) {
+    const maxContourDepth = Math.round(referenceElevation - minElevation);
+    const thresholds = [];
+    for (let depth = interval; depth <= maxContourDepth; depth += interval) {
+        const ahdLevel = referenceElevation - depth;
+        if (ahdLevel >= minElevation) {
+            thresholds.push(ahdLevel);
+        }
+    }
+    return thresholds;
+}
+
+/**
+ * Build the elevation sampling grid and model coordinate arrays for contouring.
+ * @param {Object} raster - { elevationData, elevationWidth, elevationHeight, noDataValue }
+ * @param {number} gw - Grid width
+ * @param {number} gh - Grid height
+ * @param {number} modelWidth
+ * @param {number} modelHeight
+ * @returns {{ grid: Float32Array, modelX: Float32Array, modelZ: Float32Array }}
+ */
+export function buildContourGrid(raster, gw, gh, modelWidth, modelHeight) {
+    const grid = new Float32Array(gw * gh);
+    for (let gy = 0; gy < gh; gy++) {
+        const v = gy / (gh - 1);
+        for (let gx = 0; gx < gw; gx++) {
+            const u = gx / (gw - 1);
+            grid[gy * gw + gx] = sampleElevation(raster, u, v);
+        }
+    }
+
+    const halfW = modelWidth / 2;
+    const halfH = modelHeight / 2;
+    const modelX = new Float32Array(gw);
+    const modelZ = new Float32Array(gh);
+    for (let gx = 0; gx < gw; gx++) {
+        modelX[gx] = (gx / (gw - 1)) * modelWidth - halfW;
+    }
+    for (let gy = 0; gy < gh; gy++) {
+        modelZ[gy] = (gy / (gh - 1)) * modelHeight - halfH;
+    }
+
+    return { grid, modelX, modelZ };
+}
+
+/**
+ * Gaussian-smooth a contour grid (separable, rows then columns). Only valid
+ * samples are weighted, so NoData neither spreads nor pulls edges toward
+ * zero; NoData points stay NaN.
+ * @param {Float32Array} grid - Elevation grid (NaN for NoData)
+ * @param {number} gw
+ * @param {number} gh
+ * @param {number} sigma - Standard deviation in grid points
+ * @returns {Float32Array} New grid
+ */
+export function smoothContourGrid(grid, gw, gh, sigma) {
+    const radius = Math.max(1, Math.ceil(sigma * SMOOTHING_RADIUS));
+    const kernel = new Float32Array(radius * 2 + 1);
+    for (let k = -radius; k <= radius; k++) {
+        kernel[k + radius] = Math.exp(-(k * k) / (2 * sigma * sigma));
+    }
+
+    const pass = (src, dst, length, count, stride, step) => {
+        for (let line = 0; line < count; line++) {
+            const start = line * stride;
+            for (let i = 0; i < length; i++) {
+                const center = start + i * step;
+                if (Number.isNaN(src[center])) {
+                    dst[center] = NaN;
+                    continue;
+                }
+                let sum = 0;
+                let weight = 0;
+                for (let k = Math.max(-radius, -i); k <= Math.min(radius, length - 1 - i); k++) {
+                    const v = src[center + k * step];
+                    if (Number.isNaN(v)) continue;
+                    sum += v * kernel[k + radius];
+                    weight += kernel[k + radius];
+                }
+                dst[center] = sum / weight;
+            }
+        }
+    };
+
+    const rows = new Float32Array(grid.length);
+    const result = new Float32Array(grid.length);
+    pass(grid, rows, gw, gh, gw, 1);
+    pass(rows, result, gh, gw, 1, gw);
+    return result;
+}
+
+/**
+ * Precompute per-vertex surface normals using central differences.
+ * Ensures contour points on shared edges get identical offsets
+ * regardless of which cell generates them.
+ * @param {Float32Array} grid - Elevation grid
+ * @param {number} gw - Grid width
+ * @param {number} gh - Grid height
+ * @param {number} modelWidth
+ * @param {number} modelHeight
+ * @param {number} heightScale - Height scaling factor
+ * @returns {Float32Array} Vertex normals array (gw * gh * 3)
+ */
+export function precomputeVertexNormals(grid, gw, gh, modelWidth, modelHeight, heightScale) {
+    const cellW = modelWidth / (gw - 1);
+    const cellH = modelHeight / (gh - 1);
+    const vertexNormals = new Float32Array(gw * gh * 3);
+
+    for (let gy = 0; gy < gh; gy++) {
+        for (let gx = 0; gx < gw; gx++) {
+            const idx = (gy * gw + gx) * 3;
+            computeVertexNormal(grid, gw, gh, gx, gy, cellW, cellH, heightScale, vertexNormals, idx);
+        }
+    }
+
+    return vertexNormals;
+}
+
+/**
+ * Compute normal for a single grid vertex using central differences.
+ */
+function computeVertexNormal(grid, gw, gh, gx, gy, cellW, cellH, heightScale, out, idx) {
+    const c = grid[gy * gw + gx];
+    if (Number.isNaN(c)) {
+        out[idx] = 0;
+        out[idx + 1] = 1;
+        out[idx + 2] = 0;
+        return;
+    }
+
+    const left  = gx > 0      ? grid[gy * gw + gx - 1] : c;
+    const right = gx < gw - 1 ? grid[gy * gw + gx + 1] : c;
+    const up    = gy > 0      ? grid[(gy - 1) * gw + gx] : c;
+    const down  = gy < gh - 1 ? grid[(gy + 1) * gw + gx] : c;
+
+    const l = Number.isNaN(left) ? c : left;
+    const r = Number.isNaN(right) ? c : right;
+    const u = Number.isNaN(up) ? c : up;
+    const d = Number.isNaN(down) ? c : down;
+
+    const dx = (gx > 0 && gx < gw - 1) ? 2 : 1;
+    const dz = (gy > 0 && gy < gh - 1) ? 2 : 1;
+
+    const gradX = (r - l) / (dx * cellW) * heightScale;
+    const gradZ = (d - u) / (dz * cellH) * heightScale;
+    const nLen = Math.sqrt(gradX * gradX + 1 + gradZ * gradZ);
+    out[idx]     = -gradX / nLen;
+    out[idx + 1] = 1 / nLen;
+    out[idx + 2] = -gradZ / nLen;
+}
+
+/**
+ * Elevation range of each row of cells, so thresholds outside it skip the row.
+ * @param {Float32Array} grid - Elevation grid (NaN for NoData)
+ * @param {number} gw
+ * @param {number} gh
+ * @returns {Float32Array} min, max per cell row (Infinity, -Infinity without data)
+ */
+function contourRowRanges(grid, gw, gh) {
+    const rowRanges = new Float32Array(Math.max(0, gh - 1) * 2);
+    let prevMin = Infinity;
+    let prevMax = -Infinity;
+    for (let gy = 0; gy < gh; gy++) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = gy * gw; i < (gy + 1) * gw; i++) {
+            const v = grid[i];
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+        if (gy > 0) {
+            rowRanges[(gy - 1) * 2] = Math.min(prevMin, min);
+            rowRanges[(gy - 1) * 2 + 1] = Math.max(prevMax, max);
+        }
+        prevMin = min;
+        prevMax = max;
+    }
+    return rowRanges;
+}
+
+/**
+ * Process all cells for a single contour threshold.
+ * @param {number} threshold - Contour threshold elevation
+ * @param {Object} ctx - Contour context { grid, gw, gh, heightScale, heightOffset, modelX, modelZ,
+ *   vertexNormals, referenceElevation, rowRanges? }
+ * @returns {number[]} Segment vertex data
+ */
+export function processThreshold(threshold, ctx) {
+    const contourY = (threshold - ctx.referenceElevation) * ctx.heightScale;
+    const { rowRanges } = ctx;
+    const chunkData = [];
+
+    for (let gy = 0; gy < ctx.gh - 1; gy++) {
+        // All of the row on one side of the threshold
+        if (rowRanges && (threshold <= rowRanges[gy * 2] || threshold > rowRanges[gy * 2 + 1])) continue;
+        for (let gx = 0; gx < ctx.gw - 1; gx++) {
+            processContourCell(gx, gy, threshold, contourY, ctx, chunkData);
+        }
+    }
+
+    return chunkData;
+}
+
+/**
+ * Process a single contour cell using marching squares.
+ * @param {number} gx - Grid X index
+ * @param {number} gy - Grid Y index
+ * @param {number} threshold - Contour threshold
+ * @param {number} contourY - Y position for contour
+ * @param {Object} ctx - Contour context { grid, gw, heightOffset, modelX, modelZ, vertexNormals }
+ * @param {number[]} chunkData - Output array to push segment data into
+ */
+function processContourCell(gx, gy, threshold, contourY, ctx, chunkData) {
+    const { grid, gw, heightOffset, modelX, modelZ, vertexNormals } = ctx;
+    const rowOffset = gy * gw;
+    const nextRowOffset = (gy + 1) * gw;
+
+    const tl = grid[rowOffset + gx];
+    const tr = grid[rowOffset + gx + 1];
+    const br = grid[nextRowOffset + gx + 1];
+    const bl = grid[nextRowOffset + gx];
+
+    if (Number.isNaN(tl) || Number.isNaN(tr) || Number.isNaN(br) || Number.isNaN(bl)) return;
+
+    const caseBits = (tl >= threshold ? 8 : 0)
+                   | (tr >= threshold ? 4 : 0)
+                   | (br >= threshold ? 2 : 0)
+                   | (bl >= threshold ? 1 : 0);
+
+    if (caseBits === 0 || caseBits === 15) return;
+
+    const edges = resolveEdges(caseBits, tl, tr, br, bl, threshold);
+
+    const corners = { tl, tr, br, bl };
+    const bounds = { x0: modelX[gx], x1: modelX[gx + 1], z0: modelZ[gy], z1: modelZ[gy + 1] };
+
+    const ntl = (gy * gw + gx) * 3;
+    const ntr = (gy * gw + gx + 1) * 3;
+    const nbr = ((gy + 1) * gw + gx + 1) * 3;
+    const nbl = ((gy + 1) * gw + gx) * 3;
+    const normalIndices = [ntl, ntr, nbr, nbl];
+
+    for (const [e0, e1] of edges) {
+        emitContourSegment(e0, e1, threshold, corners, bounds, normalIndices, contourY, heightOffset, vertexNormals, chunkData);
+    }
+}
+
+/**
+ * Resolve marching squares edges for a case, including saddle resolution.
+ */
+function resolveEdges(caseBits, tl, tr, br, bl, threshold) {
+    if (caseBits === 5) {
+        const center = (tl + tr + br + bl) * 0.25;
+        return center >= threshold ? [[3, 0], [2, 1]] : [[0, 1], [3, 2]];
+    }
+    if (caseBits === 10) {
+        const center = (tl + tr + br + bl) * 0.25;
+        return center >= threshold ? [[0, 1], [3, 2]] : [[3, 0], [2, 1]];
+    }
+    return MS_EDGE_TABLE[caseBits];
+}
+
+/**
+ * Emit a single contour line segment with normal-offset positions (at the
+ * contour height without normals).
+ */
+function emitContourSegment(e0, e1, threshold, corners, bounds, normalIndices, contourY, heightOffset, vertexNormals, chunkData) {
+    const p0 = interpolateEdge(e0, threshold, corners, bounds);
+    const p1 = interpolateEdge(e1, threshold, corners, bounds);
+    if (!vertexNormals) {
+        chunkData.push(p0[0], contourY, p0[1], p1[0], contourY, p1[1]);
+        return;
+    }
+
+    const [ni0a, ni0b] = EDGE_NORMAL_MAP[e0];
+    const [ni1a, ni1b] = EDGE_NORMAL_MAP[e1];
+
+    const n0 = interpolateNormal(vertexNormals, normalIndices[ni0a], normalIndices[ni0b], p0[2]);
+    const n1 = interpolateNormal(vertexNormals, normalIndices[ni1a], normalIndices[ni1b], p1[2]);
+
+    chunkData.push(
+        p0[0] + n0[0] * heightOffset, contourY + n0[1] * heightOffset, p0[1] + n0[2] * heightOffset,
+        p1[0] + n1[0] * heightOffset, contourY + n1[1] * heightOffset, p1[1] + n1[2] * heightOffset
+    );
+}
+
+/**
+ * Interpolate a normal between two vertex normals.
+ */
+function interpolateNormal(vertexNormals, i0, i1, t) {
+    return [
+        vertexNormals[i0]     + t * (vertexNormals[i1]     - vertexNormals[i0]),
+        vertexNormals[i0 + 1] + t * (vertexNormals[i1 + 1] - vertexNormals[i0 + 1]),
+        vertexNormals[i0 + 2] + t * (vertexNormals[i1 + 2] - vertexNormals[i0 + 2])
+    ];
+}
+
+/**
+ * Interpolate crossing position along a marching squares cell edge.
+ * @param {number} edge - Edge index (0=top, 1=right, 2=bottom, 3=left)
+ * @param {number} threshold - Contour threshold value
+ * @param {{tl: number, tr: number, br: number, bl: number}} corners - Corner elevation values
+ * @param {{x0: number, x1: number, z0: number, z1: number}} bounds - Cell spatial bounds
+ * @returns {number[]} [x, z, t] interpolated position and parameter
+ */
+export function interpolateEdge(edge, threshold, corners, bounds) {
+    const { tl, tr, br, bl } = corners;
+    const { x0, x1, z0, z1 } = bounds;
+    let t;
+    switch (edge) {
+        case 0:
+            t = (threshold - tl) / (tr - tl);
+            return [x0 + t * (x1 - x0), z0, t];
+        case 1:
+            t = (threshold - tr) / (br - tr);
+            return [x1, z0 + t * (z1 - z0), t];
+        case 2:
+            t = (threshold - bl) / (br - bl);
+            return [x0 + t * (x1 - x0), z1, t];
+        case 3:
+            t = (threshold - tl) / (bl - tl);
+            return [x0, z0 + t * (z1 - z0), t];
+    }
+}
+
+/**
+ * Terrain mesh surface for draping: heights at the mesh grid points (as the
+ * mesh is displaced), triangulated like THREE.PlaneGeometry, each cell split
+ * along its top-right to bottom-left diagonal.
+ * @param {Object} params - generateContourSegments() params (mesh raster and grid)
+ * @returns {Object} { heights, gw, gh, cellW, cellH, halfW, halfH, heightOffset }
+ */
+function buildMeshSurface(params) {
+    const { gridWidth: gw, gridHeight: gh, modelWidth, modelHeight, heightScale, heightOffset, referenceElevation } = params;
+    const { grid } = buildContourGrid(params, gw, gh, modelWidth, modelHeight);
+    const heights = new Float32Array(grid.length);
+    for (let i = 0; i < grid.length; i++) {
+        heights[i] = (grid[i] - referenceElevation) * heightScale;
+    }
+    return {
+        heights, gw, gh,
+        cellW: modelWidth / (gw - 1),
+        cellH: modelHeight / (gh - 1),
+        halfW: modelWidth / 2,
+        halfH: modelHeight / 2,
+        heightOffset
+    };
+}
+
+/**
+ * Height of the mesh surface at a point, plus the surface's heightOffset.
+ * @param {Object} surface - buildMeshSurface() result
+ * @param {number} x - Model X
+ * @param {number} z - Model Z
+ * @param {number} fallback - Height where the mesh has NoData
+ * @returns {number}
+ */
+export function drapedHeight(surface, x, z, fallback) {
+    const { heights, gw, gh } = surface;
+    const u = (x + surface.halfW) / surface.cellW;
+    const w = (z + surface.halfH) / surface.cellH;
+    const gx = Math.min(Math.max(Math.floor(u), 0), gw - 2);
+    const gy = Math.min(Math.max(Math.floor(w), 0), gh - 2);
+    const fx = u - gx;
+    const fz = w - gy;
+
+    const tl = heights[gy * gw + gx];
+    const tr = heights[gy * gw + gx + 1];
+    const br = heights[(gy + 1) * gw + gx + 1];
+    const bl = heights[(gy + 1) * gw + gx];
+    const height = fx + fz <= 1
+        ? tl + fx * (tr - tl) + fz * (bl - tl)
+        : br + (1 - fx) * (bl - br) + (1 - fz) * (tr - br);
+    return (Number.isNaN(height) ? fallback : height) + surface.heightOffset;
+}
+
+/**
+ * Drape segments on the mesh surface: split each where it crosses a mesh
+ * cell edge or diagonal, so every piece lies over a single mesh triangle
+ * and runs parallel to it, heightOffset above. Points over NoData keep
+ * their height.
+ * @param {number[]} data - Segment data (6 values per segment), y the contour height
+ * @param {Object} surface - buildMeshSurface() result
+ * @returns {number[]}
+ */
+export function drapeSegments(data, surface) {
+    const out = [];
+    for (let i = 0; i < data.length; i += 6) {
+        const ax = data[i], y = data[i + 1], az = data[i + 2];
+        const bx = data[i + 3], bz = data[i + 5];
+        let px = ax;
+        let pz = az;
+        let py = drapedHeight(surface, ax, az, y);
+        for (const t of meshCrossings(surface, ax, az, bx, bz)) {
+            const qx = ax + t * (bx - ax);
+            const qz = az + t * (bz - az);
+            const qy = drapedHeight(surface, qx, qz, y);
+            out.push(px, py, pz, qx, qy, qz);
+            px = qx;
+            pz = qz;
+            py = qy;
+        }
+    }
+    return out;
+}
+
+/**
+ * Parameters along a segment where it crosses mesh grid lines or cell
+ * diagonals (u + w whole), in order and ending with 1.
+ * @returns {number[]}
+ */
+function meshCrossings(surface, ax, az, bx, bz) {
+    const ua = (ax + surface.halfW) / surface.cellW;
+    const wa = (az + surface.halfH) / surface.cellH;
+    const ub = (bx + surface.halfW) / surface.cellW;
+    const wb = (bz + surface.halfH) / surface.cellH;
+
+    const ts = [];
+    const cross = (a, b) => {
+        for (let k = Math.floor(Math.min(a, b)) + 1; k < Math.max(a, b); k++) {
+            ts.push((k - a) / (b - a));
+        }
+    };
+    cross(ua, ub);
+    cross(wa, wb);
+    cross(ua + wa, ub + wb);
+    ts.sort((p, q) => p - q);
+
+    // Through a grid point several lines cross at once
+    const result = [];
+    for (const t of ts) {
+        if (t - (result[result.length - 1] ?? 0) > CROSSING_EPSILON && t < 1 - CROSSING_EPSILON) result.push(t);
+    }
+    result.push(1);
+    return result;
+}
+
+/**
+ * Generate filled contour bands (isobands) between successive thresholds:
+ * band 0 from the first threshold up to the reference, band i between
+ * thresholds i - 1 and i, and the last band everything below the last
+ * threshold. Each cell is clipped to every band it overlaps by walking its
+ * edges, with crossings interpolated like interpolateEdge(), so band edges
+ * follow the contour lines. Saddles are resolved by the center average like
+ * resolveEdges(): when a band's side of a saddle is disconnected, the cell
+ * is split along the diagonal between the corners outside the band. NoData
+ * cells are skipped like processContourCell(). Every piece is convex and
+ * triangulated as a fan.
+ * @param {Object} params - As generateContourSegments() (without heightOffset,
+ *   simplification and labels)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - (fraction) => void
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ positions: Float32Array, elevations: Float32Array, bands: Float32Array,
+ *   indices: Uint32Array, levels: number[], vertexCount: number, aborted: boolean }>}
+ *   positions: x, 0, z per vertex; elevations: the corner elevation, or the threshold on
+ *   a band edge; bands: band index per vertex; levels: band b spans levels[b + 1] to
+ *   levels[b] (the reference, the thresholds, then minElevation); the first band also
+ *   takes values above the reference and the last those below minElevation
+ */
+export async function generateIsobands(params, { onProgress, signal } = {}) {
+    const {
+        gridWidth: gw, gridHeight: gh, modelWidth, modelHeight,
+        referenceElevation, minElevation, interval, maxVertices = 0
+    } = params;
+
+    const thresholds = buildContourThresholds(referenceElevation, minElevation, interval);
+    // The first band reaches up through depth 0 (at or above the reference), the
+    // last down through any value below the last threshold
+    const levels = [Infinity, ...thresholds, -Infinity];
+    const { grid, modelX, modelZ } = buildContourGrid(params, gw, gh, modelWidth, modelHeight);
+    const ctx = { grid, gw, modelX, modelZ, levels };
+    const out = { positions: [], elevations: [], bands: [], indices: [] };
+
+    let aborted = false;
+    await processInChunks(gh - 1, ISOBAND_ROW_CHUNK, (gy) => {
+        if (aborted) return;
+        for (let gx = 0; gx < gw - 1; gx++) {
+            processIsobandCell(gx, gy, ctx, out);
+        }
+        aborted = maxVertices > 0 && out.bands.length > maxVertices;
+    }, (completed, total) => {
+        if (onProgress) onProgress(completed / total);
+    }, signal);
+
+    levels[0] = referenceElevation;
+    levels[levels.length - 1] = minElevation;
+    const vertexCount = out.bands.length;
+    if (aborted) {
+        return {
+            positions: new Float32Array(0), elevations: new Float32Array(0), bands: new Float32Array(0),
+            indices: new Uint32Array(0), levels, vertexCount, aborted
+        };
+    }
+    return {
+        positions: new Float32Array(out.positions),
+        elevations: new Float32Array(out.elevations),
+        bands: new Float32Array(out.bands),
+        indices: new Uint32Array(out.indices),
+        levels, vertexCount, aborted
+    };
+}
+
+/**
+ * Clip a single cell to every band it overlaps.
+ * @param {number} gx - Grid X index
+ * @param {number} gy - Grid Y index
+ * @param {Object} ctx - { grid, gw, modelX, modelZ, levels }
+ * @param {Object} out - { positions, elevations, bands, indices } arrays to push into
+ */
+function processIsobandCell(gx, gy, ctx, out) {
+    const { grid, gw, modelX, modelZ, levels } = ctx;
+    const ids = [gy * gw + gx, gy * gw + gx + 1, (gy + 1) * gw + gx + 1, (gy + 1) * gw + gx];
+    const values = ids.map(i => grid[i]);
+    if (values.some(Number.isNaN)) return;
+
+    const cell = {
+        ids, values,
+        x: [modelX[gx], modelX[gx + 1], modelX[gx + 1], modelX[gx]],
+        z: [modelZ[gy], modelZ[gy], modelZ[gy + 1], modelZ[gy + 1]],
+        center: (values[0] + values[1] + values[2] + values[3]) * 0.25
+    };
+
+    // Bands whose range overlaps the cell's (levels run downward)
+    const first = Math.max(0, levelIndexAtOrBelow(levels, Math.max(...values)) - 1);
+    const last = levelIndexAtOrBelow(levels, Math.min(...values)) - 1;
+    for (let band = first; band <= last; band++) {
+        const upper = levels[band];
+        const lower = levels[band + 1];
+        for (const piece of cellPieces(cell, lower, upper)) {
+            emitIsobandPiece(piece, cell, lower, upper, band, out);
+        }
+    }
+}
+
+/**
+ * Index of the first level at or below a value.
+ * @param {number[]} levels - Descending, from Infinity to -Infinity
+ * @param {number} value
+ * @returns {number}
+ */
+function levelIndexAtOrBelow(levels, value) {
+    let lo = 0;
+    let hi = levels.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (levels[mid] <= value) hi = mid;
+        else lo = mid + 1;
+    }
+    return lo;
+}
+
+/**
+ * Pieces of a cell for one band. A band keeps the corners at or above its
+ * lower threshold, so a saddle of that threshold with the center below
+ * separates them; likewise the corners below the upper threshold when the
+ * center is at or above it. At most one of the two applies.
+ * @returns {number[][]} Corner lists
+ */
+function cellPieces(cell, lower, upper) {
+    const { values, center } = cell;
+    if (center < lower && isSaddle(values, lower)) {
+        return values[0] < lower ? SPLIT_TL_BR : SPLIT_TR_BL;
+    }
+    if (center >= upper && isSaddle(values, upper)) {
+        return values[0] >= upper ? SPLIT_TL_BR : SPLIT_TR_BL;
+    }
+    return WHOLE_CELL;
+}
+
+/**
+ * Marching squares cases 5 and 10: diagonal corners on the same side.
+ */
+function isSaddle(values, threshold) {
+    const tl = values[0] >= threshold;
+    const tr = values[1] >= threshold;
+    return tl === (values[2] >= threshold) && tr === (values[3] >= threshold) && tl !== tr;
+}
+
+/**
+ * Walk a piece's edges, keeping corners inside the band and the band's
+ * threshold crossings in order, and emit the polygon as a triangle fan.
+ */
+function emitIsobandPiece(piece, cell, lower, upper, band, out) {
+    const { values } = cell;
+    const points = [];
+    const push = (x, z, elevation) => {
+        const prev = points[points.length - 1];
+        if (!prev || prev[0] !== x || prev[1] !== z) points.push([x, z, elevation]);
+    };
+
+    for (let k = 0; k < piece.length; k++) {
+        const a = piece[k];
+        const b = piece[(k + 1) % piece.length];
+        if (values[a] >= lower && values[a] < upper) push(cell.x[a], cell.z[a], values[a]);
+
+        // Diagonals join corners outside the band on the same side (see cellPieces())
+        if ((a + b) % 2 === 0) continue;
+        const crossings = values[a] < values[b] ? [lower, upper] : [upper, lower];
+        for (const threshold of crossings) {
+            if ((values[a] < threshold) !== (values[b] < threshold)) {
+                const [x, z] = crossCellEdge(cell, a, b, threshold);
+                push(x, z, threshold);
+            }
+        }
+    }
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) points.pop();
+    if (points.length < 3) return;
+
+    const base = out.bands.length;
+    for (const [x, z, elevation] of points) {
+        out.positions.push(x, 0, z);
+        out.elevations.push(elevation);
+        out.bands.push(band);
+    }
+    for (let k = 1; k < points.length - 1; k++) {
+        out.indices.push(base, base + k, base + k + 1);
+    }
+}
+
+/**
+ * Threshold crossing on a cell edge, interpolated from the corner first in
+ * the grid (as interpolateEdge() does), so both cells sharing the edge get
+ * the same point.
+ * @returns {number[]} [x, z]
+ */
+function crossCellEdge(cell, a, b, threshold) {
+    const [p, q] = cell.ids[a] < cell.ids[b] ? [a, b] : [b, a];
+    const { values, x, z } = cell;
+    const t = (threshold - values[p]) / (values[q] - values[p]);
+    return [x[p] + t * (x[q] - x[p]), z[p] + t * (z[q] - z[p])];
+}
+
+/**
+ * Outline rings of each band: triangle edges shared within a band run both
+ * ways and cancel, and the rest chain into closed rings.
+ * @param {{ positions: Float32Array, bands: Float32Array, indices: Uint32Array }} isobands -
+ *   generateIsobands() result
+ * @returns {Map<number, number[][][]>} Band index -> rings as [[x, z], ...] (first point
+ *   repeated). Outer rings run like the cell corners (positive area in x, z), holes the other way
+ */
+export function isobandRings(isobands) {
+    const { positions, bands, indices } = isobands;
+    const key = (v) => positions[v * 3] + ',' + positions[v * 3 + 2];
+
+    const edgesByBand = new Map();
+    for (let t = 0; t < indices.length; t += 3) {
+        const band = bands[indices[t]];
+        let edges = edgesByBand.get(band);
+        if (!edges) edgesByBand.set(band, edges = new Map());
+        for (let k = 0; k < 3; k++) {
+            const a = indices[t + k];
+            const b = indices[t + (k + 1) % 3];
+            const from = key(a);
+            const to = key(b);
+            if (from === to) continue;
+            if (!edges.delete(to + ';' + from)) {
+                edges.set(from + ';' + to, { from, to, point: [positions[a * 3], positions[a * 3 + 2]], used: false });
+            }
+        }
+    }
+
+    const rings = new Map();
+    for (const [band, edges] of edgesByBand) {
+        const outgoing = new Map();
+        for (const edge of edges.values()) {
+            let list = outgoing.get(edge.from);
+            if (!list) outgoing.set(edge.from, list = []);
+            list.push(edge);
+        }
+
+        // Every point has as many edges in as out, so a walk ends where it started
+        const bandRings = [];
+        for (const start of edges.values()) {
+            if (start.used) continue;
+            const ring = [];
+            for (let edge = start; edge; edge = outgoing.get(edge.to)?.find(e => !e.used)) {
+                edge.used = true;
+                ring.push(edge.point);
+            }
+            ring.push(ring[0]);
+            if (ring.length >= 4) bandRings.push(ring);
+        }
+        rings.set(band, bandRings);
+    }
+    return rings;
+}
+
+/**
+ * Build adjacency map from segment data for chain walking.
+ * @param {number[]} data - Raw segment data (6 values per segment: ax, ay, az, bx, by, bz)
+ * @param {number} segCount - Number of segments
+ * @returns {{ adj: Map, key: Function }} Adjacency map and key function
+ */
+function buildSegmentAdjacency(data, segCount) {
+    const adj = new Map();
+    const key = (x, z) => x + ',' + z;
+
+    for (let i = 0; i < segCount; i++) {
+        const ax = data[i * 6], az = data[i * 6 + 2];
+        const bx = data[i * 6 + 3], bz = data[i * 6 + 5];
+        const ka = key(ax, az);
+        const kb = key(bx, bz);
+
+        let la = adj.get(ka);
+        if (!la) { la = []; adj.set(ka, la); }
+        la.push({ seg: i, end: 0 });
+
+        let lb = adj.get(kb);
+        if (!lb) { lb = []; adj.set(kb, lb); }
+        lb.push({ seg: i, end: 1 });
+    }
+
+    return { adj, key };
+}
+
+/**
+ * Walk a chain of segments in one direction from a starting endpoint.
+ * @param {Map} adj - Adjacency map
+ * @param {string} startKey - Starting endpoint key
+ * @param {Uint8Array} used - Used segment flags (mutated)
+ * @param {number[]} data - Raw segment data
+ * @param {Function} key - Key function for endpoint coordinates
+ * @returns {number[]} Flat array of [x, z, x, z, ...] walked points
+ */
+function walkChain(adj, startKey, used, data, key) {
+    const points = [];
+    let curKey = startKey;
+    for (;;) {
+        const neighbors = adj.get(curKey);
+        if (!neighbors) break;
+        let found = false;
+        for (const n of neighbors) {
+            if (used[n.seg]) continue;
+            used[n.seg] = 1;
+            const off = n.end === 0 ? n.seg * 6 + 3 : n.seg * 6;
+            const nx = data[off], nz = data[off + 2];
+            points.push(nx, nz);
+            curKey = key(nx, nz);
+            found = true;
+            break;
+        }
+        if (!found) break;
+    }
+    return points;
+}
+
+/**
+ * Chain raw marching-squares segments into polylines.
+ * @param {number[]} data - Raw segment data (6 values per segment)
+ * @returns {number[][][]} Polylines as [[x, z], ...]; closed loops repeat their first point
+ */
+export function chainSegments(data) {
+    const segCount = data.length / 6;
+    if (segCount === 0) return [];
+
+    const { adj, key } = buildSegmentAdjacency(data, segCount);
+
+    const used = new Uint8Array(segCount);
+    const polylines = [];
+
+    for (let i = 0; i < segCount; i++) {
+        if (used[i]) continue;
+        used[i] = 1;
+
+        const ax = data[i * 6], az = data[i * 6 + 2];
+        const bx = data[i * 6 + 3], bz = data[i * 6 + 5];
+
+        const fwd = walkChain(adj, key(bx, bz), used, data, key);
+        const bwd = walkChain(adj, key(ax, az), used, data, key);
+
+        const polyLen = (bwd.length / 2) + 2 + (fwd.length / 2);
+        const poly = new Array(polyLen);
+        let pi = 0;
+        for (let j = bwd.length - 2; j >= 0; j -= 2) {
+            poly[pi++] = [bwd[j], bwd[j + 1]];
+        }
+        poly[pi++] = [ax, az];
+        poly[pi++] = [bx, bz];
+        for (let j = 0; j < fwd.length; j += 2) {
+            poly[pi++] = [fwd[j], fwd[j + 1]];
+        }
+        polylines.push(poly);
+    }
+
+    return polylines;
+}
+
+/**
+ * Chain raw marching-squares segments into polylines, simplify, then emit.
+ * @param {number[]} data - Raw segment data
+ * @param {number} contourY - Y for all emitted vertices
+ * @param {number} tolerance - Douglas-Peucker tolerance (model units)
+ * @returns {number[]}
+ */
+export function chainAndSimplifySegments(data, contourY, tolerance) {
+    if (data.length === 0) return data;
+    const polylines = chainSegments(data).map(poly => simplifyPolyline2D(poly, tolerance));
+    return polylinesToSegments(polylines, contourY);
+}
+
+/**
+ * Emit polylines as line segment vertex data at a single height.
+ * @param {number[][][]} polylines
+ * @param {number} contourY
+ * @returns {number[]}
+ */
+function polylinesToSegments(polylines, contourY) {
+    const result = [];
+    for (const poly of polylines) {
+        for (let j = 0; j < poly.length - 1; j++) {
+            result.push(
+                poly[j][0], contourY, poly[j][1],
+                poly[j + 1][0], contourY, poly[j + 1][1]
+            );
+        }
+    }
+    return result;
+}
+
+/**
+ * Place labels at regular spacing along a contour polyline. A line gets
+ * floor(length / spacing) labels (at least one unless it is very short),
+ * evenly spread with half a gap before the first and after the last. Ranks
+ * let the renderer thin labels out by halving: every 4th label has rank 0,
+ * every other one rank 1, the rest rank 2.
+ * @param {number[][]} points - [[x, z], ...]
+ * @param {number} spacing - Model units between labels
+ * @returns {number[][]} [[x, z, dx, dz, rank], ...] with (dx, dz) the unit direction of the line
+ */
+export function placeContourLabels(points, spacing) {
+    if (points.length < 2 || !(spacing > 0)) return [];
+
+    const distances = new Float64Array(points.length);
+    for (let i = 1; i < points.length; i++) {
+        distances[i] = distances[i - 1] + Math.hypot(
+            points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+    }
+    const length = distances[points.length - 1];
+    if (length < spacing * MIN_LABELED_LENGTH) return [];
+
+    const count = Math.max(1, Math.floor(length / spacing));
+    const gap = length / count;
+    const window = Math.min(spacing * LABEL_DIRECTION_WINDOW, gap / 2) / 2;
+    const labels = [];
+    for (let k = 0; k < count; k++) {
+        const d = (k + 0.5) * gap;
+        const [x, z] = pointAlong(points, distances, d);
+        const [ax, az] = pointAlong(points, distances, d - window);
+        const [bx, bz] = pointAlong(points, distances, d + window);
+        const chord = Math.hypot(bx - ax, bz - az);
+        if (chord < 1e-12) continue;
+        const rank = k % 4 === 0 ? 0 : k % 2 === 0 ? 1 : MAX_LABEL_RANK;
+        labels.push([x, z, (bx - ax) / chord, (bz - az) / chord, rank]);
+    }
+    return labels;
+}
+
+/**
+ * Point at a distance along a polyline (clamped to its ends).
+ * @param {number[][]} points
+ * @param {Float64Array} distances - Cumulative length at each point
+ * @param {number} d
+ * @returns {number[]} [x, z]
+ */
+function pointAlong(points, distances, d) {
+    const last = points.length - 1;
+    if (d <= 0) return points[0];
+    if (d >= distances[last]) return points[last];
+
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (distances[mid] <= d) lo = mid; else hi = mid;
+    }
+    const span = distances[hi] - distances[lo];
+    const t = span > 0 ? (d - distances[lo]) / span : 0;
+    return [
+        points[lo][0] + t * (points[hi][0] - points[lo][0]),
+        points[lo][1] + t * (points[hi][1] - points[lo][1])
+    ];
+}
+
+/**
+ * Douglas-Peucker polyline simplification in 2D (XZ plane).
+ * @param {number[][]} points - [[x, z], ...]
+ * @param {number} tolerance
+ * @returns {number[][]}
+ */
+export function simplifyPolyline2D(points, tolerance) {
+    if (points.length <= 2) return points;
+
+    const tolSq = tolerance * tolerance;
+    const first = points[0];
+    const last = points[points.length - 1];
+    const dx = last[0] - first[0];
+    const dz = last[1] - first[1];
+    const lineLenSq = dx * dx + dz * dz;
+
+    let maxDistSq = 0;
+    let maxIdx = 0;
+
+    if (lineLenSq < 1e-20) {
+        for (let i = 1; i < points.length - 1; i++) {
+            const px = points[i][0] - first[0];
+            const pz = points[i][1] - first[1];
+            const dSq = px * px + pz * pz;
+            if (dSq > maxDistSq) { maxDistSq = dSq; maxIdx = i; }
+        }
+    } else {
+        const invLen = 1 / lineLenSq;
+        for (let i = 1; i < points.length - 1; i++) {
+            const px = points[i][0] - first[0];
+            const pz = points[i][1] - first[1];
+            const t = (px * dx + pz * dz) * invLen;
+            const ex = px - t * dx;
+            const ez = pz - t * dz;
+            const dSq = ex * ex + ez * ez;
+            if (dSq > maxDistSq) { maxDistSq = dSq; maxIdx = i; }
+        }
+    }
+
+    if (maxDistSq > tolSq) {
+        const left = simplifyPolyline2D(points.slice(0, maxIdx + 1), tolerance);
+        const right = simplifyPolyline2D(points.slice(maxIdx), tolerance);
+        left.length--;
+        return left.concat(right);
+    }
+
+    return [first, last];
+}
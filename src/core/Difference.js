@@ -0,0 +1,200 @@
+/**
+ * Difference.js — Elevation difference (DoD) between two surveys (pure functions, no DOM)
+ *
+ * A DEM of difference subtracts an earlier survey from a later one on a
+ * shared grid: positive change is deposition (fill), negative is erosion
+ * (cut). The later survey is resampled onto the earlier one's grid by geo
+ * bounds. Changes smaller than the threshold (the survey uncertainty, or
+ * minimum level of detection) are no significant change: they are shown as
+ * zero and left out of the cut and fill volumes.
+ */
+
+import { mergeRasters, sameCRS, describeCRS } from './Mosaic.js';
+import { isNoDataValue } from './ElevationSampling.js';
+
+/** Default difference settings. */
+export const DEFAULT_DIFFERENCE_SETTINGS = {
+    // Changes within ±threshold metres are not significant
+    threshold: 0.1,
+
+    // Histogram bins across the color range
+    bins: 20,
+
+    // Colormap while a difference is shown (red erosion, white, blue deposition)
+    colormap: 'change'
+};
+
+// Share of the changes inside the color range (outliers saturate)
+const RANGE_PERCENTILE = 0.99;
+
+/**
+ * Resample a survey onto another survey's grid.
+ * @param {Object} target - { width, height, geoBounds, crs }
+ * @param {Object} source - { elevation, width, height, geoBounds, crs, noDataValue }
+ * @returns {Float32Array} Row-major elevations on the target grid, NaN where the source has no data
+ */
+export function resampleSurvey(target, source) {
+    if (target.crs && source.crs && !sameCRS(target.crs, source.crs)) {
+        throw new Error(`Comparison survey has a different CRS ` +
+            `(${describeCRS(source.crs)}, expected ${describeCRS(target.crs)})`);
+    }
+
+    const [minX, minY, maxX, maxY] = target.geoBounds;
+    const [sMinX, sMinY, sMaxX, sMaxY] = source.geoBounds;
+    if (sMinX >= maxX || sMaxX <= minX || sMinY >= maxY || sMaxY <= minY) {
+        throw new Error('Comparison survey does not overlap the terrain');
+    }
+
+    return mergeRasters([{
+        data: source.elevation,
+        width: source.width,
+        height: source.height,
+        bounds: source.geoBounds,
+        noDataValue: source.noDataValue
+    }], target.geoBounds, target.width, target.height);
+}
+
+/**
+ * Cell-by-cell change from one survey to the other.
+ * @param {Float32Array} before - Earlier survey
+ * @param {Float32Array} after - Later survey on the same grid
+ * @param {number|null} [noDataValue=null] - NoData value of `before` (`after` uses NaN)
+ * @returns {Float32Array} after - before, NaN where either survey has no data
+ */
+export function computeDifference(before, after, noDataValue = null) {
+    const change = new Float32Array(before.length);
+    for (let i = 0; i < before.length; i++) {
+        const a = before[i];
+        const b = after[i];
+        change[i] = isNoDataValue(a, noDataValue) || !Number.isFinite(b) ? Number.NaN : b - a;
+    }
+    return change;
+}
+
+/**
+ * Change for display: insignificant changes are zero.
+ * @param {Float32Array} change - computeDifference() result
+ * @param {number} threshold - Metres
+ * @returns {Float32Array}
+ */
+export function thresholdDifference(change, threshold) {
+    const shown = new Float32Array(change.length);
+    for (let i = 0; i < change.length; i++) {
+        const d = change[i];
+        shown[i] = Math.abs(d) < threshold ? 0 : d;
+    }
+    return shown;
+}
+
+/**
+ * Symmetric color range around zero, so no change sits at the middle of a
+ * diverging colormap. Covers 99% of the changes; at least the threshold.
+ * @param {Float32Array} change
+ * @param {number} threshold
+ * @returns {number[]} [-limit, limit]
+ */
+export function differenceRange(change, threshold) {
+    const magnitudes = new Float32Array(change.length);
+    let count = 0;
+    for (let i = 0; i < change.length; i++) {
+        if (Number.isFinite(change[i])) magnitudes[count++] = Math.abs(change[i]);
+    }
+
+    let limit = 0;
+    if (count > 0) {
+        const sorted = magnitudes.subarray(0, count).sort();
+        limit = sorted[Math.min(count - 1, Math.floor(count * RANGE_PERCENTILE))];
+    }
+    limit = Math.max(limit, threshold);
+    if (!(limit > 0)) limit = 1;
+    return [-limit, limit];
+}
+
+/**
+ * Cut and fill summary of a difference.
+ * @param {Float32Array} change - computeDifference() result
+ * @param {number} cellArea - Ground area of a cell (m²)
+ * @param {Object} [settings] - See DEFAULT_DIFFERENCE_SETTINGS
+ * @param {number[]} [range] - Histogram range (default: differenceRange())
+ * @returns {{ threshold: number, cutVolume: number, fillVolume: number, netVolume: number,
+ *   cutArea: number, fillArea: number, unchangedArea: number, totalArea: number,
+ *   meanChange: number, minChange: number, maxChange: number,
+ *   histogram: { edges: number[], areas: number[] } }}
+ *   Volumes in m³ (cut positive), areas in m², changes in metres. The mean
+ *   covers every cell with data in both surveys, thresholded or not.
+ *   Histogram values beyond the range count in the end bins.
+ */
+export function differenceStatistics(change, cellArea, settings = {}, range = null) {
+    const { threshold, bins } = normalizeDifferenceSettings(settings);
+    const [low, high] = range ?? differenceRange(change, threshold);
+    const binWidth = (high - low) / bins;
+    const counts = new Float64Array(bins);
+
+    let cutVolume = 0;
+    let fillVolume = 0;
+    let cutCount = 0;
+    let fillCount = 0;
+    let validCount = 0;
+    let sum = 0;
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (let i = 0; i < change.length; i++) {
+        const d = change[i];
+        if (!Number.isFinite(d)) continue;
+
+        validCount++;
+        sum += d;
+        if (d < min) min = d;
+        if (d > max) max = d;
+
+        if (d !== 0 && Math.abs(d) >= threshold) {
+            if (d < 0) {
+                cutVolume -= d;
+                cutCount++;
+            } else {
+                fillVolume += d;
+                fillCount++;
+            }
+        }
+
+        const bin = Math.floor((d - low) / binWidth);
+        counts[Math.max(0, Math.min(bins - 1, bin))]++;
+    }
+
+    cutVolume *= cellArea;
+    fillVolume *= cellArea;
+    return {
+        threshold,
+        cutVolume,
+        fillVolume,
+        netVolume: fillVolume - cutVolume,
+        cutArea: cutCount * cellArea,
+        fillArea: fillCount * cellArea,
+        unchangedArea: (validCount - cutCount - fillCount) * cellArea,
+        totalArea: validCount * cellArea,
+        meanChange: validCount > 0 ? sum / validCount : 0,
+        minChange: validCount > 0 ? min : 0,
+        maxChange: validCount > 0 ? max : 0,
+        histogram: {
+            edges: Array.from({ length: bins + 1 }, (_, i) => low + i * binWidth),
+            areas: Array.from(counts, count => count * cellArea)
+        }
+    };
+}
+
+/**
+ * Validate difference settings and fill in defaults.
+ * @param {Object} [settings] - See DEFAULT_DIFFERENCE_SETTINGS
+ * @returns {Object}
+ */
+export function normalizeDifferenceSettings(settings = {}) {
+    const next = { ...DEFAULT_DIFFERENCE_SETTINGS, ...settings };
+    if (!(next.threshold >= 0)) {
+        throw new Error(`Difference threshold must be a non-negative number of metres, got ${next.threshold}`);
+    }
+    if (!Number.isInteger(next.bins) || next.bins < 1) {
+        throw new Error(`Difference histogram needs a positive whole number of bins, got ${next.bins}`);
+    }
+    return next;
+}
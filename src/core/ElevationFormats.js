@@ -0,0 +1,564 @@
+/**
+ * ElevationFormats.js - Pluggable elevation format loaders
+ *
+ * Every format produces the same shape as extractCOGData:
+ * { elevation, width, height, geoBounds, crs, noDataValue, fullResElevationPromise, tileSource },
+ * plus readFullResElevation where the normal map raster can be read again
+ * (not for the in-memory formats here, which would have to keep it)
+ *
+ * Built-in formats: GeoTIFF/COG (via COGLoader), Esri ASCII grid (.asc),
+ * XYZ point text gridded to a raster (.xyz) and Mapbox/Terrarium RGB-encoded
+ * PNG tiles (.png). Formats are detected by file extension, falling back to
+ * the first bytes of the file. Further formats can be added with
+ * registerElevationFormat.
+ */
+
+import { loadCOGFromUrl, loadCOGFromFile } from './COGLoader.js';
+import { parseGeoKeys } from './CRS.js';
+import { mergeRasters } from './Mosaic.js';
+import { AbortError, isAbortError, throwIfAborted } from './utils.js';
+
+// Bytes read from the start of a source for format sniffing
+const SNIFF_BYTES = 512;
+
+// Largest raster an XYZ point file may be gridded to
+const MAX_XYZ_CELLS = 64_000_000;
+
+// Web Mercator (EPSG:3857) half-extent in metres
+const WEB_MERCATOR_HALF = Math.PI * 6378137;
+
+/**
+ * Registered formats, checked in order.
+ * @type {Array<{ name: string, extensions: string[], sniff: Function, load: Function }>}
+ */
+const formats = [];
+
+/**
+ * Register an elevation format.
+ * @param {Object} format
+ * @param {string} format.name - Format name (used by `options.format`)
+ * @param {string[]} format.extensions - Lower-case file extensions without the dot
+ * @param {Function} format.sniff - (bytes: Uint8Array) => boolean, for sources without a known extension
+ * @param {Function} format.load - async (source, options) => elevation data (see createElevationData)
+ */
+export function registerElevationFormat(format) {
+    const existing = formats.findIndex(f => f.name === format.name);
+    if (existing !== -1) formats.splice(existing, 1);
+    formats.push(format);
+}
+
+/**
+ * Names of the registered formats.
+ * @returns {string[]}
+ */
+export function getElevationFormats() {
+    return formats.map(f => f.name);
+}
+
+/**
+ * Detect the format of a URL or File, by extension first and then by its
+ * first bytes.
+ * @param {string|File} source
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<string>} Format name
+ */
+export async function detectElevationFormat(source, signal) {
+    const extension = sourceExtension(source);
+    const byExtension = formats.find(f => f.extensions.includes(extension));
+    if (byExtension) return byExtension.name;
+
+    const bytes = await readHead(source, signal);
+    const bySniff = formats.find(f => f.sniff(bytes));
+    if (bySniff) return bySniff.name;
+
+    throw new Error(`Unrecognized elevation format${extension ? ` (.${extension})` : ''}: ` +
+        `expected one of ${getElevationFormats().join(', ')}`);
+}
+
+/**
+ * Load elevation data from a URL or File in any registered format.
+ * @param {string|File} source
+ * @param {Object} [options] - Passed through to the format loader
+ * @param {string} [options.format] - Format name; detected when omitted
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object>} { elevation, width, height, geoBounds, crs, noDataValue, fullResElevationPromise, tileSource }
+ */
+export async function loadElevation(source, options = {}) {
+    const { signal } = options;
+    throwIfAborted(signal);
+
+    const name = options.format ?? await detectElevationFormat(source, signal);
+    const format = formats.find(f => f.name === name);
+    if (!format) {
+        throw new Error(`Unknown elevation format: ${name} (expected one of ${getElevationFormats().join(', ')})`);
+    }
+
+    console.log(`Elevation format: ${name}`);
+    return await format.load(source, options);
+}
+
+/**
+ * Build the standard elevation data object from a full raster, reducing it
+ * to the mesh and normal map sizes the same way extractCOGData does.
+ * @param {Float32Array} elevation - Row-major, north-up
+ * @param {number} width
+ * @param {number} height
+ * @param {number[]} geoBounds - [minX, minY, maxX, maxY]
+ * @param {Object} crs - Result of parseGeoKeys
+ * @param {number|null} noDataValue
+ * @param {Object} [options]
+ * @param {number} [options.maxMeshDim=1000] - Maximum mesh dimension
+ * @param {number} [options.maxNormalDim=4096] - Maximum normal map dimension
+ * @returns {Object}
+ */
+export function createElevationData(elevation, width, height, geoBounds, crs, noDataValue, options = {}) {
+    const { maxMeshDim = 1000, maxNormalDim = 4096 } = options;
+    const source = { data: elevation, width, height, bounds: geoBounds, noDataValue };
+
+    // Resampled rasters carry NoData as NaN
+    const reduce = (maxDim) => {
+        const scale = Math.min(1, maxDim / Math.max(width, height));
+        if (scale === 1) return { elevation, width, height };
+        const w = Math.max(1, Math.round(width * scale));
+        const h = Math.max(1, Math.round(height * scale));
+        return { elevation: mergeRasters([source], geoBounds, w, h), width: w, height: h };
+    };
+
+    const mesh = reduce(maxMeshDim);
+    console.log(`Raster: ${width}x${height}, mesh at ${mesh.width}x${mesh.height}`);
+    console.log(`Bounds: [${geoBounds.map(b => b.toFixed(2)).join(', ')}]`);
+    if (noDataValue !== null) console.log(`NoData: ${noDataValue}`);
+
+    const normal = maxNormalDim === maxMeshDim ? mesh : reduce(maxNormalDim);
+
+    return {
+        elevation: mesh.elevation,
+        width: mesh.width,
+        height: mesh.height,
+        geoBounds,
+        crs,
+        noDataValue,
+        fullResElevationPromise: Promise.resolve(normal),
+        tileSource: null
+    };
+}
+
+// ============================================
+// Esri ASCII grid
+// ============================================
+
+/**
+ * Parse an Esri ASCII grid.
+ * Supports xllcorner/xllcenter, cellsize or dx/dy, and NODATA_value.
+ * @param {string} text
+ * @returns {{ elevation: Float32Array, width: number, height: number, geoBounds: number[], noDataValue: number|null }}
+ */
+export function parseAsciiGrid(text) {
+    const header = {};
+    let pos = 0;
+
+    // Header lines are "key value"; the first line starting with a number begins the data
+    for (;;) {
+        const end = text.indexOf('\n', pos);
+        const line = text.slice(pos, end === -1 ? text.length : end).trim();
+        const match = /^([A-Za-z_]+)\s+(\S+)$/.exec(line);
+        if (!match) {
+            if (line === '' && end !== -1) {
+                pos = end + 1;
+                continue;
+            }
+            break;
+        }
+        header[match[1].toLowerCase()] = parseFloat(match[2]);
+        pos = end === -1 ? text.length : end + 1;
+    }
+
+    const width = header.ncols;
+    const height = header.nrows;
+    const dx = header.cellsize ?? header.dx;
+    const dy = header.cellsize ?? header.dy;
+    if (!(width > 0) || !(height > 0) || !(dx > 0) || !(dy > 0)) {
+        throw new Error('Invalid ASCII grid: header needs ncols, nrows and cellsize');
+    }
+
+    const centered = header.xllcenter !== undefined;
+    const minX = (centered ? header.xllcenter - dx / 2 : header.xllcorner) ?? 0;
+    const minY = (centered ? header.yllcenter - dy / 2 : header.yllcorner) ?? 0;
+
+    const noDataValue = Number.isFinite(header.nodata_value) ? header.nodata_value : null;
+
+    // Rows are stored north to south, matching our raster layout
+    const elevation = new Float32Array(width * height);
+    const values = text.slice(pos).split(/\s+/);
+    let count = 0;
+    for (const token of values) {
+        if (token === '') continue;
+        if (count === elevation.length) break;
+        elevation[count++] = parseFloat(token);
+    }
+    if (count < elevation.length) {
+        throw new Error(`Invalid ASCII grid: expected ${elevation.length} values, found ${count}`);
+    }
+
+    return {
+        elevation,
+        width,
+        height,
+        geoBounds: [minX, minY, minX + width * dx, minY + height * dy],
+        noDataValue
+    };
+}
+
+// ============================================
+// XYZ point text
+// ============================================
+
+/**
+ * Grid XYZ points ("x y z" per line; space, tab, comma or semicolon
+ * separated) to a raster. Each point falls in the cell nearest its
+ * position; cells with several points take their mean and cells with none
+ * are NoData (NaN). Header and comment lines are skipped.
+ *
+ * Without `cellSize`, the point spacing is used: the smallest gap between
+ * distinct X or Y values, but no finer than the average point density.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.cellSize] - Cell size in CRS units
+ * @returns {{ elevation: Float32Array, width: number, height: number, geoBounds: number[], cellSize: number, pointCount: number }}
+ */
+export function gridXYZ(text, options = {}) {
+    const xs = [];
+    const ys = [];
+    const zs = [];
+
+    for (const line of text.split('\n')) {
+        const parts = line.trim().split(/[\s,;]+/);
+        if (parts.length < 3) continue;
+        const x = Number(parts[0]);
+        const y = Number(parts[1]);
+        const z = Number(parts[2]);
+        if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) continue;
+        xs.push(x);
+        ys.push(y);
+        zs.push(z);
+    }
+
+    const pointCount = zs.length;
+    if (pointCount === 0) {
+        throw new Error('Invalid XYZ file: no "x y z" points found');
+    }
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (let i = 0; i < pointCount; i++) {
+        if (xs[i] < minX) minX = xs[i];
+        if (xs[i] > maxX) maxX = xs[i];
+        if (ys[i] < minY) minY = ys[i];
+        if (ys[i] > maxY) maxY = ys[i];
+    }
+
+    const cellSize = options.cellSize ?? estimateSpacing(xs, ys, maxX - minX, maxY - minY);
+    if (!(cellSize > 0)) {
+        throw new Error('Invalid XYZ cell size: set a positive cellSize');
+    }
+
+    // Points sit at cell centres
+    const width = Math.round((maxX - minX) / cellSize) + 1;
+    const height = Math.round((maxY - minY) / cellSize) + 1;
+    if (width * height > MAX_XYZ_CELLS) {
+        throw new Error(`XYZ grid of ${width}x${height} cells is too large: use a larger cellSize`);
+    }
+
+    const sum = new Float64Array(width * height);
+    const count = new Uint32Array(width * height);
+    for (let i = 0; i < pointCount; i++) {
+        const col = Math.round((xs[i] - minX) / cellSize);
+        const row = Math.round((maxY - ys[i]) / cellSize);
+        const idx = row * width + col;
+        sum[idx] += zs[i];
+        count[idx]++;
+    }
+
+    const elevation = new Float32Array(width * height);
+    for (let i = 0; i < elevation.length; i++) {
+        elevation[i] = count[i] > 0 ? sum[i] / count[i] : Number.NaN;
+    }
+
+    const half = cellSize / 2;
+    return {
+        elevation,
+        width,
+        height,
+        geoBounds: [minX - half, maxY - (height - 1) * cellSize - half, minX + (width - 1) * cellSize + half, maxY + half],
+        cellSize,
+        pointCount
+    };
+}
+
+/**
+ * Smallest gap between distinct coordinates, bounded below by the spacing
+ * the point density implies (so scattered soundings don't make a huge grid).
+ */
+function estimateSpacing(xs, ys, extentX, extentY) {
+    const minGap = (values) => {
+        const sorted = Float64Array.from(values).sort();
+        let gap = Infinity;
+        for (let i = 1; i < sorted.length; i++) {
+            const d = sorted[i] - sorted[i - 1];
+            if (d > 1e-9 && d < gap) gap = d;
+        }
+        return gap;
+    };
+
+    const gap = Math.min(minGap(xs), minGap(ys));
+    const density = Math.sqrt(Math.max(extentX, 1e-9) * Math.max(extentY, 1e-9) / xs.length);
+    if (!Number.isFinite(gap)) return extentX > 0 || extentY > 0 ? density : 1;
+    return Math.max(gap, density);
+}
+
+// ============================================
+// Terrain-RGB PNG
+// ============================================
+
+/**
+ * Decode RGB-encoded elevations. Fully transparent pixels are NoData (NaN).
+ *   mapbox:    -10000 + (R * 65536 + G * 256 + B) * 0.1
+ *   terrarium: (R * 256 + G + B / 256) - 32768
+ * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA
+ * @param {number} width
+ * @param {number} height
+ * @param {string} [encoding='mapbox'] - 'mapbox' or 'terrarium'
+ * @returns {Float32Array}
+ */
+export function decodeTerrainRGB(pixels, width, height, encoding = 'mapbox') {
+    if (encoding !== 'mapbox' && encoding !== 'terrarium') {
+        throw new Error(`Unknown RGB elevation encoding: ${encoding} (expected mapbox or terrarium)`);
+    }
+
+    const elevation = new Float32Array(width * height);
+    for (let i = 0; i < elevation.length; i++) {
+        const r = pixels[i * 4];
+        const g = pixels[i * 4 + 1];
+        const b = pixels[i * 4 + 2];
+        const a = pixels[i * 4 + 3];
+
+        if (a === 0) {
+            elevation[i] = Number.NaN;
+        } else if (encoding === 'mapbox') {
+            elevation[i] = -10000 + (r * 65536 + g * 256 + b) * 0.1;
+        } else {
+            elevation[i] = (r * 256 + g + b / 256) - 32768;
+        }
+    }
+    return elevation;
+}
+
+/**
+ * Web Mercator bounds and CRS of a z/x/y tile. The CRS unit size is scaled
+ * by cos(latitude) at the tile centre so ground distances are in metres.
+ * @param {number} z
+ * @param {number} x
+ * @param {number} y
+ * @returns {{ geoBounds: number[], crs: Object }}
+ */
+export function webMercatorTileBounds(z, x, y) {
+    const tileSize = 2 * WEB_MERCATOR_HALF / 2 ** z;
+    const minX = -WEB_MERCATOR_HALF + x * tileSize;
+    const maxY = WEB_MERCATOR_HALF - y * tileSize;
+    const centerLat = Math.atan(Math.sinh(Math.PI * (1 - 2 * (y + 0.5) / 2 ** z)));
+
+    const crs = parseGeoKeys({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 3857 });
+    crs.metresPerUnit = Math.cos(centerLat);
+
+    return { geoBounds: [minX, maxY - tileSize, minX + tileSize, maxY], crs };
+}
+
+/**
+ * Decode a PNG (or other browser-supported image) into RGBA pixels without
+ * colour management or premultiplied alpha (either would corrupt encoded
+ * elevations).
+ * @param {ArrayBuffer} buffer
+ * @param {string} [type='image/png'] - MIME type
+ * @returns {Promise<{ pixels: Uint8ClampedArray, width: number, height: number }>}
+ */
+export async function decodeImage(buffer, type = 'image/png') {
+    if (typeof createImageBitmap === 'undefined') {
+        throw new Error('Image decoding requires createImageBitmap (browser only)');
+    }
+
+    const bitmap = await createImageBitmap(new Blob([buffer], { type }), {
+        premultiplyAlpha: 'none',
+        colorSpaceConversion: 'none'
+    });
+    const { width, height } = bitmap;
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(width, height)
+        : Object.assign(document.createElement('canvas'), { width, height });
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    return { pixels: ctx.getImageData(0, 0, width, height).data, width, height };
+}
+
+// ============================================
+// Source reading
+// ============================================
+
+/**
+ * Lower-case extension of a URL path or file name ('' if none).
+ * @param {string|File} source
+ * @returns {string}
+ */
+export function sourceExtension(source) {
+    let name = typeof source === 'string' ? source : source?.name ?? '';
+    if (typeof source === 'string') {
+        try {
+            name = new URL(source, 'http://localhost').pathname;
+        } catch {
+            // Not a URL: use the string as a path
+        }
+    }
+    const match = /\.([A-Za-z0-9]+)$/.exec(name);
+    return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Fetch a URL (or read a File) in full.
+ * @param {string|File} source
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function readSource(source, signal) {
+    let buffer;
+    try {
+        if (typeof source === 'string') {
+            const response = await fetch(source, { signal });
+            if (!response.ok) throw new Error(`HTTP ${response.status} loading ${source}`);
+            buffer = await response.arrayBuffer();
+        } else {
+            buffer = await source.arrayBuffer();
+        }
+    } catch (err) {
+        if (signal?.aborted || isAbortError(err)) throw new AbortError();
+        throw err;
+    }
+    throwIfAborted(signal);
+    return buffer;
+}
+
+/**
+ * First SNIFF_BYTES bytes of a URL or File. URLs are requested with a
+ * Range header and the body is cancelled after the first chunk, so servers
+ * that ignore Range don't send the whole file.
+ * @param {string|File} source
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Uint8Array>}
+ */
+async function readHead(source, signal) {
+    try {
+        if (typeof source !== 'string') {
+            return new Uint8Array(await source.slice(0, SNIFF_BYTES).arrayBuffer());
+        }
+
+        const response = await fetch(source, { headers: { Range: `bytes=0-${SNIFF_BYTES - 1}` }, signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status} loading ${source}`);
+        const reader = response.body.getReader();
+        const { value } = await reader.read();
+        reader.cancel().catch(() => {});
+        return (value ?? new Uint8Array(0)).subarray(0, SNIFF_BYTES);
+    } catch (err) {
+        if (signal?.aborted || isAbortError(err)) throw new AbortError();
+        throw err;
+    }
+}
+
+function asText(bytes) {
+    return new TextDecoder('latin1').decode(bytes);
+}
+
+// ============================================
+// Built-in formats
+// ============================================
+
+registerElevationFormat({
+    name: 'geotiff',
+    extensions: ['tif', 'tiff'],
+    // Little-endian "II*\0", big-endian "MM\0*" and BigTIFF "II+\0" / "MM\0+"
+    sniff: (b) => (b[0] === 0x49 && b[1] === 0x49 && (b[2] === 42 || b[2] === 43) && b[3] === 0) ||
+        (b[0] === 0x4D && b[1] === 0x4D && b[2] === 0 && (b[3] === 42 || b[3] === 43)),
+    load: (source, options) => typeof source === 'string'
+        ? loadCOGFromUrl(source, options)
+        : loadCOGFromFile(source, options)
+});
+
+registerElevationFormat({
+    name: 'terrain-rgb',
+    extensions: ['png', 'pngraw'],
+    sniff: (b) => b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4E && b[3] === 0x47,
+    /**
+     * @param {string|File} source - A z/x/y path (…/12/3745/2567.png) places the tile in Web Mercator
+     * @param {Object} [options]
+     * @param {string} [options.encoding] - 'mapbox' or 'terrarium' (default: terrarium if the name says so, else mapbox)
+     * @param {number[]} [options.geoBounds] - Bounds for tiles without a z/x/y path
+     */
+    async load(source, options = {}) {
+        const { signal } = options;
+        const name = typeof source === 'string' ? source : source.name ?? '';
+        const encoding = options.encoding ?? (/terrarium/i.test(name) ? 'terrarium' : 'mapbox');
+
+        const { pixels, width, height } = await decodeImage(await readSource(source, signal));
+        throwIfAborted(signal);
+        const elevation = decodeTerrainRGB(pixels, width, height, encoding);
+
+        const tile = /(\d+)\/(\d+)\/(\d+)(?:@\dx)?\.\w+(?:\?|$)/.exec(name);
+        let geoBounds = options.geoBounds;
+        let crs = parseGeoKeys(null);
+        if (!geoBounds && tile) {
+            ({ geoBounds, crs } = webMercatorTileBounds(+tile[1], +tile[2], +tile[3]));
+        }
+        if (!geoBounds) {
+            console.warn('Terrain-RGB: no z/x/y tile path or geoBounds, using pixel units');
+            geoBounds = [0, 0, width, height];
+        }
+
+        console.log(`Terrain-RGB (${encoding}): ${width}x${height}`);
+        return createElevationData(elevation, width, height, geoBounds, crs, null, options);
+    }
+});
+
+registerElevationFormat({
+    name: 'ascii-grid',
+    extensions: ['asc'],
+    sniff: (b) => /^\s*ncols\s/i.test(asText(b)),
+    async load(source, options = {}) {
+        const text = new TextDecoder().decode(await readSource(source, options.signal));
+        const grid = parseAsciiGrid(text);
+        return createElevationData(
+            grid.elevation, grid.width, grid.height, grid.geoBounds,
+            parseGeoKeys(null), grid.noDataValue, options
+        );
+    }
+});
+
+registerElevationFormat({
+    name: 'xyz',
+    extensions: ['xyz'],
+    // A line of three numbers within the first few lines
+    sniff: (b) => asText(b).split('\n').slice(0, 5).some(line =>
+        /^\s*[-+]?[\d.]+(?:[eE][-+]?\d+)?[\s,;]+[-+]?[\d.]+(?:[eE][-+]?\d+)?[\s,;]+[-+]?[\d.]+/.test(line)),
+    /**
+     * @param {string|File} source
+     * @param {Object} [options]
+     * @param {number} [options.cellSize] - Grid cell size in CRS units (default: point spacing)
+     */
+    async load(source, options = {}) {
+        const text = new TextDecoder().decode(await readSource(source, options.signal));
+        const grid = gridXYZ(text, options);
+        console.log(`XYZ: ${grid.pointCount} points gridded at ${grid.cellSize} units`);
+        return createElevationData(
+            grid.elevation, grid.width, grid.height, grid.geoBounds,
+            parseGeoKeys(null), null, options
+        );
+    }
+});
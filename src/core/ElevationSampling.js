@@ -0,0 +1,121 @@
+/**
+ * ElevationSampling.js — NoData-aware elevation raster sampling (pure functions, no DOM)
+ *
+ * Shared by TerrainMesh on the main thread and by terrain jobs running in
+ * workers. A raster is any object with the TerrainMesh field names:
+ * { elevationData, elevationWidth, elevationHeight, noDataValue }.
+ * The GLSL counterpart samples the elevation texture in fragment shaders.
+ */
+
+/**
+ * Check if a value is NoData.
+ * @param {number} value
+ * @param {number|null} noDataValue
+ * @returns {boolean}
+ */
+export function isNoDataValue(value, noDataValue) {
+    if (!Number.isFinite(value)) return true;
+    if (value >= 1e5) return true;
+    if (noDataValue !== null && value === noDataValue) return true;
+    return false;
+}
+
+/**
+ * Get elevation at a specific grid cell.
+ * @param {Object} raster
+ * @param {number} x
+ * @param {number} y
+ * @returns {number} Elevation or NaN for NoData
+ */
+export function getElevationAt(raster, x, y) {
+    const value = raster.elevationData[y * raster.elevationWidth + x];
+    return isNoDataValue(value, raster.noDataValue) ? Number.NaN : value;
+}
+
+/**
+ * Sample elevation using bilinear interpolation.
+ * If any neighbor is NoData the sample is NoData, to avoid creating false
+ * elevation values at boundaries.
+ * @param {Object} raster
+ * @param {number} u - Normalized X (0-1)
+ * @param {number} v - Normalized Y (0-1)
+ * @returns {number} Elevation or NaN
+ */
+export function sampleElevation(raster, u, v) {
+    const w = raster.elevationWidth;
+    const h = raster.elevationHeight;
+    const x = u * (w - 1);
+    const y = v * (h - 1);
+
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const x1 = Math.min(x0 + 1, w - 1);
+    const y1 = Math.min(y0 + 1, h - 1);
+
+    const fx = x - x0;
+    const fy = y - y0;
+
+    const v00 = getElevationAt(raster, x0, y0);
+    const v10 = getElevationAt(raster, x1, y0);
+    const v01 = getElevationAt(raster, x0, y1);
+    const v11 = getElevationAt(raster, x1, y1);
+
+    if (!Number.isFinite(v00) || !Number.isFinite(v10) ||
+        !Number.isFinite(v01) || !Number.isFinite(v11)) {
+        return Number.NaN;
+    }
+
+    const vA = v00 * (1 - fx) + v10 * fx;
+    const vB = v01 * (1 - fx) + v11 * fx;
+    return vA * (1 - fy) + vB * fy;
+}
+
+/**
+ * Check if any texel in the bilinear sampling neighborhood is NoData.
+ * @param {Object} raster
+ * @param {number} u - Normalized X (0-1)
+ * @param {number} v - Normalized Y (0-1)
+ * @returns {boolean}
+ */
+export function hasNearbyNoData(raster, u, v) {
+    const w = raster.elevationWidth;
+    const h = raster.elevationHeight;
+    const x = u * (w - 1);
+    const y = v * (h - 1);
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const x1 = Math.min(x0 + 1, w - 1);
+    const y1 = Math.min(y0 + 1, h - 1);
+    const d = raster.elevationData;
+    const nd = raster.noDataValue;
+    return isNoDataValue(d[y0 * w + x0], nd)
+        || isNoDataValue(d[y0 * w + x1], nd)
+        || isNoDataValue(d[y1 * w + x0], nd)
+        || isNoDataValue(d[y1 * w + x1], nd);
+}
+
+/**
+ * GLSL declarations and `float sampleElevation(vec2 uv)`: bilinear elevation
+ * from the nearest-filtered elevation texture, NO_DATA_THRESHOLD when any of
+ * the four texels is NoData. uv is in raster orientation (row 0 = north).
+ */
+export const elevationSampleShaderChunk = /* glsl */`
+    uniform sampler2D elevationMap;
+    uniform vec2 elevationSize;
+
+    const float NO_DATA_THRESHOLD = 1e5;
+
+    float sampleElevation(vec2 uv) {
+        vec2 texel = uv * elevationSize - 0.5;
+        vec2 base = floor(texel);
+        vec2 f = texel - base;
+        vec2 texelSize = 1.0 / elevationSize;
+        vec2 uv00 = (base + 0.5) * texelSize;
+        float e00 = texture2D(elevationMap, uv00).r;
+        float e10 = texture2D(elevationMap, uv00 + vec2(texelSize.x, 0.0)).r;
+        float e01 = texture2D(elevationMap, uv00 + vec2(0.0, texelSize.y)).r;
+        float e11 = texture2D(elevationMap, uv00 + texelSize).r;
+        if (max(max(e00, e10), max(e01, e11)) >= NO_DATA_THRESHOLD) return NO_DATA_THRESHOLD;
+        return mix(mix(e00, e10, f.x), mix(e01, e11, f.x), f.y);
+    }
+`;
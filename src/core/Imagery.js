@@ -0,0 +1,487 @@
+/**
+ * Imagery.js - Orthophoto / RGB raster drape over the terrain
+ *
+ * Loads an RGB(A) GeoTIFF/COG, or a PNG/JPEG with a world file, and
+ * resamples it onto a north-up grid covering the terrain's geoBounds, so the
+ * terrain shaders can sample it with the same UVs as the elevation. Pixels
+ * the imagery does not cover are transparent. Single-band and non-8-bit
+ * rasters (e.g. backscatter mosaics in dB) are stretched to gray.
+ *
+ * Reprojection is built in between EPSG:4326 and EPSG:3857; other CRS
+ * pairs need an explicit `transform` (e.g. from proj4).
+ */
+
+import { openCOG, getDecoderPool } from './COGLoader.js';
+import { parseGeoKeys } from './CRS.js';
+import { readSource, decodeImage, sourceExtension } from './ElevationFormats.js';
+import { AbortError, isAbortError, processInChunks, throwIfAborted } from './utils.js';
+
+// Default texture size limit (longest side), like the normal map
+const DEFAULT_MAX_SIZE = 4096;
+
+// World file extensions tried next to an image URL, by image extension
+const WORLD_FILE_EXTENSIONS = {
+    png: ['pgw', 'pngw', 'wld'],
+    jpg: ['jgw', 'jpgw', 'wld'],
+    jpeg: ['jgw', 'jpegw', 'wld'],
+    webp: ['wld']
+};
+
+const IMAGE_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+// Points sampled per terrain edge when mapping its bounds into the imagery CRS
+const EDGE_SAMPLES = 16;
+
+const WEB_MERCATOR_RADIUS = 6378137;
+
+/**
+ * Parse a world file (.pgw, .jgw, .tfw, .wld): six lines A, D, B, E, C, F
+ * with x = A * col + B * row + C and y = D * col + E * row + F at pixel centres.
+ * @param {string} text
+ * @returns {number[]} Geotransform [A, B, C, D, E, F]
+ */
+export function parseWorldFile(text) {
+    const values = text.trim().split(/\s+/).map(Number);
+    if (values.length < 6 || values.slice(0, 6).some(v => !Number.isFinite(v))) {
+        throw new Error('Invalid world file: expected six numbers');
+    }
+    const [a, d, b, e, c, f] = values;
+    if (a * e - b * d === 0) {
+        throw new Error('Invalid world file: pixel size is zero');
+    }
+    return [a, b, c, d, e, f];
+}
+
+/**
+ * Geotransform of a north-up raster covering bounds.
+ * @param {number[]} bounds - [minX, minY, maxX, maxY]
+ * @param {number} width
+ * @param {number} height
+ * @returns {number[]} [A, B, C, D, E, F] (see parseWorldFile)
+ */
+export function boundsToGeoTransform(bounds, width, height) {
+    const [minX, minY, maxX, maxY] = bounds;
+    const a = (maxX - minX) / width;
+    const e = -(maxY - minY) / height;
+    return [a, 0, minX + a / 2, 0, e, maxY + e / 2];
+}
+
+/**
+ * Map terrain CRS coordinates to imagery CRS coordinates.
+ * @param {Object|null} terrainCrs - From parseGeoKeys (null: metres)
+ * @param {Object|null} imageryCrs
+ * @returns {Function|null} (x, y) => [x, y]; null when no reprojection is needed
+ */
+export function imageryTransform(terrainCrs, imageryCrs) {
+    const from = crsCode(terrainCrs);
+    const to = crsCode(imageryCrs);
+    if (from === to || from === null || to === null) return null;
+    if (from === 3857 && to === 4326) return mercatorToLonLat;
+    if (from === 4326 && to === 3857) return lonLatToMercator;
+    throw new Error(`Cannot reproject imagery from EPSG:${to} to EPSG:${from}: pass options.transform`);
+}
+
+function crsCode(crs) {
+    if (!crs) return null;
+    if (crs.isGeographic) return crs.epsg ?? 4326;
+    return crs.epsg ?? null;
+}
+
+function mercatorToLonLat(x, y) {
+    const lon = (x / WEB_MERCATOR_RADIUS) * (180 / Math.PI);
+    const lat = (2 * Math.atan(Math.exp(y / WEB_MERCATOR_RADIUS)) - Math.PI / 2) * (180 / Math.PI);
+    return [lon, lat];
+}
+
+function lonLatToMercator(lon, lat) {
+    const x = WEB_MERCATOR_RADIUS * lon * (Math.PI / 180);
+    const y = WEB_MERCATOR_RADIUS * Math.log(Math.tan(Math.PI / 4 + lat * (Math.PI / 360)));
+    return [x, y];
+}
+
+/**
+ * Resample imagery onto a north-up grid over the target bounds (bilinear,
+ * transparent outside the imagery).
+ * @param {Object} source
+ * @param {Uint8ClampedArray|Uint8Array} source.pixels - RGBA, row-major
+ * @param {number} source.width
+ * @param {number} source.height
+ * @param {number[]} source.geoTransform - [A, B, C, D, E, F] in the imagery CRS
+ * @param {Object} target
+ * @param {number[]} target.geoBounds - [minX, minY, maxX, maxY] in the terrain CRS
+ * @param {number} target.width
+ * @param {number} target.height
+ * @param {Function|null} [target.transform] - Terrain CRS (x, y) => imagery CRS [x, y]
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - (fraction)
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Uint8ClampedArray>} RGBA, target.width x target.height
+ */
+export async function resampleImagery(source, target, { onProgress, signal } = {}) {
+    const { pixels, width: sw, height: sh } = source;
+    const [a, b, c, d, e, f] = source.geoTransform;
+    const det = a * e - b * d;
+    const { geoBounds, width, height, transform = null } = target;
+    const [minX, , maxX, maxY] = geoBounds;
+    const cellW = (maxX - minX) / width;
+    const cellH = (maxY - geoBounds[1]) / height;
+    const out = new Uint8ClampedArray(width * height * 4);
+
+    await processInChunks(height, 64, (j) => {
+        const y = maxY - (j + 0.5) * cellH;
+        for (let i = 0; i < width; i++) {
+            const x = minX + (i + 0.5) * cellW;
+            const [ix, iy] = transform ? transform(x, y) : [x, y];
+
+            // Inverse geotransform → pixel-centre coordinates
+            const dx = ix - c;
+            const dy = iy - f;
+            const col = (e * dx - b * dy) / det;
+            const row = (a * dy - d * dx) / det;
+            if (!(col >= -0.5 && col <= sw - 0.5 && row >= -0.5 && row <= sh - 0.5)) continue;
+
+            const px = Math.min(Math.max(col, 0), sw - 1);
+            const py = Math.min(Math.max(row, 0), sh - 1);
+            const x0 = Math.floor(px);
+            const y0 = Math.floor(py);
+            const x1 = Math.min(x0 + 1, sw - 1);
+            const y1 = Math.min(y0 + 1, sh - 1);
+            const fx = px - x0;
+            const fy = py - y0;
+
+            const i00 = (y0 * sw + x0) * 4;
+            const i10 = (y0 * sw + x1) * 4;
+            const i01 = (y1 * sw + x0) * 4;
+            const i11 = (y1 * sw + x1) * 4;
+            const o = (j * width + i) * 4;
+            for (let ch = 0; ch < 4; ch++) {
+                const top = pixels[i00 + ch] * (1 - fx) + pixels[i10 + ch] * fx;
+                const bottom = pixels[i01 + ch] * (1 - fx) + pixels[i11 + ch] * fx;
+                out[o + ch] = top * (1 - fy) + bottom * fy;
+            }
+        }
+    }, (completed, total) => {
+        if (onProgress) onProgress(completed / total);
+    }, signal);
+
+    return out;
+}
+
+/**
+ * Combine 1-4 bands into RGBA bytes. 8-bit bands are used as is; other
+ * types are stretched over their 2nd-98th percentile. NoData (and NaN)
+ * pixels are transparent. One band is gray, two are gray + alpha.
+ * @param {ArrayLike<number>[]} bands
+ * @param {number|null} [noDataValue=null]
+ * @returns {Uint8ClampedArray}
+ */
+export function bandsToRGBA(bands, noDataValue = null) {
+    if (bands.length < 1 || bands.length > 4) {
+        throw new Error(`Imagery must have 1 to 4 bands, got ${bands.length}`);
+    }
+
+    const n = bands[0].length;
+    const hasAlpha = bands.length === 2 || bands.length === 4;
+    const colorBands = hasAlpha ? bands.slice(0, -1) : bands;
+    const channels = colorBands.length === 1 ? [0, 0, 0] : [0, 1, 2];
+    const isNoData = (v) => Number.isNaN(v) || (noDataValue !== null && v === noDataValue);
+
+    const stretches = colorBands.map(band => (band instanceof Uint8Array || band instanceof Uint8ClampedArray
+        ? null
+        : percentileRange(band, isNoData)));
+
+    const out = new Uint8ClampedArray(n * 4);
+    for (let i = 0; i < n; i++) {
+        let valid = true;
+        for (let ch = 0; ch < 3; ch++) {
+            const k = channels[ch];
+            const v = colorBands[k][i];
+            if (isNoData(v)) {
+                valid = false;
+                break;
+            }
+            const stretch = stretches[k];
+            out[i * 4 + ch] = stretch ? ((v - stretch[0]) / (stretch[1] - stretch[0])) * 255 : v;
+        }
+        out[i * 4 + 3] = !valid ? 0 : hasAlpha ? bands[bands.length - 1][i] : 255;
+    }
+    return out;
+}
+
+/**
+ * 2nd and 98th percentile of the valid values of a band (sampled).
+ * @returns {number[]} [low, high] with high > low
+ */
+function percentileRange(band, isNoData) {
+    const step = Math.max(1, Math.floor(band.length / 65536));
+    const sample = [];
+    for (let i = 0; i < band.length; i += step) {
+        if (!isNoData(band[i])) sample.push(band[i]);
+    }
+    if (sample.length === 0) return [0, 1];
+    sample.sort((x, y) => x - y);
+    const low = sample[Math.floor((sample.length - 1) * 0.02)];
+    const high = sample[Math.ceil((sample.length - 1) * 0.98)];
+    return high > low ? [low, high] : [low, low + 1];
+}
+
+/**
+ * Bilinearly resize RGBA pixels (used to fit GPU texture limits).
+ * @param {Uint8ClampedArray} pixels
+ * @param {number} width
+ * @param {number} height
+ * @param {number} newWidth
+ * @param {number} newHeight
+ * @returns {Uint8ClampedArray}
+ */
+export function resizeRGBA(pixels, width, height, newWidth, newHeight) {
+    const out = new Uint8ClampedArray(newWidth * newHeight * 4);
+    for (let y = 0; y < newHeight; y++) {
+        const sy = Math.min(Math.max((y + 0.5) * (height / newHeight) - 0.5, 0), height - 1);
+        const y0 = Math.floor(sy);
+        const y1 = Math.min(y0 + 1, height - 1);
+        const fy = sy - y0;
+        for (let x = 0; x < newWidth; x++) {
+            const sx = Math.min(Math.max((x + 0.5) * (width / newWidth) - 0.5, 0), width - 1);
+            const x0 = Math.floor(sx);
+            const x1 = Math.min(x0 + 1, width - 1);
+            const fx = sx - x0;
+            for (let ch = 0; ch < 4; ch++) {
+                const top = pixels[(y0 * width + x0) * 4 + ch] * (1 - fx) + pixels[(y0 * width + x1) * 4 + ch] * fx;
+                const bottom = pixels[(y1 * width + x0) * 4 + ch] * (1 - fx) + pixels[(y1 * width + x1) * 4 + ch] * fx;
+                out[(y * newWidth + x) * 4 + ch] = top * (1 - fy) + bottom * fy;
+            }
+        }
+    }
+    return out;
+}
+
+/**
+ * Load imagery and resample it onto the terrain's bounds.
+ * @param {string|File} source - GeoTIFF/COG (.tif), or PNG/JPEG/WebP with a world file
+ * @param {Object} terrain
+ * @param {number[]} terrain.geoBounds - [minX, minY, maxX, maxY]
+ * @param {Object|null} [terrain.crs] - From parseGeoKeys
+ * @param {Object} [options]
+ * @param {string|File} [options.worldFile] - World file URL or File (URLs: found next to the image by default)
+ * @param {number[]} [options.geoBounds] - Imagery bounds instead of a world file (north-up, imagery CRS)
+ * @param {number|Object} [options.crs] - Imagery CRS as an EPSG code or parseGeoKeys() result
+ *   (default: GeoTIFF GeoKeys, else the terrain's CRS)
+ * @param {Function} [options.transform] - Terrain CRS (x, y) => imagery CRS [x, y] for other reprojections
+ * @param {number} [options.maxSize=4096] - Longest side of the resampled imagery
+ * @param {Object|null} [options.pool] - GeoTIFF.Pool for decoding (default: shared decoder pool)
+ * @param {Function} [options.onProgress] - (fraction) while resampling
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ pixels: Uint8ClampedArray, width: number, height: number, geoBounds: number[], coverage: number }>}
+ *   coverage: fraction of the terrain bounds the imagery covers
+ */
+export async function loadImagery(source, terrain, options = {}) {
+    const { signal, maxSize = DEFAULT_MAX_SIZE } = options;
+    throwIfAborted(signal);
+
+    const extension = sourceExtension(source);
+    const isTiff = extension === 'tif' || extension === 'tiff';
+    if (!isTiff && !IMAGE_TYPES[extension]) {
+        throw new Error(`Unsupported imagery format: .${extension} (expected tif, png, jpg or webp)`);
+    }
+
+    let crs = typeof options.crs === 'number' ? crsFromEPSG(options.crs) : options.crs ?? null;
+    let image;
+    if (isTiff) {
+        const tiff = await openCOG(source, signal);
+        image = await readTiffImagery(tiff, terrain, { ...options, crs, maxSize });
+    } else {
+        image = await readWorldFileImagery(source, extension, options);
+    }
+    crs = crs ?? image.crs ?? terrain.crs ?? null;
+    throwIfAborted(signal);
+
+    const transform = options.transform ?? imageryTransform(terrain.crs ?? null, crs);
+    const footprint = terrainFootprint(terrain.geoBounds, image.geoTransform, transform);
+    const size = fitSize(footprint.width, footprint.height, maxSize);
+
+    console.log(`Imagery: ${image.width}x${image.height} source, resampling to ${size.width}x${size.height}`);
+    const pixels = await resampleImagery(image, {
+        geoBounds: terrain.geoBounds,
+        width: size.width,
+        height: size.height,
+        transform
+    }, { onProgress: options.onProgress, signal });
+
+    let covered = 0;
+    for (let i = 3; i < pixels.length; i += 4) {
+        if (pixels[i] > 0) covered++;
+    }
+    const coverage = covered / (size.width * size.height);
+    if (coverage === 0) {
+        throw new Error('Imagery does not overlap the terrain');
+    }
+
+    return { pixels, width: size.width, height: size.height, geoBounds: [...terrain.geoBounds], coverage };
+}
+
+function crsFromEPSG(code) {
+    return code === 4326
+        ? parseGeoKeys({ GTModelTypeGeoKey: 2, GeographicTypeGeoKey: code })
+        : parseGeoKeys({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: code });
+}
+
+/**
+ * Size (in source pixels) of the terrain bounds mapped into the imagery.
+ */
+function terrainFootprint(geoBounds, geoTransform, transform) {
+    const [a, b, c, d, e, f] = geoTransform;
+    const det = a * e - b * d;
+    const [minX, minY, maxX, maxY] = geoBounds;
+    const toPixel = (x, y) => {
+        const [ix, iy] = transform ? transform(x, y) : [x, y];
+        const dx = ix - c;
+        const dy = iy - f;
+        return [(e * dx - b * dy) / det, (a * dy - d * dx) / det];
+    };
+
+    const midX = (minX + maxX) / 2;
+    const midY = (minY + maxY) / 2;
+    return {
+        width: Math.hypot(...subtract(toPixel(maxX, midY), toPixel(minX, midY))),
+        height: Math.hypot(...subtract(toPixel(midX, minY), toPixel(midX, maxY)))
+    };
+}
+
+function subtract(p, q) {
+    return [p[0] - q[0], p[1] - q[1]];
+}
+
+/**
+ * Whole-pixel size no larger than maxSize on either side, keeping the aspect.
+ */
+function fitSize(width, height, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(width, height, 1));
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+    };
+}
+
+/**
+ * Read the part of a GeoTIFF covering the terrain, at no more than
+ * maxSize pixels per side.
+ * @returns {Promise<{ pixels, width, height, geoTransform, crs }>}
+ */
+async function readTiffImagery(tiff, terrain, options) {
+    const { signal, maxSize } = options;
+    const pool = options.pool !== undefined ? options.pool : getDecoderPool();
+    const image = await tiff.getImage();
+    const fullWidth = image.getWidth();
+    const fullHeight = image.getHeight();
+    const bounds = image.getBoundingBox();
+    const crs = options.crs ?? parseGeoKeys(image.getGeoKeys());
+    const bandCount = image.getSamplesPerPixel?.() ?? 1;
+    const transform = options.transform ?? imageryTransform(terrain.crs ?? null, crs);
+
+    // Pixel window around the terrain bounds (edges sampled, since a
+    // reprojected rectangle need not be one)
+    const [tMinX, tMinY, tMaxX, tMaxY] = terrain.geoBounds;
+    const [minX, minY, maxX, maxY] = bounds;
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+    for (let k = 0; k <= EDGE_SAMPLES; k++) {
+        const t = k / EDGE_SAMPLES;
+        for (const [x, y] of [
+            [tMinX + (tMaxX - tMinX) * t, tMinY], [tMinX + (tMaxX - tMinX) * t, tMaxY],
+            [tMinX, tMinY + (tMaxY - tMinY) * t], [tMaxX, tMinY + (tMaxY - tMinY) * t]
+        ]) {
+            const [ix, iy] = transform ? transform(x, y) : [x, y];
+            const px = ((ix - minX) / (maxX - minX)) * fullWidth;
+            const py = ((maxY - iy) / (maxY - minY)) * fullHeight;
+            x0 = Math.min(x0, px);
+            x1 = Math.max(x1, px);
+            y0 = Math.min(y0, py);
+            y1 = Math.max(y1, py);
+        }
+    }
+    const window = [
+        Math.max(0, Math.floor(x0) - 1),
+        Math.max(0, Math.floor(y0) - 1),
+        Math.min(fullWidth, Math.ceil(x1) + 1),
+        Math.min(fullHeight, Math.ceil(y1) + 1)
+    ];
+    const winW = window[2] - window[0];
+    const winH = window[3] - window[1];
+    if (winW <= 0 || winH <= 0) {
+        throw new Error('Imagery does not overlap the terrain');
+    }
+
+    const { width, height } = fitSize(winW, winH, maxSize);
+    const samples = Array.from({ length: Math.min(bandCount, 4) }, (_, i) => i);
+    console.log(`Imagery GeoTIFF: ${fullWidth}x${fullHeight}, ${bandCount} band(s), reading window at ${width}x${height}`);
+
+    let rasters;
+    try {
+        rasters = await image.readRasters({
+            window, width, height, samples, interleave: false, pool, signal
+        });
+    } catch (err) {
+        if (signal?.aborted || isAbortError(err)) throw new AbortError();
+        throw err;
+    }
+
+    const { GDAL_NODATA } = image.fileDirectory;
+    const noDataValue = GDAL_NODATA !== undefined ? parseFloat(GDAL_NODATA) : null;
+    const windowBounds = [
+        minX + (window[0] / fullWidth) * (maxX - minX),
+        maxY - (window[3] / fullHeight) * (maxY - minY),
+        minX + (window[2] / fullWidth) * (maxX - minX),
+        maxY - (window[1] / fullHeight) * (maxY - minY)
+    ];
+
+    return {
+        pixels: bandsToRGBA(Array.from(rasters), Number.isFinite(noDataValue) ? noDataValue : null),
+        width,
+        height,
+        geoTransform: boundsToGeoTransform(windowBounds, width, height),
+        crs
+    };
+}
+
+/**
+ * Decode a PNG/JPEG/WebP and place it with its world file (or options.geoBounds).
+ * @returns {Promise<{ pixels, width, height, geoTransform, crs: null }>}
+ */
+async function readWorldFileImagery(source, extension, options) {
+    const { signal } = options;
+    const decoded = await decodeImage(await readSource(source, signal), IMAGE_TYPES[extension]);
+    throwIfAborted(signal);
+
+    let geoTransform;
+    if (options.geoBounds) {
+        geoTransform = boundsToGeoTransform(options.geoBounds, decoded.width, decoded.height);
+    } else {
+        const text = await readWorldFile(source, extension, options.worldFile, signal);
+        geoTransform = parseWorldFile(text);
+    }
+
+    return { ...decoded, geoTransform, crs: null };
+}
+
+/**
+ * World file text from options.worldFile, or from a sibling of an image URL
+ * (image.png → image.pgw, image.pngw, image.wld).
+ */
+async function readWorldFile(source, extension, worldFile, signal) {
+    if (worldFile) {
+        return new TextDecoder().decode(await readSource(worldFile, signal));
+    }
+    if (typeof source !== 'string') {
+        throw new Error('Imagery files need a world file (options.worldFile) or options.geoBounds');
+    }
+
+    for (const candidate of WORLD_FILE_EXTENSIONS[extension] ?? ['wld']) {
+        const url = source.replace(/\.[A-Za-z0-9]+(?=$|[?#])/, `.${candidate}`);
+        try {
+            return new TextDecoder().decode(await readSource(url, signal));
+        } catch (err) {
+            if (isAbortError(err)) throw err;
+        }
+    }
+    throw new Error(`No world file found next to ${source} (tried ${(WORLD_FILE_EXTENSIONS[extension] ?? ['wld']).join(', ')})`);
+}
@@ -0,0 +1,185 @@
+/**
+ * Mosaic.js — Merge several adjacent or overlapping rasters onto one grid (pure functions, no DOM)
+ *
+ * Survey deliveries are often split into tiles, or made of overlapping
+ * multibeam passes. planMosaic checks that the sources can be combined and
+ * sizes a shared grid covering the union of their bounds; mergeRasters
+ * resamples each source onto that grid. Cells no source covers are NoData (NaN).
+ */
+
+import { sampleElevation } from './ElevationSampling.js';
+
+/**
+ * How overlapping sources combine, in source order.
+ */
+export const OVERLAP_RULES = ['first', 'last', 'mean', 'min', 'max'];
+
+/**
+ * Check that sources share a CRS and resolution and compute the shared grid.
+ * @param {Object[]} sources - [{ width, height, bounds: [minX, minY, maxX, maxY], crs }]
+ * @param {Object} [options]
+ * @param {number} [options.resolutionTolerance=0.01] - Allowed relative difference in pixel size
+ * @returns {{ bounds: number[], width: number, height: number, resolution: number[], crs: Object }}
+ */
+export function planMosaic(sources, options = {}) {
+    const { resolutionTolerance = 0.01 } = options;
+
+    if (!sources || sources.length === 0) {
+        throw new Error('Mosaic needs at least one source');
+    }
+
+    const crs = sources[0].crs;
+    let resX = Infinity;
+    let resY = Infinity;
+    let coarsestX = 0;
+    let coarsestY = 0;
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+
+    sources.forEach((source, i) => {
+        if (!sameCRS(crs, source.crs)) {
+            throw new Error(`Mosaic source ${i + 1} has a different CRS ` +
+                `(${describeCRS(source.crs)}, expected ${describeCRS(crs)})`);
+        }
+
+        const [minX, minY, maxX, maxY] = source.bounds;
+        const rx = (maxX - minX) / source.width;
+        const ry = (maxY - minY) / source.height;
+        resX = Math.min(resX, rx);
+        resY = Math.min(resY, ry);
+        coarsestX = Math.max(coarsestX, rx);
+        coarsestY = Math.max(coarsestY, ry);
+
+        bounds[0] = Math.min(bounds[0], minX);
+        bounds[1] = Math.min(bounds[1], minY);
+        bounds[2] = Math.max(bounds[2], maxX);
+        bounds[3] = Math.max(bounds[3], maxY);
+    });
+
+    if (coarsestX / resX - 1 > resolutionTolerance || coarsestY / resY - 1 > resolutionTolerance) {
+        throw new Error(`Mosaic sources have different resolutions ` +
+            `(${resX.toPrecision(4)} to ${coarsestX.toPrecision(4)} units per pixel)`);
+    }
+
+    return {
+        bounds,
+        width: Math.max(1, Math.round((bounds[2] - bounds[0]) / resX)),
+        height: Math.max(1, Math.round((bounds[3] - bounds[1]) / resY)),
+        resolution: [resX, resY],
+        crs
+    };
+}
+
+/**
+ * Resample sources onto a grid covering `bounds`.
+ *
+ * Each output cell takes the NoData-aware bilinear sample of every source
+ * whose footprint contains the cell centre; samples are combined with the
+ * overlap rule. Sources may be read at any size, as long as their data
+ * covers their full bounds.
+ *
+ * @param {Object[]} sources - [{ data, width, height, bounds, noDataValue }]
+ * @param {number[]} bounds - Output [minX, minY, maxX, maxY]
+ * @param {number} width - Output columns
+ * @param {number} height - Output rows
+ * @param {string} [overlap='last'] - One of OVERLAP_RULES
+ * @returns {Float32Array} Row-major (north-up) elevations, NaN where no source has data
+ */
+export function mergeRasters(sources, bounds, width, height, overlap = 'last') {
+    if (!OVERLAP_RULES.includes(overlap)) {
+        throw new Error(`Unknown overlap rule: ${overlap} (expected ${OVERLAP_RULES.join(', ')})`);
+    }
+
+    const out = new Float32Array(width * height).fill(Number.NaN);
+    const sum = overlap === 'mean' ? new Float64Array(width * height) : null;
+    const count = overlap === 'mean' ? new Uint16Array(width * height) : null;
+
+    const [gx0, , , gy1] = bounds;
+    const cellW = (bounds[2] - bounds[0]) / width;
+    const cellH = (bounds[3] - bounds[1]) / height;
+
+    for (const source of sources) {
+        const [minX, minY, maxX, maxY] = source.bounds;
+        const raster = {
+            elevationData: source.data,
+            elevationWidth: source.width,
+            elevationHeight: source.height,
+            noDataValue: source.noDataValue ?? null
+        };
+
+        // Output cells whose centres fall inside this source
+        const i0 = Math.max(0, Math.ceil((minX - gx0) / cellW - 0.5));
+        const i1 = Math.min(width - 1, Math.floor((maxX - gx0) / cellW - 0.5));
+        const j0 = Math.max(0, Math.ceil((gy1 - maxY) / cellH - 0.5));
+        const j1 = Math.min(height - 1, Math.floor((gy1 - minY) / cellH - 0.5));
+
+        for (let j = j0; j <= j1; j++) {
+            const y = gy1 - (j + 0.5) * cellH;
+            const v = pixelToUnit((maxY - y) / (maxY - minY) * source.height - 0.5, source.height);
+
+            for (let i = i0; i <= i1; i++) {
+                const x = gx0 + (i + 0.5) * cellW;
+                const u = pixelToUnit((x - minX) / (maxX - minX) * source.width - 0.5, source.width);
+
+                const value = sampleElevation(raster, u, v);
+                if (!Number.isFinite(value)) continue;
+
+                const idx = j * width + i;
+                const current = out[idx];
+                switch (overlap) {
+                    case 'first':
+                        if (Number.isNaN(current)) out[idx] = value;
+                        break;
+                    case 'last':
+                        out[idx] = value;
+                        break;
+                    case 'min':
+                        if (Number.isNaN(current) || value < current) out[idx] = value;
+                        break;
+                    case 'max':
+                        if (Number.isNaN(current) || value > current) out[idx] = value;
+                        break;
+                    case 'mean':
+                        sum[idx] += value;
+                        count[idx]++;
+                        break;
+                }
+            }
+        }
+    }
+
+    if (sum) {
+        for (let i = 0; i < out.length; i++) {
+            if (count[i] > 0) out[i] = sum[i] / count[i];
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Pixel-centre coordinate → normalized sampling position (0-1), clamped
+ * to the outermost pixel centres.
+ */
+function pixelToUnit(p, size) {
+    if (size <= 1) return 0;
+    return Math.min(Math.max(p, 0), size - 1) / (size - 1);
+}
+
+/**
+ * Whether two parsed CRSs (parseGeoKeys) describe the same horizontal system.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function sameCRS(a, b) {
+    return a.type === b.type && a.epsg === b.epsg && Object.is(a.metresPerUnit, b.metresPerUnit);
+}
+
+/**
+ * Short CRS label for messages ('EPSG:2193', or the CRS type).
+ * @param {Object} crs
+ * @returns {string}
+ */
+export function describeCRS(crs) {
+    return crs.epsg ? `EPSG:${crs.epsg}` : crs.type;
+}
@@ -1,11 +1,24 @@
 /**
  * OverlayLayers.js - 3D contour line visualization
  *
- * Creates Three.js contour line objects on terrain surface.
+ * Creates Three.js contour line objects on terrain surface, with elevation
+ * labels along the index contours (see ContourLabels.js). Index (major) and
+ * intermediate (minor) contours are separate wide-line meshes (LineSegments2:
+ * WebGL ignores LineBasicMaterial.linewidth), each with its own color, width
+ * and visibility. Filled bands between the contours (see ContourBands.js)
+ * can be shown under or instead of the lines. With LOD tiles, all three are
+ * hidden over tiles finer than the mesh they are draped on (see TerrainTiles.js).
  */
 
 import * as THREE from 'three';
+import { LineSegments2 } from 'three/addons/lines/LineSegments2.js';
+import { LineSegmentsGeometry } from 'three/addons/lines/LineSegmentsGeometry.js';
+import { LineMaterial } from 'three/addons/lines/LineMaterial.js';
 import { disposeThreeObject } from '../scene/utils.js';
+import { createContourLabelMesh, DEFAULT_LABEL_SETTINGS } from './ContourLabels.js';
+import { createContourBandMesh, setContourBandSettings, DEFAULT_BAND_SETTINGS } from './ContourBands.js';
+import { splitIndexContours } from './Contours.js';
+import { hideOverRefinedTiles } from './TerrainTiles.js';
 
 /**
  * Configuration defaults.
@@ -14,13 +27,26 @@ const DEFAULT_CONFIG = {
     // Height offset for contours above terrain surface
     contourHeightOffset: 0.00005,
 
-    // Contour line colors
+    // Contour line colors and widths (CSS pixels); major = index contours
     contourColor: 0x000000,
+    contourMajorColor: 0x5c2e0a,
     contourMajorWidth: 2,
     contourMinorWidth: 1,
 
+    // Every nth contour is an index contour (0 = none)
+    contourMajorEvery: 5,
+
     // Contour simplification tolerance (model units, 0 = no simplification)
-    contourSimplifyTolerance: 0.0001
+    contourSimplifyTolerance: 0.0001,
+
+    // Distance between labels along an index contour (share of the model size)
+    contourLabelSpacing: 0.25,
+
+    // Label appearance and thinning (see DEFAULT_LABEL_SETTINGS)
+    contourLabels: DEFAULT_LABEL_SETTINGS,
+
+    // Filled band appearance (see DEFAULT_BAND_SETTINGS)
+    contourBands: DEFAULT_BAND_SETTINGS
 };
 
 /**
@@ -39,9 +65,16 @@ export class OverlayLayers {
         // Terrain reference for height lookups
         this.terrainMesh = null;
 
-        // Visibility state
+        // LOD tiles drawn instead of the terrain mesh, if any
+        this.terrainTiles = null;
+
+        // Visibility state (major, minor, labels and bands show only with the contours)
         this.visibility = {
-            contours: true
+            contours: true,
+            major: true,
+            minor: true,
+            labels: true,
+            bands: true
         };
 
         // Track last Z-exaggeration for scaling updates
@@ -52,44 +85,139 @@ export class OverlayLayers {
      * Initialize overlay layers.
      * @param {THREE.Group} parentGroup - Parent group for all overlays
      * @param {TerrainMesh} terrainMesh - Terrain for height lookups
+     * @param {TerrainTiles|null} [terrainTiles=null] - LOD tiles rendering the terrain
      */
-    init(parentGroup, terrainMesh) {
+    init(parentGroup, terrainMesh, terrainTiles = null) {
         this.parentGroup = parentGroup;
         this.terrainMesh = terrainMesh;
+        this.terrainTiles = terrainTiles;
 
         this.contourGroup = new THREE.Group();
         this.contourGroup.name = 'contours';
         parentGroup.add(this.contourGroup);
     }
 
+    /**
+     * Distance between labels along an index contour, for contour generation.
+     * @returns {number} Model units
+     */
+    getLabelSpacing() {
+        return this.config.contourLabelSpacing * (this.terrainMesh?.getModelSize() ?? 1);
+    }
+
     /**
      * Create contour lines from raw line segments (Float32Array of vertex positions).
      * @param {Float32Array} segments - Flat array of vertex positions [x,y,z, x,y,z, ...]
      * @param {number} vertexCount - Number of vertices
+     * @param {Float32Array|null} [labels=null] - Label anchors placed getLabelSpacing() apart
+     *   (see generateContourSegments())
+     * @param {Uint32Array|null} [segmentThresholds=null] - Threshold index per segment, for
+     *   index contours every config.contourMajorEvery intervals (null: all minor)
+     * @param {Object|null} [isobands=null] - Filled bands (see generateIsobands())
      */
-    createContoursFromSegments(segments, vertexCount) {
+    createContoursFromSegments(segments, vertexCount, labels = null, segmentThresholds = null, isobands = null) {
         if (this.terrainMesh) {
             this.lastZExaggeration = this.terrainMesh.getZExaggeration();
         }
 
         this._clearGroup(this.contourGroup);
 
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.BufferAttribute(segments, 3));
+        const bandMesh = isobands && this.terrainMesh
+            ? createContourBandMesh(isobands, this.terrainMesh, this.config.contourBands)
+            : null;
+        if (bandMesh) {
+            if (this.terrainTiles) hideOverRefinedTiles(bandMesh.material, this.terrainTiles);
+            bandMesh.visible = this.visibility.bands;
+            this.contourGroup.add(bandMesh);
+        }
+
+        const { major, minor } = splitIndexContours(segments, segmentThresholds, this.config.contourMajorEvery);
+        if (minor.length > 0) this.contourGroup.add(this._createLines('minor', minor));
+        if (major.length > 0) this.contourGroup.add(this._createLines('major', major));
+
+        if (labels?.length > 0) {
+            const labelMesh = createContourLabelMesh(labels, this.getLabelSpacing(), {
+                settings: this.config.contourLabels,
+                clippingPlanes: this.terrainMesh?.clippingPlanes ?? null
+            });
+            if (this.terrainTiles) hideOverRefinedTiles(labelMesh.material, this.terrainTiles);
+            labelMesh.visible = this.visibility.labels;
+            this.contourGroup.add(labelMesh);
+        }
+
+        console.log(`Contours from segments: ${(vertexCount / 2).toLocaleString()} segments ` +
+            `(${(major.length / 6).toLocaleString()} index), ${vertexCount.toLocaleString()} vertices`);
+
+        this.contourGroup.visible = this.visibility.contours;
+    }
+
+    /**
+     * Wide contour lines of one class.
+     * @param {string} kind - 'major' or 'minor'
+     * @param {Float32Array} segments - 6 values per segment (kept by the geometry)
+     * @returns {LineSegments2}
+     * @private
+     */
+    _createLines(kind, segments) {
+        const major = kind === 'major';
+        const width = major ? this.config.contourMajorWidth : this.config.contourMinorWidth;
 
-        const material = new THREE.LineBasicMaterial({
-            color: this.config.contourColor,
-            depthTest: true
+        const geometry = new LineSegmentsGeometry();
+        geometry.setPositions(segments);
+
+        // Contours are cut away with the terrain by a section (see SectionClipping.js)
+        const material = new LineMaterial({
+            color: major ? this.config.contourMajorColor : this.config.contourColor,
+            linewidth: width,
+            depthTest: true,
+            clippingPlanes: this.terrainMesh?.clippingPlanes ?? null
         });
+        if (this.terrainTiles) {
+            hideOverRefinedTiles(material, this.terrainTiles, 'position.y < 0.5 ? instanceStart : instanceEnd');
+        }
 
-        const lines = new THREE.LineSegments(geometry, material);
-        lines.name = 'contours_batched';
+        const lines = new LineSegments2(geometry, material);
+        lines.name = `contours_${kind}`;
         lines.frustumCulled = false;
-        this.contourGroup.add(lines);
+        lines.visible = this.visibility[kind];
 
-        console.log(`Contours from segments: ${(vertexCount / 2).toLocaleString()} segments, ${vertexCount.toLocaleString()} vertices`);
+        // Widths are in pixels of the viewport being drawn (each eye in XR)
+        const viewport = new THREE.Vector4();
+        lines.onBeforeRender = (renderer) => {
+            renderer.getCurrentViewport(viewport);
+            material.resolution.set(viewport.z, viewport.w);
+            material.linewidth = width * renderer.getPixelRatio();
+        };
+        return lines;
+    }
 
-        this.contourGroup.visible = this.visibility.contours;
+    /**
+     * Change the appearance of the filled bands.
+     * @param {Object} settings - See DEFAULT_BAND_SETTINGS
+     */
+    setBandSettings(settings) {
+        this.config.contourBands = settings;
+        const bandMesh = this.contourGroup?.getObjectByName('contour_bands');
+        if (bandMesh) setContourBandSettings(bandMesh.material, settings);
+    }
+
+    /**
+     * Visible contour lines as plain line segments (for export). The
+     * geometry shares the displayed vertex data.
+     * @returns {THREE.LineSegments[]}
+     */
+    getContourLines() {
+        if (!this.contourGroup?.visible) return [];
+        return this.contourGroup.children
+            .filter((child) => child.isLineSegments2 && child.visible)
+            .map((child) => {
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position',
+                    new THREE.BufferAttribute(child.geometry.attributes.instanceStart.data.array, 3));
+                const lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: child.material.color }));
+                lines.name = child.name;
+                return lines;
+            });
     }
 
     /**
@@ -120,7 +248,17 @@ export class OverlayLayers {
         if (!group) return;
 
         group.traverse((child) => {
-            if (child.geometry?.attributes.position) {
+            // Bands follow the terrain's height scale in their shader
+            if (child.userData.shaderHeights) return;
+            if (child.isLineSegments2) {
+                // Segment ends share an interleaved buffer (the position attribute is the line quad)
+                const buffer = child.geometry.attributes.instanceStart.data;
+                for (let i = 1; i < buffer.array.length; i += 3) {
+                    buffer.array[i] *= scaleRatio;
+                }
+                buffer.needsUpdate = true;
+                child.geometry.computeBoundingSphere();
+            } else if (child.geometry?.attributes.position) {
                 const positions = child.geometry.attributes.position;
                 for (let i = 0; i < positions.count; i++) {
                     const y = positions.getY(i);
@@ -146,15 +284,21 @@ export class OverlayLayers {
 
     /**
      * Set layer visibility.
-     * @param {string} layer - 'contours'
+     * @param {string} layer - 'contours', 'major', 'minor', 'labels' or 'bands'
      * @param {boolean} visible
      */
     setVisibility(layer, visible) {
         this.visibility[layer] = visible;
+        if (!this.contourGroup) return;
 
-        if (layer === 'contours' && this.contourGroup) {
+        if (layer === 'contours') {
             this.contourGroup.visible = visible;
+            return;
         }
+        const names = { labels: 'contour_labels', bands: 'contour_bands' };
+        const name = names[layer] ?? `contours_${layer}`;
+        const object = this.contourGroup.getObjectByName(name);
+        if (object) object.visible = visible;
     }
 
     /**
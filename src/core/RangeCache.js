@@ -0,0 +1,585 @@
+/**
+ * RangeCache.js - Persistent cache of COG range requests (IndexedDB)
+ *
+ * geotiff.js reads a COG with many small HTTP range requests. RangeCache
+ * keeps the bytes in fixed-size blocks keyed by URL and ETag, so reopening
+ * a survey reads it from disk, including offline once it was prefetched.
+ * Cached bytes are capped at maxBytes; least recently used blocks go first.
+ *
+ * createClient(url) returns a geotiff.js custom client (for
+ * GeoTIFF.fromCustomClient); openCOG uses it when given a rangeCache.
+ * Datasets are validated with a HEAD request: a changed ETag (or
+ * Last-Modified) drops their blocks, and a failed request falls back to the
+ * cached copy. Cross-origin servers must expose ETag or Last-Modified
+ * (Access-Control-Expose-Headers), otherwise the URL is read uncached.
+ *
+ * Where IndexedDB is unavailable (Node/vitest, some private browsing modes)
+ * blocks are kept in memory for the session instead.
+ */
+
+import { AbortError, isAbortError, throwIfAborted } from './utils.js';
+
+/**
+ * Default configuration for the range cache.
+ */
+const DEFAULT_CONFIG = {
+    // IndexedDB database name
+    dbName: 'abovejs-range-cache',
+
+    // Cap on cached bytes
+    maxBytes: 512 * 1024 * 1024,
+
+    // Cache granularity; matches geotiff.js's default block size
+    blockSize: 64 * 1024,
+
+    // Storage backend; null → IndexedDB where available, otherwise memory
+    store: null
+};
+
+/**
+ * RangeCache stores range-request blocks with LRU eviction.
+ */
+export class RangeCache {
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+        this.store = this.config.store ??
+            (IndexedDBStore.isSupported() ? new IndexedDBStore(this.config.dbName) : new MemoryStore());
+
+        // url → { url, etag, size }
+        this.datasets = new Map();
+        // block key → { key, url, size, lastAccess }
+        this.entries = new Map();
+        this.bytes = 0;
+
+        // Blocks served from the cache / fetched from the network
+        this.hits = 0;
+        this.misses = 0;
+
+        // Access counter ordering entries for LRU eviction
+        this._clock = 0;
+        this._ready = null;
+    }
+
+    /**
+     * Create a geotiff.js client reading `url` through the cache.
+     * @param {string} url
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Object|null>} Client, or null if the URL cannot be cached
+     */
+    async createClient(url, signal) {
+        const dataset = await this.validate(url, signal);
+        return dataset ? new CachingClient(url, this, dataset) : null;
+    }
+
+    /**
+     * Check a URL against the server and return its cache record. Blocks
+     * of a changed dataset are dropped; when the server cannot be reached
+     * the cached record is used as is.
+     * @param {string} url
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Object|null>} { url, etag, size }, or null if the URL cannot be cached
+     */
+    async validate(url, signal) {
+        await this._init();
+        const cached = this.datasets.get(url) ?? null;
+
+        let response;
+        try {
+            response = await fetch(url, { method: 'HEAD', signal });
+        } catch (err) {
+            if (signal?.aborted || isAbortError(err)) throw new AbortError();
+            if (cached) console.log(`Range cache: ${url} unreachable, using cached copy`);
+            return cached;
+        }
+        if (!response.ok) return cached;
+
+        const etag = response.headers.get('ETag') ?? response.headers.get('Last-Modified');
+        const size = parseInt(response.headers.get('Content-Length'), 10);
+        if (!etag || !Number.isFinite(size)) return null;
+
+        if (cached && cached.etag === etag && cached.size === size) return cached;
+        if (cached) {
+            console.log(`Range cache: ${url} changed on the server, dropping cached blocks`);
+            await this._removeDataset(url);
+        }
+
+        const dataset = { url, etag, size };
+        this.datasets.set(url, dataset);
+        await this.store.putDataset(dataset);
+        return dataset;
+    }
+
+    /**
+     * Read bytes [start, end] (inclusive, clamped to the file) of a dataset,
+     * fetching and caching missing blocks.
+     * @param {Object} dataset - Record from validate()
+     * @param {number} start
+     * @param {number} end
+     * @param {Object} [options]
+     * @param {Object} [options.headers] - Extra request headers
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async read(dataset, start, end, { headers = {}, signal } = {}) {
+        await this._init();
+        const { blockSize } = this.config;
+        end = Math.min(end, dataset.size - 1);
+        if (end < start) return new ArrayBuffer(0);
+
+        const first = Math.floor(start / blockSize);
+        const last = Math.floor(end / blockSize);
+        const blocks = new Map();
+        const missing = [];
+
+        for (let i = first; i <= last; i++) {
+            const key = blockKey(dataset, i);
+            const data = this.entries.has(key) ? await this.store.getBlock(key) : undefined;
+            if (data) blocks.set(i, data);
+            else missing.push(i);
+        }
+        this.hits += blocks.size;
+        this.misses += missing.length;
+        await this._touch([...blocks.keys()].map(i => blockKey(dataset, i)));
+
+        // Fetch runs of consecutive missing blocks, one request each
+        for (let r = 0; r < missing.length;) {
+            let s = r;
+            while (s + 1 < missing.length && missing[s + 1] === missing[s] + 1) s++;
+            const fetched = await this._fetchBlocks(dataset, missing[r], missing[s], headers, signal);
+            for (const [i, data] of fetched) blocks.set(i, data);
+            r = s + 1;
+        }
+        await this._evict();
+
+        const out = new Uint8Array(end - start + 1);
+        for (let i = first; i <= last; i++) {
+            const block = new Uint8Array(blocks.get(i));
+            const blockStart = i * blockSize;
+            const from = Math.max(start, blockStart) - blockStart;
+            const to = Math.min(end + 1, blockStart + block.length) - blockStart;
+            out.set(block.subarray(from, to), blockStart + from - start);
+        }
+        return out.buffer;
+    }
+
+    /**
+     * Download a whole dataset into the cache for offline use.
+     * @param {string} url
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @param {Function} [options.onProgress] - (fraction) => void
+     * @param {number} [options.blocksPerRequest=16]
+     * @returns {Promise<{ url: string, size: number }>}
+     */
+    async prefetch(url, { signal, onProgress, blocksPerRequest = 16 } = {}) {
+        const dataset = await this.validate(url, signal);
+        if (!dataset) {
+            throw new Error(`Cannot cache ${url}: the server reports no ETag, Last-Modified or Content-Length`);
+        }
+        if (dataset.size > this.config.maxBytes) {
+            throw new Error(`Cannot cache ${url}: ${formatMB(dataset.size)} exceeds the ${formatMB(this.config.maxBytes)} cache`);
+        }
+
+        const chunk = this.config.blockSize * blocksPerRequest;
+        for (let start = 0; start < dataset.size; start += chunk) {
+            throwIfAborted(signal);
+            await this.read(dataset, start, start + chunk - 1, { signal });
+            onProgress?.(Math.min(1, (start + chunk) / dataset.size));
+        }
+        console.log(`Range cache: prefetched ${url} (${formatMB(dataset.size)})`);
+        return { url, size: dataset.size };
+    }
+
+    /**
+     * Cache statistics.
+     * @returns {Promise<Object>} { bytes, maxBytes, blocks, hits, misses, datasets: [{ url, etag, size, cachedBytes }] }
+     */
+    async getStats() {
+        await this._init();
+        const cachedBytes = new Map();
+        for (const entry of this.entries.values()) {
+            cachedBytes.set(entry.url, (cachedBytes.get(entry.url) ?? 0) + entry.size);
+        }
+        return {
+            bytes: this.bytes,
+            maxBytes: this.config.maxBytes,
+            blocks: this.entries.size,
+            hits: this.hits,
+            misses: this.misses,
+            datasets: [...this.datasets.values()].map(d => ({ ...d, cachedBytes: cachedBytes.get(d.url) ?? 0 }))
+        };
+    }
+
+    /**
+     * Remove one dataset, or everything.
+     * @param {string} [url] - Dataset to remove (default: all)
+     * @returns {Promise<void>}
+     */
+    async clear(url) {
+        await this._init();
+        if (url !== undefined) {
+            await this._removeDataset(url);
+            return;
+        }
+        await this.store.clear();
+        this.datasets.clear();
+        this.entries.clear();
+        this.bytes = 0;
+    }
+
+    /**
+     * Close the storage backend.
+     */
+    close() {
+        this.store.close?.();
+        this._ready = null;
+    }
+
+    /**
+     * Open the store and load dataset and block records (not block data).
+     */
+    _init() {
+        if (!this._ready) {
+            this._ready = (async () => {
+                try {
+                    await this.store.open();
+                } catch (err) {
+                    console.warn('Range cache: IndexedDB unavailable, caching in memory', err);
+                    this.store = new MemoryStore();
+                    await this.store.open();
+                }
+                this.datasets.clear();
+                this.entries.clear();
+                this.bytes = 0;
+                for (const dataset of await this.store.getDatasets()) this.datasets.set(dataset.url, dataset);
+                for (const entry of await this.store.getEntries()) {
+                    this.entries.set(entry.key, entry);
+                    this.bytes += entry.size;
+                    this._clock = Math.max(this._clock, entry.lastAccess);
+                }
+            })();
+        }
+        return this._ready;
+    }
+
+    /**
+     * Fetch blocks first..last with one range request and store them.
+     * @returns {Promise<Map<number, ArrayBuffer>>}
+     */
+    async _fetchBlocks(dataset, first, last, headers, signal) {
+        const { blockSize } = this.config;
+        const start = first * blockSize;
+        const end = Math.min((last + 1) * blockSize, dataset.size) - 1;
+
+        let response;
+        try {
+            response = await fetch(dataset.url, { headers: { ...headers, Range: `bytes=${start}-${end}` }, signal });
+        } catch (err) {
+            if (signal?.aborted || isAbortError(err)) throw new AbortError();
+            throw err;
+        }
+        if (!response.ok) {
+            throw new Error(`Range request failed: ${response.status} ${response.statusText} (${dataset.url})`);
+        }
+
+        const etag = response.headers.get('ETag') ?? response.headers.get('Last-Modified');
+        if (etag && etag !== dataset.etag) {
+            await this._removeDataset(dataset.url);
+            throw new Error(`${dataset.url} changed on the server while it was being read; reload it`);
+        }
+
+        // A 200 is the whole file (the server ignored Range)
+        const data = new Uint8Array(await response.arrayBuffer());
+        const offset = response.status === 206 ? start : 0;
+
+        const blocks = new Map();
+        for (let i = first; i <= last; i++) {
+            const from = i * blockSize - offset;
+            const block = data.slice(from, Math.min(from + blockSize, data.length)).buffer;
+            const entry = { key: blockKey(dataset, i), url: dataset.url, size: block.byteLength, lastAccess: ++this._clock };
+            if (!this.entries.has(entry.key)) this.bytes += entry.size;
+            this.entries.set(entry.key, entry);
+            await this.store.putBlock(entry, block);
+            blocks.set(i, block);
+        }
+        return blocks;
+    }
+
+    async _touch(keys) {
+        const touched = [];
+        for (const key of keys) {
+            const entry = this.entries.get(key);
+            if (!entry) continue;
+            entry.lastAccess = ++this._clock;
+            touched.push(entry);
+        }
+        if (touched.length > 0) await this.store.putEntries(touched);
+    }
+
+    /**
+     * Drop least recently used blocks until the cache fits maxBytes.
+     */
+    async _evict() {
+        if (this.bytes <= this.config.maxBytes) return;
+
+        const lru = [...this.entries.values()].sort((a, b) => a.lastAccess - b.lastAccess);
+        const keys = [];
+        for (const entry of lru) {
+            if (this.bytes <= this.config.maxBytes) break;
+            keys.push(entry.key);
+            this.entries.delete(entry.key);
+            this.bytes -= entry.size;
+        }
+        await this.store.deleteBlocks(keys);
+    }
+
+    async _removeDataset(url) {
+        const keys = [];
+        for (const entry of this.entries.values()) {
+            if (entry.url === url) keys.push(entry.key);
+        }
+        for (const key of keys) {
+            this.bytes -= this.entries.get(key).size;
+            this.entries.delete(key);
+        }
+        this.datasets.delete(url);
+        await this.store.deleteBlocks(keys);
+        await this.store.deleteDataset(url);
+    }
+}
+
+/**
+ * geotiff.js custom client (see GeoTIFF.fromCustomClient) serving single
+ * range requests from a RangeCache.
+ */
+class CachingClient {
+    constructor(url, cache, dataset) {
+        this.url = url;
+        this.cache = cache;
+        this.dataset = dataset;
+    }
+
+    async request({ headers = {}, signal } = {}) {
+        const { Range: range, ...rest } = headers;
+        const match = /^bytes=(\d+)-(\d+)$/.exec(range ?? '');
+        if (!match) {
+            // Whole-file or multi-range reads bypass the cache
+            return new FetchResponse(await fetch(this.url, { headers, signal }));
+        }
+
+        const start = Number(match[1]);
+        const data = await this.cache.read(this.dataset, start, Number(match[2]), { headers: rest, signal });
+        return new CachedResponse(data, start, this.dataset.size);
+    }
+}
+
+/**
+ * 206 response assembled from cached blocks.
+ */
+class CachedResponse {
+    constructor(data, start, total) {
+        this.data = data;
+        this.contentRange = `bytes ${start}-${start + data.byteLength - 1}/${total}`;
+    }
+
+    get ok() {
+        return true;
+    }
+
+    get status() {
+        return 206;
+    }
+
+    getHeader(name) {
+        return name.toLowerCase() === 'content-range' ? this.contentRange : undefined;
+    }
+
+    async getData() {
+        return this.data;
+    }
+}
+
+/**
+ * geotiff.js response wrapper around a fetch Response.
+ */
+class FetchResponse {
+    constructor(response) {
+        this.response = response;
+    }
+
+    get ok() {
+        return this.response.ok;
+    }
+
+    get status() {
+        return this.response.status;
+    }
+
+    getHeader(name) {
+        return this.response.headers.get(name) ?? undefined;
+    }
+
+    async getData() {
+        return this.response.arrayBuffer();
+    }
+}
+
+/**
+ * IndexedDB backend: dataset and block records in small stores, block
+ * bytes in their own store so startup reads only the records.
+ */
+class IndexedDBStore {
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    constructor(name) {
+        this.name = name;
+        this.db = null;
+    }
+
+    async open() {
+        const request = indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('datasets', { keyPath: 'url' });
+            db.createObjectStore('entries', { keyPath: 'key' });
+            db.createObjectStore('blocks');
+        };
+        this.db = await requestResult(request);
+    }
+
+    getDatasets() {
+        return requestResult(this.db.transaction('datasets').objectStore('datasets').getAll());
+    }
+
+    getEntries() {
+        return requestResult(this.db.transaction('entries').objectStore('entries').getAll());
+    }
+
+    getBlock(key) {
+        return requestResult(this.db.transaction('blocks').objectStore('blocks').get(key));
+    }
+
+    putDataset(dataset) {
+        return this._write(['datasets'], tx => tx.objectStore('datasets').put(dataset));
+    }
+
+    putBlock(entry, data) {
+        return this._write(['entries', 'blocks'], (tx) => {
+            tx.objectStore('entries').put(entry);
+            tx.objectStore('blocks').put(data, entry.key);
+        });
+    }
+
+    putEntries(entries) {
+        return this._write(['entries'], (tx) => {
+            const store = tx.objectStore('entries');
+            for (const entry of entries) store.put(entry);
+        });
+    }
+
+    deleteBlocks(keys) {
+        if (keys.length === 0) return Promise.resolve();
+        return this._write(['entries', 'blocks'], (tx) => {
+            for (const key of keys) {
+                tx.objectStore('entries').delete(key);
+                tx.objectStore('blocks').delete(key);
+            }
+        });
+    }
+
+    deleteDataset(url) {
+        return this._write(['datasets'], tx => tx.objectStore('datasets').delete(url));
+    }
+
+    clear() {
+        return this._write(['datasets', 'entries', 'blocks'], (tx) => {
+            for (const name of ['datasets', 'entries', 'blocks']) tx.objectStore(name).clear();
+        });
+    }
+
+    close() {
+        this.db?.close();
+        this.db = null;
+    }
+
+    _write(storeNames, fn) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeNames, 'readwrite');
+            tx.oncomplete = () => resolve();
+            tx.onerror = tx.onabort = () => reject(tx.error);
+            fn(tx);
+        });
+    }
+}
+
+/**
+ * Session-only backend with the IndexedDBStore interface.
+ */
+class MemoryStore {
+    constructor() {
+        this.datasets = new Map();
+        this.entries = new Map();
+        this.blocks = new Map();
+    }
+
+    async open() {}
+
+    async getDatasets() {
+        return [...this.datasets.values()].map(d => ({ ...d }));
+    }
+
+    async getEntries() {
+        return [...this.entries.values()].map(e => ({ ...e }));
+    }
+
+    async getBlock(key) {
+        return this.blocks.get(key);
+    }
+
+    async putDataset(dataset) {
+        this.datasets.set(dataset.url, { ...dataset });
+    }
+
+    async putBlock(entry, data) {
+        this.entries.set(entry.key, { ...entry });
+        this.blocks.set(entry.key, data);
+    }
+
+    async putEntries(entries) {
+        for (const entry of entries) this.entries.set(entry.key, { ...entry });
+    }
+
+    async deleteBlocks(keys) {
+        for (const key of keys) {
+            this.entries.delete(key);
+            this.blocks.delete(key);
+        }
+    }
+
+    async deleteDataset(url) {
+        this.datasets.delete(url);
+    }
+
+    async clear() {
+        this.datasets.clear();
+        this.entries.clear();
+        this.blocks.clear();
+    }
+}
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function blockKey(dataset, index) {
+    return `${dataset.url}|${dataset.etag}|${index}`;
+}
+
+function formatMB(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,138 @@
+/**
+ * RenderModes.js - Analytical shading modes for the terrain and tile shaders
+ *
+ * Besides the default colormap coloring, the terrain can be shown as a
+ * multi-directional hillshade, slope angle, aspect or curvature. All are
+ * computed per fragment from the surface gradient: the base terrain reads it
+ * from a full-resolution half-float gradient texture (and curvature from the
+ * normal map's blue channel, see the normalMap job), LOD tiles from their
+ * gradient attribute.
+ */
+
+import * as THREE from 'three';
+
+/** Render modes accepted by setRenderMode(). */
+export const RenderMode = {
+    COLOR: 'color',
+    HILLSHADE: 'hillshade',
+    SLOPE: 'slope',
+    ASPECT: 'aspect',
+    CURVATURE: 'curvature'
+};
+
+const MODE_INDEX = Object.values(RenderMode);
+
+/** Default sun and slope settings (degrees). */
+export const DEFAULT_RENDER_SETTINGS = {
+    sunAzimuth: 315,   // clockwise from north (cartographic northwest light)
+    sunAltitude: 45,
+    slopeMax: 45       // slope at the top of the colormap
+};
+
+/**
+ * GLSL declarations and `vec3 renderModeColor(vec2 gradient, float curvature)`.
+ * gradient is dz/dEast, dz/dSouth in metres per metre; curvature is
+ * normalized to [-1, 1] (positive = convex). Include after colormapShaderChunk.
+ */
+export const renderModeShaderChunk = /* glsl */`
+    uniform float renderMode;   // index into RenderMode; 0 = colormap
+    uniform float sunAzimuth;   // radians, clockwise from north
+    uniform float sunAltitude;  // radians
+    uniform float slopeMax;     // radians
+    uniform float zFactor;      // hillshade vertical exaggeration
+
+    // World axes: X east, Y up, Z south
+    float hillshade(vec2 g, float azimuth) {
+        vec3 n = normalize(vec3(-g.x, 1.0, -g.y));
+        vec3 l = vec3(cos(sunAltitude) * sin(azimuth), sin(sunAltitude), -cos(sunAltitude) * cos(azimuth));
+        return max(dot(n, l), 0.0);
+    }
+
+    vec3 hueToRgb(float h) {
+        vec3 k = abs(fract(vec3(h) + vec3(1.0, 2.0 / 3.0, 1.0 / 3.0)) * 6.0 - 3.0);
+        return clamp(k - 1.0, 0.0, 1.0);
+    }
+
+    vec3 renderModeColor(vec2 gradient, float curvature) {
+        float steepness = length(gradient);
+        // Downhill direction, clockwise from north
+        float aspect = atan(-gradient.x, gradient.y);
+
+        if (renderMode < 1.5) {
+            // Multi-directional: four lights 45 degrees apart around the sun,
+            // each weighted by sin^2 of its angle to the aspect (weights sum to 2)
+            vec2 g = gradient * zFactor;
+            if (steepness < 1e-6) return vec3(sin(sunAltitude));
+            float shade = 0.0;
+            for (int i = 0; i < 4; i++) {
+                float azimuth = sunAzimuth + radians(45.0) * (float(i) - 2.0);
+                float s = sin(aspect - azimuth);
+                shade += s * s * hillshade(g, azimuth);
+            }
+            return vec3(shade * 0.5);
+        }
+
+        if (renderMode < 2.5) {
+            return sampleColormap(atan(steepness) / slopeMax);
+        }
+
+        if (renderMode < 3.5) {
+            // Hue wheel, fading to gray on flat ground (under ~5 degrees)
+            vec3 hue = hueToRgb(aspect / radians(360.0));
+            return mix(vec3(0.5), hue, clamp(atan(steepness) / radians(5.0), 0.0, 1.0));
+        }
+
+        return sampleColormap(0.5 + 0.5 * curvature);
+    }
+`;
+
+/**
+ * Validate render settings (degrees) and fill in defaults.
+ * @param {Object} settings
+ * @param {number} [settings.sunAzimuth] - Clockwise from north (wrapped to 0-360)
+ * @param {number} [settings.sunAltitude] - Above the horizon, 0-90
+ * @param {number} [settings.slopeMax] - Slope at the top of the colormap, (0, 90]
+ * @returns {{ sunAzimuth: number, sunAltitude: number, slopeMax: number }}
+ */
+export function normalizeRenderSettings(settings) {
+    const { sunAzimuth, sunAltitude, slopeMax } = { ...DEFAULT_RENDER_SETTINGS, ...settings };
+    if (!Number.isFinite(sunAzimuth)) {
+        throw new Error(`Sun azimuth must be a number of degrees, got ${sunAzimuth}`);
+    }
+    if (!(sunAltitude >= 0 && sunAltitude <= 90)) {
+        throw new Error(`Sun altitude must be between 0 and 90 degrees, got ${sunAltitude}`);
+    }
+    if (!(slopeMax > 0 && slopeMax <= 90)) {
+        throw new Error(`Slope maximum must be above 0 and at most 90 degrees, got ${slopeMax}`);
+    }
+    return { sunAzimuth: ((sunAzimuth % 360) + 360) % 360, sunAltitude, slopeMax };
+}
+
+/**
+ * Render mode uniforms (angles in radians), shared like the color uniforms.
+ * @param {number} zFactor - Initial hillshade vertical exaggeration
+ * @returns {Object}
+ */
+export function createRenderModeUniforms(zFactor) {
+    const toRadians = THREE.MathUtils.degToRad;
+    return {
+        renderMode: { value: 0 },
+        sunAzimuth: { value: toRadians(DEFAULT_RENDER_SETTINGS.sunAzimuth) },
+        sunAltitude: { value: toRadians(DEFAULT_RENDER_SETTINGS.sunAltitude) },
+        slopeMax: { value: toRadians(DEFAULT_RENDER_SETTINGS.slopeMax) },
+        zFactor: { value: zFactor }
+    };
+}
+
+/**
+ * Shader index of a render mode.
+ * @param {string} mode
+ * @returns {number}
+ */
+export function renderModeIndex(mode) {
+    const index = MODE_INDEX.indexOf(mode);
+    if (index < 0) {
+        throw new Error(`Unknown render mode: ${mode} (expected ${MODE_INDEX.join(', ')})`);
+    }
+    return index;
+}
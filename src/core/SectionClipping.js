@@ -0,0 +1,401 @@
+/**
+ * SectionClipping.js - Cross-sections through the terrain with capped cut faces
+ *
+ * A section removes the terrain on one side of a vertical plane and/or above
+ * a horizontal plane. The planes are written into TerrainMesh.clippingPlanes,
+ * which every terrain material shares (mesh, tiles, water, contours), and are
+ * re-derived each frame from the model container's world matrix so they follow
+ * AR placement, Z-exaggeration and reference elevation changes.
+ *
+ * The terrain itself is a surface, so each plane gets a cap: a quad in the
+ * plane whose fragment shader keeps only the part between a solid base below
+ * the lowest elevation and the terrain surface (sampled from the elevation
+ * texture). Caps are clipped by the other planes, never by their own.
+ */
+
+import * as THREE from 'three';
+import { disposeThreeObject } from '../scene/utils.js';
+import { isNoDataValue, elevationSampleShaderChunk } from './ElevationSampling.js';
+
+const capVertexShader = /* glsl */`
+    varying vec3 vModelPosition;
+    #include <clipping_planes_pars_vertex>
+
+    void main() {
+        // Cap vertices are written in model space (the group is untransformed)
+        vModelPosition = position;
+
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        #include <clipping_planes_vertex>
+    }
+`;
+
+const capFragmentShader = /* glsl */`
+    uniform vec2 modelSize;
+    uniform float waterLevel;
+    uniform float heightScale;
+    uniform float baseHeight;
+    uniform vec3 capColor;
+${elevationSampleShaderChunk}
+    varying vec3 vModelPosition;
+    #include <clipping_planes_pars_fragment>
+
+    void main() {
+        #include <clipping_planes_fragment>
+
+        // Raster orientation (row 0 = north = model -Z)
+        vec2 rasterUv = (vModelPosition.xz + 0.5 * modelSize) / modelSize;
+        if (any(lessThan(rasterUv, vec2(0.0))) || any(greaterThan(rasterUv, vec2(1.0)))) discard;
+
+        float elevation = sampleElevation(rasterUv);
+        if (elevation >= NO_DATA_THRESHOLD) discard;
+
+        // Solid between the base and the surface; the terrain is only drawn
+        // up to the reference elevation, so the cap stops there as well
+        float top = (min(elevation, waterLevel) - waterLevel) * heightScale;
+        if (vModelPosition.y > top || vModelPosition.y < baseHeight) discard;
+
+        // Darker with depth below the reference
+        float t = clamp((vModelPosition.y - baseHeight) / max(-baseHeight, 1e-6), 0.0, 1.0);
+        gl_FragColor = vec4(capColor * mix(0.55, 1.0, t), 1.0);
+    }
+`;
+
+/** Default section appearance (capColor: anything THREE.Color accepts). */
+export const DEFAULT_SECTION_SETTINGS = {
+    capColor: 0x8b6b4a,
+
+    // Bottom of the cut faces, in metres below the lowest elevation
+    // (null: 5% of the relief)
+    baseDepth: null
+};
+
+/**
+ * SectionClipping cuts a TerrainMesh (and everything sharing its clipping
+ * planes) along a section and draws the cut faces.
+ */
+export class SectionClipping {
+    constructor(section) {
+        this.section = normalizeSection(section);
+
+        this.group = null;
+        this.parentGroup = null;
+        this.terrainMesh = null;
+
+        // One entry per plane: { kind, point?, removed?, elevation?, plane, mesh, material }
+        this.caps = [];
+
+        // Elevation at the bottom of the cut faces
+        this.baseElevation = 0;
+    }
+
+    /**
+     * Start cutting the terrain.
+     * @param {THREE.Group} parentGroup - Model container
+     * @param {TerrainMesh} terrainMesh - Terrain (dimensions, elevation texture, clipping planes)
+     */
+    init(parentGroup, terrainMesh) {
+        this.parentGroup = parentGroup;
+        this.terrainMesh = terrainMesh;
+
+        this.group = new THREE.Group();
+        this.group.name = 'sectionClipping';
+        parentGroup.add(this.group);
+
+        this._createCaps();
+        this.update();
+    }
+
+    /**
+     * Replace the section.
+     * @param {Object|null} section - See normalizeSection()
+     */
+    setSection(section) {
+        const previous = this.section;
+        this.section = normalizeSection(section);
+        if (!this.terrainMesh) return;
+
+        // Moving the same planes (e.g. dragging the AR tool) keeps the caps
+        const descriptors = this._capDescriptors();
+        const sameKinds = descriptors.length === this.caps.length &&
+            descriptors.every((descriptor, i) => descriptor.kind === this.caps[i].kind);
+        if (!sameKinds || previous?.baseDepth !== this.section?.baseDepth) {
+            this._createCaps();
+        } else {
+            descriptors.forEach((descriptor, i) => {
+                Object.assign(this.caps[i], descriptor);
+                this.caps[i].material.uniforms.capColor.value.set(this.section.capColor);
+            });
+        }
+        this.update();
+    }
+
+    /**
+     * Model-space description of each plane of the current section.
+     * @returns {Object[]} [{ kind: 'vertical', point, removed } | { kind: 'horizontal', elevation }]
+     * @private
+     */
+    _capDescriptors() {
+        const section = this.section;
+        const descriptors = [];
+        if (section?.vertical) {
+            descriptors.push({ kind: 'vertical', ...verticalPlaneInModel(section.vertical, this.terrainMesh) });
+        }
+        if (section?.horizontal) {
+            descriptors.push({ kind: 'horizontal', elevation: section.horizontal.elevation });
+        }
+        return descriptors;
+    }
+
+    /**
+     * Build a cap per plane of the current section and hand the planes to
+     * the terrain materials.
+     * @private
+     */
+    _createCaps() {
+        this._disposeCaps();
+        const section = this.section;
+        const terrainMesh = this.terrainMesh;
+        if (!section) {
+            terrainMesh.clippingPlanes.length = 0;
+            return;
+        }
+
+        this.baseElevation = sectionBaseElevation(terrainMesh, section.baseDepth);
+        this.caps = this._capDescriptors();
+
+        for (const cap of this.caps) {
+            cap.plane = new THREE.Plane();
+
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(12), 3));
+            geometry.setIndex([0, 1, 2, 0, 2, 3]);
+
+            cap.material = new THREE.ShaderMaterial({
+                uniforms: {
+                    elevationMap: { value: terrainMesh.elevationTexture },
+                    elevationSize: { value: new THREE.Vector2(terrainMesh.elevationWidth, terrainMesh.elevationHeight) },
+                    modelSize: { value: new THREE.Vector2(terrainMesh.modelWidth, terrainMesh.modelHeight) },
+                    waterLevel: { value: terrainMesh.referenceElevation },
+                    heightScale: { value: terrainMesh.getHeightScale() },
+                    baseHeight: { value: 0 },
+                    capColor: { value: new THREE.Color(section.capColor) }
+                },
+                vertexShader: capVertexShader,
+                fragmentShader: capFragmentShader,
+                side: THREE.DoubleSide,
+                clipping: true,
+                clippingPlanes: []
+            });
+
+            cap.mesh = new THREE.Mesh(geometry, cap.material);
+            cap.mesh.name = `sectionCap_${cap.kind}`;
+            cap.mesh.frustumCulled = false;
+            this.group.add(cap.mesh);
+        }
+
+        // Each cap is trimmed by the other planes only
+        const planes = this.caps.map(cap => cap.plane);
+        for (const cap of this.caps) {
+            cap.material.clippingPlanes = planes.filter(plane => plane !== cap.plane);
+        }
+        terrainMesh.clippingPlanes.splice(0, terrainMesh.clippingPlanes.length, ...planes);
+    }
+
+    /**
+     * Re-derive the world-space planes and cap quads from the current model
+     * transform, Z-exaggeration and reference elevation. Called every frame.
+     */
+    update() {
+        const terrainMesh = this.terrainMesh;
+        if (!terrainMesh || !this.parentGroup || this.caps.length === 0) return;
+
+        this.parentGroup.updateMatrixWorld();
+        const matrixWorld = this.parentGroup.matrixWorld;
+        const heightScale = terrainMesh.getHeightScale();
+        const reference = terrainMesh.referenceElevation;
+        const baseHeight = (this.baseElevation - reference) * heightScale;
+        const halfWidth = terrainMesh.modelWidth / 2;
+        const halfHeight = terrainMesh.modelHeight / 2;
+
+        for (const cap of this.caps) {
+            const positions = cap.mesh.geometry.attributes.position;
+
+            if (cap.kind === 'vertical') {
+                // Kept side faces away from the removed direction
+                const normal = cap.removed.clone().negate();
+                cap.plane.set(normal, cap.removed.dot(cap.point));
+
+                // Quad along the cut, long enough to span the footprint
+                const along = new THREE.Vector3(-cap.removed.z, 0, cap.removed.x);
+                const center = cap.point.clone().addScaledVector(along, -along.dot(cap.point));
+                const reach = Math.hypot(halfWidth, halfHeight);
+                const a = center.clone().addScaledVector(along, -reach);
+                const b = center.clone().addScaledVector(along, reach);
+                positions.setXYZ(0, a.x, baseHeight, a.z);
+                positions.setXYZ(1, b.x, baseHeight, b.z);
+                positions.setXYZ(2, b.x, 0, b.z);
+                positions.setXYZ(3, a.x, 0, a.z);
+            } else {
+                // Everything above the plane is removed
+                const y = (cap.elevation - reference) * heightScale;
+                cap.plane.set(new THREE.Vector3(0, -1, 0), y);
+                positions.setXYZ(0, -halfWidth, y, -halfHeight);
+                positions.setXYZ(1, -halfWidth, y, halfHeight);
+                positions.setXYZ(2, halfWidth, y, halfHeight);
+                positions.setXYZ(3, halfWidth, y, -halfHeight);
+            }
+            positions.needsUpdate = true;
+            cap.plane.applyMatrix4(matrixWorld);
+
+            const uniforms = cap.material.uniforms;
+            uniforms.elevationMap.value = terrainMesh.elevationTexture;
+            uniforms.waterLevel.value = reference;
+            uniforms.heightScale.value = heightScale;
+            uniforms.baseHeight.value = baseHeight;
+        }
+    }
+
+    /**
+     * Remove the cap meshes.
+     * @private
+     */
+    _disposeCaps() {
+        for (const cap of this.caps) {
+            if (this.group) this.group.remove(cap.mesh);
+            disposeThreeObject(cap.mesh);
+        }
+        this.caps = [];
+    }
+
+    /**
+     * Restore the uncut terrain and clean up. The elevation texture belongs
+     * to the terrain.
+     */
+    dispose() {
+        this._disposeCaps();
+        if (this.terrainMesh) {
+            this.terrainMesh.clippingPlanes.length = 0;
+        }
+        if (this.group) {
+            if (this.group.parent) this.group.parent.remove(this.group);
+            this.group = null;
+        }
+        this.parentGroup = null;
+        this.terrainMesh = null;
+    }
+}
+
+/**
+ * Validate a section and fill in defaults.
+ * @param {Object|null} section
+ * @param {Object} [section.vertical] - Vertical plane, either through a point
+ *   ({ x, y, azimuth }: CRS coordinates, and the direction of the removed half
+ *   in degrees clockwise from grid north) or along a line ({ from: [x, y],
+ *   to: [x, y] }, removing the right-hand side)
+ * @param {Object} [section.horizontal] - { elevation }: everything above is removed
+ * @param {number|string} [section.capColor] - Cut face color
+ * @param {number|null} [section.baseDepth] - Cut face bottom in metres below the lowest elevation
+ * @returns {Object|null} Null when the section has no planes
+ */
+export function normalizeSection(section) {
+    if (!section) return null;
+    const { vertical = null, horizontal = null, ...settings } = section;
+    const next = { ...DEFAULT_SECTION_SETTINGS, ...settings, vertical: null, horizontal: null };
+
+    if (vertical) {
+        if ('from' in vertical || 'to' in vertical) {
+            const { from, to } = vertical;
+            if (!isPoint(from) || !isPoint(to)) {
+                throw new Error('Section line needs from and to as [x, y] coordinates');
+            }
+            if (from[0] === to[0] && from[1] === to[1]) {
+                throw new Error('Section line from and to must be different points');
+            }
+            next.vertical = { from: [from[0], from[1]], to: [to[0], to[1]] };
+        } else {
+            const { x, y, azimuth } = vertical;
+            if (!Number.isFinite(x) || !Number.isFinite(y)) {
+                throw new Error(`Section point must have numeric x and y, got ${x}, ${y}`);
+            }
+            if (!Number.isFinite(azimuth)) {
+                throw new Error(`Section azimuth must be a number of degrees, got ${azimuth}`);
+            }
+            next.vertical = { x, y, azimuth: ((azimuth % 360) + 360) % 360 };
+        }
+    }
+
+    if (horizontal) {
+        if (!Number.isFinite(horizontal.elevation)) {
+            throw new Error(`Section elevation must be a number, got ${horizontal.elevation}`);
+        }
+        next.horizontal = { elevation: horizontal.elevation };
+    }
+
+    if (next.baseDepth !== null && !(next.baseDepth >= 0)) {
+        throw new Error(`Section base depth must be a non-negative number of metres, got ${next.baseDepth}`);
+    }
+
+    return next.vertical || next.horizontal ? next : null;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether value is an [x, y] pair of numbers
+ */
+function isPoint(value) {
+    return Array.isArray(value) && Number.isFinite(value[0]) && Number.isFinite(value[1]);
+}
+
+/**
+ * Map a vertical section to model space.
+ * @param {Object} vertical - Normalized vertical section
+ * @param {TerrainMesh} terrainMesh
+ * @returns {{ point: THREE.Vector3, removed: THREE.Vector3 }} A point on the
+ *   plane and the unit horizontal direction of the removed half
+ */
+function verticalPlaneInModel(vertical, terrainMesh) {
+    // Linear CRS -> model mapping, valid outside the footprint as well
+    const [minX, minY, maxX, maxY] = terrainMesh.geoBounds;
+    const toModel = (x, y) => new THREE.Vector3(
+        ((x - minX) / (maxX - minX) - 0.5) * terrainMesh.modelWidth,
+        0,
+        ((maxY - y) / (maxY - minY) - 0.5) * terrainMesh.modelHeight
+    );
+
+    if (vertical.from) {
+        const a = toModel(...vertical.from);
+        const b = toModel(...vertical.to);
+        // Right of A -> B, seen from above (model -Z is north)
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        return { point: a, removed: new THREE.Vector3(-dz, 0, dx).normalize() };
+    }
+
+    const azimuth = THREE.MathUtils.degToRad(vertical.azimuth);
+    return {
+        point: toModel(vertical.x, vertical.y),
+        removed: new THREE.Vector3(Math.sin(azimuth), 0, -Math.cos(azimuth))
+    };
+}
+
+/**
+ * Elevation at the bottom of the cut faces.
+ * @param {Object} raster - TerrainMesh-like raster
+ * @param {number|null} baseDepth - Metres below the lowest elevation (null: 5% of the relief)
+ * @returns {number}
+ */
+export function sectionBaseElevation(raster, baseDepth = null) {
+    const data = raster.elevationData;
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < data.length; i++) {
+        const value = data[i];
+        if (isNoDataValue(value, raster.noDataValue)) continue;
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+    if (min === Infinity) return 0;
+    return min - (baseDepth ?? Math.max(1, (max - min) * 0.05));
+}
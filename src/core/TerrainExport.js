@@ -0,0 +1,230 @@
+/**
+ * TerrainExport.js - Bake the displayed terrain into GLB, STL or OBJ files
+ *
+ * With GPU displacement the terrain geometry is a flat grid and its heights
+ * live in the elevation texture, so exporting the scene mesh would give a
+ * plane. The exporter rebuilds the surface on the CPU from the terrain grid
+ * with the current Z-exaggeration and reference elevation:
+ * - Heights are clamped at the reference elevation, which the viewer does
+ *   not draw above (no effect with the default reference, the maximum)
+ * - Triangles touching NoData are dropped, by the same test as the viewer
+ * - Vertex colors come from the colormap, classes or coloring band
+ * - An optional base (walls and bottom, see TerrainSkirt.js) closes the
+ *   surface into a watertight solid: the surface is then limited to whole
+ *   solid cells, whose edges meet the walls exactly
+ *
+ * GLB carries colors and contour lines; STL is binary, Z-up, for printing;
+ * OBJ has geometry and contour lines (Y-up, no colors).
+ */
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { throwIfAborted } from './utils.js';
+import { sectionBaseElevation } from './SectionClipping.js';
+
+/**
+ * Supported export formats.
+ */
+export const ExportFormat = {
+    GLB: 'glb',
+    STL: 'stl',
+    OBJ: 'obj'
+};
+
+const MIME_TYPES = {
+    [ExportFormat.GLB]: 'model/gltf-binary',
+    [ExportFormat.STL]: 'model/stl',
+    [ExportFormat.OBJ]: 'model/obj'
+};
+
+// Color of the base in GLB files (the viewer's depth bands are a shader effect)
+const BASE_COLOR = 0x8b6b4a;
+
+/**
+ * Build the export scene: the baked terrain surface, the base when asked
+ * for, and copies of the contour lines.
+ * @param {TerrainMesh} terrainMesh
+ * @param {Object} [options]
+ * @param {boolean} [options.base=false] - Add walls and a bottom (watertight solid)
+ * @param {number|null} [options.baseDepth=null] - Bottom in metres below the lowest
+ *   elevation (null: 5% of the relief, as the skirt)
+ * @param {THREE.LineSegments[]} [options.contours=[]] - Contour lines in model space
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<THREE.Group>} Model-space content (1 unit = 1 model metre)
+ */
+export async function buildExportScene(terrainMesh, options = {}) {
+    const { base = false, baseDepth = null, contours = [], signal = null } = options;
+    if (!terrainMesh?.elevationData) {
+        throw new Error('Nothing to export: no terrain loaded');
+    }
+
+    const skirt = await terrainMesh.generateSkirtGeometry({ cellBase: true, signal });
+    throwIfAborted(signal);
+
+    const heightScale = terrainMesh.getHeightScale();
+    const reference = terrainMesh.referenceElevation;
+    const heightOf = (elevation) => (Math.min(elevation, reference) - reference) * heightScale;
+
+    const group = new THREE.Group();
+    group.name = 'terrain';
+
+    const surface = new THREE.Mesh(
+        await buildSurfaceGeometry(terrainMesh, skirt, base, heightOf, signal),
+        new THREE.MeshStandardMaterial({ name: 'terrain', vertexColors: true, roughness: 1, metalness: 0 })
+    );
+    surface.name = 'terrainSurface';
+    group.add(surface);
+
+    if (base) {
+        const baseHeight = heightOf(sectionBaseElevation(terrainMesh, baseDepth));
+        const positions = skirt.positions;
+        for (let i = 0; i < skirt.base.length; i++) {
+            positions[i * 3 + 1] = skirt.base[i] > 0.5 ? baseHeight : heightOf(skirt.elevations[i]);
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(skirt.normals, 3));
+        geometry.setIndex(new THREE.BufferAttribute(skirt.indices, 1));
+
+        const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+            name: 'base', color: BASE_COLOR, roughness: 1, metalness: 0
+        }));
+        mesh.name = 'terrainBase';
+        group.add(mesh);
+    }
+
+    for (const lines of contours) {
+        const copy = new THREE.LineSegments(lines.geometry, new THREE.LineBasicMaterial({
+            name: 'contours',
+            color: lines.material.color
+        }));
+        copy.name = lines.name;
+        copy.applyMatrix4(lines.matrix);
+        group.add(copy);
+    }
+
+    return group;
+}
+
+/**
+ * Surface mesh over the valid grid vertices: every triangle without NoData,
+ * or with a base only whole solid cells.
+ * @returns {Promise<THREE.BufferGeometry>}
+ * @private
+ */
+async function buildSurfaceGeometry(terrainMesh, skirt, solidOnly, heightOf, signal) {
+    const gw = terrainMesh.gridWidth;
+    const gh = terrainMesh.gridHeight;
+    const cw = gw - 1;
+    const ch = gh - 1;
+    const { vertexElevation, solid } = skirt;
+    const valid = (i) => Number.isFinite(vertexElevation[i]);
+
+    // Triangles as in THREE.PlaneGeometry (a b d, b c d per cell)
+    const triangles = [];
+    for (let iy = 0; iy < ch; iy++) {
+        for (let ix = 0; ix < cw; ix++) {
+            const a = iy * gw + ix;
+            const b = a + gw;
+            const c = b + 1;
+            const d = a + 1;
+            if (solidOnly) {
+                if (solid[iy * cw + ix]) triangles.push(a, b, d, b, c, d);
+                continue;
+            }
+            if (valid(a) && valid(b) && valid(d)) triangles.push(a, b, d);
+            if (valid(b) && valid(c) && valid(d)) triangles.push(b, c, d);
+        }
+    }
+
+    // Keep only the vertices in use
+    const remap = new Int32Array(gw * gh).fill(-1);
+    let count = 0;
+    for (const i of triangles) {
+        if (remap[i] < 0) remap[i] = count++;
+    }
+    const positions = new Float32Array(count * 3);
+    const uvs = new Float32Array(count * 2);
+    for (let i = 0; i < remap.length; i++) {
+        const k = remap[i];
+        if (k < 0) continue;
+        const ix = i % gw;
+        const iy = (i - ix) / gw;
+        positions[k * 3] = (ix / cw - 0.5) * terrainMesh.modelWidth;
+        positions[k * 3 + 1] = heightOf(vertexElevation[i]);
+        positions[k * 3 + 2] = (iy / ch - 0.5) * terrainMesh.modelHeight;
+        uvs[k * 2] = ix / cw;
+        uvs[k * 2 + 1] = 1 - iy / ch;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setIndex(new THREE.BufferAttribute(Uint32Array.from(triangles, i => remap[i]), 1));
+
+    const { colors } = await terrainMesh.computeColorsAt(uvs.slice(), null, signal);
+    // glTF vertex colors are linear
+    const color = new THREE.Color();
+    for (let i = 0; i < colors.length; i += 3) {
+        color.setRGB(colors[i], colors[i + 1], colors[i + 2], THREE.SRGBColorSpace).toArray(colors, i);
+    }
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+/**
+ * Export the terrain as a file.
+ * @param {TerrainMesh} terrainMesh
+ * @param {string} format - ExportFormat value
+ * @param {Object} [options] - See buildExportScene(), plus:
+ * @param {number} [options.size] - Longest horizontal side in file units (default:
+ *   the model size in metres for GLB/OBJ, 150 for STL, which slicers read as millimetres)
+ * @returns {Promise<Blob>}
+ */
+export async function exportTerrain(terrainMesh, format, options = {}) {
+    if (!MIME_TYPES[format]) {
+        throw new Error(`Unknown export format "${format}" (expected ${Object.values(ExportFormat).join(', ')})`);
+    }
+    const { size = format === ExportFormat.STL ? 150 : null, ...sceneOptions } = options;
+    if (size !== null && !(size > 0)) {
+        throw new Error(`Export size must be a positive number, got ${size}`);
+    }
+
+    const content = await buildExportScene(terrainMesh, {
+        ...sceneOptions,
+        // STL has no lines
+        contours: format === ExportFormat.STL ? [] : sceneOptions.contours
+    });
+
+    const root = new THREE.Group();
+    root.add(content);
+    if (size !== null) {
+        root.scale.setScalar(size / terrainMesh.getModelSize());
+    }
+    if (format === ExportFormat.STL) {
+        // Z-up for slicers, north (model -Z) toward +Y
+        root.rotation.x = Math.PI / 2;
+    }
+    root.updateMatrixWorld(true);
+
+    try {
+        const type = MIME_TYPES[format];
+        if (format === ExportFormat.GLB) {
+            const glb = await new GLTFExporter().parseAsync(root, { binary: true });
+            return new Blob([glb], { type });
+        }
+        if (format === ExportFormat.STL) {
+            return new Blob([new STLExporter().parse(root, { binary: true })], { type });
+        }
+        return new Blob([new OBJExporter().parse(root)], { type });
+    } finally {
+        // Contour geometry is shared with the viewer
+        content.traverse((child) => {
+            if (child.isMesh) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+}
@@ -0,0 +1,538 @@
+/**
+ * TerrainJobs.js — Heavy terrain processing jobs (pure functions, no DOM, no three.js)
+ *
+ * Each job is `async (params, { onProgress, signal }) => result` and is run
+ * either inside a terrain worker (terrain.worker.js) or on the calling thread
+ * by WorkerPool's same-thread fallback, so both paths execute identical code.
+ * Results contain typed arrays whose buffers are transferred back from workers.
+ */
+
+import { processInChunks } from './utils.js';
+import { colorForDepth, colorForValue } from './Colormaps.js';
+import { computeBreaks, classIndex } from './Classification.js';
+import { sampleElevation, getElevationAt, hasNearbyNoData } from './ElevationSampling.js';
+import { generateContourSegments, generateIsobands } from './Contours.js';
+
+// Texels sampled when scaling the curvature encoding of the normal map
+const CURVATURE_SAMPLE_SIZE = 65536;
+
+// Second differences below this (metres per texel) are treated as noise
+const MIN_CURVATURE_STEP = 1e-3;
+
+/**
+ * Compute colormapped vertex colors for the terrain grid.
+ * Vertices at or above the reference elevation (and NoData) are gray.
+ * With `colorData`, vertices below the reference are colored by that band
+ * over `colorRange` instead of by depth (gray where the band is NoData).
+ * With `classBreaks`, the depth or band value takes its class color instead.
+ * @param {Object} params
+ * @param {Float32Array} params.uvs - Geometry UVs (2 per vertex)
+ * @param {Float32Array} params.elevationData
+ * @param {number} params.elevationWidth
+ * @param {number} params.elevationHeight
+ * @param {number|null} params.noDataValue
+ * @param {number} params.referenceElevation
+ * @param {number[]} params.depthRange - [minDepth, maxDepth]
+ * @param {Float32Array} params.colormap - Lookup table from createColormap()
+ * @param {Float32Array|null} [params.colorData] - Coloring band raster (NaN for NoData)
+ * @param {number} [params.colorWidth] - Coloring band raster width
+ * @param {number} [params.colorHeight] - Coloring band raster height
+ * @param {number[]} [params.colorRange] - [min, max] of the coloring band
+ * @param {number[]|null} [params.classBreaks] - Class breaks (see Classification.js)
+ * @param {Float32Array} [params.classColors] - r g b per class (0-1)
+ * @param {Object} [options]
+ * @returns {Promise<{ colors: Float32Array, validCount: number, aboveCount: number }>}
+ */
+async function vertexColors(params, { onProgress, signal } = {}) {
+    const { uvs, referenceElevation, colormap, colorData, colorRange, classBreaks, classColors } = params;
+    const [minDepth, maxDepth] = params.depthRange;
+    const vertexCount = uvs.length / 2;
+    const colors = new Float32Array(vertexCount * 3);
+    const colorRaster = colorData
+        ? { elevationData: colorData, elevationWidth: params.colorWidth, elevationHeight: params.colorHeight, noDataValue: null }
+        : null;
+
+    let validCount = 0;
+    let aboveCount = 0;
+
+    await processInChunks(vertexCount, 10000, (i) => {
+        const elevation = sampleElevation(params, uvs[i * 2], 1 - uvs[i * 2 + 1]);
+        const idx = i * 3;
+
+        if (!Number.isFinite(elevation) || elevation >= referenceElevation) {
+            colors[idx] = 0.5;
+            colors[idx + 1] = 0.5;
+            colors[idx + 2] = 0.5;
+            if (Number.isFinite(elevation)) aboveCount++;
+            return;
+        }
+
+        const value = colorRaster ? sampleElevation(colorRaster, uvs[i * 2], 1 - uvs[i * 2 + 1]) : 0;
+        if (!Number.isFinite(value)) {
+            colors[idx] = 0.5;
+            colors[idx + 1] = 0.5;
+            colors[idx + 2] = 0.5;
+            return;
+        }
+
+        validCount++;
+        if (classBreaks?.length) {
+            const c = classIndex(classBreaks, colorRaster ? value : referenceElevation - elevation) * 3;
+            colors[idx] = classColors[c];
+            colors[idx + 1] = classColors[c + 1];
+            colors[idx + 2] = classColors[c + 2];
+            return;
+        }
+
+        const [r, g, b] = colorRaster
+            ? colorForValue(colormap, value, colorRange[0], colorRange[1])
+            : colorForDepth(colormap, referenceElevation - elevation, minDepth, maxDepth);
+        colors[idx] = r;
+        colors[idx + 1] = g;
+        colors[idx + 2] = b;
+    }, (completed, total) => {
+        if (onProgress) onProgress(completed / total);
+    }, signal);
+
+    return { colors, validCount, aboveCount };
+}
+
+/**
+ * Classify the raster pixels below the reference elevation by depth (or by
+ * the coloring band) and total the ground area of each class.
+ * @param {Object} params
+ * @param {Float32Array} params.elevationData
+ * @param {number} params.elevationWidth
+ * @param {number} params.elevationHeight
+ * @param {number|null} params.noDataValue
+ * @param {number} params.referenceElevation
+ * @param {string} params.method - 'equal', 'quantile', 'jenks' or 'explicit'
+ * @param {number} params.classes - Class count for data-driven methods
+ * @param {number[]|null} params.breaks - Explicit breaks
+ * @param {number} params.cellArea - Ground area of one pixel (m²)
+ * @param {Float32Array|null} [params.colorData] - Coloring band raster (NaN for NoData)
+ * @param {number} [params.colorWidth]
+ * @param {number} [params.colorHeight]
+ * @param {Object} [options]
+ * @returns {Promise<{ breaks: Float64Array, areas: Float64Array }>} areas per class; both empty
+ *   when no pixel is below the reference and the breaks are data-driven
+ */
+async function classify(params, { onProgress, signal } = {}) {
+    const { elevationWidth: width, elevationHeight: height, referenceElevation, colorData } = params;
+    const colorRaster = colorData
+        ? { elevationData: colorData, elevationWidth: params.colorWidth, elevationHeight: params.colorHeight, noDataValue: null }
+        : null;
+
+    const values = new Float32Array(width * height);
+    let count = 0;
+
+    await processInChunks(height, 50, (y) => {
+        for (let x = 0; x < width; x++) {
+            const elevation = getElevationAt(params, x, y);
+            if (!Number.isFinite(elevation) || elevation >= referenceElevation) continue;
+
+            const value = colorRaster
+                ? sampleElevation(colorRaster, x / Math.max(1, width - 1), y / Math.max(1, height - 1))
+                : referenceElevation - elevation;
+            if (Number.isFinite(value)) values[count++] = value;
+        }
+    }, (completed, total) => {
+        if (onProgress) onProgress(completed / total);
+    }, signal);
+
+    const classified = values.subarray(0, count);
+    const breaks = Float64Array.from(params.breaks ?? computeBreaks(classified, params.method, params.classes));
+    const areas = new Float64Array(Math.max(0, breaks.length - 1));
+    if (areas.length > 0) {
+        for (let i = 0; i < count; i++) areas[classIndex(breaks, classified[i])] += params.cellArea;
+    }
+
+    return { breaks, areas };
+}
+
+/**
+ * Keep triangles with at least one vertex below the reference elevation,
+ * dropping any triangle that touches NoData.
+ * @param {Object} params
+ * @param {Float32Array} params.uvs - Geometry UVs (2 per vertex)
+ * @param {Uint32Array} params.indices - Unfiltered triangle indices
+ * @param {Float32Array} params.elevationData
+ * @param {number} params.elevationWidth
+ * @param {number} params.elevationHeight
+ * @param {number|null} params.noDataValue
+ * @param {number} params.referenceElevation
+ * @param {Object} [options]
+ * @returns {Promise<{ indices: Uint32Array, filteredCount: number }>}
+ */
+async function filterTriangles(params, { onProgress, signal } = {}) {
+    const { uvs, indices, referenceElevation } = params;
+    const vertexCount = uvs.length / 2;
+    const triangleCount = indices.length / 3;
+
+    const isBelowRef = new Uint8Array(vertexCount);
+    const isNoData = new Uint8Array(vertexCount);
+    for (let i = 0; i < vertexCount; i++) {
+        const u = uvs[i * 2];
+        const v = 1 - uvs[i * 2 + 1];
+
+        if (hasNearbyNoData(params, u, v)) {
+            isNoData[i] = 1;
+        } else {
+            const elevation = sampleElevation(params, u, v);
+            if (!Number.isFinite(elevation)) {
+                isNoData[i] = 1;
+            } else if (elevation < referenceElevation) {
+                isBelowRef[i] = 1;
+            }
+        }
+    }
+
+    const kept = new Uint32Array(indices.length);
+    let keptLength = 0;
+    let filteredCount = 0;
+
+    await processInChunks(triangleCount, 5000, (t) => {
+        const i0 = indices[t * 3];
+        const i1 = indices[t * 3 + 1];
+        const i2 = indices[t * 3 + 2];
+
+        // Exclude triangles containing any NoData vertex
+        if (isNoData[i0] || isNoData[i1] || isNoData[i2]) {
+            filteredCount++;
+        } else if (isBelowRef[i0] || isBelowRef[i1] || isBelowRef[i2]) {
+            kept[keptLength++] = i0;
+            kept[keptLength++] = i1;
+            kept[keptLength++] = i2;
+        } else {
+            filteredCount++;
+        }
+    }, (completed, total) => {
+        if (onProgress) onProgress(completed / total);
+    }, signal);
+
+    return { indices: kept.slice(0, keptLength), filteredCount };
+}
+
+/**
+ * Build the skirt around the valid-data footprint of the terrain grid: a
+ * wall along every grid edge between a solid cell and a NoData (or outside)
+ * cell, and a base under the solid cells. A cell is solid when its four
+ * corner vertices are valid by the same test as filterTriangles, so the
+ * walls meet the edge of the drawn surface.
+ *
+ * Heights are left to the shader: each vertex carries the surface elevation
+ * at its grid position and a base flag (0 = wall top, 1 = base), so
+ * Z-exaggeration, reference and base depth changes are uniform updates.
+ * Wall vertices also carry the lowest elevation of the surface triangle along
+ * the wall (the mesh splits cells from top-right to bottom-left): the surface
+ * draws that triangle, unclamped, while it reaches below the reference, and
+ * the wall top must then follow it rather than stop at the reference.
+ *
+ * The base is merged into one quad per run of solid cells in a row; with
+ * `cellBase` it has a quad per cell instead, so every base edge meets a wall
+ * or a neighbouring quad edge to edge (watertight exports).
+ * @param {Object} params
+ * @param {Float32Array} params.elevationData
+ * @param {number} params.elevationWidth
+ * @param {number} params.elevationHeight
+ * @param {number|null} params.noDataValue
+ * @param {number} params.gridWidth - Terrain grid vertices along X
+ * @param {number} params.gridHeight - Terrain grid vertices along Z
+ * @param {number} params.modelWidth
+ * @param {number} params.modelHeight
+ * @param {boolean} [params.cellBase=false] - One base quad per solid cell
+ * @param {Object} [options]
+ * @returns {Promise<{ positions: Float32Array, normals: Float32Array, elevations: Float32Array,
+ *   base: Float32Array, triangleMin: Float32Array, indices: Uint32Array, wallCount: number,
+ *   vertexElevation: Float32Array, solid: Uint8Array }>} positions have Y = 0 (see above);
+ *   triangleMin is 0 on base vertices; vertexElevation is the surface
+ *   elevation per grid vertex (NaN where not drawn), solid the cell mask ((gridWidth - 1) per row)
+ */
+async function skirtGeometry(params, { onProgress, signal } = {}) {
+    const { gridWidth: gw, gridHeight: gh, modelWidth, modelHeight } = params;
+
+    // Surface elevation per grid vertex, NaN where the surface is not drawn
+    const vertexElevation = new Float32Array(gw * gh);
+    await processInChunks(gh, 50, (iy) => {
+        const v = iy / (gh - 1);
+        for (let ix = 0; ix < gw; ix++) {
+            const u = ix / (gw - 1);
+            vertexElevation[iy * gw + ix] = hasNearbyNoData(params, u, v)
+                ? Number.NaN
+                : sampleElevation(params, u, v);
+        }
+    }, (completed, total) => {
+        if (onProgress) onProgress(completed / total);
+    }, signal);
+
+    const cw = gw - 1;
+    const ch = gh - 1;
+    const solid = new Uint8Array(cw * ch);
+    for (let cy = 0; cy < ch; cy++) {
+        for (let cx = 0; cx < cw; cx++) {
+            const i = cy * gw + cx;
+            solid[cy * cw + cx] = Number.isFinite(vertexElevation[i]) && Number.isFinite(vertexElevation[i + 1]) &&
+                Number.isFinite(vertexElevation[i + gw]) && Number.isFinite(vertexElevation[i + gw + 1]) ? 1 : 0;
+        }
+    }
+    const isSolid = (cx, cy) => cx >= 0 && cy >= 0 && cx < cw && cy < ch && solid[cy * cw + cx] === 1;
+
+    const positions = [];
+    const normals = [];
+    const elevations = [];
+    const base = [];
+    const triangleMin = [];
+    const indices = [];
+    const toX = (ix) => (ix / cw - 0.5) * modelWidth;
+    const toZ = (iy) => (iy / ch - 0.5) * modelHeight;
+    const addVertex = (ix, iy, isBase, nx, ny, nz, surfaceMin = 0) => {
+        positions.push(toX(ix), 0, toZ(iy));
+        normals.push(nx, ny, nz);
+        elevations.push(isBase ? 0 : vertexElevation[iy * gw + ix]);
+        base.push(isBase ? 1 : 0);
+        triangleMin.push(surfaceMin);
+        return base.length - 1;
+    };
+    const elevationAt = (ix, iy) => vertexElevation[iy * gw + ix];
+
+    // Wall from grid vertex A to B, facing (nx, nz): counter-clockwise seen
+    // from outside when B is to the right of A. C is the third vertex of the
+    // surface triangle on the edge.
+    let wallCount = 0;
+    const addWall = (ax, ay, bx, by, cx, cy, nx, nz) => {
+        const surfaceMin = Math.min(elevationAt(ax, ay), elevationAt(bx, by), elevationAt(cx, cy));
+        const a0 = addVertex(ax, ay, true, nx, 0, nz);
+        const b0 = addVertex(bx, by, true, nx, 0, nz);
+        const b1 = addVertex(bx, by, false, nx, 0, nz, surfaceMin);
+        const a1 = addVertex(ax, ay, false, nx, 0, nz, surfaceMin);
+        indices.push(a0, b0, b1, a0, b1, a1);
+        wallCount++;
+    };
+
+    for (let cy = 0; cy < ch; cy++) {
+        let runStart = -1;
+        for (let cx = 0; cx <= cw; cx++) {
+            if (isSolid(cx, cy)) {
+                if (runStart < 0) runStart = cx;
+                // Model -Z is north (grid row 0). North and west edges belong
+                // to the cell's top-left triangle, south and east to its bottom-right one.
+                if (!isSolid(cx, cy - 1)) addWall(cx + 1, cy, cx, cy, cx, cy + 1, 0, -1);
+                if (!isSolid(cx, cy + 1)) addWall(cx, cy + 1, cx + 1, cy + 1, cx + 1, cy, 0, 1);
+                if (!isSolid(cx - 1, cy)) addWall(cx, cy, cx, cy + 1, cx + 1, cy, -1, 0);
+                if (!isSolid(cx + 1, cy)) addWall(cx + 1, cy + 1, cx + 1, cy, cx, cy + 1, 1, 0);
+                if (!params.cellBase) continue;
+            } else if (runStart < 0) {
+                continue;
+            }
+            // Base under a run of solid cells (or a single cell), facing down
+            const end = params.cellBase && isSolid(cx, cy) ? cx + 1 : cx;
+            const v0 = addVertex(runStart, cy, true, 0, -1, 0);
+            const v1 = addVertex(end, cy, true, 0, -1, 0);
+            const v2 = addVertex(end, cy + 1, true, 0, -1, 0);
+            const v3 = addVertex(runStart, cy + 1, true, 0, -1, 0);
+            indices.push(v0, v1, v2, v0, v2, v3);
+            runStart = -1;
+        }
+    }
+
+    return {
+        positions: new Float32Array(positions),
+        normals: new Float32Array(normals),
+        elevations: new Float32Array(elevations),
+        base: new Float32Array(base),
+        triangleMin: new Float32Array(triangleMin),
+        indices: new Uint32Array(indices),
+        wallCount,
+        vertexElevation,
+        solid
+    };
+}
+
+/**
+ * Compute an RGBA tangent-space normal map from the elevation raster.
+ * RG hold the normal's X/Y (scaled by strength); B holds profile-independent
+ * curvature (negative Laplacian, positive = convex), encoded as
+ * 0.5 + 0.5 * clamp(curvature / curvatureScale, -1, 1) so the shaders can
+ * show it without another full-resolution texture. NoData texels are flat
+ * with zero alpha.
+ *
+ * The unscaled gradient is returned separately as half floats for the
+ * render modes: decoding slope from the 8-bit normal bands steep ground.
+ * @param {Object} params
+ * @param {Float32Array} params.elevationData
+ * @param {number} params.elevationWidth
+ * @param {number} params.elevationHeight
+ * @param {number|null} params.noDataValue
+ * @param {number} params.cellSizeX - Ground metres per texel (X)
+ * @param {number} params.cellSizeY - Ground metres per texel (Y)
+ * @param {number} params.strength - Normal map strength
+ * @param {Object} [options]
+ * @returns {Promise<{ pixels: Uint8ClampedArray, gradient: Uint16Array, width: number, height: number, curvatureScale: number }>}
+ *   gradient: dz/dEast, dz/dSouth (metres per metre) per texel as half floats, 0 on NoData;
+ *   curvatureScale: curvature (1/m) at the ends of the B encoding
+ */
+async function normalMap(params, { onProgress, signal } = {}) {
+    const { elevationWidth: width, elevationHeight: height, cellSizeX, cellSizeY, strength } = params;
+    const data = new Uint8ClampedArray(width * height * 4);
+    const gradient = new Uint16Array(width * height * 2);
+    const curvature = new Float32Array(width * height).fill(NaN);
+
+    await processInChunks(height, 50, (y) => {
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4;
+            const center = getElevationAt(params, x, y);
+
+            if (!Number.isFinite(center)) {
+                data[idx + 0] = 128;
+                data[idx + 1] = 128;
+                data[idx + 2] = 128;
+                data[idx + 3] = 0;
+                continue;
+            }
+
+            let eL = getElevationAt(params, Math.max(0, x - 1), y);
+            let eR = getElevationAt(params, Math.min(width - 1, x + 1), y);
+            let eT = getElevationAt(params, x, Math.max(0, y - 1));
+            let eB = getElevationAt(params, x, Math.min(height - 1, y + 1));
+
+            // Second differences only along axes with both neighbors (edges and
+            // NoData would otherwise read as curvature)
+            const curveX = x > 0 && x < width - 1 && Number.isFinite(eL) && Number.isFinite(eR);
+            const curveY = y > 0 && y < height - 1 && Number.isFinite(eT) && Number.isFinite(eB);
+
+            if (!Number.isFinite(eL)) eL = center;
+            if (!Number.isFinite(eR)) eR = center;
+            if (!Number.isFinite(eT)) eT = center;
+            if (!Number.isFinite(eB)) eB = center;
+
+            const gx = (eR - eL) / (2 * cellSizeX);
+            const gy = (eB - eT) / (2 * cellSizeY);
+            gradient[(y * width + x) * 2] = toHalfFloat(gx);
+            gradient[(y * width + x) * 2 + 1] = toHalfFloat(gy);
+
+            const nx = -gx * strength;
+            const ny = -gy * strength;
+            const nz = 1;
+
+            const len = Math.hypot(nx, ny, nz);
+
+            data[idx + 0] = Math.floor((nx / len * 0.5 + 0.5) * 255);
+            data[idx + 1] = Math.floor((ny / len * 0.5 + 0.5) * 255);
+            data[idx + 3] = 255;
+
+            curvature[y * width + x] = -((curveX ? (eL + eR - 2 * center) / (cellSizeX * cellSizeX) : 0) +
+                (curveY ? (eT + eB - 2 * center) / (cellSizeY * cellSizeY) : 0));
+        }
+    }, (completed, total) => {
+        if (onProgress) onProgress(completed / total);
+    }, signal);
+
+    const curvatureScale = curvatureRange(curvature, MIN_CURVATURE_STEP / (cellSizeX * cellSizeY));
+    for (let i = 0; i < curvature.length; i++) {
+        if (Number.isNaN(curvature[i])) continue;
+        const t = Math.max(-1, Math.min(1, curvature[i] / curvatureScale));
+        data[i * 4 + 2] = Math.round((t * 0.5 + 0.5) * 255);
+    }
+
+    return { pixels: data, gradient, width, height, curvatureScale };
+}
+
+const halfFloatView = new DataView(new ArrayBuffer(4));
+
+/**
+ * IEEE half-float bits of a number, rounded to nearest (three.js's
+ * DataUtils.toHalfFloat, which workers cannot import).
+ * @param {number} value
+ * @returns {number}
+ */
+function toHalfFloat(value) {
+    halfFloatView.setFloat32(0, value);
+    const bits = halfFloatView.getUint32(0);
+    const sign = (bits >>> 16) & 0x8000;
+    const exponent = ((bits >>> 23) & 0xff) - 112;
+    const mantissa = bits & 0x7fffff;
+
+    if (exponent >= 31) return sign | 0x7c00;
+    if (exponent <= 0) {
+        // Subnormal, or zero
+        if (exponent < -10) return sign;
+        const shift = 14 - exponent;
+        return sign | (((mantissa | 0x800000) + (1 << (shift - 1))) >> shift);
+    }
+    // A rounding carry into the exponent is still correct
+    return sign | ((exponent << 10) + ((mantissa + 0x1000) >> 13));
+}
+
+/**
+ * 98th percentile of |curvature| over an even sample of valid texels, so a
+ * few spikes (cliffs, NoData edges) do not flatten the rest of the encoding.
+ * @param {Float32Array} curvature - NaN for NoData
+ * @param {number} minScale - Floor, so float rounding on planes is not stretched to full contrast
+ * @returns {number} Positive scale
+ */
+function curvatureRange(curvature, minScale) {
+    const step = Math.max(1, Math.floor(curvature.length / CURVATURE_SAMPLE_SIZE));
+    const sample = [];
+    for (let i = 0; i < curvature.length; i += step) {
+        if (!Number.isNaN(curvature[i])) sample.push(Math.abs(curvature[i]));
+    }
+    if (sample.length === 0) return minScale;
+    sample.sort((a, b) => a - b);
+    return Math.max(minScale, sample[Math.min(sample.length - 1, Math.floor(sample.length * 0.98))]);
+}
+
+/**
+ * Job registry shared by terrain workers and the same-thread fallback.
+ */
+export const TERRAIN_JOBS = {
+    vertexColors,
+    filterTriangles,
+    skirtGeometry,
+    normalMap,
+    classify,
+    contours: generateContourSegments,
+    isobands: generateIsobands
+};
+
+/**
+ * Worker side of WorkerPool resident arrays: store and release the arrays in
+ * a job message, then resolve its { residentId } references.
+ * @param {{ params: Object, store?: Array<[number, ArrayBufferView]>, release?: number[] }} message
+ * @param {Map<number, ArrayBufferView>} cache - Arrays kept by this worker
+ * @returns {Object} Job params
+ */
+export function unpackResidentParams({ params, store = [], release = [] }, cache) {
+    for (const residentId of release) cache.delete(residentId);
+    for (const [residentId, array] of store) cache.set(residentId, array);
+
+    const unpack = (value) => {
+        if (value?.residentId === undefined) return value;
+        const array = cache.get(value.residentId);
+        if (!array) throw new Error(`Resident array ${value.residentId} missing in worker`);
+        return array;
+    };
+    const unpacked = {};
+    for (const [key, value] of Object.entries(params)) {
+        unpacked[key] = value?.constructor === Object && value.residentId === undefined
+            ? Object.fromEntries(Object.entries(value).map(([k, v]) => [k, unpack(v)]))
+            : unpack(value);
+    }
+    return unpacked;
+}
+
+/**
+ * Transferable buffers in a job result (typed arrays at the top level).
+ * @param {Object} result
+ * @returns {ArrayBuffer[]}
+ */
+export function collectTransferables(result) {
+    const buffers = [];
+    if (result && typeof result === 'object') {
+        for (const value of Object.values(result)) {
+            if (ArrayBuffer.isView(value) && !buffers.includes(value.buffer)) {
+                buffers.push(value.buffer);
+            }
+        }
+    }
+    return buffers;
+}
@@ -4,37 +4,39 @@
  * Creates a 3D mesh from elevation data with:
  * - GPU-based vertex displacement via custom shaders
  * - GPU-generated normal maps
- * - Vertex coloring using Turbo colormap (no texture needed)
+ * - Per-fragment coloring through a colormap lookup texture (Turbo by default);
+ *   reference elevation and colormap changes are uniform updates
+ * - Optional discrete color classes with a legend (area per class)
+ * - Analytical render modes (hillshade, slope, aspect, curvature) decoded
+ *   per fragment from the full-resolution normal map
+ * - Optional draped imagery (orthophoto, backscatter) blended with the colormap
+ * - Shared clipping planes for cross-sections (see SectionClipping.js)
  * - Above-reference triangle filtering to save GPU bandwidth
  * - Real-time Z-exaggeration via uniforms (no mesh regeneration)
  * - NoData handling via fragment shader discard
+ * - Normal map, filtering, contours and (CPU fallback only) vertex colors run as
+ *   TERRAIN_JOBS on a WorkerPool
  */
 
 import * as THREE from 'three';
-import { TURBO_COLORMAP, processInChunks } from './utils.js';
-
-// Marching squares edge lookup table (16 cases).
-// Each case maps to pairs of edges where the contour crosses.
-// Edges: 0=top, 1=right, 2=bottom, 3=left
-// Cases 5 and 10 are saddle cases resolved at runtime using center average.
-const MS_EDGE_TABLE = [
-    [],           // 0:  no edges
-    [[3, 2]],     // 1:  bottom-left
-    [[2, 1]],     // 2:  bottom-right
-    [[3, 1]],     // 3:  bottom
-    [[0, 1]],     // 4:  top-right
-    null,         // 5:  saddle — resolved at runtime
-    [[0, 2]],     // 6:  right
-    [[3, 0]],     // 7:  all except top-left
-    [[0, 3]],     // 8:  top-left
-    [[0, 2]],     // 9:  left
-    null,         // 10: saddle — resolved at runtime
-    [[0, 1]],     // 11: all except top-right
-    [[3, 1]],     // 12: top
-    [[2, 1]],     // 13: all except bottom-right
-    [[3, 2]],     // 14: all except bottom-left
-    []            // 15: all corners above — no edges
-];
+import { throwIfAborted, isAbortError } from './utils.js';
+import { createColormap, colorForDepth, colorForValue, colorToHex } from './Colormaps.js';
+import { MAX_CLASSES, normalizeClassification, classIndex, classColors } from './Classification.js';
+import {
+    colormapShaderChunk, createColormapTexture, updateColormapTexture, createColorBandTexture,
+    createImageryTexture
+} from './ColormapShader.js';
+import { resizeRGBA } from './Imagery.js';
+import {
+    renderModeShaderChunk, createRenderModeUniforms, renderModeIndex, normalizeRenderSettings,
+    RenderMode, DEFAULT_RENDER_SETTINGS
+} from './RenderModes.js';
+import { groundDimensions, geodesicInverse } from './CRS.js';
+import { isNoDataValue, getElevationAt, sampleElevation, hasNearbyNoData } from './ElevationSampling.js';
+import {
+    buildContourThresholds, buildContourGrid, simplifyPolyline2D, interpolateEdge
+} from './Contours.js';
+import { getSharedWorkerPool } from './WorkerPool.js';
 
 // Inline shaders as template strings (no bundler required)
 
@@ -44,18 +46,16 @@ const terrainVertexShader = /* glsl */`
     uniform float heightScale;  // Pre-computed: zExaggeration / realWorldScale
     uniform vec2 elevationSize;
 
-    attribute vec3 color;
-
     varying vec2 vUv;
     varying float vIsNoData;
     varying vec3 vNormal;
-    varying vec3 vColor;
+    varying float vElevation;
+    #include <clipping_planes_pars_vertex>
 
     const float NO_DATA_THRESHOLD = 1e5;
 
     void main() {
         vUv = uv;
-        vColor = color;
 
         // Flip V to match raster data orientation (row 0 = north = mesh back)
         vec2 elevUv = vec2(uv.x, 1.0 - uv.y);
@@ -65,6 +65,7 @@ const terrainVertexShader = /* glsl */`
 
         // Check for NoData
         vIsNoData = (elevation >= NO_DATA_THRESHOLD) ? 1.0 : 0.0;
+        vElevation = elevation;
 
         // Calculate Y displacement
         float height = 0.0;
@@ -82,7 +83,9 @@ const terrainVertexShader = /* glsl */`
         vNormal = normalize(normalMatrix * normal);
 
         // Final position
-        gl_Position = projectionMatrix * viewMatrix * worldPosition;
+        vec4 mvPosition = viewMatrix * worldPosition;
+        gl_Position = projectionMatrix * mvPosition;
+        #include <clipping_planes_vertex>
     }
 `;
 
@@ -93,23 +96,38 @@ const terrainFragmentShader = /* glsl */`
     uniform vec3 lightColor;
     uniform vec3 lightDirection;
     uniform float diffuseStrength;
-
+    uniform float waterLevel;
+    uniform sampler2D gradientMap;
+${colormapShaderChunk}
+${renderModeShaderChunk}
     varying vec2 vUv;
     varying float vIsNoData;
     varying vec3 vNormal;
-    varying vec3 vColor;
+    varying float vElevation;
+    #include <clipping_planes_pars_fragment>
 
     void main() {
+        #include <clipping_planes_fragment>
+
         // Discard NoData pixels
         if (vIsNoData > 0.5) {
             discard;
         }
 
-        // Use vertex color
-        vec3 baseColor = vColor;
+        // Sample and decode normal map (XY normal, curvature in B)
+        vec4 normalTexel = texture2D(normalMap, vUv);
+        vec2 mappedNormal = normalTexel.xy * 2.0 - 1.0;
+
+        // Analytical modes are unlit (gradient texture in raster orientation)
+        if (renderMode > 0.5) {
+            vec2 gradient = texture2D(gradientMap, vec2(vUv.x, 1.0 - vUv.y)).xy;
+            gl_FragColor = vec4(renderModeColor(gradient, normalTexel.z * 2.0 - 1.0), 1.0);
+            return;
+        }
 
-        // Sample and decode normal map (z stored directly, no sqrt needed)
-        vec3 mappedNormal = texture2D(normalMap, vUv).xyz * 2.0 - 1.0;
+        // Colormap lookup and imagery (raster orientation)
+        vec2 rasterUv = vec2(vUv.x, 1.0 - vUv.y);
+        vec3 baseColor = drapeImagery(terrainColor(vElevation, waterLevel, rasterUv), rasterUv);
 
         // Blend geometry normal with normal map
         vec3 N = normalize(vNormal + vec3(mappedNormal.x * normalScale, 0.0, mappedNormal.y * normalScale));
@@ -136,6 +154,7 @@ const cpuFallbackVertexShader = /* glsl */`
     varying vec2 vUv;
     varying vec3 vNormal;
     varying vec3 vColor;
+    #include <clipping_planes_pars_vertex>
 
     void main() {
         vUv = uv;
@@ -148,7 +167,9 @@ const cpuFallbackVertexShader = /* glsl */`
         vNormal = normalize(normalMatrix * normal);
 
         // Final position
-        gl_Position = projectionMatrix * viewMatrix * worldPosition;
+        vec4 mvPosition = viewMatrix * worldPosition;
+        gl_Position = projectionMatrix * mvPosition;
+        #include <clipping_planes_vertex>
     }
 `;
 
@@ -159,17 +180,30 @@ const cpuFallbackFragmentShader = /* glsl */`
     uniform vec3 lightColor;
     uniform vec3 lightDirection;
     uniform float diffuseStrength;
-
+    uniform sampler2D gradientMap;
+${colormapShaderChunk}
+${renderModeShaderChunk}
     varying vec2 vUv;
     varying vec3 vNormal;
     varying vec3 vColor;
+    #include <clipping_planes_pars_fragment>
 
     void main() {
-        // Use vertex color
-        vec3 baseColor = vColor;
+        #include <clipping_planes_fragment>
+
+        // Sample and decode normal map (XY normal, curvature in B)
+        vec4 normalTexel = texture2D(normalMap, vUv);
+        vec2 mappedNormal = normalTexel.xy * 2.0 - 1.0;
+
+        // Analytical modes are unlit (gradient texture in raster orientation)
+        if (renderMode > 0.5) {
+            vec2 gradient = texture2D(gradientMap, vec2(vUv.x, 1.0 - vUv.y)).xy;
+            gl_FragColor = vec4(renderModeColor(gradient, normalTexel.z * 2.0 - 1.0), 1.0);
+            return;
+        }
 
-        // Sample and decode normal map (z stored directly, no sqrt needed)
-        vec3 mappedNormal = texture2D(normalMap, vUv).xyz * 2.0 - 1.0;
+        // Vertex color, with imagery in raster orientation
+        vec3 baseColor = drapeImagery(vColor, vec2(vUv.x, 1.0 - vUv.y));
 
         // Blend geometry normal with normal map
         vec3 N = normalize(vNormal + vec3(mappedNormal.x * normalScale, 0.0, mappedNormal.y * normalScale));
@@ -209,7 +243,14 @@ const DEFAULT_CONFIG = {
     // Lighting defaults
     ambientColor: new THREE.Color(0.3, 0.3, 0.3),
     lightColor: new THREE.Color(1, 1, 1),
-    lightDirection: new THREE.Vector3(0.5, 1, 0.5).normalize()
+    lightDirection: new THREE.Vector3(0.5, 1, 0.5).normalize(),
+
+    // WorkerPool for heavy processing (null = shared pool)
+    workerPool: null,
+
+    // Milliseconds updateReferenceElevation() waits for further calls (slider
+    // drags) before refiltering and reclassifying
+    referenceDebounce: 50
 };
 
 /**
@@ -229,10 +270,17 @@ export class TerrainMesh {
         this.elevationWidth = 0;
         this.elevationHeight = 0;
         this.geoBounds = null; // [minX, minY, maxX, maxY] in projected CRS
+        this.crs = null;       // From parseGeoKeys(); null treated as metres
+        // Full-resolution raster read for the normal map ({ elevationData, elevationWidth,
+        // elevationHeight }), kept for full-resolution contours while keepFullResElevation
+        // is set (up to 4096 px a side, 64 MB); null otherwise
+        this.fullResElevation = null;
+        this.keepFullResElevation = false;
 
         // GPU textures
         this.elevationTexture = null;
         this.normalMap = null;
+        this.gradientMap = null;
 
         // Original geometry indices (for filtering)
         this.originalIndices = null;
@@ -249,6 +297,59 @@ export class TerrainMesh {
         this.depthRange = [0, 31];     // Default, will be set by analyzeElevation
         this.noDataValue = null;       // Read from COG metadata
 
+        // Optional second band driving the colors: { data, width, height, range }
+        this.colorBand = null;
+
+        // Colormap spec and its lookup table (see Colormaps.js)
+        this.colormapSpec = 'turbo';
+        this.colormap = createColormap('turbo');
+
+        // Coloring uniforms shared with TerrainTiles, so colormap and depth
+        // range changes reach the tiles without touching their geometry
+        this.colormapTexture = createColormapTexture(this.colormap);
+        this.colorBandTexture = null;
+        this.imageryTexture = null;
+        this.colorUniforms = {
+            colormapMap: { value: this.colormapTexture },
+            depthRange: { value: new THREE.Vector2(...this.depthRange) },
+            colorBandMap: { value: null },
+            colorBandRange: { value: new THREE.Vector2(0, 1) },
+            useColorBand: { value: 0 },
+            classCount: { value: 0 },
+            classBreaks: { value: new Float32Array(MAX_CLASSES + 1) },
+            classColors: { value: new Float32Array(MAX_CLASSES * 3) },
+            imageryMap: { value: null },
+            imageryBlend: { value: 0 },
+            ...createRenderModeUniforms(this.zExaggeration)
+        };
+
+        // World-space clipping planes shared by every terrain material (mesh,
+        // tiles, water, contours); filled in place by SectionClipping
+        this.clippingPlanes = [];
+
+        // Analytical render mode (see RenderModes.js); angles in degrees
+        this.renderMode = RenderMode.COLOR;
+        this.renderSettings = { ...DEFAULT_RENDER_SETTINGS };
+
+        // Curvature (1/m) at the ends of the normal map's B encoding
+        this.curvatureScale = 1;
+
+        // Draped imagery ({ pixels, width, height } over geoBounds) and its
+        // weight against the colormap (0-1)
+        this.imagery = null;
+        this.imageryBlend = 1;
+
+        // Discrete coloring: normalized spec and its result
+        // ({ breaks, areas, colors } per class), null for continuous
+        this.classification = null;
+        this.classes = null;
+
+        // Bumped per request so results of superseded filter and classify
+        // jobs, which may finish out of order, are dropped
+        this._referenceGeneration = 0;
+        this._filterGeneration = 0;
+        this._classifyGeneration = 0;
+
         // Renderer reference for GPU capability detection
         this.renderer = null;
 
@@ -267,6 +368,9 @@ export class TerrainMesh {
 
         // GPU texture size limit
         this.maxTextureSize = 16384;
+
+        // Runs TERRAIN_JOBS off the main thread (same-thread fallback without Worker)
+        this.workerPool = this.config.workerPool ?? getSharedWorkerPool();
     }
 
     /**
@@ -279,10 +383,18 @@ export class TerrainMesh {
         this.referenceElevation = referenceElevation;
         this.depthRange = depthRange;
         this.noDataValue = noDataValue;
+        this.colorUniforms.depthRange.value.set(depthRange[0], depthRange[1]);
     }
 
     /**
-     * Update reference elevation and recolor/refilter the terrain.
+     * Update reference elevation, refilter the terrain and reclassify (depths
+     * change). On the GPU path recoloring is a uniform update; the CPU
+     * fallback recomputes vertex colors.
+     *
+     * Filtering and classification wait config.referenceDebounce ms; a call
+     * made meanwhile supersedes this one, which then returns without them.
+     * Superseded jobs already running are not aborted (that would terminate
+     * their worker and its resident raster), their results are dropped.
      * @param {number} referenceElevation - New reference elevation
      */
     async updateReferenceElevation(referenceElevation) {
@@ -290,23 +402,253 @@ export class TerrainMesh {
 
         if (!this.geometry || !this.elevationData) return;
 
-        // Update GPU shader uniform
         if (this.useGPUDisplacement && this.material?.uniforms?.waterLevel) {
             this.material.uniforms.waterLevel.value = referenceElevation;
         }
 
-        // Recompute vertex colors and filter triangles
-        await Promise.all([
-            this._computeVertexColorsAsync(),
-            this._filterAboveWaterTrianglesAsync()
-        ]);
+        const generation = ++this._referenceGeneration;
+        if (this.config.referenceDebounce > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.config.referenceDebounce));
+            if (generation !== this._referenceGeneration) return;
+        }
 
-        // For CPU fallback, also update vertex positions
-        if (!this.useGPUDisplacement) {
+        await Promise.all([this._filterAboveWaterTrianglesAsync(), this._classifyAsync()]);
+
+        // CPU fallback: update positions (which recolors)
+        if (!this.useGPUDisplacement && generation === this._referenceGeneration) {
             this._updateVerticesCPU();
         }
     }
 
+    /**
+     * Change the colormap. The GPU path only re-uploads the lookup texture;
+     * the CPU fallback recomputes vertex colors. Geometry and triangle
+     * filtering are untouched.
+     * @param {string|Array} spec - Registered name, stop list or CSS gradient string
+     * @returns {Promise<void>}
+     */
+    async setColormap(spec) {
+        this.colormap = createColormap(spec);
+        this.colormapSpec = spec;
+        updateColormapTexture(this.colormapTexture, this.colormap);
+        if (this.classes) this._applyClassColors();
+
+        if (!this.useGPUDisplacement) {
+            await this._computeVertexColorsAsync();
+        }
+    }
+
+    /**
+     * Color by discrete classes instead of the continuous colormap. Breaks
+     * are computed from the pixels below the reference elevation (by depth,
+     * or by the coloring band when one is set).
+     * @param {Object|null} spec - { method: 'equal'|'quantile'|'jenks'|'explicit', classes, breaks, colors }
+     *   (see normalizeClassification()); null restores continuous coloring
+     * @returns {Promise<void>}
+     */
+    async setClassification(spec) {
+        this.classification = spec ? normalizeClassification(spec) : null;
+        await this._classifyAsync();
+
+        if (!this.useGPUDisplacement) {
+            await this._computeVertexColorsAsync();
+        }
+    }
+
+    /**
+     * Replace the values coloring the terrain without rebuilding geometry
+     * (e.g. an elevation difference after a threshold change). Classes are
+     * recomputed from the new values.
+     * @param {Object|null} colorBand - See createFromData(); null colors by depth
+     * @returns {Promise<void>}
+     */
+    async setColorBand(colorBand) {
+        const previous = this.colorBand?.data;
+        if (previous && previous !== colorBand?.data) {
+            this.workerPool.release(previous);
+        }
+        this.colorBand = colorBand;
+        this._updateColorBandUniforms();
+        if (this.classification) await this._classifyAsync();
+
+        if (!this.useGPUDisplacement) {
+            await this._computeVertexColorsAsync();
+        }
+    }
+
+    /**
+     * Legend for the current classification: one entry per class with its
+     * value range (metres of depth, or coloring band units), color and
+     * ground area below the reference elevation.
+     * @returns {{ method: string, value: string, band: number|null, totalArea: number,
+     *   classes: { index: number, min: number, max: number, color: string, rgb: number[], area: number, fraction: number }[] }|null}
+     *   value: 'depth', 'band' or the coloring band's label ('difference'); null without a classification
+     */
+    getLegend() {
+        if (!this.classes) return null;
+
+        const { breaks, areas, colors } = this.classes;
+        const totalArea = areas.reduce((sum, area) => sum + area, 0);
+        return {
+            method: this.classification.method,
+            value: this.colorBand ? (this.colorBand.value ?? 'band') : 'depth',
+            band: this.colorBand?.band ?? null,
+            totalArea,
+            classes: areas.map((area, i) => ({
+                index: i,
+                min: breaks[i],
+                max: breaks[i + 1],
+                color: colorToHex(colors[i]),
+                rgb: [...colors[i]],
+                area,
+                fraction: totalArea > 0 ? area / totalArea : 0
+            }))
+        };
+    }
+
+    /**
+     * Switch between colormap coloring and the analytical render modes.
+     * Uniform updates only, on both the GPU path and the CPU fallback.
+     * @param {string} mode - 'color', 'hillshade', 'slope', 'aspect' or 'curvature'
+     * @param {Object} [settings] - Degrees; omitted values keep their current setting
+     * @param {number} [settings.sunAzimuth] - Hillshade light direction, clockwise from north
+     * @param {number} [settings.sunAltitude] - Hillshade light angle above the horizon (0-90)
+     * @param {number} [settings.slopeMax] - Slope at the top of the colormap (slope mode)
+     */
+    setRenderMode(mode, settings = {}) {
+        const index = renderModeIndex(mode);
+        const next = normalizeRenderSettings({ ...this.renderSettings, ...settings });
+
+        this.renderMode = mode;
+        this.renderSettings = next;
+
+        const uniforms = this.colorUniforms;
+        uniforms.renderMode.value = index;
+        uniforms.sunAzimuth.value = THREE.MathUtils.degToRad(next.sunAzimuth);
+        uniforms.sunAltitude.value = THREE.MathUtils.degToRad(next.sunAltitude);
+        uniforms.slopeMax.value = THREE.MathUtils.degToRad(next.slopeMax);
+    }
+
+    /**
+     * Current render mode and its settings (degrees).
+     * @returns {{ mode: string, sunAzimuth: number, sunAltitude: number, slopeMax: number, curvatureScale: number }}
+     */
+    getRenderMode() {
+        return { mode: this.renderMode, ...this.renderSettings, curvatureScale: this.curvatureScale };
+    }
+
+    /**
+     * Compute class breaks and areas for the current classification. The
+     * result of a call superseded by a later one is dropped.
+     * @param {Function} [onProgress]
+     * @param {AbortSignal} [signal]
+     */
+    async _classifyAsync(onProgress, signal) {
+        const generation = ++this._classifyGeneration;
+        if (!this.classification || !this.elevationData) {
+            this.classes = null;
+            this._applyClassColors();
+            return;
+        }
+
+        const { method, classes, breaks } = this.classification;
+        const result = await this.workerPool.run('classify', {
+            ...this._rasterParams(),
+            referenceElevation: this.referenceElevation,
+            method,
+            classes,
+            breaks,
+            cellArea: (this.realWorldWidth * this.realWorldHeight) / (this.elevationWidth * this.elevationHeight),
+            colorData: this.workerPool.resident(this.colorBand?.data ?? null),
+            colorWidth: this.colorBand?.width,
+            colorHeight: this.colorBand?.height
+        }, { onProgress, signal });
+        if (generation !== this._classifyGeneration) return;
+
+        this.classes = { breaks: Array.from(result.breaks), areas: Array.from(result.areas), colors: [] };
+        this._applyClassColors();
+
+        console.log(`Classification (${method}): ${this.classes.areas.length} classes, breaks ${this.classes.breaks.map(b => b.toFixed(2)).join(', ')}`);
+    }
+
+    /**
+     * Resolve class colors (given, or sampled from the colormap) and upload
+     * the classification to the shared uniforms.
+     */
+    _applyClassColors() {
+        const uniforms = this.colorUniforms;
+        if (!this.classes) {
+            uniforms.classCount.value = 0;
+            return;
+        }
+
+        const count = this.classes.areas.length;
+        this.classes.colors = this.classification.colors?.slice(0, count) ??
+            classColors(this.colormap, count, !this.colorBand);
+
+        uniforms.classCount.value = count;
+        uniforms.classBreaks.value.set(this.classes.breaks);
+        this.classes.colors.forEach((rgb, i) => uniforms.classColors.value.set(rgb, i * 3));
+    }
+
+    /**
+     * Drape imagery over the terrain, or remove it with null. Imagery larger
+     * than the GPU texture limit is downsampled, as the elevation is in
+     * _constrainElevationToGPULimits().
+     * @param {{ pixels: Uint8ClampedArray, width: number, height: number }|null} imagery -
+     *   RGBA resampled onto geoBounds (see loadImagery()), row 0 = north
+     */
+    setImagery(imagery) {
+        if (this.imageryTexture) {
+            this.imageryTexture.dispose();
+            this.imageryTexture = null;
+        }
+        this.imagery = imagery;
+
+        if (imagery) {
+            let { pixels, width, height } = imagery;
+            if (width > this.maxTextureSize || height > this.maxTextureSize) {
+                const { newWidth, newHeight } = this._calculateConstrainedDimensions(width, height);
+                console.log(`Downsampling imagery from ${width}x${height} to ${newWidth}x${newHeight} (GPU max: ${this.maxTextureSize})`);
+                pixels = resizeRGBA(pixels, width, height, newWidth, newHeight);
+                width = newWidth;
+                height = newHeight;
+            }
+            this.imageryTexture = createImageryTexture({ pixels, width, height });
+        }
+
+        this.colorUniforms.imageryMap.value = this.imageryTexture;
+        this.colorUniforms.imageryBlend.value = this.imageryTexture ? this.imageryBlend : 0;
+    }
+
+    /**
+     * Weight of the imagery against the colormap.
+     * @param {number} blend - 0 (colormap only) to 1 (imagery only)
+     */
+    setImageryBlend(blend) {
+        if (!(blend >= 0 && blend <= 1)) {
+            throw new Error(`Imagery blend must be between 0 and 1, got ${blend}`);
+        }
+        this.imageryBlend = blend;
+        this.colorUniforms.imageryBlend.value = this.imageryTexture ? blend : 0;
+    }
+
+    /**
+     * Upload the coloring band (if any) and point the shared uniforms at it.
+     */
+    _updateColorBandUniforms() {
+        if (this.colorBandTexture) {
+            this.colorBandTexture.dispose();
+            this.colorBandTexture = null;
+        }
+        if (this.colorBand) {
+            this.colorBandTexture = createColorBandTexture(this.colorBand);
+            this.colorUniforms.colorBandRange.value.set(this.colorBand.range[0], this.colorBand.range[1]);
+        }
+        this.colorUniforms.colorBandMap.value = this.colorBandTexture;
+        this.colorUniforms.useColorBand.value = this.colorBand ? 1 : 0;
+    }
+
     /**
      * Set renderer for GPU operations.
      * @param {THREE.WebGLRenderer} renderer
@@ -437,10 +779,21 @@ export class TerrainMesh {
      * @returns {boolean}
      */
     _isNoData(value) {
-        if (!Number.isFinite(value)) return true;
-        if (value >= 1e5) return true;
-        if (this.noDataValue !== null && value === this.noDataValue) return true;
-        return false;
+        return isNoDataValue(value, this.noDataValue);
+    }
+
+    /**
+     * Raster fields passed to TERRAIN_JOBS and ElevationSampling. The raster
+     * is resident in the workers (sent once, not on every job).
+     * @returns {{ elevationData: Float32Array, elevationWidth: number, elevationHeight: number, noDataValue: number|null }}
+     */
+    _rasterParams() {
+        return {
+            elevationData: this.workerPool.resident(this.elevationData),
+            elevationWidth: this.elevationWidth,
+            elevationHeight: this.elevationHeight,
+            noDataValue: this.noDataValue
+        };
     }
 
     /**
@@ -450,12 +803,24 @@ export class TerrainMesh {
      * @param {number} options.width - Data width
      * @param {number} options.height - Data height
      * @param {number[]} options.geoBounds - [minX, minY, maxX, maxY] in projected CRS
+     * @param {Object} [options.crs] - CRS description from parseGeoKeys
      * @param {Promise} [options.fullResElevationPromise] - Promise for full-res data for normal map
+     * @param {boolean} [options.keepFullResElevation=false] - Keep that raster for
+     *   full-resolution contours (see setFullResElevation())
+     * @param {Object|null} [options.colorBand] - Band coloring the terrain instead of depth:
+     *   { data: Float32Array (NaN for NoData), width, height, range: [min, max], value }
+     *   (value: legend label, default 'band')
+     * @param {string|Array} [options.colormap] - Colormap name, stop list or CSS gradient (default: current)
+     * @param {Object|null} [options.classification] - Discrete color classes (see setClassification())
+     * @param {AbortSignal} [options.signal] - Cancels the build; GPU resources are released
+     *   and the promise rejects with an AbortError
      * @param {THREE.Group} parentGroup - Parent group to add mesh to
      * @param {Function} [onProgress] - Progress callback
      */
     async createFromData(options, parentGroup, onProgress) {
-        const { elevation, width, height, geoBounds, fullResElevationPromise } = options;
+        const { elevation, width, height, geoBounds, crs, fullResElevationPromise, keepFullResElevation = false, colorBand, colormap, classification, signal } = options;
+
+        throwIfAborted(signal);
 
         if (!this.renderer) {
             console.warn('TerrainMesh: renderer not set before createFromData(). ' +
@@ -466,6 +831,18 @@ export class TerrainMesh {
         this.elevationWidth = width;
         this.elevationHeight = height;
         this.geoBounds = geoBounds;
+        this.crs = crs ?? null;
+        this.colorBand = colorBand ?? null;
+        this.keepFullResElevation = keepFullResElevation;
+        if (colormap !== undefined) {
+            this.colormap = createColormap(colormap);
+            this.colormapSpec = colormap;
+            updateColormapTexture(this.colormapTexture, this.colormap);
+        }
+        this._updateColorBandUniforms();
+        if (classification !== undefined) {
+            this.classification = classification ? normalizeClassification(classification) : null;
+        }
 
         this._calculateModelDimensions(geoBounds);
 
@@ -476,17 +853,31 @@ export class TerrainMesh {
         this._createElevationTexture();
         this._createGeometry();
 
-        progress('COMPUTE_COLORS', null);
-        await Promise.all([
-            this._computeVertexColorsAsync((p) => progress('COMPUTE_COLORS', p)),
-            this._filterAboveWaterTrianglesAsync((p) => progress('FILTER_GEOMETRY', p))
-        ]);
-
-        progress('GENERATE_NORMALS', null);
-        await this._generateNormalMapFromData(
-            fullResElevationPromise,
-            (p) => progress('GENERATE_NORMALS', p)
-        );
+        try {
+            // The GPU path colors per fragment; only the CPU fallback needs
+            // vertex colors (after classification, which they depend on)
+            const colors = this._classifyAsync(null, signal).then(() => {
+                if (this.useGPUDisplacement) return;
+                progress('COMPUTE_COLORS', null);
+                return this._computeVertexColorsAsync((p) => progress('COMPUTE_COLORS', p), signal);
+            });
+            await Promise.all([
+                this._filterAboveWaterTrianglesAsync((p) => progress('FILTER_GEOMETRY', p), signal),
+                colors
+            ]);
+
+            progress('GENERATE_NORMALS', null);
+            await this._generateNormalMapFromData(
+                fullResElevationPromise,
+                (p) => progress('GENERATE_NORMALS', p),
+                signal
+            );
+            throwIfAborted(signal);
+        } catch (err) {
+            // Release the textures and geometry created so far
+            if (isAbortError(err)) this.dispose();
+            throw err;
+        }
 
         this._createMaterial();
 
@@ -503,17 +894,17 @@ export class TerrainMesh {
     }
 
     /**
-     * Calculate model dimensions from geographic bounds, preserving aspect ratio.
+     * Calculate model dimensions from geographic bounds, preserving the
+     * ground aspect ratio. Bounds are converted to metres using this.crs
+     * (geodesic extents for geographic rasters).
      * @param {number[]} geoBounds - [minX, minY, maxX, maxY]
      */
     _calculateModelDimensions(geoBounds) {
-        const [minX, minY, maxX, maxY] = geoBounds;
-        const geoWidth = maxX - minX;
-        const geoHeight = maxY - minY;
-        const aspectRatio = geoWidth / geoHeight;
+        const ground = groundDimensions(geoBounds, this.crs);
+        const aspectRatio = ground.width / ground.height;
 
-        this.realWorldWidth = geoWidth;
-        this.realWorldHeight = geoHeight;
+        this.realWorldWidth = ground.width;
+        this.realWorldHeight = ground.height;
 
         if (aspectRatio >= 1) {
             this.modelWidth = this.config.modelSize;
@@ -533,16 +924,19 @@ export class TerrainMesh {
      * Generate normal map, optionally using full-resolution elevation data.
      * @param {Promise|undefined} fullResElevationPromise - Promise for full-res data
      * @param {Function|null} onProgress - Progress callback
+     * @param {AbortSignal} [signal]
      */
-    async _generateNormalMapFromData(fullResElevationPromise, onProgress) {
+    async _generateNormalMapFromData(fullResElevationPromise, onProgress, signal) {
         if (fullResElevationPromise === undefined) {
-            await this._generateNormalMapCPUAsync(onProgress);
+            await this._generateNormalMapCPUAsync(onProgress, signal);
             return;
         }
 
         try {
             const fullRes = await fullResElevationPromise;
+            throwIfAborted(signal);
             console.log(`Using full-res elevation for normal map: ${fullRes.width}x${fullRes.height}`);
+            this.setFullResElevation(fullRes);
             const savedData = this.elevationData;
             const savedWidth = this.elevationWidth;
             const savedHeight = this.elevationHeight;
@@ -550,17 +944,42 @@ export class TerrainMesh {
             this.elevationWidth = fullRes.width;
             this.elevationHeight = fullRes.height;
 
-            await this._generateNormalMapCPUAsync(onProgress);
-
-            this.elevationData = savedData;
-            this.elevationWidth = savedWidth;
-            this.elevationHeight = savedHeight;
+            try {
+                await this._generateNormalMapCPUAsync(onProgress, signal);
+            } finally {
+                this.elevationData = savedData;
+                this.elevationWidth = savedWidth;
+                this.elevationHeight = savedHeight;
+                if (!this.keepFullResElevation) this.setFullResElevation(null);
+            }
         } catch (e) {
+            if (isAbortError(e)) throw e;
             console.warn('Full-res elevation failed, using low-res for normal map:', e);
-            await this._generateNormalMapCPUAsync(onProgress);
+            await this._generateNormalMapCPUAsync(onProgress, signal);
         }
     }
 
+    /**
+     * Set or drop the full-resolution raster traced by full-resolution
+     * contours (without one they trace the mesh raster). The workers keep it
+     * resident until it is dropped.
+     * @param {{ elevation: Float32Array, width: number, height: number }|null} fullRes
+     *   Same shape as the full-res promise of createFromData()
+     */
+    setFullResElevation(fullRes) {
+        const previous = this.fullResElevation?.elevationData;
+        if (previous && previous !== fullRes?.elevation && previous !== this.elevationData) {
+            this.workerPool.release(previous);
+        }
+        this.fullResElevation = fullRes
+            ? {
+                elevationData: this.workerPool.resident(fullRes.elevation),
+                elevationWidth: fullRes.width,
+                elevationHeight: fullRes.height
+            }
+            : null;
+    }
+
     /**
      * Create a DataTexture from elevation data for GPU access.
      */
@@ -722,11 +1141,15 @@ export class TerrainMesh {
                     ambientColor: { value: this.config.ambientColor },
                     lightColor: { value: this.config.lightColor },
                     lightDirection: { value: this.config.lightDirection },
-                    diffuseStrength: { value: 0.6 }
+                    diffuseStrength: { value: 0.6 },
+                    gradientMap: { value: this.gradientMap },
+                    ...this.colorUniforms
                 },
                 vertexShader: terrainVertexShader,
                 fragmentShader: terrainFragmentShader,
-                side: THREE.FrontSide
+                side: THREE.FrontSide,
+                clipping: true,
+                clippingPlanes: this.clippingPlanes
             });
         } else {
             this.material = new THREE.ShaderMaterial({
@@ -736,45 +1159,72 @@ export class TerrainMesh {
                     ambientColor: { value: this.config.ambientColor },
                     lightColor: { value: this.config.lightColor },
                     lightDirection: { value: this.config.lightDirection },
-                    diffuseStrength: { value: 0.6 }
+                    diffuseStrength: { value: 0.6 },
+                    gradientMap: { value: this.gradientMap },
+                    ...this.colorUniforms
                 },
                 vertexShader: cpuFallbackVertexShader,
                 fragmentShader: cpuFallbackFragmentShader,
-                side: THREE.FrontSide
+                side: THREE.FrontSide,
+                clipping: true,
+                clippingPlanes: this.clippingPlanes
             });
             console.log('Using CPU fallback material (no vertex texture fetch)');
         }
     }
 
     /**
-     * Get RGB color for a depth value using Turbo colormap.
+     * Get RGB color for a depth value using the current colormap.
      * @param {number} depth
      * @param {number} minDepth
      * @param {number} maxDepth
      * @returns {number[]} [r, g, b] in 0-1 range
      */
     _getColorForDepth(depth, minDepth, maxDepth) {
-        const normalized = (depth - minDepth) / (maxDepth - minDepth);
-        const clamped = Math.max(0, Math.min(1, normalized));
-        const inverted = 1 - clamped;
-
-        const index = inverted * (TURBO_COLORMAP.length - 1);
-        const lower = Math.floor(index);
-        const upper = Math.ceil(index);
-        const frac = index - lower;
-
-        const cL = TURBO_COLORMAP[lower];
-        const cU = TURBO_COLORMAP[upper];
-
-        return [
-            cL[0] + (cU[0] - cL[0]) * frac,
-            cL[1] + (cU[1] - cL[1]) * frac,
-            cL[2] + (cU[2] - cL[2]) * frac
-        ];
+        return colorForDepth(this.colormap, depth, minDepth, maxDepth);
     }
 
     /**
-     * Compute vertex colors synchronously.
+     * Sample the coloring band at a UV position.
+     * @param {number} u - Normalized X (0-1)
+     * @param {number} v - Normalized Y (0-1)
+     * @returns {number} Band value, NaN without a coloring band or for NoData
+     */
+    _sampleColorBand(u, v) {
+        const band = this.colorBand;
+        if (!band) return Number.NaN;
+        return sampleElevation({
+            elevationData: band.data,
+            elevationWidth: band.width,
+            elevationHeight: band.height,
+            noDataValue: null
+        }, u, v);
+    }
+
+    /**
+     * Color for a point below the reference elevation: by the coloring band
+     * when one is set, otherwise by depth.
+     * @param {number} elevation
+     * @param {number} u - Normalized X (0-1)
+     * @param {number} v - Normalized Y (0-1)
+     * @returns {number[]|null} [r, g, b], or null where the coloring band is NoData
+     */
+    _getBelowReferenceColor(elevation, u, v) {
+        if (this.colorBand) {
+            const value = this._sampleColorBand(u, v);
+            if (!Number.isFinite(value)) return null;
+            if (this.classes) return this.classes.colors[classIndex(this.classes.breaks, value)];
+            return colorForValue(this.colormap, value, this.colorBand.range[0], this.colorBand.range[1]);
+        }
+        if (this.classes) {
+            return this.classes.colors[classIndex(this.classes.breaks, this.referenceElevation - elevation)];
+        }
+        const [minDepth, maxDepth] = this.depthRange;
+        return this._getColorForDepth(this.referenceElevation - elevation, minDepth, maxDepth);
+    }
+
+    /**
+     * Compute vertex colors synchronously (CPU fallback; the GPU path colors per fragment).
      */
     _computeVertexColors() {
         if (!this.geometry || !this.elevationData) return;
@@ -785,8 +1235,6 @@ export class TerrainMesh {
         const vertexCount = uvs.count;
         const colors = new Float32Array(vertexCount * 3);
 
-        const [minDepth, maxDepth] = this.depthRange;
-
         for (let i = 0; i < vertexCount; i++) {
             const u = uvs.getX(i);
             const v = uvs.getY(i);
@@ -807,9 +1255,15 @@ export class TerrainMesh {
                 continue;
             }
 
-            const depth = this.referenceElevation - elevation;
-            const [r, g, b] = this._getColorForDepth(depth, minDepth, maxDepth);
+            const color = this._getBelowReferenceColor(elevation, u, 1 - v);
+            if (!color) {
+                colors[idx] = 0.5;
+                colors[idx + 1] = 0.5;
+                colors[idx + 2] = 0.5;
+                continue;
+            }
 
+            const [r, g, b] = color;
             colors[idx] = r;
             colors[idx + 1] = g;
             colors[idx + 2] = b;
@@ -821,64 +1275,52 @@ export class TerrainMesh {
     /**
      * Async version of _computeVertexColors with chunked processing.
      * @param {Function} [onProgress]
+     * @param {AbortSignal} [signal]
      */
-    async _computeVertexColorsAsync(onProgress) {
+    async _computeVertexColorsAsync(onProgress, signal) {
         if (!this.geometry || !this.elevationData) return;
 
         const uvs = this.geometry.attributes.uv;
         if (!uvs) return;
 
-        const vertexCount = uvs.count;
-        const colors = new Float32Array(vertexCount * 3);
-
-        const [minDepth, maxDepth] = this.depthRange;
-
-        let validCount = 0;
-        let aboveCount = 0;
-
-        const chunkSize = 10000;
-        await processInChunks(vertexCount, chunkSize, (i) => {
-            const u = uvs.getX(i);
-            const v = uvs.getY(i);
-            const elevation = this._sampleElevation(u, 1 - v);
-            const idx = i * 3;
-
-            if (!Number.isFinite(elevation)) {
-                colors[idx] = 0.5;
-                colors[idx + 1] = 0.5;
-                colors[idx + 2] = 0.5;
-                return;
-            }
-
-            if (elevation >= this.referenceElevation) {
-                colors[idx] = 0.5;
-                colors[idx + 1] = 0.5;
-                colors[idx + 2] = 0.5;
-                aboveCount++;
-                return;
-            }
-
-            validCount++;
-            const depth = this.referenceElevation - elevation;
-            const [r, g, b] = this._getColorForDepth(depth, minDepth, maxDepth);
-
-            colors[idx] = r;
-            colors[idx + 1] = g;
-            colors[idx + 2] = b;
-        }, (completed, total) => {
-            if (onProgress) onProgress(completed / total);
-        });
+        const { colors, validCount, aboveCount } = await this.computeColorsAt(this.workerPool.resident(uvs.array), onProgress, signal);
 
         this.geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
 
         console.log(`Vertex colors computed: ${validCount} below reference, ${aboveCount} above reference`);
     }
 
+    /**
+     * Colors of the current colormap, classes or coloring band at UV
+     * positions (the vertexColors job; render modes and imagery are not applied).
+     * @param {Float32Array} uvs - 2 per position, geometry orientation (V = 1 at the north edge)
+     * @param {Function} [onProgress]
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<{ colors: Float32Array, validCount: number, aboveCount: number }>}
+     *   colors: r g b (0-1, sRGB) per position
+     */
+    computeColorsAt(uvs, onProgress, signal) {
+        return this.workerPool.run('vertexColors', {
+            ...this._rasterParams(),
+            uvs,
+            referenceElevation: this.referenceElevation,
+            depthRange: this.depthRange,
+            colormap: this.colormap,
+            colorData: this.workerPool.resident(this.colorBand?.data ?? null),
+            colorWidth: this.colorBand?.width,
+            colorHeight: this.colorBand?.height,
+            colorRange: this.colorBand?.range,
+            classBreaks: this.classes?.breaks ?? null,
+            classColors: this.classes ? Float32Array.from(this.classes.colors.flat()) : null
+        }, { onProgress, signal });
+    }
+
     /**
      * Filter out triangles where all vertices are above reference elevation (async).
      * @param {Function} [onProgress]
+     * @param {AbortSignal} [signal]
      */
-    async _filterAboveWaterTrianglesAsync(onProgress) {
+    async _filterAboveWaterTrianglesAsync(onProgress, signal) {
         if (!this.geometry || !this.elevationData) return;
 
         const uvs = this.geometry.attributes.uv;
@@ -890,61 +1332,30 @@ export class TerrainMesh {
             this.originalIndices = new Uint32Array(index.array);
         }
 
-        const vertexCount = uvs.count;
-        const indices = this.originalIndices;
-        const triangleCount = indices.length / 3;
+        const triangleCount = this.originalIndices.length / 3;
+        const generation = ++this._filterGeneration;
 
-        const isBelowRef = new Uint8Array(vertexCount);
-        const isNoData = new Uint8Array(vertexCount);
-        for (let i = 0; i < vertexCount; i++) {
-            const u = uvs.getX(i);
-            const v = 1 - uvs.getY(i);
-
-            if (this._hasNearbyNoData(u, v)) {
-                isNoData[i] = 1;
-            } else {
-                const elevation = this._sampleElevation(u, v);
-                if (!Number.isFinite(elevation)) {
-                    isNoData[i] = 1;
-                } else if (elevation < this.referenceElevation) {
-                    isBelowRef[i] = 1;
-                }
-            }
-        }
-
-        const newIndices = [];
-        let filteredCount = 0;
-
-        const chunkSize = 5000;
-        await processInChunks(triangleCount, chunkSize, (t) => {
-            const i0 = indices[t * 3];
-            const i1 = indices[t * 3 + 1];
-            const i2 = indices[t * 3 + 2];
-
-            // Exclude triangles containing any NoData vertex
-            if (isNoData[i0] || isNoData[i1] || isNoData[i2]) {
-                filteredCount++;
-            } else if (isBelowRef[i0] || isBelowRef[i1] || isBelowRef[i2]) {
-                newIndices.push(i0, i1, i2);
-            } else {
-                filteredCount++;
-            }
-        }, (completed, total) => {
-            if (onProgress) onProgress(completed / total);
-        });
+        const { indices, filteredCount } = await this.workerPool.run('filterTriangles', {
+            ...this._rasterParams(),
+            uvs: this.workerPool.resident(uvs.array),
+            indices: this.workerPool.resident(this.originalIndices),
+            referenceElevation: this.referenceElevation
+        }, { onProgress, signal });
+        if (generation !== this._filterGeneration) return;
 
-        this.geometry.setIndex(new THREE.BufferAttribute(new Uint32Array(newIndices), 1));
+        this.geometry.setIndex(new THREE.BufferAttribute(indices, 1));
 
-        const keptTriangles = newIndices.length / 3;
+        const keptTriangles = indices.length / 3;
         const reduction = ((filteredCount / triangleCount) * 100).toFixed(1);
         console.log(`Triangle filtering: ${keptTriangles.toLocaleString()} kept, ${filteredCount.toLocaleString()} filtered (${reduction}% reduction)`);
     }
 
     /**
-     * Generate normal map on CPU with chunked async processing.
+     * Generate normal map on a worker (or chunked on the main thread as fallback).
      * @param {Function} [onProgress]
+     * @param {AbortSignal} [signal]
      */
-    async _generateNormalMapCPUAsync(onProgress) {
+    async _generateNormalMapCPUAsync(onProgress, signal) {
         if (!this.elevationData) return;
 
         const width = this.elevationWidth;
@@ -952,62 +1363,20 @@ export class TerrainMesh {
 
         console.log(`Generating normal map on CPU (async): ${width}x${height}`);
 
+        const { pixels, gradient, curvatureScale } = await this.workerPool.run('normalMap', {
+            ...this._rasterParams(),
+            cellSizeX: this.realWorldWidth / width,
+            cellSizeY: this.realWorldHeight / height,
+            strength: this.config.normalMapStrength
+        }, { onProgress, signal });
+        this.curvatureScale = curvatureScale;
+
         const canvas = document.createElement('canvas');
         canvas.width = width;
         canvas.height = height;
         const ctx = canvas.getContext('2d');
         const imageData = ctx.createImageData(width, height);
-        const data = imageData.data;
-
-        const cellSizeX = this.realWorldWidth / width;
-        const cellSizeY = this.realWorldHeight / height;
-        const strength = this.config.normalMapStrength;
-
-        const chunkSize = 50;
-        await processInChunks(height, chunkSize, (y) => {
-            for (let x = 0; x < width; x++) {
-                const idx = (y * width + x) * 4;
-                const center = this._getElevationAt(x, y);
-
-                if (!Number.isFinite(center)) {
-                    data[idx + 0] = 128;
-                    data[idx + 1] = 128;
-                    data[idx + 2] = 255;
-                    data[idx + 3] = 0;
-                    continue;
-                }
-
-                let eL = this._getElevationAt(Math.max(0, x - 1), y);
-                let eR = this._getElevationAt(Math.min(width - 1, x + 1), y);
-                let eT = this._getElevationAt(x, Math.max(0, y - 1));
-                let eB = this._getElevationAt(x, Math.min(height - 1, y + 1));
-
-                if (!Number.isFinite(eL)) eL = center;
-                if (!Number.isFinite(eR)) eR = center;
-                if (!Number.isFinite(eT)) eT = center;
-                if (!Number.isFinite(eB)) eB = center;
-
-                const dzdx = (eR - eL) / (2 * cellSizeX) * strength;
-                const dzdy = (eB - eT) / (2 * cellSizeY) * strength;
-
-                const nx = -dzdx;
-                const ny = -dzdy;
-                const nz = 1;
-
-                const len = Math.hypot(nx, ny, nz);
-                const nnx = nx / len;
-                const nny = ny / len;
-                const nnz = nz / len;
-
-                data[idx + 0] = Math.floor((nnx * 0.5 + 0.5) * 255);
-                data[idx + 1] = Math.floor((nny * 0.5 + 0.5) * 255);
-                data[idx + 2] = Math.floor((nnz * 0.5 + 0.5) * 255);
-                data[idx + 3] = 255;
-            }
-        }, (completed, total) => {
-            if (onProgress) onProgress(completed / total);
-        });
-
+        imageData.data.set(pixels);
         ctx.putImageData(imageData, 0, 0);
 
         this.normalMap = new THREE.CanvasTexture(canvas);
@@ -1019,8 +1388,19 @@ export class TerrainMesh {
         this.normalMap.anisotropy = 4;
         this.normalMap.needsUpdate = true;
 
+        // Render mode gradients at full precision (RG16F is filterable in
+        // WebGL2 but not renderable, so no mipmaps)
+        this.gradientMap?.dispose();
+        this.gradientMap = new THREE.DataTexture(gradient, width, height, THREE.RGFormat, THREE.HalfFloatType);
+        this.gradientMap.wrapS = THREE.ClampToEdgeWrapping;
+        this.gradientMap.wrapT = THREE.ClampToEdgeWrapping;
+        this.gradientMap.minFilter = THREE.LinearFilter;
+        this.gradientMap.magFilter = THREE.LinearFilter;
+        this.gradientMap.needsUpdate = true;
+
         if (this.material) {
             this.material.uniforms.normalMap.value = this.normalMap;
+            this.material.uniforms.gradientMap.value = this.gradientMap;
             console.log(`CPU normal map applied to material (${width}x${height})`);
         }
     }
@@ -1033,18 +1413,7 @@ export class TerrainMesh {
      * @returns {boolean}
      */
     _hasNearbyNoData(u, v) {
-        const x = u * (this.elevationWidth - 1);
-        const y = v * (this.elevationHeight - 1);
-        const x0 = Math.floor(x);
-        const y0 = Math.floor(y);
-        const x1 = Math.min(x0 + 1, this.elevationWidth - 1);
-        const y1 = Math.min(y0 + 1, this.elevationHeight - 1);
-        const w = this.elevationWidth;
-        const d = this.elevationData;
-        return this._isNoData(d[y0 * w + x0])
-            || this._isNoData(d[y0 * w + x1])
-            || this._isNoData(d[y1 * w + x0])
-            || this._isNoData(d[y1 * w + x1]);
+        return hasNearbyNoData(this, u, v);
     }
 
     /**
@@ -1054,13 +1423,7 @@ export class TerrainMesh {
      * @returns {number} Elevation or NaN for NoData
      */
     _getElevationAt(x, y) {
-        const index = y * this.elevationWidth + x;
-        const value = this.elevationData[index];
-
-        if (this._isNoData(value)) {
-            return Number.NaN;
-        }
-        return value;
+        return getElevationAt(this, x, y);
     }
 
     /**
@@ -1071,33 +1434,7 @@ export class TerrainMesh {
      */
     _sampleElevation(u, v) {
         if (!this.elevationData) return 0;
-
-        const x = u * (this.elevationWidth - 1);
-        const y = v * (this.elevationHeight - 1);
-
-        const x0 = Math.floor(x);
-        const y0 = Math.floor(y);
-        const x1 = Math.min(x0 + 1, this.elevationWidth - 1);
-        const y1 = Math.min(y0 + 1, this.elevationHeight - 1);
-
-        const fx = x - x0;
-        const fy = y - y0;
-
-        const v00 = this._getElevationAt(x0, y0);
-        const v10 = this._getElevationAt(x1, y0);
-        const v01 = this._getElevationAt(x0, y1);
-        const v11 = this._getElevationAt(x1, y1);
-
-        // If any neighbor is NoData, treat this sample as NoData to avoid
-        // creating false elevation values at boundaries
-        if (!Number.isFinite(v00) || !Number.isFinite(v10) ||
-            !Number.isFinite(v01) || !Number.isFinite(v11)) {
-            return Number.NaN;
-        }
-
-        const vA = v00 * (1 - fx) + v10 * fx;
-        const vB = v01 * (1 - fx) + v11 * fx;
-        return vA * (1 - fy) + vB * fy;
+        return sampleElevation(this, u, v);
     }
 
     /**
@@ -1109,6 +1446,7 @@ export class TerrainMesh {
             this.config.minZExaggeration,
             Math.min(this.config.maxZExaggeration, factor)
         );
+        this.colorUniforms.zFactor.value = this.zExaggeration;
 
         if (this.useGPUDisplacement) {
             if (this.material?.uniforms?.heightScale) {
@@ -1229,6 +1567,31 @@ export class TerrainMesh {
         return new THREE.Vector3(x, 0, z);
     }
 
+    /**
+     * Horizontal ground distance and bearing between two model-local points.
+     * Geodesic on the WGS84 ellipsoid for geographic CRSs, planar otherwise.
+     * @param {THREE.Vector3} localA
+     * @param {THREE.Vector3} localB
+     * @returns {{ distance: number, bearing: number }} Metres, degrees clockwise from north
+     */
+    measureGroundDistance(localA, localB) {
+        if (this.crs?.isGeographic) {
+            const geoA = this.localToGeo(localA);
+            const geoB = this.localToGeo(localB);
+            if (geoA && geoB) {
+                return geodesicInverse(geoA[0], geoA[1], geoB[0], geoB[1]);
+            }
+        }
+
+        // Model -Z is north
+        const dx = localB.x - localA.x;
+        const dz = localB.z - localA.z;
+        let bearing = Math.atan2(dx, -dz) * 180 / Math.PI;
+        if (bearing < 0) bearing += 360;
+
+        return { distance: Math.hypot(dx, dz) * this.realWorldScale, bearing };
+    }
+
     getMesh() { return this.mesh; }
     getGeometry() { return this.geometry; }
     getModelSize() { return Math.max(this.modelWidth, this.modelHeight); }
@@ -1246,57 +1609,122 @@ export class TerrainMesh {
      * @param {Function} [onProgress]
      * @param {number} [simplifyTolerance=0]
      * @param {number} [maxVertices=0] - Abort if vertex count exceeds this (0 = no limit)
-     * @returns {{ segments: Float32Array, vertexCount: number, aborted: boolean }}
+     * @param {AbortSignal} [signal] - Cancels generation; rejects with an AbortError
+     * @param {Object|null} [labels=null] - { every, spacing }: label every nth contour,
+     *   spacing model units apart along the line (see placeContourLabels())
+     * @param {Object|null} [source=null] - { fullResolution, smoothing }: trace the contours at
+     *   the pixels of the full-resolution raster (the normal map's, else the mesh raster)
+     *   instead of on the mesh grid, so they do not depend on targetPolygons, Gaussian-smoothed
+     *   by smoothing metres (sigma) first; they are draped on the mesh surface
+     * @returns {{ segments: Float32Array, vertexCount: number, segmentThresholds: Uint32Array,
+     *   thresholds: number[], labels: Float32Array, aborted: boolean }} See generateContourSegments()
      */
-    async generateContours(referenceElevation, minElevation, interval, heightOffset, onProgress, simplifyTolerance = 0, maxVertices = 0) {
+    async generateContours(referenceElevation, minElevation, interval, heightOffset, onProgress, simplifyTolerance = 0, maxVertices = 0, signal = null, labels = null, source = null) {
         if (!this.elevationData || !this.gridWidth || !this.gridHeight) return null;
-
-        const gw = this.gridWidth;
-        const gh = this.gridHeight;
-        const heightScale = this.getHeightScale();
-
-        const thresholds = this._buildContourThresholds(referenceElevation, minElevation, interval);
-        if (thresholds.length === 0) {
+        throwIfAborted(signal);
+
+        const contourRaster = source?.fullResolution
+            ? { ...this._rasterParams(), ...this.fullResElevation }
+            : null;
+        const gw = contourRaster?.elevationWidth ?? this.gridWidth;
+        const gh = contourRaster?.elevationHeight ?? this.gridHeight;
+        // Sigma in contour raster pixels
+        const smoothing = contourRaster && source.smoothing > 0
+            ? source.smoothing * (gw - 1) / this.realWorldWidth
+            : 0;
+
+        const result = await this.workerPool.run('contours', {
+            ...this._rasterParams(),
+            gridWidth: this.gridWidth,
+            gridHeight: this.gridHeight,
+            modelWidth: this.modelWidth,
+            modelHeight: this.modelHeight,
+            heightScale: this.getHeightScale(),
+            heightOffset,
+            contourRaster,
+            smoothing,
+            referenceElevation,
+            minElevation,
+            interval,
+            simplifyTolerance,
+            maxVertices,
+            labelEvery: labels?.every ?? 0,
+            labelSpacing: labels?.spacing ?? 0
+        }, { onProgress, signal });
+
+        const { segments, vertexCount, segmentThresholds, thresholds, aborted, thresholdCount } = result;
+        const contours = { segments, segmentThresholds, thresholds, labels: result.labels };
+        if (thresholdCount === 0) {
             console.warn('No contour thresholds generated');
-            return { segments: new Float32Array(0), vertexCount: 0 };
+            return { ...contours, vertexCount: 0 };
         }
-
-        const { grid, modelX, modelZ } = this._buildContourGrid(gw, gh);
-        const vertexNormals = this._precomputeVertexNormals(grid, gw, gh, heightScale);
-        const ctx = { grid, gw, gh, heightScale, heightOffset, modelX, modelZ, vertexNormals, referenceElevation };
-
-        const segmentChunks = [];
-        let totalVertices = 0;
-
-        for (let ti = 0; ti < thresholds.length; ti++) {
-            const threshold = thresholds[ti];
-            const chunkData = this._processThreshold(threshold, ctx);
-
-            if (chunkData.length > 0) {
-                const result = this._simplifyChunkIfNeeded(chunkData, threshold, referenceElevation, heightScale, simplifyTolerance);
-                segmentChunks.push(result);
-                totalVertices += result.length / 3;
-            }
-
-            if (onProgress) onProgress((ti + 1) / thresholds.length);
-
-            if (maxVertices > 0 && totalVertices > maxVertices) {
-                console.warn(`Contour vertex limit (${(maxVertices / 1e6).toFixed(0)}M) exceeded at threshold ${ti + 1}/${thresholds.length} — aborting`);
-                return { segments: new Float32Array(0), vertexCount: totalVertices, aborted: true };
-            }
-
-            await new Promise(r => setTimeout(r, 0));
+        if (aborted) {
+            console.warn(`Contour vertex limit (${(maxVertices / 1e6).toFixed(0)}M) exceeded after ${thresholdCount} thresholds — aborting`);
+            return { ...contours, vertexCount, aborted: true };
         }
 
-        const segments = new Float32Array(totalVertices * 3);
-        let offset = 0;
-        for (const chunk of segmentChunks) {
-            segments.set(chunk, offset);
-            offset += chunk.length;
+        console.log(`Generated ${vertexCount / 2} contour segments (${thresholdCount} thresholds, ${gw}x${gh} grid, simplify=${simplifyTolerance})`);
+        return { ...contours, vertexCount, aborted: false };
+    }
+
+    /**
+     * Generate filled contour bands (isobands) between the contour thresholds.
+     * @param {number} referenceElevation - Reference elevation
+     * @param {number} minElevation - Minimum elevation
+     * @param {number} interval - Contour interval in meters
+     * @param {Object} [options]
+     * @param {number} [options.maxVertices=0] - Give up once exceeded (0 = no limit)
+     * @param {Function} [options.onProgress]
+     * @param {AbortSignal} [options.signal] - Cancels generation; rejects with an AbortError
+     * @returns {Promise<Object|null>} See generateIsobands(); null without data or over the limit
+     */
+    async generateIsobands(referenceElevation, minElevation, interval, { maxVertices = 0, onProgress, signal = null } = {}) {
+        if (!this.elevationData || !this.gridWidth || !this.gridHeight) return null;
+        throwIfAborted(signal);
+
+        const result = await this.workerPool.run('isobands', {
+            ...this._rasterParams(),
+            gridWidth: this.gridWidth,
+            gridHeight: this.gridHeight,
+            modelWidth: this.modelWidth,
+            modelHeight: this.modelHeight,
+            referenceElevation,
+            minElevation,
+            interval,
+            maxVertices
+        }, { onProgress, signal });
+
+        if (result.aborted) {
+            console.warn(`Contour band vertex limit (${(maxVertices / 1e6).toFixed(0)}M) exceeded — bands not shown`);
+            return null;
         }
+        console.log(`Generated ${result.levels.length - 1} contour bands: ${(result.indices.length / 3).toLocaleString()} triangles`);
+        return result;
+    }
 
-        console.log(`Generated ${totalVertices / 2} contour segments (${thresholds.length} thresholds, ${gw}x${gh} grid, simplify=${simplifyTolerance})`);
-        return { segments, vertexCount: totalVertices, aborted: false };
+    /**
+     * Generate skirt walls and base around the valid-data footprint of the
+     * terrain grid (see TerrainSkirt.js and TerrainExport.js).
+     * @param {Object} [options]
+     * @param {boolean} [options.cellBase=false] - One base quad per cell (watertight)
+     * @param {AbortSignal} [options.signal] - Cancels generation; rejects with an AbortError
+     * @returns {Promise<Object|null>} Geometry arrays from the skirtGeometry job, null without data
+     */
+    async generateSkirtGeometry({ cellBase = false, signal = null } = {}) {
+        if (!this.elevationData || !this.gridWidth || !this.gridHeight) return null;
+        throwIfAborted(signal);
+
+        const result = await this.workerPool.run('skirtGeometry', {
+            ...this._rasterParams(),
+            gridWidth: this.gridWidth,
+            gridHeight: this.gridHeight,
+            modelWidth: this.modelWidth,
+            modelHeight: this.modelHeight,
+            cellBase
+        }, { signal });
+
+        console.log(`Generated skirt: ${result.wallCount.toLocaleString()} wall segments, ${result.indices.length / 3} triangles`);
+        return result;
     }
 
     /**
@@ -1307,32 +1735,7 @@ export class TerrainMesh {
      * @returns {number[]}
      */
     _buildContourThresholds(referenceElevation, minElevation, interval) {
-        const maxContourDepth = Math.round(referenceElevation - minElevation);
-        const thresholds = [];
-        for (let depth = interval; depth <= maxContourDepth; depth += interval) {
-            const ahdLevel = referenceElevation - depth;
-            if (ahdLevel >= minElevation) {
-                thresholds.push(ahdLevel);
-            }
-        }
-        return thresholds;
-    }
-
-    /**
-     * Optionally simplify a chunk of contour segment data.
-     * @param {number[]} chunkData - Raw segment data
-     * @param {number} threshold - Elevation threshold
-     * @param {number} referenceElevation
-     * @param {number} heightScale
-     * @param {number} simplifyTolerance
-     * @returns {number[]|Float32Array}
-     */
-    _simplifyChunkIfNeeded(chunkData, threshold, referenceElevation, heightScale, simplifyTolerance) {
-        if (simplifyTolerance > 0) {
-            const contourY = (threshold - referenceElevation) * heightScale;
-            return this._chainAndSimplifySegments(chunkData, contourY, simplifyTolerance);
-        }
-        return chunkData;
+        return buildContourThresholds(referenceElevation, minElevation, interval);
     }
 
     /**
@@ -1342,347 +1745,14 @@ export class TerrainMesh {
      * @returns {{ grid: Float32Array, modelX: Float32Array, modelZ: Float32Array }}
      */
     _buildContourGrid(gw, gh) {
-        const grid = new Float32Array(gw * gh);
-        for (let gy = 0; gy < gh; gy++) {
-            const v = gy / (gh - 1);
-            for (let gx = 0; gx < gw; gx++) {
-                const u = gx / (gw - 1);
-                grid[gy * gw + gx] = this._sampleElevation(u, v);
-            }
-        }
-
-        const halfW = this.modelWidth / 2;
-        const halfH = this.modelHeight / 2;
-        const modelX = new Float32Array(gw);
-        const modelZ = new Float32Array(gh);
-        for (let gx = 0; gx < gw; gx++) {
-            modelX[gx] = (gx / (gw - 1)) * this.modelWidth - halfW;
-        }
-        for (let gy = 0; gy < gh; gy++) {
-            modelZ[gy] = (gy / (gh - 1)) * this.modelHeight - halfH;
-        }
-
-        return { grid, modelX, modelZ };
-    }
-
-    /**
-     * Precompute per-vertex surface normals using central differences.
-     * Ensures contour points on shared edges get identical offsets
-     * regardless of which cell generates them.
-     * @param {Float32Array} grid - Elevation grid
-     * @param {number} gw - Grid width
-     * @param {number} gh - Grid height
-     * @param {number} heightScale - Height scaling factor
-     * @returns {Float32Array} Vertex normals array (gw * gh * 3)
-     */
-    _precomputeVertexNormals(grid, gw, gh, heightScale) {
-        const cellW = this.modelWidth / (gw - 1);
-        const cellH = this.modelHeight / (gh - 1);
-        const vertexNormals = new Float32Array(gw * gh * 3);
-
-        for (let gy = 0; gy < gh; gy++) {
-            for (let gx = 0; gx < gw; gx++) {
-                const idx = (gy * gw + gx) * 3;
-                this._computeVertexNormal(grid, gw, gh, gx, gy, cellW, cellH, heightScale, vertexNormals, idx);
-            }
-        }
-
-        return vertexNormals;
-    }
-
-    /**
-     * Compute normal for a single grid vertex using central differences.
-     */
-    _computeVertexNormal(grid, gw, gh, gx, gy, cellW, cellH, heightScale, out, idx) {
-        const c = grid[gy * gw + gx];
-        if (Number.isNaN(c)) {
-            out[idx] = 0;
-            out[idx + 1] = 1;
-            out[idx + 2] = 0;
-            return;
-        }
-
-        const left  = gx > 0      ? grid[gy * gw + gx - 1] : c;
-        const right = gx < gw - 1 ? grid[gy * gw + gx + 1] : c;
-        const up    = gy > 0      ? grid[(gy - 1) * gw + gx] : c;
-        const down  = gy < gh - 1 ? grid[(gy + 1) * gw + gx] : c;
-
-        const l = Number.isNaN(left) ? c : left;
-        const r = Number.isNaN(right) ? c : right;
-        const u = Number.isNaN(up) ? c : up;
-        const d = Number.isNaN(down) ? c : down;
-
-        const dx = (gx > 0 && gx < gw - 1) ? 2 : 1;
-        const dz = (gy > 0 && gy < gh - 1) ? 2 : 1;
-
-        const gradX = (r - l) / (dx * cellW) * heightScale;
-        const gradZ = (d - u) / (dz * cellH) * heightScale;
-        const nLen = Math.sqrt(gradX * gradX + 1 + gradZ * gradZ);
-        out[idx]     = -gradX / nLen;
-        out[idx + 1] = 1 / nLen;
-        out[idx + 2] = -gradZ / nLen;
-    }
-
-    /**
-     * Process a single contour cell using marching squares.
-     * @param {number} gx - Grid X index
-     * @param {number} gy - Grid Y index
-     * @param {number} threshold - Contour threshold
-     * @param {number} contourY - Y position for contour
-     * @param {Object} ctx - Contour context { grid, gw, heightOffset, modelX, modelZ, vertexNormals }
-     * @param {number[]} chunkData - Output array to push segment data into
-     */
-    _processContourCell(gx, gy, threshold, contourY, ctx, chunkData) {
-        const { grid, gw, heightOffset, modelX, modelZ, vertexNormals } = ctx;
-        const rowOffset = gy * gw;
-        const nextRowOffset = (gy + 1) * gw;
-
-        const tl = grid[rowOffset + gx];
-        const tr = grid[rowOffset + gx + 1];
-        const br = grid[nextRowOffset + gx + 1];
-        const bl = grid[nextRowOffset + gx];
-
-        if (Number.isNaN(tl) || Number.isNaN(tr) || Number.isNaN(br) || Number.isNaN(bl)) return;
-
-        const caseBits = (tl >= threshold ? 8 : 0)
-                       | (tr >= threshold ? 4 : 0)
-                       | (br >= threshold ? 2 : 0)
-                       | (bl >= threshold ? 1 : 0);
-
-        if (caseBits === 0 || caseBits === 15) return;
-
-        const edges = this._resolveEdges(caseBits, tl, tr, br, bl, threshold);
-
-        const corners = { tl, tr, br, bl };
-        const bounds = { x0: modelX[gx], x1: modelX[gx + 1], z0: modelZ[gy], z1: modelZ[gy + 1] };
-
-        const ntl = (gy * gw + gx) * 3;
-        const ntr = (gy * gw + gx + 1) * 3;
-        const nbr = ((gy + 1) * gw + gx + 1) * 3;
-        const nbl = ((gy + 1) * gw + gx) * 3;
-        const normalIndices = [ntl, ntr, nbr, nbl];
-
-        for (const [e0, e1] of edges) {
-            this._emitContourSegment(e0, e1, threshold, corners, bounds, normalIndices, contourY, heightOffset, vertexNormals, chunkData);
-        }
-    }
-
-    /**
-     * Resolve marching squares edges for a case, including saddle resolution.
-     */
-    _resolveEdges(caseBits, tl, tr, br, bl, threshold) {
-        if (caseBits === 5) {
-            const center = (tl + tr + br + bl) * 0.25;
-            return center >= threshold ? [[3, 0], [2, 1]] : [[0, 1], [3, 2]];
-        }
-        if (caseBits === 10) {
-            const center = (tl + tr + br + bl) * 0.25;
-            return center >= threshold ? [[0, 1], [3, 2]] : [[3, 0], [2, 1]];
-        }
-        return MS_EDGE_TABLE[caseBits];
-    }
-
-    /**
-     * Emit a single contour line segment with normal-offset positions.
-     */
-    _emitContourSegment(e0, e1, threshold, corners, bounds, normalIndices, contourY, heightOffset, vertexNormals, chunkData) {
-        const p0 = this._interpolateEdge(e0, threshold, corners, bounds);
-        const p1 = this._interpolateEdge(e1, threshold, corners, bounds);
-
-        // Edge-to-normal-index mapping: 0=tl->tr, 1=tr->br, 2=bl->br, 3=tl->bl
-        const edgeNormalMap = [[0, 1], [1, 2], [3, 2], [0, 3]];
-        const [ni0a, ni0b] = edgeNormalMap[e0];
-        const [ni1a, ni1b] = edgeNormalMap[e1];
-
-        const n0 = this._interpolateNormal(vertexNormals, normalIndices[ni0a], normalIndices[ni0b], p0[2]);
-        const n1 = this._interpolateNormal(vertexNormals, normalIndices[ni1a], normalIndices[ni1b], p1[2]);
-
-        chunkData.push(
-            p0[0] + n0[0] * heightOffset, contourY + n0[1] * heightOffset, p0[1] + n0[2] * heightOffset,
-            p1[0] + n1[0] * heightOffset, contourY + n1[1] * heightOffset, p1[1] + n1[2] * heightOffset
-        );
-    }
-
-    /**
-     * Interpolate a normal between two vertex normals.
-     */
-    _interpolateNormal(vertexNormals, i0, i1, t) {
-        return [
-            vertexNormals[i0]     + t * (vertexNormals[i1]     - vertexNormals[i0]),
-            vertexNormals[i0 + 1] + t * (vertexNormals[i1 + 1] - vertexNormals[i0 + 1]),
-            vertexNormals[i0 + 2] + t * (vertexNormals[i1 + 2] - vertexNormals[i0 + 2])
-        ];
-    }
-
-    /**
-     * Process all cells for a single contour threshold.
-     * @param {number} threshold - Contour threshold elevation
-     * @param {Object} ctx - Contour context { grid, gw, gh, heightScale, heightOffset, modelX, modelZ, vertexNormals, referenceElevation }
-     * @returns {number[]} Segment vertex data
-     */
-    _processThreshold(threshold, ctx) {
-        const contourY = (threshold - ctx.referenceElevation) * ctx.heightScale;
-        const chunkData = [];
-
-        for (let gy = 0; gy < ctx.gh - 1; gy++) {
-            for (let gx = 0; gx < ctx.gw - 1; gx++) {
-                this._processContourCell(gx, gy, threshold, contourY, ctx, chunkData);
-            }
-        }
-
-        return chunkData;
-    }
-
-    /**
-     * Build adjacency map from segment data for chain walking.
-     * @param {number[]} data - Raw segment data (6 values per segment: ax, ay, az, bx, by, bz)
-     * @param {number} segCount - Number of segments
-     * @returns {{ adj: Map, key: Function }} Adjacency map and key function
-     */
-    _buildSegmentAdjacency(data, segCount) {
-        const adj = new Map();
-        const key = (x, z) => x + ',' + z;
-
-        for (let i = 0; i < segCount; i++) {
-            const ax = data[i * 6], az = data[i * 6 + 2];
-            const bx = data[i * 6 + 3], bz = data[i * 6 + 5];
-            const ka = key(ax, az);
-            const kb = key(bx, bz);
-
-            let la = adj.get(ka);
-            if (!la) { la = []; adj.set(ka, la); }
-            la.push({ seg: i, end: 0 });
-
-            let lb = adj.get(kb);
-            if (!lb) { lb = []; adj.set(kb, lb); }
-            lb.push({ seg: i, end: 1 });
-        }
-
-        return { adj, key };
-    }
-
-    /**
-     * Walk a chain of segments in one direction from a starting endpoint.
-     * @param {Map} adj - Adjacency map
-     * @param {string} startKey - Starting endpoint key
-     * @param {Uint8Array} used - Used segment flags (mutated)
-     * @param {number[]} data - Raw segment data
-     * @param {Function} key - Key function for endpoint coordinates
-     * @returns {number[]} Flat array of [x, z, x, z, ...] walked points
-     */
-    _walkChain(adj, startKey, used, data, key) {
-        const points = [];
-        let curKey = startKey;
-        for (;;) {
-            const neighbors = adj.get(curKey);
-            if (!neighbors) break;
-            let found = false;
-            for (const n of neighbors) {
-                if (used[n.seg]) continue;
-                used[n.seg] = 1;
-                const off = n.end === 0 ? n.seg * 6 + 3 : n.seg * 6;
-                const nx = data[off], nz = data[off + 2];
-                points.push(nx, nz);
-                curKey = key(nx, nz);
-                found = true;
-                break;
-            }
-            if (!found) break;
-        }
-        return points;
-    }
-
-    /**
-     * Chain raw marching-squares segments into polylines, simplify, then emit.
-     */
-    _chainAndSimplifySegments(data, contourY, tolerance) {
-        const segCount = data.length / 6;
-        if (segCount === 0) return data;
-
-        const { adj, key } = this._buildSegmentAdjacency(data, segCount);
-
-        const used = new Uint8Array(segCount);
-        const result = [];
-
-        for (let i = 0; i < segCount; i++) {
-            if (used[i]) continue;
-            used[i] = 1;
-
-            const ax = data[i * 6], az = data[i * 6 + 2];
-            const bx = data[i * 6 + 3], bz = data[i * 6 + 5];
-
-            const fwd = this._walkChain(adj, key(bx, bz), used, data, key);
-            const bwd = this._walkChain(adj, key(ax, az), used, data, key);
-
-            const polyLen = (bwd.length / 2) + 2 + (fwd.length / 2);
-            const poly = new Array(polyLen);
-            let pi = 0;
-            for (let j = bwd.length - 2; j >= 0; j -= 2) {
-                poly[pi++] = [bwd[j], bwd[j + 1]];
-            }
-            poly[pi++] = [ax, az];
-            poly[pi++] = [bx, bz];
-            for (let j = 0; j < fwd.length; j += 2) {
-                poly[pi++] = [fwd[j], fwd[j + 1]];
-            }
-
-            const simplified = this._simplifyPolyline2D(poly, tolerance);
-
-            for (let j = 0; j < simplified.length - 1; j++) {
-                result.push(
-                    simplified[j][0], contourY, simplified[j][1],
-                    simplified[j + 1][0], contourY, simplified[j + 1][1]
-                );
-            }
-        }
-
-        return result;
+        return buildContourGrid(this, gw, gh, this.modelWidth, this.modelHeight);
     }
 
     /**
      * Douglas-Peucker polyline simplification in 2D (XZ plane).
      */
     _simplifyPolyline2D(points, tolerance) {
-        if (points.length <= 2) return points;
-
-        const tolSq = tolerance * tolerance;
-        const first = points[0];
-        const last = points[points.length - 1];
-        const dx = last[0] - first[0];
-        const dz = last[1] - first[1];
-        const lineLenSq = dx * dx + dz * dz;
-
-        let maxDistSq = 0;
-        let maxIdx = 0;
-
-        if (lineLenSq < 1e-20) {
-            for (let i = 1; i < points.length - 1; i++) {
-                const px = points[i][0] - first[0];
-                const pz = points[i][1] - first[1];
-                const dSq = px * px + pz * pz;
-                if (dSq > maxDistSq) { maxDistSq = dSq; maxIdx = i; }
-            }
-        } else {
-            const invLen = 1 / lineLenSq;
-            for (let i = 1; i < points.length - 1; i++) {
-                const px = points[i][0] - first[0];
-                const pz = points[i][1] - first[1];
-                const t = (px * dx + pz * dz) * invLen;
-                const ex = px - t * dx;
-                const ez = pz - t * dz;
-                const dSq = ex * ex + ez * ez;
-                if (dSq > maxDistSq) { maxDistSq = dSq; maxIdx = i; }
-            }
-        }
-
-        if (maxDistSq > tolSq) {
-            const left = this._simplifyPolyline2D(points.slice(0, maxIdx + 1), tolerance);
-            const right = this._simplifyPolyline2D(points.slice(maxIdx), tolerance);
-            left.length--;
-            return left.concat(right);
-        }
-
-        return [first, last];
+        return simplifyPolyline2D(points, tolerance);
     }
 
     /**
@@ -1694,23 +1764,7 @@ export class TerrainMesh {
      * @returns {number[]} [x, z, t] interpolated position and parameter
      */
     _interpolateEdge(edge, threshold, corners, bounds) {
-        const { tl, tr, br, bl } = corners;
-        const { x0, x1, z0, z1 } = bounds;
-        let t;
-        switch (edge) {
-            case 0:
-                t = (threshold - tl) / (tr - tl);
-                return [x0 + t * (x1 - x0), z0, t];
-            case 1:
-                t = (threshold - tr) / (br - tr);
-                return [x1, z0 + t * (z1 - z0), t];
-            case 2:
-                t = (threshold - bl) / (br - bl);
-                return [x0 + t * (x1 - x0), z1, t];
-            case 3:
-                t = (threshold - tl) / (bl - tl);
-                return [x0, z0 + t * (z1 - z0), t];
-        }
+        return interpolateEdge(edge, threshold, corners, bounds);
     }
 
     /**
@@ -1718,6 +1772,7 @@ export class TerrainMesh {
      */
     dispose() {
         if (this.geometry) {
+            this.workerPool.release(this.geometry.attributes.uv?.array);
             this.geometry.dispose();
             this.geometry = null;
         }
@@ -1737,12 +1792,34 @@ export class TerrainMesh {
             this.normalMap = null;
         }
 
+        if (this.gradientMap) {
+            this.gradientMap.dispose();
+            this.gradientMap = null;
+        }
+
         if (this.elevationTexture) {
             this.elevationTexture.dispose();
             this.elevationTexture = null;
         }
 
+        this.colormapTexture.dispose();
+        if (this.colorBandTexture) {
+            this.colorBandTexture.dispose();
+            this.colorBandTexture = null;
+        }
+        if (this.imageryTexture) {
+            this.imageryTexture.dispose();
+            this.imageryTexture = null;
+        }
+
+        // The worker pool may be shared and outlive this terrain
+        for (const array of [this.elevationData, this.fullResElevation?.elevationData, this.originalIndices,
+            this.colorBand?.data]) {
+            this.workerPool.release(array);
+        }
+
         this.elevationData = null;
+        this.fullResElevation = null;
         this.originalIndices = null;
     }
 }
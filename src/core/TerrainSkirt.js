@@ -0,0 +1,267 @@
+/**
+ * TerrainSkirt.js - Solid walls and base under the terrain, like a diorama
+ *
+ * The terrain is a surface; from the side or below it reads as a thin sheet.
+ * The skirt closes it into a block: walls along the edge of the valid-data
+ * footprint (following NoData holes and irregular boundaries on the terrain
+ * grid) down to a flat base below the lowest elevation. Walls are shaded in
+ * stratified depth bands below the reference elevation.
+ *
+ * Geometry is built once per terrain on a worker (skirtGeometry in
+ * TerrainJobs.js). Vertices carry their surface elevation rather than a
+ * height, and the shader applies the terrain's height scale and reference,
+ * so Z-exaggeration, reference and style changes never rebuild it.
+ */
+
+import * as THREE from 'three';
+import { disposeThreeObject } from '../scene/utils.js';
+import { sectionBaseElevation } from './SectionClipping.js';
+
+/** Maximum number of strata colors. */
+export const MAX_STRATA = 8;
+
+// Bands across the walls when no interval is given
+const AUTO_BAND_COUNT = 6;
+
+const skirtVertexShader = /* glsl */`
+    attribute float elevation;
+    attribute float base;
+    attribute float triangleMin;
+    uniform float waterLevel;
+    uniform float heightScale;
+    uniform float baseElevation;
+
+    varying float vDepth;
+    varying vec3 vNormal;
+    #include <clipping_planes_pars_vertex>
+
+    void main() {
+        // Walls follow the surface edge where its boundary triangle is drawn
+        // (any vertex below the reference, as filterTriangles), else stop at the reference
+        float top = triangleMin < waterLevel ? elevation : min(elevation, waterLevel);
+        float e = mix(top, baseElevation, base);
+        vDepth = waterLevel - e;
+        vNormal = normal;
+
+        vec3 displacedPosition = vec3(position.x, (e - waterLevel) * heightScale, position.z);
+        vec4 mvPosition = modelViewMatrix * vec4(displacedPosition, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        #include <clipping_planes_vertex>
+    }
+`;
+
+const skirtFragmentShader = /* glsl */`
+    uniform vec3 strataColors[${MAX_STRATA}];
+    uniform float strataCount;
+    uniform float bandInterval;
+    uniform vec3 lineColor;
+    uniform vec3 ambientColor;
+    uniform vec3 lightColor;
+    uniform vec3 lightDirection;
+
+    varying float vDepth;
+    varying vec3 vNormal;
+    #include <clipping_planes_pars_fragment>
+
+    void main() {
+        #include <clipping_planes_fragment>
+
+        // Band 0 starts at the reference elevation; colors repeat downward
+        float band = vDepth / bandInterval;
+        float index = mod(floor(band), strataCount);
+        vec3 color = strataColors[0];
+        for (int i = 1; i < ${MAX_STRATA}; i++) {
+            if (float(i) > index) break;
+            color = strataColors[i];
+        }
+
+        // Thin line between bands, about a pixel wide
+        float edge = abs(fract(band + 0.5) - 0.5);
+        float line = 1.0 - smoothstep(0.0, fwidth(band) * 1.5, edge);
+        color = mix(color, lineColor, line * 0.8);
+
+        vec3 N = normalize(gl_FrontFacing ? vNormal : -vNormal);
+        float diffuse = max(dot(N, lightDirection), 0.0);
+        gl_FragColor = vec4(color * (ambientColor + lightColor * diffuse * 0.6), 1.0);
+    }
+`;
+
+/** Default skirt appearance (colors: anything THREE.Color accepts). */
+export const DEFAULT_SKIRT_SETTINGS = {
+    // Base in metres below the lowest elevation (null: 5% of the relief,
+    // the same default as section caps)
+    baseDepth: null,
+
+    // Metres per depth band (null: about six bands from the reference to the base)
+    bandInterval: null,
+
+    // Band colors from the reference down, repeated
+    colors: [0xa0825c, 0x8b6b4a, 0xb39570, 0x75583c],
+    lineColor: 0x3e2c1d
+};
+
+/**
+ * TerrainSkirt closes a TerrainMesh into a solid block with walls and a base.
+ */
+export class TerrainSkirt {
+    constructor(config = {}) {
+        this.config = normalizeSkirtSettings(config);
+
+        this.group = null;
+        this.mesh = null;
+        this.material = null;
+        this.parentGroup = null;
+        this.terrainMesh = null;
+
+        // Elevation of the base (from the raster and config.baseDepth)
+        this.baseElevation = 0;
+    }
+
+    /**
+     * Build the walls and base for the terrain.
+     * @param {THREE.Group} parentGroup - Model container
+     * @param {TerrainMesh} terrainMesh - Terrain (grid, elevation data, height scale, clipping planes)
+     * @param {AbortSignal} [signal] - Cancels the build; rejects with an AbortError
+     * @returns {Promise<void>}
+     */
+    async init(parentGroup, terrainMesh, signal = null) {
+        this.parentGroup = parentGroup;
+        this.terrainMesh = terrainMesh;
+
+        const result = await terrainMesh.generateSkirtGeometry({ signal });
+        // Disposed while the geometry was being built
+        if (this.terrainMesh !== terrainMesh || !result) return;
+
+        this.group = new THREE.Group();
+        this.group.name = 'terrainSkirt';
+        parentGroup.add(this.group);
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(result.positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(result.normals, 3));
+        geometry.setAttribute('elevation', new THREE.BufferAttribute(result.elevations, 1));
+        geometry.setAttribute('base', new THREE.BufferAttribute(result.base, 1));
+        geometry.setAttribute('triangleMin', new THREE.BufferAttribute(result.triangleMin, 1));
+        geometry.setIndex(new THREE.BufferAttribute(result.indices, 1));
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                waterLevel: { value: terrainMesh.referenceElevation },
+                heightScale: { value: terrainMesh.getHeightScale() },
+                baseElevation: { value: 0 },
+                strataColors: { value: new Float32Array(MAX_STRATA * 3) },
+                strataCount: { value: 1 },
+                bandInterval: { value: 1 },
+                lineColor: { value: new THREE.Color() },
+                ambientColor: { value: terrainMesh.config.ambientColor },
+                lightColor: { value: terrainMesh.config.lightColor },
+                lightDirection: { value: terrainMesh.config.lightDirection }
+            },
+            vertexShader: skirtVertexShader,
+            fragmentShader: skirtFragmentShader,
+            // The inside shows through dry land (not drawn above the reference)
+            side: THREE.DoubleSide,
+            // Cut away with the terrain by a section (see SectionClipping.js)
+            clipping: true,
+            clippingPlanes: terrainMesh.clippingPlanes
+        });
+        this._applyConfig();
+
+        this.mesh = new THREE.Mesh(geometry, this.material);
+        this.mesh.name = 'terrainSkirtMesh';
+        // Heights are applied in the shader, so the bounds are not known here
+        this.mesh.frustumCulled = false;
+        this.mesh.onBeforeRender = () => this.update();
+        this.group.add(this.mesh);
+    }
+
+    /**
+     * Change appearance or base depth; omitted values are kept.
+     * @param {Object} config - See DEFAULT_SKIRT_SETTINGS
+     */
+    setConfig(config) {
+        this.config = normalizeSkirtSettings({ ...this.config, ...config });
+        this._applyConfig();
+    }
+
+    /**
+     * Copy the config into the uniforms.
+     * @private
+     */
+    _applyConfig() {
+        if (!this.material) return;
+        const uniforms = this.material.uniforms;
+        const config = this.config;
+        this.baseElevation = sectionBaseElevation(this.terrainMesh, config.baseDepth);
+
+        const color = new THREE.Color();
+        config.colors.forEach((c, i) => color.set(c).toArray(uniforms.strataColors.value, i * 3));
+        uniforms.strataCount.value = config.colors.length;
+        uniforms.lineColor.value.set(config.lineColor);
+        uniforms.baseElevation.value = this.baseElevation;
+        this.update();
+    }
+
+    /**
+     * Follow the terrain's Z-exaggeration and reference elevation. Runs
+     * before every render of the skirt.
+     */
+    update() {
+        if (!this.material || !this.terrainMesh) return;
+        const uniforms = this.material.uniforms;
+        const reference = this.terrainMesh.referenceElevation;
+        uniforms.waterLevel.value = reference;
+        uniforms.heightScale.value = this.terrainMesh.getHeightScale();
+        uniforms.bandInterval.value = this.config.bandInterval ??
+            niceInterval((reference - this.baseElevation) / AUTO_BAND_COUNT);
+    }
+
+    /**
+     * Clean up resources.
+     */
+    dispose() {
+        if (this.mesh) {
+            disposeThreeObject(this.mesh);
+            this.mesh = null;
+        }
+        if (this.group) {
+            if (this.group.parent) this.group.parent.remove(this.group);
+            this.group = null;
+        }
+        this.material = null;
+        this.parentGroup = null;
+        this.terrainMesh = null;
+    }
+}
+
+/**
+ * Round a positive step to 1, 2 or 5 times a power of ten.
+ * @param {number} step
+ * @returns {number}
+ */
+function niceInterval(step) {
+    if (!(step > 0)) return 1;
+    const magnitude = 10 ** Math.floor(Math.log10(step));
+    const fraction = step / magnitude;
+    return magnitude * (fraction < 1.5 ? 1 : fraction < 3.5 ? 2 : fraction < 7.5 ? 5 : 10);
+}
+
+/**
+ * Validate skirt settings and fill in defaults.
+ * @param {Object} [settings] - See DEFAULT_SKIRT_SETTINGS
+ * @returns {Object}
+ */
+export function normalizeSkirtSettings(settings = {}) {
+    const next = { ...DEFAULT_SKIRT_SETTINGS, ...settings };
+    if (next.baseDepth !== null && !(next.baseDepth >= 0)) {
+        throw new Error(`Skirt base depth must be a non-negative number of metres, got ${next.baseDepth}`);
+    }
+    if (next.bandInterval !== null && !(next.bandInterval > 0)) {
+        throw new Error(`Skirt band interval must be a positive number of metres, got ${next.bandInterval}`);
+    }
+    if (!Array.isArray(next.colors) || next.colors.length === 0 || next.colors.length > MAX_STRATA) {
+        throw new Error(`Skirt needs 1 to ${MAX_STRATA} band colors`);
+    }
+    next.colors = [...next.colors];
+    return next;
+}
@@ -0,0 +1,863 @@
+/**
+ * TerrainTiles.js - View-dependent level-of-detail terrain tiles
+ *
+ * Renders the terrain as a quadtree of fixed-resolution tiles read from a
+ * tile source (COG overview levels and windows). Tiles near the camera or
+ * the user's hands are refined; distant tiles are coarsened. Edges shared
+ * with a coarser neighbor are stitched onto that neighbor's edge so seams
+ * stay crack-free.
+ *
+ * The base TerrainMesh remains the source of truth for model dimensions,
+ * elevation config, coloring and sampling (tools, contours). TerrainTiles
+ * only replaces its rendering once the root tile has loaded. Tiles share
+ * the base terrain's colormap uniforms and color per fragment. Render modes
+ * use the interpolated gradient attribute; tiles carry no curvature, so the
+ * curvature mode shows them at the colormap midpoint.
+ *
+ * Contours stay draped on the base mesh grid, so over tiles finer than that
+ * grid they would sink under or float over the surface. They are hidden
+ * there instead: refinedMask marks the refined area and
+ * hideOverRefinedTiles() discards overlay fragments over it.
+ */
+
+import * as THREE from 'three';
+import { disposeThreeObject } from '../scene/utils.js';
+import { colormapShaderChunk } from './ColormapShader.js';
+import { renderModeShaderChunk } from './RenderModes.js';
+
+const tileVertexShader = /* glsl */`
+    uniform float waterLevel;
+    uniform float heightScale;  // Pre-computed: zExaggeration / realWorldScale
+
+    attribute float elevation;
+    attribute vec2 gradient;     // dElevation / dModelX, dElevation / dModelZ
+
+    varying vec3 vNormal;
+    varying float vElevation;
+    varying vec2 vBandUv;
+    varying vec2 vGradient;
+    #include <clipping_planes_pars_vertex>
+
+    void main() {
+        vElevation = elevation;
+        vGradient = gradient;
+        vBandUv = vec2(uv.x, 1.0 - uv.y);
+
+        float height = (elevation - waterLevel) * heightScale;
+        vec3 displacedPosition = vec3(position.x, height, position.z);
+
+        // Surface normal from the elevation gradient at the current exaggeration
+        vec3 n = normalize(vec3(-gradient.x * heightScale, 1.0, -gradient.y * heightScale));
+        vNormal = normalize(normalMatrix * n);
+
+        vec4 mvPosition = viewMatrix * modelMatrix * vec4(displacedPosition, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        #include <clipping_planes_vertex>
+    }
+`;
+
+const tileFragmentShader = /* glsl */`
+    uniform vec3 ambientColor;
+    uniform vec3 lightColor;
+    uniform vec3 lightDirection;
+    uniform float diffuseStrength;
+    uniform float waterLevel;
+    uniform float gradientScale;  // Model units per metre (1 / realWorldScale)
+${colormapShaderChunk}
+${renderModeShaderChunk}
+    varying vec3 vNormal;
+    varying float vElevation;
+    varying vec2 vBandUv;
+    varying vec2 vGradient;
+    #include <clipping_planes_pars_fragment>
+
+    void main() {
+        #include <clipping_planes_fragment>
+
+        if (renderMode > 0.5) {
+            gl_FragColor = vec4(renderModeColor(vGradient * gradientScale, 0.0), 1.0);
+            return;
+        }
+
+        vec3 color = drapeImagery(terrainColor(vElevation, waterLevel, vBandUv), vBandUv);
+        vec3 N = normalize(vNormal);
+        float NdotL = max(dot(N, lightDirection), 0.0);
+
+        vec3 ambient = ambientColor * color;
+        vec3 diffuse = lightColor * color * NdotL;
+
+        gl_FragColor = vec4(ambient + diffuse * diffuseStrength, 1.0);
+    }
+`;
+
+/**
+ * Discard fragments of an overlay material (contour lines, bands, labels)
+ * over tiles finer than the base mesh grid.
+ * @param {THREE.ShaderMaterial} material
+ * @param {TerrainTiles} tiles - Initialized tile layer
+ * @param {string} [anchor='position'] - GLSL expression for the model-space
+ *   point whose tile decides (constant per label quad, a line end for lines)
+ */
+export function hideOverRefinedTiles(material, tiles, anchor = 'position') {
+    const uniforms = {
+        refinedMask: { value: tiles.refinedMask },
+        refinedMaskModelSize: {
+            value: new THREE.Vector2(tiles.terrainMesh.modelWidth, tiles.terrainMesh.modelHeight)
+        }
+    };
+
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+        shader.vertexShader = shader.vertexShader.replace(/void\s+main\(\)\s*\{/, (main) => `
+            uniform vec2 refinedMaskModelSize;
+            varying vec2 vRefinedMaskUv;
+            ${main}
+                vRefinedMaskUv = (${anchor}).xz / refinedMaskModelSize + 0.5;
+        `);
+        shader.fragmentShader = shader.fragmentShader.replace(/void\s+main\(\)\s*\{/, (main) => `
+            uniform sampler2D refinedMask;
+            varying vec2 vRefinedMaskUv;
+            ${main}
+                if (texture2D(refinedMask, vRefinedMaskUv).r > 0.5) discard;
+        `);
+    };
+    material.customProgramCacheKey = () => `refinedMask:${anchor}`;
+    material.needsUpdate = true;
+}
+
+/**
+ * Configuration defaults.
+ */
+const DEFAULT_CONFIG = {
+    // Vertices per tile side (tileSize - 1 quads)
+    tileSize: 65,
+
+    // Refine a tile while (tile extent / distance to focus) exceeds this
+    lodThreshold: 0.75,
+
+    // Hard cap on quadtree depth (actual depth is limited by source resolution)
+    maxLevel: 12,
+
+    // Concurrent tile reads
+    maxConcurrentLoads: 4,
+
+    // Loaded tiles kept in memory before least-recently-used eviction
+    maxCachedTiles: 256,
+
+    diffuseStrength: 0.6
+};
+
+/**
+ * TerrainTiles manages a quadtree of terrain tiles.
+ */
+export class TerrainTiles {
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+
+        this.group = null;
+        this.parentGroup = null;
+        this.terrainMesh = null;
+        this.tileSource = null;
+        this.material = null;
+
+        // All known tiles by key ("level/tx/ty")
+        this.tiles = new Map();
+        this.root = null;
+        this.maxLevel = 0;
+
+        // Tiles currently drawn
+        this.displayed = new Set();
+
+        // Displayed area finer than the base mesh grid: one R8 texel per tile
+        // of refinedLevel (255 = refined), indexed [v][u]
+        this.refinedMask = null;
+        this.refinedLevel = 0;
+
+        // Load queue
+        this._queue = [];
+        this._activeLoads = 0;
+        this._idleResolvers = [];
+
+        this._frame = 0;
+        this._disposed = false;
+    }
+
+    /**
+     * Initialize the tile layer.
+     * @param {THREE.Group} parentGroup - Model container
+     * @param {TerrainMesh} terrainMesh - Base terrain (dimensions, color uniforms, elevation config)
+     * @param {Object} tileSource - { width, height, readTile(u0, v0, u1, v1, samples) }
+     */
+    init(parentGroup, terrainMesh, tileSource) {
+        this.parentGroup = parentGroup;
+        this.terrainMesh = terrainMesh;
+        this.tileSource = tileSource;
+
+        this.group = new THREE.Group();
+        this.group.name = 'terrainTiles';
+        parentGroup.add(this.group);
+
+        // Deepest level at which a tile still has fewer samples than source pixels
+        const quads = this.config.tileSize - 1;
+        const srcMax = Math.max(tileSource.width, tileSource.height);
+        this.maxLevel = Math.min(
+            this.config.maxLevel,
+            Math.max(0, Math.ceil(Math.log2(srcMax / quads)))
+        );
+
+        // First level whose tiles are finer than the base mesh grid
+        const baseQuads = Math.max(
+            terrainMesh.gridWidth || terrainMesh.elevationWidth,
+            terrainMesh.gridHeight || terrainMesh.elevationHeight
+        ) - 1;
+        this.refinedLevel = Math.max(0, Math.floor(Math.log2(baseQuads / quads)) + 1);
+        const maskSize = this.refinedLevel <= this.maxLevel ? 2 ** this.refinedLevel : 1;
+        this.refinedMask = new THREE.DataTexture(
+            new Uint8Array(maskSize * maskSize), maskSize, maskSize, THREE.RedFormat, THREE.UnsignedByteType
+        );
+        this.refinedMask.magFilter = THREE.NearestFilter;
+        this.refinedMask.minFilter = THREE.NearestFilter;
+        this.refinedMask.needsUpdate = true;
+
+        const tmConfig = terrainMesh.config;
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                waterLevel: { value: terrainMesh.referenceElevation },
+                heightScale: { value: terrainMesh.getHeightScale() },
+                ambientColor: { value: tmConfig.ambientColor },
+                lightColor: { value: tmConfig.lightColor },
+                lightDirection: { value: tmConfig.lightDirection },
+                diffuseStrength: { value: this.config.diffuseStrength },
+                gradientScale: { value: 1 / terrainMesh.realWorldScale },
+                ...terrainMesh.colorUniforms
+            },
+            vertexShader: tileVertexShader,
+            fragmentShader: tileFragmentShader,
+            side: THREE.FrontSide,
+            clipping: true,
+            clippingPlanes: terrainMesh.clippingPlanes
+        });
+
+        this.root = this._getTile(0, 0, 0);
+
+        console.log(`Terrain tiles: ${this.maxLevel + 1} levels, ${this.config.tileSize}x${this.config.tileSize} vertices per tile`);
+    }
+
+    /**
+     * Select, load and stitch tiles for the current view. Call once per frame.
+     * @param {THREE.Camera} camera
+     * @param {THREE.Vector3[]} [focusPoints] - Extra world-space refinement points (e.g. hands)
+     */
+    update(camera, focusPoints = []) {
+        if (!this.group || this._disposed) return;
+
+        // Refinement is evaluated in model-local space, so the container
+        // transform (AR scale/rotation) is accounted for automatically
+        const parent = this.group.parent;
+        if (parent) parent.updateMatrixWorld();
+
+        const points = [];
+        if (camera) {
+            points.push(this._toLocal(camera.getWorldPosition(new THREE.Vector3())));
+        }
+        for (const p of focusPoints) {
+            if (p) points.push(this._toLocal(p.clone()));
+        }
+
+        this.updateForLocalPoints(points);
+    }
+
+    /**
+     * Select tiles for a set of model-local focus points.
+     * @param {THREE.Vector3[]} localPoints
+     */
+    updateForLocalPoints(localPoints) {
+        if (!this.root || this._disposed) return;
+
+        this._frame++;
+
+        const selected = new Set();
+        this._select(this.root, localPoints, selected);
+
+        let changed = selected.size !== this.displayed.size;
+        if (!changed) {
+            for (const tile of selected) {
+                if (!this.displayed.has(tile)) { changed = true; break; }
+            }
+        }
+
+        if (changed) {
+            for (const tile of this.displayed) {
+                if (!selected.has(tile) && tile.mesh) tile.mesh.visible = false;
+            }
+            for (const tile of selected) {
+                if (tile.mesh) tile.mesh.visible = true;
+            }
+            this.displayed = selected;
+            this._stitchDisplayed();
+            this._updateRefinedMask();
+        }
+
+        for (const tile of selected) tile.lastUsed = this._frame;
+
+        // Base mesh is only needed until the root tile is available
+        if (this.terrainMesh?.mesh) {
+            this.terrainMesh.mesh.visible = selected.size === 0;
+        }
+
+        this._pumpQueue();
+        this._evict();
+    }
+
+    /**
+     * Mark the refinedLevel cells covered by displayed tiles at or below that
+     * level. A refined tile's ancestor at refinedLevel was refined, so its
+     * whole cell is covered by tiles at least as fine.
+     */
+    _updateRefinedMask() {
+        const mask = this.refinedMask.image;
+        mask.data.fill(0);
+        for (const tile of this.displayed) {
+            if (tile.level < this.refinedLevel) continue;
+            const shift = tile.level - this.refinedLevel;
+            mask.data[(tile.ty >> shift) * mask.width + (tile.tx >> shift)] = 255;
+        }
+        this.refinedMask.needsUpdate = true;
+    }
+
+    /**
+     * Recursively choose tiles to display.
+     * @returns {void}
+     */
+    _select(tile, points, selected) {
+        if (tile.state !== 'ready') {
+            this._request(tile, points);
+            return;
+        }
+
+        if (tile.level < this.maxLevel && this._needsRefine(tile, points)) {
+            const children = this._getChildren(tile);
+            let allReady = true;
+            for (const child of children) {
+                if (child.state !== 'ready') {
+                    allReady = false;
+                    this._request(child, points);
+                }
+            }
+
+            if (allReady) {
+                for (const child of children) this._select(child, points, selected);
+                return;
+            }
+        }
+
+        selected.add(tile);
+    }
+
+    /**
+     * Screen-space style refinement test: tile extent over distance.
+     */
+    _needsRefine(tile, points) {
+        const extent = this._tileExtent(tile);
+        const dist = this._minDistance(tile, points);
+        return extent / Math.max(dist, 1e-6) > this.config.lodThreshold;
+    }
+
+    _tileExtent(tile) {
+        const tm = this.terrainMesh;
+        return Math.max((tile.u1 - tile.u0) * tm.modelWidth, (tile.v1 - tile.v0) * tm.modelHeight);
+    }
+
+    /**
+     * Distance from the nearest focus point to the tile's model-local box.
+     */
+    _minDistance(tile, points) {
+        if (points.length === 0) return Infinity;
+
+        const tm = this.terrainMesh;
+        const x0 = (tile.u0 - 0.5) * tm.modelWidth;
+        const x1 = (tile.u1 - 0.5) * tm.modelWidth;
+        const z0 = (tile.v0 - 0.5) * tm.modelHeight;
+        const z1 = (tile.v1 - 0.5) * tm.modelHeight;
+
+        const heightScale = tm.getHeightScale();
+        const ref = tm.referenceElevation;
+        const y0 = Number.isFinite(tile.minElevation) ? (tile.minElevation - ref) * heightScale : 0;
+        const y1 = Number.isFinite(tile.maxElevation) ? (tile.maxElevation - ref) * heightScale : 0;
+
+        let best = Infinity;
+        for (const p of points) {
+            const dx = Math.max(x0 - p.x, 0, p.x - x1);
+            const dy = Math.max(y0 - p.y, 0, p.y - y1);
+            const dz = Math.max(z0 - p.z, 0, p.z - z1);
+            best = Math.min(best, Math.hypot(dx, dy, dz));
+        }
+        return best;
+    }
+
+    _toLocal(worldPos) {
+        const parent = this.group.parent;
+        return parent ? parent.worldToLocal(worldPos) : worldPos;
+    }
+
+    // ============================================
+    // Quadtree bookkeeping
+    // ============================================
+
+    _getTile(level, tx, ty) {
+        const key = `${level}/${tx}/${ty}`;
+        let tile = this.tiles.get(key);
+        if (!tile) {
+            const n = 2 ** level;
+            tile = {
+                key, level, tx, ty,
+                u0: tx / n, v0: ty / n, u1: (tx + 1) / n, v1: (ty + 1) / n,
+                state: 'empty',
+                raw: null,          // Elevations as read from the source
+                elevation: null,    // Raw elevations with edge stitching applied
+                minElevation: NaN,
+                maxElevation: NaN,
+                stitchKey: '',
+                mesh: null,
+                lastUsed: 0,
+                priority: Infinity
+            };
+            this.tiles.set(key, tile);
+        }
+        return tile;
+    }
+
+    _getChildren(tile) {
+        const l = tile.level + 1;
+        const x = tile.tx * 2;
+        const y = tile.ty * 2;
+        return [
+            this._getTile(l, x, y),
+            this._getTile(l, x + 1, y),
+            this._getTile(l, x, y + 1),
+            this._getTile(l, x + 1, y + 1)
+        ];
+    }
+
+    // ============================================
+    // Loading
+    // ============================================
+
+    _request(tile, points) {
+        // Coarse tiles first, then nearest
+        tile.priority = tile.level * 1000 + Math.min(999, this._minDistance(tile, points) * 100);
+        tile.lastUsed = this._frame;
+        if (tile.state === 'empty') {
+            tile.state = 'queued';
+            this._queue.push(tile);
+        }
+    }
+
+    _pumpQueue() {
+        if (this._queue.length === 0) {
+            this._checkIdle();
+            return;
+        }
+
+        // Drop requests no longer wanted this frame (camera moved away)
+        this._queue = this._queue.filter((tile) => {
+            if (tile.lastUsed >= this._frame - 1) return true;
+            tile.state = 'empty';
+            return false;
+        });
+        this._queue.sort((a, b) => a.priority - b.priority);
+
+        while (this._activeLoads < this.config.maxConcurrentLoads && this._queue.length > 0) {
+            this._loadTile(this._queue.shift());
+        }
+
+        this._checkIdle();
+    }
+
+    async _loadTile(tile) {
+        tile.state = 'loading';
+        this._activeLoads++;
+
+        try {
+            const samples = this.config.tileSize;
+            const raw = await this.tileSource.readTile(tile.u0, tile.v0, tile.u1, tile.v1, samples);
+            if (this._disposed) return;
+
+            tile.raw = raw;
+            tile.elevation = new Float32Array(raw);
+            this._updateElevationRange(tile);
+            this._buildTileMesh(tile);
+            tile.state = 'ready';
+        } catch (e) {
+            if (!this._disposed) {
+                console.warn(`Tile ${tile.key} failed to load:`, e);
+                tile.state = 'failed';
+            }
+        } finally {
+            this._activeLoads--;
+            if (!this._disposed) this._pumpQueue();
+        }
+    }
+
+    /**
+     * Resolve once no tile loads are queued or in flight.
+     * @returns {Promise<void>}
+     */
+    whenIdle() {
+        if (this._activeLoads === 0 && this._queue.length === 0) return Promise.resolve();
+        return new Promise((resolve) => this._idleResolvers.push(resolve));
+    }
+
+    _checkIdle() {
+        if (this._activeLoads === 0 && this._queue.length === 0 && this._idleResolvers.length > 0) {
+            const resolvers = this._idleResolvers;
+            this._idleResolvers = [];
+            for (const resolve of resolvers) resolve();
+        }
+    }
+
+    /**
+     * Evict least-recently-used tiles beyond the cache budget.
+     * The root and displayed tiles are never evicted.
+     */
+    _evict() {
+        const ready = [];
+        for (const tile of this.tiles.values()) {
+            if (tile.state === 'ready' && tile !== this.root && !this.displayed.has(tile)) {
+                ready.push(tile);
+            }
+        }
+
+        const excess = ready.length + this.displayed.size + 1 - this.config.maxCachedTiles;
+        if (excess <= 0) return;
+
+        ready.sort((a, b) => a.lastUsed - b.lastUsed);
+        for (let i = 0; i < excess && i < ready.length; i++) {
+            this._unloadTile(ready[i]);
+        }
+    }
+
+    _unloadTile(tile) {
+        if (tile.mesh) {
+            this.group.remove(tile.mesh);
+            tile.mesh.geometry.dispose();
+            tile.mesh = null;
+        }
+        tile.raw = null;
+        tile.elevation = null;
+        tile.stitchKey = '';
+        tile.state = 'empty';
+    }
+
+    _updateElevationRange(tile) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const v of tile.raw) {
+            if (Number.isNaN(v)) continue;
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+        tile.minElevation = min === Infinity ? NaN : min;
+        tile.maxElevation = max === -Infinity ? NaN : max;
+    }
+
+    // ============================================
+    // Geometry
+    // ============================================
+
+    /**
+     * Build the tile mesh (positions, UVs, index, gradients).
+     */
+    _buildTileMesh(tile) {
+        const tm = this.terrainMesh;
+        const n = this.config.tileSize;
+        const positions = new Float32Array(n * n * 3);
+        const uvs = new Float32Array(n * n * 2);
+
+        for (let j = 0; j < n; j++) {
+            const v = tile.v0 + (tile.v1 - tile.v0) * (j / (n - 1));
+            for (let i = 0; i < n; i++) {
+                const u = tile.u0 + (tile.u1 - tile.u0) * (i / (n - 1));
+                const idx = j * n + i;
+                positions[idx * 3] = (u - 0.5) * tm.modelWidth;
+                positions[idx * 3 + 2] = (v - 0.5) * tm.modelHeight;
+                uvs[idx * 2] = u;
+                uvs[idx * 2 + 1] = 1 - v;
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(n * n * 3), 3));
+        geometry.setAttribute('elevation', new THREE.BufferAttribute(tile.elevation, 1));
+        geometry.setAttribute('gradient', new THREE.BufferAttribute(new Float32Array(n * n * 2), 2));
+
+        const mesh = new THREE.Mesh(geometry, this.material);
+        mesh.name = `terrainTile_${tile.key}`;
+        mesh.frustumCulled = false;
+        mesh.visible = false;
+        tile.mesh = mesh;
+        this.group.add(mesh);
+
+        this._refreshTileAttributes(tile);
+    }
+
+    /**
+     * Recompute everything derived from tile.elevation.
+     */
+    _refreshTileAttributes(tile) {
+        const geometry = tile.mesh.geometry;
+        geometry.attributes.elevation.needsUpdate = true;
+        this._computeGradients(tile, geometry.attributes.gradient.array);
+        geometry.attributes.gradient.needsUpdate = true;
+        geometry.setIndex(new THREE.BufferAttribute(this._buildIndex(tile), 1));
+    }
+
+    /**
+     * Central-difference elevation gradients in elevation units per model unit.
+     */
+    _computeGradients(tile, out) {
+        const n = this.config.tileSize;
+        const e = tile.elevation;
+        const tm = this.terrainMesh;
+        const cellX = (tile.u1 - tile.u0) * tm.modelWidth / (n - 1);
+        const cellZ = (tile.v1 - tile.v0) * tm.modelHeight / (n - 1);
+
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                const idx = j * n + i;
+                const c = e[idx];
+                if (Number.isNaN(c)) {
+                    out[idx * 2] = 0;
+                    out[idx * 2 + 1] = 0;
+                    continue;
+                }
+
+                let l = i > 0 ? e[idx - 1] : c;
+                let r = i < n - 1 ? e[idx + 1] : c;
+                let t = j > 0 ? e[idx - n] : c;
+                let b = j < n - 1 ? e[idx + n] : c;
+                if (Number.isNaN(l)) l = c;
+                if (Number.isNaN(r)) r = c;
+                if (Number.isNaN(t)) t = c;
+                if (Number.isNaN(b)) b = c;
+
+                const dx = (i > 0 && i < n - 1) ? 2 : 1;
+                const dz = (j > 0 && j < n - 1) ? 2 : 1;
+                out[idx * 2] = (r - l) / (dx * cellX);
+                out[idx * 2 + 1] = (b - t) / (dz * cellZ);
+            }
+        }
+    }
+
+    /**
+     * Triangle index excluding NoData and fully above-reference triangles,
+     * matching TerrainMesh triangle filtering.
+     * @returns {Uint32Array}
+     */
+    _buildIndex(tile) {
+        const n = this.config.tileSize;
+        const e = tile.elevation;
+        const ref = this.terrainMesh.referenceElevation;
+        const indices = [];
+
+        const keep = (a, b, c) => {
+            const ea = e[a], eb = e[b], ec = e[c];
+            if (Number.isNaN(ea) || Number.isNaN(eb) || Number.isNaN(ec)) return false;
+            return ea < ref || eb < ref || ec < ref;
+        };
+
+        for (let j = 0; j < n - 1; j++) {
+            for (let i = 0; i < n - 1; i++) {
+                const a = j * n + i;
+                const b = a + 1;
+                const c = a + n;
+                const d = c + 1;
+                if (keep(a, c, b)) indices.push(a, c, b);
+                if (keep(b, c, d)) indices.push(b, c, d);
+            }
+        }
+
+        return new Uint32Array(indices);
+    }
+
+    // ============================================
+    // Seam stitching
+    // ============================================
+
+    /**
+     * Snap edges that border a coarser displayed tile onto that tile's edge.
+     * Processed coarse-to-fine so a tile always stitches against its
+     * neighbor's final edge values.
+     */
+    _stitchDisplayed() {
+        const byKey = new Map();
+        for (const tile of this.displayed) byKey.set(tile.key, tile);
+
+        const ordered = [...this.displayed].sort((a, b) => a.level - b.level);
+        const restitched = new Set();
+
+        for (const tile of ordered) {
+            const neighbors = this._coarserNeighbors(tile, byKey);
+            const stitchKey = neighbors.map(nb => nb?.key ?? '-').join('|');
+            const neighborChanged = neighbors.some(nb => nb && restitched.has(nb));
+
+            if (stitchKey === tile.stitchKey && !neighborChanged) continue;
+
+            tile.elevation.set(tile.raw);
+            neighbors.forEach((nb, side) => {
+                if (nb) this._stitchEdge(tile, side, nb);
+            });
+            tile.stitchKey = stitchKey;
+            this._refreshTileAttributes(tile);
+            restitched.add(tile);
+        }
+    }
+
+    /**
+     * Find the coarser displayed tile across each edge.
+     * @returns {Array<Object|null>} [left, right, top, bottom]
+     */
+    _coarserNeighbors(tile, byKey) {
+        const eps = 1e-9;
+        const mu = (tile.u0 + tile.u1) / 2;
+        const mv = (tile.v0 + tile.v1) / 2;
+        const probes = [
+            [tile.u0 - eps, mv],
+            [tile.u1 + eps, mv],
+            [mu, tile.v0 - eps],
+            [mu, tile.v1 + eps]
+        ];
+
+        return probes.map(([u, v]) => {
+            if (u < 0 || u > 1 || v < 0 || v > 1) return null;
+            for (let level = tile.level - 1; level >= 0; level--) {
+                const n = 2 ** level;
+                const tx = Math.min(n - 1, Math.floor(u * n));
+                const ty = Math.min(n - 1, Math.floor(v * n));
+                const found = byKey.get(`${level}/${tx}/${ty}`);
+                if (found) return found;
+            }
+            return null;
+        });
+    }
+
+    /**
+     * Replace one edge of a tile with values interpolated along the
+     * neighbor's matching edge, so both edges describe the same polyline.
+     * @param {Object} tile
+     * @param {number} side - 0=left, 1=right, 2=top, 3=bottom
+     * @param {Object} neighbor - Coarser displayed tile across that edge
+     */
+    _stitchEdge(tile, side, neighbor) {
+        const n = this.config.tileSize;
+        const horizontal = side >= 2;
+
+        // Neighbor's edge vertices facing this tile
+        const ne = new Float32Array(n);
+        for (let k = 0; k < n; k++) {
+            let idx;
+            if (side === 0) idx = k * n + (n - 1);
+            else if (side === 1) idx = k * n;
+            else if (side === 2) idx = (n - 1) * n + k;
+            else idx = k;
+            ne[k] = neighbor.elevation[idx];
+        }
+
+        const n0 = horizontal ? neighbor.u0 : neighbor.v0;
+        const n1 = horizontal ? neighbor.u1 : neighbor.v1;
+        const t0 = horizontal ? tile.u0 : tile.v0;
+        const t1 = horizontal ? tile.u1 : tile.v1;
+
+        for (let k = 0; k < n; k++) {
+            const pos = t0 + (t1 - t0) * (k / (n - 1));
+            const f = ((pos - n0) / (n1 - n0)) * (n - 1);
+            const k0 = Math.max(0, Math.min(n - 2, Math.floor(f)));
+            const frac = f - k0;
+            const a = ne[k0];
+            const b = ne[k0 + 1];
+
+            let value;
+            if (frac < 1e-9) value = a;
+            else if (frac > 1 - 1e-9) value = b;
+            else value = (Number.isNaN(a) || Number.isNaN(b)) ? Number.NaN : a + (b - a) * frac;
+
+            let idx;
+            if (side === 0) idx = k * n;
+            else if (side === 1) idx = k * n + (n - 1);
+            else if (side === 2) idx = k;
+            else idx = (n - 1) * n + k;
+            tile.elevation[idx] = value;
+        }
+    }
+
+    // ============================================
+    // Terrain parameter sync
+    // ============================================
+
+    /**
+     * Sync the height scale uniform after a Z-exaggeration change.
+     */
+    updateForZExaggeration() {
+        if (this.material && this.terrainMesh) {
+            this.material.uniforms.heightScale.value = this.terrainMesh.getHeightScale();
+        }
+    }
+
+    /**
+     * Refilter all loaded tiles after a reference elevation change
+     * (recoloring follows from the waterLevel and shared depth range uniforms).
+     */
+    updateReferenceElevation() {
+        if (!this.material || !this.terrainMesh) return;
+
+        this.material.uniforms.waterLevel.value = this.terrainMesh.referenceElevation;
+        for (const tile of this.tiles.values()) {
+            if (tile.state === 'ready') {
+                tile.mesh.geometry.setIndex(new THREE.BufferAttribute(this._buildIndex(tile), 1));
+            }
+        }
+    }
+
+    /**
+     * Clean up resources.
+     */
+    dispose() {
+        this._disposed = true;
+
+        for (const tile of this.tiles.values()) {
+            if (tile.mesh) tile.mesh.geometry.dispose();
+        }
+        this.tiles.clear();
+        this.displayed.clear();
+        this._queue = [];
+
+        if (this.material) {
+            this.material.dispose();
+            this.material = null;
+        }
+
+        if (this.refinedMask) {
+            this.refinedMask.dispose();
+            this.refinedMask = null;
+        }
+
+        if (this.group) {
+            disposeThreeObject(this.group);
+            if (this.group.parent) this.group.parent.remove(this.group);
+            this.group = null;
+        }
+
+        if (this.terrainMesh?.mesh) this.terrainMesh.mesh.visible = true;
+
+        this.parentGroup = null;
+        this.terrainMesh = null;
+        this.tileSource = null;
+        this.root = null;
+
+        const resolvers = this._idleResolvers;
+        this._idleResolvers = [];
+        for (const resolve of resolvers) resolve();
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * WaterSurface.js - Translucent water plane at the reference elevation
+ *
+ * Terrain heights are relative to the reference elevation, so the water
+ * plane sits at model height 0 and stays there under any Z-exaggeration.
+ * The fragment shader samples the terrain's elevation texture to clip the
+ * plane to wet cells inside the data footprint (NoData and dry land are
+ * discarded) and to draw an optional shoreline where the depth reaches 0.
+ * Ripples are animated in the normals only; the plane itself stays flat.
+ */
+
+import * as THREE from 'three';
+import { disposeThreeObject } from '../scene/utils.js';
+import { elevationSampleShaderChunk } from './ElevationSampling.js';
+
+const waterVertexShader = /* glsl */`
+    varying vec2 vRasterUv;
+    varying vec2 vModelPosition;
+    varying vec3 vWorldPosition;
+    #include <clipping_planes_pars_vertex>
+
+    void main() {
+        // Raster orientation, as in the terrain shader (row 0 = north)
+        vRasterUv = vec2(uv.x, 1.0 - uv.y);
+        vModelPosition = position.xz;
+
+        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+        vWorldPosition = worldPosition.xyz;
+        vec4 mvPosition = viewMatrix * worldPosition;
+        gl_Position = projectionMatrix * mvPosition;
+        #include <clipping_planes_vertex>
+    }
+`;
+
+const waterFragmentShader = /* glsl */`
+    uniform float waterLevel;
+    uniform vec3 waterColor;
+    uniform float opacity;
+    uniform vec3 lightDirection;
+    uniform float time;
+    uniform float rippleScale;
+    uniform float rippleStrength;
+    uniform float shoreline;
+    uniform vec3 shorelineColor;
+    uniform float shorelineWidth;
+
+    varying vec2 vRasterUv;
+    varying vec2 vModelPosition;
+    varying vec3 vWorldPosition;
+${elevationSampleShaderChunk}
+    #include <clipping_planes_pars_fragment>
+
+    void main() {
+        #include <clipping_planes_fragment>
+        float elevation = sampleElevation(vRasterUv);
+
+        // Outside the data footprint, or dry land
+        if (elevation >= NO_DATA_THRESHOLD) discard;
+        float depth = waterLevel - elevation;
+        if (depth < 0.0) discard;
+
+        // Two pairs of travelling waves tilt the normal
+        vec2 p = vModelPosition * rippleScale;
+        vec2 ripple = vec2(
+            cos(p.x + time * 1.3) + cos((p.x + p.y) * 0.7 - time * 0.9),
+            cos(p.y * 1.1 + time * 1.1) + cos((p.x - p.y) * 0.8 + time * 0.7)
+        ) * rippleStrength;
+        vec3 N = normalize(vec3(ripple.x, 1.0, ripple.y));
+        if (!gl_FrontFacing) N = -N;
+
+        vec3 viewDir = normalize(cameraPosition - vWorldPosition);
+        float diffuse = max(dot(N, lightDirection), 0.0);
+        float specular = pow(max(dot(reflect(-lightDirection, N), viewDir), 0.0), 64.0);
+        float fresnel = pow(1.0 - max(dot(N, viewDir), 0.0), 3.0);
+
+        vec3 color = waterColor * (0.6 + 0.4 * diffuse) + vec3(0.6 * specular);
+        float alpha = clamp(opacity + 0.5 * fresnel * (1.0 - opacity), 0.0, 1.0);
+
+        // Shoreline: a band about shorelineWidth pixels wide where depth reaches 0
+        if (shoreline > 0.5) {
+            float width = max(fwidth(depth) * shorelineWidth, 1e-6);
+            float shore = 1.0 - smoothstep(0.0, width, depth);
+            color = mix(color, shorelineColor, shore);
+            alpha = mix(alpha, 1.0, shore);
+        }
+
+        gl_FragColor = vec4(color, alpha);
+    }
+`;
+
+/** Default water appearance (colors: anything THREE.Color accepts). */
+export const DEFAULT_WATER_SETTINGS = {
+    // Water tint and base opacity (grazing views are more opaque)
+    color: 0x1f6fa8,
+    opacity: 0.55,
+
+    // Highlight where the plane meets the terrain
+    shoreline: true,
+    shorelineColor: 0xffffff,
+    shorelineWidth: 2,   // pixels
+
+    // Ripple animation (frequency per model metre; strength tilts the normal)
+    animate: true,
+    rippleScale: 60,
+    rippleStrength: 0.04
+};
+
+/**
+ * WaterSurface draws a water plane over a TerrainMesh at its reference elevation.
+ */
+export class WaterSurface {
+    constructor(config = {}) {
+        this.config = normalizeWaterSettings(config);
+
+        this.group = null;
+        this.mesh = null;
+        this.material = null;
+        this.parentGroup = null;
+        this.terrainMesh = null;
+    }
+
+    /**
+     * Create the plane over the terrain footprint.
+     * @param {THREE.Group} parentGroup - Model container
+     * @param {TerrainMesh} terrainMesh - Terrain (dimensions, elevation texture, reference elevation)
+     */
+    init(parentGroup, terrainMesh) {
+        this.parentGroup = parentGroup;
+        this.terrainMesh = terrainMesh;
+
+        this.group = new THREE.Group();
+        this.group.name = 'waterSurface';
+        parentGroup.add(this.group);
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                elevationMap: { value: terrainMesh.elevationTexture },
+                elevationSize: { value: new THREE.Vector2(terrainMesh.elevationWidth, terrainMesh.elevationHeight) },
+                waterLevel: { value: terrainMesh.referenceElevation },
+                waterColor: { value: new THREE.Color() },
+                opacity: { value: 1 },
+                lightDirection: { value: terrainMesh.config.lightDirection },
+                time: { value: 0 },
+                rippleScale: { value: 1 },
+                rippleStrength: { value: 0 },
+                shoreline: { value: 0 },
+                shorelineColor: { value: new THREE.Color() },
+                shorelineWidth: { value: 1 }
+            },
+            vertexShader: waterVertexShader,
+            fragmentShader: waterFragmentShader,
+            transparent: true,
+            depthWrite: false,
+            side: THREE.DoubleSide,
+            // Cut away with the terrain by a section (see SectionClipping.js)
+            clipping: true,
+            clippingPlanes: terrainMesh.clippingPlanes
+        });
+        this._applyConfig();
+
+        const geometry = new THREE.PlaneGeometry(terrainMesh.modelWidth, terrainMesh.modelHeight);
+        geometry.rotateX(-Math.PI / 2);
+
+        this.mesh = new THREE.Mesh(geometry, this.material);
+        this.mesh.name = 'waterPlane';
+        this.mesh.frustumCulled = false;
+        // Draw after the terrain so it shows through
+        this.mesh.renderOrder = 1;
+        this.mesh.onBeforeRender = () => {
+            if (this.config.animate) {
+                this.material.uniforms.time.value = performance.now() / 1000;
+            }
+        };
+        this.group.add(this.mesh);
+    }
+
+    /**
+     * Change appearance settings; omitted values are kept.
+     * @param {Object} config - See DEFAULT_WATER_SETTINGS
+     */
+    setConfig(config) {
+        this.config = normalizeWaterSettings({ ...this.config, ...config });
+        this._applyConfig();
+    }
+
+    /**
+     * Copy the config into the uniforms.
+     * @private
+     */
+    _applyConfig() {
+        if (!this.material) return;
+        const uniforms = this.material.uniforms;
+        const config = this.config;
+        uniforms.waterColor.value.set(config.color);
+        uniforms.opacity.value = config.opacity;
+        uniforms.shoreline.value = config.shoreline ? 1 : 0;
+        uniforms.shorelineColor.value.set(config.shorelineColor);
+        uniforms.shorelineWidth.value = config.shorelineWidth;
+        uniforms.rippleScale.value = config.rippleScale;
+        uniforms.rippleStrength.value = config.rippleStrength;
+    }
+
+    /**
+     * Sync the water level after a reference elevation change. The plane
+     * stays at height 0; only the wet area and shoreline move.
+     */
+    updateReferenceElevation() {
+        if (this.material && this.terrainMesh) {
+            this.material.uniforms.waterLevel.value = this.terrainMesh.referenceElevation;
+        }
+    }
+
+    /**
+     * Clean up resources. The elevation texture belongs to the terrain.
+     */
+    dispose() {
+        if (this.mesh) {
+            disposeThreeObject(this.mesh);
+            this.mesh = null;
+        }
+        if (this.group) {
+            if (this.group.parent) this.group.parent.remove(this.group);
+            this.group = null;
+        }
+        this.material = null;
+        this.parentGroup = null;
+        this.terrainMesh = null;
+    }
+}
+
+/**
+ * Validate water settings and fill in defaults.
+ * @param {Object} [settings] - See DEFAULT_WATER_SETTINGS
+ * @returns {Object}
+ */
+export function normalizeWaterSettings(settings = {}) {
+    const next = { ...DEFAULT_WATER_SETTINGS, ...settings };
+    if (!(next.opacity >= 0 && next.opacity <= 1)) {
+        throw new Error(`Water opacity must be between 0 and 1, got ${next.opacity}`);
+    }
+    if (!(next.shorelineWidth > 0)) {
+        throw new Error(`Shoreline width must be a positive number of pixels, got ${next.shorelineWidth}`);
+    }
+    return next;
+}
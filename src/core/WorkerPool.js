@@ -0,0 +1,307 @@
+/**
+ * WorkerPool.js - Runs TERRAIN_JOBS on a pool of module workers
+ *
+ * Keeps normal map, vertex color, triangle filter and contour generation off
+ * the main thread so the XR frame loop does not stutter. Typed array results
+ * are transferred back without copying. Arrays marked with resident() (the
+ * elevation raster, mesh UVs and indices) are copied to each worker once and
+ * referenced by id in later jobs, so a slider drag does not clone the raster
+ * on every step.
+ *
+ * Where workers are unavailable (Node/vitest, very old browsers) or fail to
+ * load, jobs run on the calling thread through the exact same TERRAIN_JOBS
+ * functions, time-sliced with processInChunks as before.
+ */
+
+import { TERRAIN_JOBS } from './TerrainJobs.js';
+import { AbortError, throwIfAborted } from './utils.js';
+
+/**
+ * Default configuration for the worker pool.
+ */
+const DEFAULT_CONFIG = {
+    // Maximum number of workers (spawned lazily)
+    size: 2,
+
+    // Worker script URL
+    workerUrl: new URL('./terrain.worker.js', import.meta.url),
+
+    // Worker factory (url) => Worker-like; override for tests or bundlers
+    createWorker: null,
+
+    // Bytes of resident arrays each worker keeps before dropping the least recently used
+    residentBytes: 256 * 1024 * 1024
+};
+
+let sharedPool = null;
+
+/**
+ * Shared pool used by TerrainMesh when none is configured.
+ * Sized to leave one core for the main thread.
+ * @returns {WorkerPool}
+ */
+export function getSharedWorkerPool() {
+    if (!sharedPool) {
+        const cores = globalThis.navigator?.hardwareConcurrency ?? 2;
+        sharedPool = new WorkerPool({ size: Math.max(1, Math.min(4, cores - 1)) });
+    }
+    return sharedPool;
+}
+
+/**
+ * WorkerPool dispatches named jobs to workers, with a same-thread fallback.
+ */
+export class WorkerPool {
+    /**
+     * Whether this environment can run module workers.
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+
+        // Workers: [{ worker, task, resident: Map<id, byteLength> in LRU order,
+        // released: ids to drop with the next job }]
+        this.slots = [];
+        this.queue = [];
+        this.nextId = 1;
+
+        // Arrays kept in workers between jobs → id
+        this.residentIds = new WeakMap();
+        this.nextResidentId = 1;
+
+        // False → every job runs on the calling thread
+        this.enabled = this.config.size > 0 &&
+            (this.config.createWorker !== null || WorkerPool.isSupported());
+    }
+
+    /**
+     * Mark a typed array as resident: each worker receives it once and keeps
+     * it for later jobs. The array must not be modified in place afterwards.
+     * @param {ArrayBufferView|null} array
+     * @returns {ArrayBufferView|null} The same array, for use inside job params
+     */
+    resident(array) {
+        if (ArrayBuffer.isView(array) && !this.residentIds.has(array)) {
+            this.residentIds.set(array, this.nextResidentId++);
+        }
+        return array;
+    }
+
+    /**
+     * Stop keeping an array resident. Workers holding it drop it with their
+     * next job; jobs passing it afterwards copy it again.
+     * @param {ArrayBufferView|null} array
+     */
+    release(array) {
+        const residentId = ArrayBuffer.isView(array) ? this.residentIds.get(array) : undefined;
+        if (residentId === undefined) return;
+        this.residentIds.delete(array);
+        for (const slot of this.slots) {
+            if (slot.resident.delete(residentId)) slot.released.push(residentId);
+        }
+    }
+
+    /**
+     * Run a job from TERRAIN_JOBS.
+     * @param {string} job - Job name
+     * @param {Object} params - Structured-cloneable job parameters (copied, not transferred).
+     *   Resident arrays, at the top level or one object deep, are only copied
+     *   to workers that do not hold them yet.
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - (fraction) => void
+     * @param {AbortSignal} [options.signal] - Cancels the job; rejects with an AbortError
+     * @returns {Promise<Object>} Job result
+     */
+    run(job, params, { onProgress, signal } = {}) {
+        if (!TERRAIN_JOBS[job]) {
+            return Promise.reject(new Error(`Unknown terrain job: ${job}`));
+        }
+        if (!this.enabled) {
+            return this._runInline(job, params, onProgress, signal);
+        }
+        if (signal?.aborted) return Promise.reject(new AbortError());
+
+        return new Promise((resolve, reject) => {
+            const task = { id: this.nextId++, job, params, onProgress, signal, resolve, reject, onAbort: null };
+            if (signal) {
+                task.onAbort = () => this._abortTask(task);
+                signal.addEventListener('abort', task.onAbort, { once: true });
+            }
+            this.queue.push(task);
+            this._dispatch();
+        });
+    }
+
+    /**
+     * Terminate all workers and reject outstanding jobs.
+     */
+    dispose() {
+        const pending = [...this.queue, ...this.slots.map(s => s.task).filter(Boolean)];
+        for (const slot of this.slots) slot.worker.terminate();
+        this.slots = [];
+        this.queue = [];
+        for (const task of pending) {
+            this._settle(task);
+            task.reject(new AbortError('Worker pool disposed'));
+        }
+    }
+
+    async _runInline(job, params, onProgress, signal) {
+        throwIfAborted(signal);
+        return TERRAIN_JOBS[job](params, { onProgress, signal });
+    }
+
+    /**
+     * Hand queued tasks to idle workers, spawning workers up to the pool size.
+     */
+    _dispatch() {
+        while (this.queue.length > 0 && this.enabled) {
+            let slot = this.slots.find(s => !s.task);
+            if (!slot) {
+                if (this.slots.length >= this.config.size) return;
+                slot = this._spawn();
+                if (!slot) return;
+            }
+
+            const task = this.queue.shift();
+            slot.task = task;
+            slot.worker.postMessage({ id: task.id, job: task.job, ...this._packParams(slot, task.params) });
+        }
+    }
+
+    /**
+     * Replace resident arrays in job params with { residentId } references.
+     * Arrays the worker does not hold yet are sent along in `store`; the
+     * least recently used ones over config.residentBytes, and released ones,
+     * are dropped via `release`.
+     * @returns {{ params: Object, store: Array<[number, ArrayBufferView]>, release: number[] }}
+     */
+    _packParams(slot, params) {
+        const store = [];
+        const used = new Set();
+        const pack = (value) => {
+            const residentId = ArrayBuffer.isView(value) ? this.residentIds.get(value) : undefined;
+            if (residentId === undefined) return value;
+            if (!slot.resident.delete(residentId)) store.push([residentId, value]);
+            slot.resident.set(residentId, value.byteLength);
+            used.add(residentId);
+            return { residentId };
+        };
+
+        const packed = {};
+        for (const [key, value] of Object.entries(params)) {
+            packed[key] = value?.constructor === Object
+                ? Object.fromEntries(Object.entries(value).map(([k, v]) => [k, pack(v)]))
+                : pack(value);
+        }
+
+        const release = slot.released.splice(0);
+        let bytes = 0;
+        for (const byteLength of slot.resident.values()) bytes += byteLength;
+        for (const [residentId, byteLength] of slot.resident) {
+            if (bytes <= this.config.residentBytes) break;
+            if (used.has(residentId)) continue;
+            slot.resident.delete(residentId);
+            release.push(residentId);
+            bytes -= byteLength;
+        }
+
+        return { params: packed, store, release };
+    }
+
+    _spawn() {
+        let worker;
+        try {
+            worker = this.config.createWorker
+                ? this.config.createWorker(this.config.workerUrl)
+                : new Worker(this.config.workerUrl, { type: 'module' });
+        } catch (err) {
+            this._fallBackToInline(err);
+            return null;
+        }
+
+        const slot = { worker, task: null, resident: new Map(), released: [] };
+        worker.onmessage = (event) => this._onMessage(slot, event.data);
+        worker.onerror = (event) => {
+            event?.preventDefault?.();
+            this._fallBackToInline(event?.message ?? event);
+        };
+        this.slots.push(slot);
+        return slot;
+    }
+
+    _onMessage(slot, msg) {
+        const task = slot.task;
+        if (!task || msg.id !== task.id) return;
+
+        if (msg.type === 'progress') {
+            if (task.onProgress) task.onProgress(msg.value);
+            return;
+        }
+
+        slot.task = null;
+        this._settle(task);
+
+        if (msg.type === 'done') {
+            task.resolve(msg.result);
+        } else {
+            const err = msg.error?.name === 'AbortError'
+                ? new AbortError(msg.error.message)
+                : new Error(msg.error?.message ?? 'Terrain job failed');
+            task.reject(err);
+        }
+
+        this._dispatch();
+    }
+
+    /**
+     * Cancel a task: drop it from the queue, or terminate the worker running it.
+     */
+    _abortTask(task) {
+        const queued = this.queue.indexOf(task);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+        } else {
+            const slot = this.slots.find(s => s.task === task);
+            if (!slot) return;
+            slot.worker.terminate();
+            this.slots.splice(this.slots.indexOf(slot), 1);
+        }
+
+        this._settle(task);
+        task.reject(new AbortError());
+        this._dispatch();
+    }
+
+    /**
+     * A worker failed to start or crashed: disable the pool and rerun
+     * every outstanding job on the calling thread.
+     */
+    _fallBackToInline(reason) {
+        if (!this.enabled) return;
+        console.warn('Terrain workers unavailable, running jobs on the main thread:', reason);
+        this.enabled = false;
+
+        const pending = [...this.slots.map(s => s.task).filter(Boolean), ...this.queue];
+        for (const slot of this.slots) slot.worker.terminate();
+        this.slots = [];
+        this.queue = [];
+
+        for (const task of pending) {
+            this._settle(task);
+            this._runInline(task.job, task.params, task.onProgress, task.signal)
+                .then(task.resolve, task.reject);
+        }
+    }
+
+    _settle(task) {
+        if (task.onAbort) {
+            task.signal.removeEventListener('abort', task.onAbort);
+            task.onAbort = null;
+        }
+    }
+}
@@ -4,6 +4,37 @@
 
 export { TerrainMesh } from './TerrainMesh.js';
 export { OverlayLayers } from './OverlayLayers.js';
-export { loadCOGFromUrl, loadCOGFromFile, extractCOGData } from './COGLoader.js';
+export { TerrainTiles } from './TerrainTiles.js';
+export { WaterSurface, DEFAULT_WATER_SETTINGS, normalizeWaterSettings } from './WaterSurface.js';
+export { SectionClipping, DEFAULT_SECTION_SETTINGS, normalizeSection } from './SectionClipping.js';
+export { TerrainSkirt, DEFAULT_SKIRT_SETTINGS, normalizeSkirtSettings } from './TerrainSkirt.js';
+export { exportTerrain, buildExportScene, ExportFormat } from './TerrainExport.js';
+export {
+    exportContours, contourPolylines, writeContourGeoJSON, writeContourDXF, writeContourShapefile, ContourFormat,
+    exportIsobands, isobandPolygons, writeIsobandGeoJSON, writeIsobandDXF, writeIsobandShapefile
+} from './ContourExport.js';
+export { createContourBandMesh, DEFAULT_BAND_SETTINGS, normalizeBandSettings } from './ContourBands.js';
+export { loadCOGFromUrl, loadCOGFromFile, loadCOGMosaic, openCOG, extractCOGData, createCOGTileSource, getDecoderPool } from './COGLoader.js';
+export { planMosaic, mergeRasters, OVERLAP_RULES } from './Mosaic.js';
+export {
+    resampleSurvey, computeDifference, thresholdDifference, differenceRange, differenceStatistics,
+    DEFAULT_DIFFERENCE_SETTINGS, normalizeDifferenceSettings
+} from './Difference.js';
+export {
+    loadElevation, detectElevationFormat, registerElevationFormat, getElevationFormats, createElevationData,
+    parseAsciiGrid, gridXYZ, decodeTerrainRGB, webMercatorTileBounds
+} from './ElevationFormats.js';
+export { loadImagery, parseWorldFile, resampleImagery, imageryTransform, bandsToRGBA } from './Imagery.js';
+export { WorkerPool, getSharedWorkerPool } from './WorkerPool.js';
+export { RangeCache } from './RangeCache.js';
+export { TERRAIN_JOBS } from './TerrainJobs.js';
 export { analyzeElevation } from './ElevationAnalysis.js';
-export { TURBO_COLORMAP, processInChunks } from './utils.js';
+export { parseGeoKeys, parseVerticalKeys, groundDimensions, geodesicInverse } from './CRS.js';
+export {
+    registerColormap, getColormaps, createColormap, sampleColormap, parseColor, colorToHex, COLORMAP_SIZE
+} from './Colormaps.js';
+export {
+    normalizeClassification, computeBreaks, classIndex, classColors, MAX_CLASSES, CLASSIFICATION_METHODS
+} from './Classification.js';
+export { RenderMode, DEFAULT_RENDER_SETTINGS, normalizeRenderSettings } from './RenderModes.js';
+export { TURBO_COLORMAP, processInChunks, AbortError, isAbortError } from './utils.js';
@@ -0,0 +1,33 @@
+/**
+ * terrain.worker.js — Module worker entry point for TERRAIN_JOBS
+ *
+ * Protocol (see WorkerPool):
+ *   in:  { id, job, params, store, release }   (resident arrays, see unpackResidentParams)
+ *   out: { id, type: 'progress', value }
+ *        { id, type: 'done', result }   (typed array buffers transferred)
+ *        { id, type: 'error', error: { name, message } }
+ *
+ * Must not import three.js: module workers cannot see the page's import map.
+ */
+
+import { TERRAIN_JOBS, collectTransferables, unpackResidentParams } from './TerrainJobs.js';
+
+// Resident arrays (elevation raster, UVs, indices) kept between jobs
+const resident = new Map();
+
+self.onmessage = async (event) => {
+    const { id, job } = event.data;
+    const fn = TERRAIN_JOBS[job];
+
+    try {
+        if (!fn) throw new Error(`Unknown terrain job: ${job}`);
+        const params = unpackResidentParams(event.data, resident);
+
+        const result = await fn(params, {
+            onProgress: (value) => self.postMessage({ id, type: 'progress', value })
+        });
+        self.postMessage({ id, type: 'done', result }, collectTransferables(result));
+    } catch (err) {
+        self.postMessage({ id, type: 'error', error: { name: err?.name ?? 'Error', message: err?.message ?? String(err) } });
+    }
+};
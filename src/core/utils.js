@@ -83,6 +83,33 @@ export const TURBO_COLORMAP = [
 // General Utilities
 // ============================================
 
+/**
+ * Error thrown when an operation is cancelled through an AbortSignal.
+ */
+export class AbortError extends Error {
+    constructor(message = 'Operation aborted') {
+        super(message);
+        this.name = 'AbortError';
+    }
+}
+
+/**
+ * Check whether an error represents a cancelled operation (ours, DOM or geotiff.js).
+ * @param {*} err
+ * @returns {boolean}
+ */
+export function isAbortError(err) {
+    return err?.name === 'AbortError';
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted.
+ * @param {AbortSignal|null|undefined} signal
+ */
+export function throwIfAborted(signal) {
+    if (signal?.aborted) throw new AbortError();
+}
+
 /**
  * Process items in chunks with progress callbacks.
  * Yields to the event loop between chunks to keep animations running.
@@ -91,10 +118,12 @@ export const TURBO_COLORMAP = [
  * @param {number} chunkSize - Number of items to process per chunk
  * @param {Function} fn - Processing function called with index: fn(i)
  * @param {Function} [onProgress] - Optional progress callback: onProgress(completed, total)
+ * @param {AbortSignal} [signal] - Stops between chunks with an AbortError
  * @returns {Promise<void>}
  */
-export async function processInChunks(total, chunkSize, fn, onProgress) {
+export async function processInChunks(total, chunkSize, fn, onProgress, signal) {
     for (let i = 0; i < total; i += chunkSize) {
+        throwIfAborted(signal);
         const end = Math.min(i + chunkSize, total);
         for (let j = i; j < end; j++) {
             fn(j);
@@ -10,9 +10,40 @@ export { TerrainViewer } from './TerrainViewer.js';
 // Core modules
 export { TerrainMesh } from './core/TerrainMesh.js';
 export { OverlayLayers } from './core/OverlayLayers.js';
-export { loadCOGFromUrl, loadCOGFromFile, extractCOGData } from './core/COGLoader.js';
+export { WaterSurface, DEFAULT_WATER_SETTINGS, normalizeWaterSettings } from './core/WaterSurface.js';
+export { SectionClipping, DEFAULT_SECTION_SETTINGS, normalizeSection } from './core/SectionClipping.js';
+export { TerrainSkirt, DEFAULT_SKIRT_SETTINGS, normalizeSkirtSettings } from './core/TerrainSkirt.js';
+export { exportTerrain, buildExportScene, ExportFormat } from './core/TerrainExport.js';
+export {
+    exportContours, contourPolylines, writeContourGeoJSON, writeContourDXF, writeContourShapefile, ContourFormat,
+    exportIsobands, isobandPolygons, writeIsobandGeoJSON, writeIsobandDXF, writeIsobandShapefile
+} from './core/ContourExport.js';
+export { createContourBandMesh, DEFAULT_BAND_SETTINGS, normalizeBandSettings } from './core/ContourBands.js';
+export { TerrainTiles } from './core/TerrainTiles.js';
+export { loadCOGFromUrl, loadCOGFromFile, loadCOGMosaic, openCOG, extractCOGData, createCOGTileSource, getDecoderPool } from './core/COGLoader.js';
+export { planMosaic, mergeRasters, OVERLAP_RULES } from './core/Mosaic.js';
+export {
+    resampleSurvey, computeDifference, thresholdDifference, differenceRange, differenceStatistics,
+    DEFAULT_DIFFERENCE_SETTINGS, normalizeDifferenceSettings
+} from './core/Difference.js';
+export {
+    loadElevation, detectElevationFormat, registerElevationFormat, getElevationFormats, createElevationData,
+    parseAsciiGrid, gridXYZ, decodeTerrainRGB, webMercatorTileBounds
+} from './core/ElevationFormats.js';
+export { loadImagery, parseWorldFile, resampleImagery, imageryTransform, bandsToRGBA } from './core/Imagery.js';
+export { WorkerPool, getSharedWorkerPool } from './core/WorkerPool.js';
+export { RangeCache } from './core/RangeCache.js';
+export { TERRAIN_JOBS } from './core/TerrainJobs.js';
 export { analyzeElevation } from './core/ElevationAnalysis.js';
-export { TURBO_COLORMAP, processInChunks } from './core/utils.js';
+export { parseGeoKeys, parseVerticalKeys, groundDimensions, geodesicInverse } from './core/CRS.js';
+export {
+    registerColormap, getColormaps, createColormap, sampleColormap, parseColor, colorToHex, COLORMAP_SIZE
+} from './core/Colormaps.js';
+export {
+    normalizeClassification, computeBreaks, classIndex, classColors, MAX_CLASSES, CLASSIFICATION_METHODS
+} from './core/Classification.js';
+export { RenderMode, DEFAULT_RENDER_SETTINGS, normalizeRenderSettings } from './core/RenderModes.js';
+export { TURBO_COLORMAP, processInChunks, AbortError, isAbortError } from './core/utils.js';
 
 // Scene modules
 export { ARScene } from './scene/ARScene.js';
@@ -20,10 +51,11 @@ export { ARManager, ARMode } from './scene/ARManager.js';
 
 // AR modules
 export { HandTracking, GestureType } from './ar/HandTracking.js';
-export { HandMenu, MenuState, ToolType } from './ar/HandMenu.js';
+export { HandMenu, MenuState, ToolType, MenuAction } from './ar/HandMenu.js';
 
 // Tool modules
 export { ToolManager } from './tools/ToolManager.js';
 export { DepthProbeTool } from './tools/DepthProbeTool.js';
 export { MeasureTool } from './tools/MeasureTool.js';
 export { ProfileTool } from './tools/ProfileTool.js';
+export { SectionTool } from './tools/SectionTool.js';
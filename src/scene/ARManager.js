@@ -32,6 +32,10 @@ export class ARManager {
     handTracking = null;
     overlayLayers = null;
     toolManager = null;
+    terrainTiles = null;
+    waterSurface = null;
+    sectionClipping = null;
+    terrainSkirt = null;
 
     // Callbacks
     onModeChange = null;
@@ -324,6 +328,26 @@ export class ARManager {
             container.remove(this.terrainMesh.mesh);
         }
 
+        // Detach LOD tile group
+        if (this.terrainTiles?.group && this.terrainTiles.group.parent === container) {
+            container.remove(this.terrainTiles.group);
+        }
+
+        // Detach water plane
+        if (this.waterSurface?.group && this.waterSurface.group.parent === container) {
+            container.remove(this.waterSurface.group);
+        }
+
+        // Detach section caps
+        if (this.sectionClipping?.group && this.sectionClipping.group.parent === container) {
+            container.remove(this.sectionClipping.group);
+        }
+
+        // Detach skirt
+        if (this.terrainSkirt?.group && this.terrainSkirt.group.parent === container) {
+            container.remove(this.terrainSkirt.group);
+        }
+
         // Detach overlay contour groups
         if (this.overlayLayers?.contourGroup && this.overlayLayers.contourGroup.parent === container) {
             container.remove(this.overlayLayers.contourGroup);
@@ -395,6 +419,22 @@ export class ARManager {
                 this.handTracking.update(frame, this.arScene.getModelContainer());
             }
         }
+
+        // Refine terrain tiles around the camera (and hands in AR)
+        if (this.terrainTiles && this.arScene) {
+            const focusPoints = [];
+            if (this.currentMode === ARMode.AR && this.handTracking) {
+                for (const hand of this.handTracking.hands) {
+                    if (hand.position.lengthSq() > 0) focusPoints.push(hand.position);
+                }
+            }
+            this.terrainTiles.update(this.arScene.getCamera(), focusPoints);
+        }
+
+        // Keep section planes on the (possibly moved) model
+        if (this.sectionClipping) {
+            this.sectionClipping.update();
+        }
     }
 
     /**
@@ -429,6 +469,38 @@ export class ARManager {
         this.overlayLayers = overlayLayers;
     }
 
+    /**
+     * Set the LOD terrain tiles component.
+     * @param {TerrainTiles} terrainTiles
+     */
+    setTerrainTiles(terrainTiles) {
+        this.terrainTiles = terrainTiles;
+    }
+
+    /**
+     * Set the water surface component.
+     * @param {WaterSurface|null} waterSurface
+     */
+    setWaterSurface(waterSurface) {
+        this.waterSurface = waterSurface;
+    }
+
+    /**
+     * Set the cross-section component.
+     * @param {SectionClipping|null} sectionClipping
+     */
+    setSectionClipping(sectionClipping) {
+        this.sectionClipping = sectionClipping;
+    }
+
+    /**
+     * Set the skirt component.
+     * @param {TerrainSkirt|null} terrainSkirt
+     */
+    setTerrainSkirt(terrainSkirt) {
+        this.terrainSkirt = terrainSkirt;
+    }
+
     /**
      * Get the AR scene.
      * @returns {ARScene}
@@ -454,6 +526,10 @@ export class ARManager {
         this.handTracking = null;
         this.overlayLayers = null;
         this.toolManager = null;
+        this.terrainTiles = null;
+        this.waterSurface = null;
+        this.sectionClipping = null;
+        this.terrainSkirt = null;
         this.appState = null;
         this.appConfig = null;
     }
@@ -6,7 +6,7 @@
  */
 
 import * as THREE from 'three';
-import { createTextSprite, updateTextSprite, worldToLocal, localToWorld, throttle, clampedElementScale } from './ToolUtils.js';
+import { createTextSprite, updateTextSprite, worldToLocal, localToWorld, throttle, clampedElementScale, formatElevation } from './ToolUtils.js';
 
 export class DepthProbeTool {
     constructor() {
@@ -145,9 +145,9 @@ export class DepthProbeTool {
             const depth = terrainMesh.referenceElevation - elevation;
             this._lastDepth = depth;
 
-            const elevStr = elevation.toFixed(1);
+            const elevStr = formatElevation(elevation, terrainMesh);
             const depthStr = depth.toFixed(1);
-            updateTextSprite(this.label, `${elevStr}m (${depthStr}m below ref)`);
+            updateTextSprite(this.label, `${elevStr} (${depthStr}m below ref)`);
         } else {
             updateTextSprite(this.label, 'No data');
             this._lastElevation = null;
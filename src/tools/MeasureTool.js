@@ -211,7 +211,6 @@ export class MeasureTool {
      */
     _computeDistances(terrainMesh) {
         const groupPos = this.group.position;
-        const scale = terrainMesh.realWorldScale;
 
         // Model-local positions of each dot
         const ax = groupPos.x + this.posA.x;
@@ -219,15 +218,12 @@ export class MeasureTool {
         const bx = groupPos.x + this.posB.x;
         const bz = groupPos.z + this.posB.z;
 
-        // Horizontal distance in model space -> real-world
-        const dx = bx - ax;
-        const dz = bz - az;
-        const hDistModel = Math.hypot(dx, dz);
-        const hDist = hDistModel * scale;
-
-        // Bearing: angle from North (-Z axis), clockwise
-        let bearing = Math.atan2(dx, -dz) * 180 / Math.PI;
-        if (bearing < 0) bearing += 360;
+        // Horizontal distance and bearing (clockwise from north); geodesic
+        // for geographic rasters
+        const { distance: hDist, bearing } = terrainMesh.measureGroundDistance(
+            new THREE.Vector3(ax, 0, az),
+            new THREE.Vector3(bx, 0, bz)
+        );
 
         // Get raw elevations for 3D distance, height difference, and azimuth
         const halfW = terrainMesh.modelWidth / 2;
@@ -7,7 +7,7 @@
  */
 
 import * as THREE from 'three';
-import { createTextSprite, throttle, clampedElementScale } from './ToolUtils.js';
+import { createTextSprite, throttle, clampedElementScale, formatElevation } from './ToolUtils.js';
 
 const NUM_SAMPLES = 80;
 
@@ -273,11 +273,13 @@ export class ProfileTool {
 
             // Compute cumulative distance along the profile
             if (prevPos) {
-                // Distance in real-world units
-                const dx = pos.x - prevPos.x;
-                const dy = pos.y - prevPos.y;
-                const dz = pos.z - prevPos.z;
-                const segmentDist = Math.hypot(dx, dy, dz) * terrainMesh.realWorldScale;
+                // Distance in real-world units (geodesic horizontal for geographic rasters)
+                const ground = terrainMesh.measureGroundDistance(
+                    new THREE.Vector3(prevPos.x + groupPos.x, 0, prevPos.z + groupPos.z),
+                    new THREE.Vector3(x, 0, z)
+                ).distance;
+                const dy = (pos.y - prevPos.y) * terrainMesh.realWorldScale;
+                const segmentDist = Math.hypot(ground, dy);
                 cumulativeDistance += segmentDist;
             }
 
@@ -412,7 +414,7 @@ export class ProfileTool {
                 }
                 const elev = pt0.elevation + (pt1.elevation - pt0.elevation) * localT;
                 const depth = terrainMesh.referenceElevation - elev;
-                elevationStr = `${elev.toFixed(1)}m (${depth.toFixed(1)}m below ref)`;
+                elevationStr = `${formatElevation(elev, terrainMesh)} (${depth.toFixed(1)}m below ref)`;
             }
         }
 
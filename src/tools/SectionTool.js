@@ -0,0 +1,254 @@
+/**
+ * SectionTool.js - Draggable cross-section line for AR terrain
+ *
+ * Two endpoints define a vertical cutting plane; the terrain to the right
+ * of A -> B (seen from above) is removed. A translucent blade along the
+ * line and an arrow toward the removed side show where the cut will be.
+ * ToolManager reports the line so the owner can apply the section.
+ */
+
+import * as THREE from 'three';
+import { clampedElementScale } from './ToolUtils.js';
+
+const BLADE_HEIGHT = 0.03; // blade rises this far above the higher dot
+
+export class SectionTool {
+    constructor() {
+        this.group = new THREE.Group();
+        this.group.name = 'sectionTool';
+
+        // Visual components
+        this.dotA = null;
+        this.dotB = null;
+        this.line = null;
+        this.blade = null;
+        this.sideArrow = null;  // Points toward the removed side
+
+        // State
+        this.grabbedIndex = -1; // -1 = not grabbed, 0 = dotA, 1 = dotB
+
+        // Positions in group-local space (relative to group origin)
+        this.posA = new THREE.Vector3(-0.03, 0, 0);
+        this.posB = new THREE.Vector3(0.03, 0, 0);
+    }
+
+    /**
+     * Create the visual elements.
+     */
+    createVisuals() {
+        const dotGeo = new THREE.SphereGeometry(0.008, 12, 12);
+        const dotMat = new THREE.MeshBasicMaterial({ color: 0xffa726, depthTest: false });
+
+        this.dotA = new THREE.Mesh(dotGeo, dotMat.clone());
+        this.dotA.position.copy(this.posA);
+        this.group.add(this.dotA);
+
+        this.dotB = new THREE.Mesh(dotGeo, dotMat.clone());
+        this.dotB.position.copy(this.posB);
+        this.group.add(this.dotB);
+
+        // Connecting line
+        const lineGeo = new THREE.BufferGeometry();
+        lineGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+        this.line = new THREE.Line(lineGeo, new THREE.LineBasicMaterial({
+            color: 0xffa726,
+            depthTest: false
+        }));
+        this.line.frustumCulled = false;
+        this.group.add(this.line);
+
+        // Vertical blade above the line (quad: A low, B low, B high, A high)
+        const bladeGeo = new THREE.BufferGeometry();
+        bladeGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(12), 3));
+        bladeGeo.setIndex([0, 1, 2, 0, 2, 3]);
+        this.blade = new THREE.Mesh(bladeGeo, new THREE.MeshBasicMaterial({
+            color: 0xffa726,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.25,
+            depthWrite: false
+        }));
+        this.blade.frustumCulled = false;
+        this.group.add(this.blade);
+
+        // Arrow toward the removed side
+        const arrowGeo = new THREE.ConeGeometry(0.004, 0.012, 8);
+        this.sideArrow = new THREE.Mesh(arrowGeo, new THREE.MeshBasicMaterial({ color: 0xffa726, depthTest: false }));
+        this.group.add(this.sideArrow);
+
+        // Highlight rings for each dot
+        const ringGeo = new THREE.RingGeometry(0.012, 0.02, 24);
+        const ringMat = new THREE.MeshBasicMaterial({
+            color: 0xffa726,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.6,
+            depthTest: false
+        });
+
+        this.highlightA = new THREE.Mesh(ringGeo, ringMat.clone());
+        this.highlightA.rotation.x = -Math.PI / 2;
+        this.highlightA.visible = false;
+        this.group.add(this.highlightA);
+
+        this.highlightB = new THREE.Mesh(ringGeo, ringMat.clone());
+        this.highlightB.rotation.x = -Math.PI / 2;
+        this.highlightB.visible = false;
+        this.group.add(this.highlightB);
+
+        this._updateLineAndBlade();
+    }
+
+    /**
+     * Update the tool each frame while placed in the world.
+     * @param {TerrainMesh} terrainMesh
+     * @param {THREE.Group} modelContainer
+     */
+    updateInWorld(terrainMesh, modelContainer) {
+        if (!terrainMesh) return;
+
+        // Clamp interactive element sizes to real-world bounds
+        if (modelContainer) {
+            const cs = modelContainer.scale.x;
+            const dotS = clampedElementScale(0.008, cs, 0.005, 0.025);
+            this.dotA.scale.setScalar(dotS);
+            this.dotB.scale.setScalar(dotS);
+            this.highlightA.scale.setScalar(dotS);
+            this.highlightB.scale.setScalar(dotS);
+            this.sideArrow.scale.setScalar(clampedElementScale(0.006, cs, 0.004, 0.02));
+        }
+
+        // Snap non-grabbed dots to the terrain. Grabbed dots follow the
+        // pinch center (see updateGrab()).
+        const groupPos = this.group.position;
+        if (this.grabbedIndex !== 0) {
+            const yA = terrainMesh.getHeightAtLocalPosition(groupPos.x + this.posA.x, groupPos.z + this.posA.z);
+            this.dotA.position.set(this.posA.x, yA - groupPos.y, this.posA.z);
+        }
+        if (this.grabbedIndex !== 1) {
+            const yB = terrainMesh.getHeightAtLocalPosition(groupPos.x + this.posB.x, groupPos.z + this.posB.z);
+            this.dotB.position.set(this.posB.x, yB - groupPos.y, this.posB.z);
+        }
+
+        this.highlightA.position.copy(this.dotA.position);
+        this.highlightA.position.y += 0.001;
+        this.highlightB.position.copy(this.dotB.position);
+        this.highlightB.position.y += 0.001;
+
+        this._updateLineAndBlade();
+    }
+
+    /**
+     * Update line, blade and side arrow geometry from the dot positions.
+     */
+    _updateLineAndBlade() {
+        if (!this.line) return;
+
+        const a = this.dotA.position;
+        const b = this.dotB.position;
+
+        const linePos = this.line.geometry.attributes.position;
+        linePos.setXYZ(0, a.x, a.y, a.z);
+        linePos.setXYZ(1, b.x, b.y, b.z);
+        linePos.needsUpdate = true;
+
+        const top = Math.max(a.y, b.y) + BLADE_HEIGHT;
+        const bladePos = this.blade.geometry.attributes.position;
+        bladePos.setXYZ(0, a.x, a.y, a.z);
+        bladePos.setXYZ(1, b.x, b.y, b.z);
+        bladePos.setXYZ(2, b.x, top, b.z);
+        bladePos.setXYZ(3, a.x, top, a.z);
+        bladePos.needsUpdate = true;
+
+        // Arrow at the blade's middle, pointing to the right of A -> B
+        const removed = new THREE.Vector3(-(b.z - a.z), 0, b.x - a.x);
+        if (removed.lengthSq() > 1e-10) {
+            removed.normalize();
+            this.sideArrow.position.set((a.x + b.x) / 2, top - BLADE_HEIGHT / 2, (a.z + b.z) / 2)
+                .addScaledVector(removed, 0.01);
+            // ConeGeometry points up (+Y); rotate to point along removed
+            this.sideArrow.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), removed);
+        }
+    }
+
+    /**
+     * Section line endpoints in model-local space (the cut runs from A to B).
+     * @returns {{ from: THREE.Vector3, to: THREE.Vector3 }}
+     */
+    getSectionLine() {
+        const groupPos = this.group.position;
+        return {
+            from: new THREE.Vector3(groupPos.x + this.posA.x, 0, groupPos.z + this.posA.z),
+            to: new THREE.Vector3(groupPos.x + this.posB.x, 0, groupPos.z + this.posB.z)
+        };
+    }
+
+    /**
+     * Get interaction points in model-local space (absolute, not group-relative).
+     * @returns {THREE.Vector3[]} [pointA, pointB]
+     */
+    getInteractionPoints() {
+        const groupPos = this.group.position;
+        return [
+            groupPos.clone().add(this.dotA.position),
+            groupPos.clone().add(this.dotB.position)
+        ];
+    }
+
+    /**
+     * Set highlight state for a specific dot.
+     * @param {number} idx - 0 = dotA, 1 = dotB
+     * @param {boolean} highlighted
+     */
+    setHighlight(idx, highlighted) {
+        if (idx === 0 && this.highlightA) this.highlightA.visible = highlighted;
+        if (idx === 1 && this.highlightB) this.highlightB.visible = highlighted;
+    }
+
+    /**
+     * Start grabbing a dot.
+     * @param {number} idx - 0 = dotA, 1 = dotB
+     */
+    startGrab(idx) {
+        this.grabbedIndex = idx;
+        this.setHighlight(idx, false);
+    }
+
+    /**
+     * Update position of the grabbed dot.
+     * @param {THREE.Vector3} localPos - New position in model-local space
+     */
+    updateGrab(localPos) {
+        const groupPos = this.group.position;
+        const relY = localPos.y - groupPos.y;
+        if (this.grabbedIndex === 0) {
+            this.posA.set(localPos.x - groupPos.x, 0, localPos.z - groupPos.z);
+            this.dotA.position.set(this.posA.x, relY, this.posA.z);
+        } else if (this.grabbedIndex === 1) {
+            this.posB.set(localPos.x - groupPos.x, 0, localPos.z - groupPos.z);
+            this.dotB.position.set(this.posB.x, relY, this.posB.z);
+        }
+        this._updateLineAndBlade();
+    }
+
+    /**
+     * End grab. The dot drops onto the terrain in the next updateInWorld().
+     */
+    endGrab() {
+        this.grabbedIndex = -1;
+    }
+
+    /**
+     * Dispose of all resources.
+     */
+    dispose() {
+        if (this.group.parent) {
+            this.group.parent.remove(this.group);
+        }
+
+        this.group.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+}
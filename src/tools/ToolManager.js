@@ -10,6 +10,7 @@ import { HandMenu, ToolType } from '../ar/HandMenu.js';
 import { DepthProbeTool } from './DepthProbeTool.js';
 import { MeasureTool } from './MeasureTool.js';
 import { ProfileTool } from './ProfileTool.js';
+import { SectionTool } from './SectionTool.js';
 import { worldToLocal, localToWorld } from './ToolUtils.js';
 
 const PROXIMITY_THRESHOLD = 0.05; // 8cm in world space
@@ -41,6 +42,13 @@ export class ToolManager {
     // Interaction state callback
     onInteractionStateChange = null;
 
+    // Hand menu action callback (action) => void, see MenuAction
+    onMenuAction = null;
+
+    // Section line callback ({ from, to } in model-local space, or null when
+    // the section tool is removed) => void
+    onSectionChange = null;
+
     // Track previous interaction active state
     _wasInteractionActive = false;
 
@@ -74,6 +82,11 @@ export class ToolManager {
         this.handMenu.onToolSelected = (toolType, menuWorldPos) => {
             this._onMenuToolSelected(toolType, menuWorldPos);
         };
+
+        // Menu actions go to the owner (e.g. colormap switching in TerrainViewer)
+        this.handMenu.onActionSelected = (action) => {
+            if (this.onMenuAction) this.onMenuAction(action);
+        };
     }
 
     /**
@@ -160,6 +173,8 @@ export class ToolManager {
             tool = new MeasureTool();
         } else if (toolType === ToolType.PROFILE) {
             tool = new ProfileTool();
+        } else if (toolType === ToolType.SECTION) {
+            tool = new SectionTool();
         } else {
             return;
         }
@@ -213,7 +228,15 @@ export class ToolManager {
         if (fingerWorld && this.handMenu?.isInDeleteZone(fingerWorld)) {
             this.menuGrabTool.dispose();
         } else {
+            // Only one section at a time: a new section tool replaces the old one
+            if (this.menuGrabType === ToolType.SECTION) {
+                for (const entry of this.tools.filter(e => e.type === ToolType.SECTION)) {
+                    entry.tool.dispose();
+                    this.tools.splice(this.tools.indexOf(entry), 1);
+                }
+            }
             this.tools.push({ tool: this.menuGrabTool, type: this.menuGrabType });
+            this._notifySection(this.menuGrabTool);
         }
 
         this.menuGrabTool = null;
@@ -237,6 +260,7 @@ export class ToolManager {
             // Update tool position
             const localPos = worldToLocal(fingerWorld, this.modelContainer);
             this.grabbedTool.updateGrab(localPos);
+            this._notifySection(this.grabbedTool);
 
             // Show/hide delete icon based on proximity to menu
             const nearDelete = this.handMenu?.isInDeleteZone(fingerWorld) ?? false;
@@ -255,6 +279,9 @@ export class ToolManager {
             const idx = this.tools.findIndex(e => e.tool === this.grabbedTool);
             if (idx >= 0) this.tools.splice(idx, 1);
             this.grabbedTool.dispose();
+            if (this.grabbedTool instanceof SectionTool && this.onSectionChange) {
+                this.onSectionChange(null);
+            }
         } else {
             this.grabbedTool.endGrab(this.terrainMesh);
         }
@@ -266,6 +293,16 @@ export class ToolManager {
         if (this.handMenu) this.handMenu.showDeleteIcon(false);
     }
 
+    /**
+     * Report a section tool's line to onSectionChange (other tools are ignored).
+     * @param {Object} tool
+     */
+    _notifySection(tool) {
+        if (tool instanceof SectionTool && this.onSectionChange) {
+            this.onSectionChange(tool.getSectionLine());
+        }
+    }
+
     /**
      * Clear highlight state on every interaction point of every placed tool.
      */
@@ -395,6 +432,35 @@ export class ToolManager {
         }
     }
 
+    /**
+     * Switch to a new terrain. Tools placed on the previous terrain are removed.
+     * @param {TerrainMesh} terrainMesh
+     */
+    setTerrainMesh(terrainMesh) {
+        this.reset();
+
+        this._clearTools();
+        if (this.handMenu) this.handMenu.showDeleteIcon(false);
+
+        this.terrainMesh = terrainMesh;
+    }
+
+    /**
+     * Dispose every placed tool. Removing a section tool lifts its section
+     * (onSectionChange(null)), as deleting it does.
+     */
+    _clearTools() {
+        const hadSection = this.tools.some(entry => entry.tool instanceof SectionTool);
+        for (const entry of this.tools) {
+            entry.tool.dispose();
+        }
+        this.tools = [];
+
+        if (hadSection && this.onSectionChange) {
+            this.onSectionChange(null);
+        }
+    }
+
     /**
      * Reset state (e.g., when session pauses).
      */
@@ -424,10 +490,7 @@ export class ToolManager {
      * Dispose of all resources.
      */
     dispose() {
-        for (const entry of this.tools) {
-            entry.tool.dispose();
-        }
-        this.tools = [];
+        this._clearTools();
 
         if (this.menuGrabTool) {
             this.menuGrabTool.dispose();
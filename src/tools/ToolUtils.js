@@ -158,6 +158,18 @@ export function clampedElementScale(geoSize, containerScale, minWorld, maxWorld)
     return 1;
 }
 
+/**
+ * Format an elevation for a tool label, naming the vertical datum when the
+ * source declared one (e.g. "-12.3m NAVD88").
+ * @param {number} elevation - Metres
+ * @param {TerrainMesh} terrainMesh
+ * @returns {string}
+ */
+export function formatElevation(elevation, terrainMesh) {
+    const datum = terrainMesh.crs?.vertical?.datum;
+    return `${elevation.toFixed(1)}m${datum ? ` ${datum}` : ''}`;
+}
+
 /**
  * Create a simple throttle wrapper.
  * @param {Function} fn - Function to throttle
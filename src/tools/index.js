@@ -6,4 +6,5 @@ export { ToolManager } from './ToolManager.js';
 export { DepthProbeTool } from './DepthProbeTool.js';
 export { MeasureTool } from './MeasureTool.js';
 export { ProfileTool } from './ProfileTool.js';
+export { SectionTool } from './SectionTool.js';
 export * from './ToolUtils.js';
@@ -0,0 +1,185 @@
+import { describe, it, expect, vi } from 'vitest';
+import fc from 'fast-check';
+import {
+    normalizeClassification, computeBreaks, classIndex, classColors, MAX_CLASSES
+} from '../src/core/Classification.js';
+import { createColormap, sampleColormap } from '../src/core/Colormaps.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { slopedGrid, stepGrid, gridWithNoDataHole } from './helpers/elevation-grids.js';
+
+describe('computeBreaks', () => {
+    const values = Float32Array.from({ length: 101 }, (_, i) => i);
+
+    it('splits the value range into equal intervals', () => {
+        expect(computeBreaks(values, 'equal', 4)).toEqual([0, 25, 50, 75, 100]);
+    });
+
+    it('puts equal counts in each quantile class', () => {
+        const skewed = Float32Array.from({ length: 100 }, (_, i) => i * i);
+        const breaks = computeBreaks(skewed, 'quantile', 4);
+        const counts = [0, 0, 0, 0];
+        for (const v of skewed) counts[classIndex(breaks, v)]++;
+        expect(counts).toEqual([25, 25, 25, 25]);
+    });
+
+    it('finds the gaps between clusters with natural breaks', () => {
+        const clustered = [1, 2, 2, 3, 10, 11, 12, 30, 31, 32, 33];
+        const breaks = computeBreaks(clustered, 'jenks', 3);
+        expect(breaks).toEqual([1, 6.5, 21, 33]);
+    });
+
+    it('collapses classes on repeated values and handles degenerate input', () => {
+        expect(computeBreaks([1, 1, 1, 1, 5], 'quantile', 4)).toEqual([1, 5]);
+        expect(computeBreaks([7, 7], 'equal', 3)).toEqual([7, 7]);
+        expect(computeBreaks([], 'jenks', 3)).toEqual([]);
+    });
+
+    it('returns ascending breaks covering the data', () => {
+        fc.assert(fc.property(
+            fc.array(fc.float({ min: -1000, max: 1000, noNaN: true }), { minLength: 2, maxLength: 200 }),
+            fc.constantFrom('equal', 'quantile', 'jenks'),
+            fc.integer({ min: 1, max: MAX_CLASSES }),
+            (data, method, classes) => {
+                const breaks = computeBreaks(data, method, classes);
+                const sorted = [...data].sort((a, b) => a - b);
+                return breaks.length <= classes + 1 &&
+                    breaks[0] === Math.fround(sorted[0]) &&
+                    breaks.at(-1) === Math.fround(sorted.at(-1)) &&
+                    breaks.every((b, i) => i === 0 || b > breaks[i - 1] || breaks.length === 2);
+            }
+        ), { numRuns: 100 });
+    });
+});
+
+describe('classIndex', () => {
+    it('clamps values outside the breaks to the end classes', () => {
+        const breaks = [0, 2, 5, 10];
+        expect([-1, 0, 1.9, 2, 4.9, 5, 10, 50].map(v => classIndex(breaks, v))).toEqual([0, 0, 0, 1, 1, 2, 2, 2]);
+    });
+});
+
+describe('normalizeClassification', () => {
+    it('defaults to five equal-interval classes and infers explicit breaks', () => {
+        expect(normalizeClassification({})).toEqual({ method: 'equal', classes: 5, breaks: null, colors: null });
+        expect(normalizeClassification({ breaks: [0, 2, 5, 10], colors: ['#fff', 'red', [0, 0, 1]] })).toEqual({
+            method: 'explicit', classes: 3, breaks: [0, 2, 5, 10], colors: [[1, 1, 1], [1, 0, 0], [0, 0, 1]]
+        });
+    });
+
+    it('rejects invalid specs', () => {
+        expect(() => normalizeClassification({ method: 'kmeans' })).toThrow('Unknown classification method');
+        expect(() => normalizeClassification({ classes: MAX_CLASSES + 1 })).toThrow('from 1 to 16');
+        expect(() => normalizeClassification({ breaks: [0, 5, 2] })).toThrow('ascending');
+        expect(() => normalizeClassification({ classes: 2, colors: ['red'] })).toThrow('Expected 2 class colors');
+    });
+});
+
+describe('classColors', () => {
+    it('samples the colormap at class centers, inverted for depth', () => {
+        const turbo = createColormap('turbo');
+        expect(classColors(turbo, 2)[0]).toEqual(sampleColormap(turbo, 0.25));
+        expect(classColors(turbo, 2, true)[0]).toEqual(sampleColormap(turbo, 0.75));
+    });
+});
+
+describe('TerrainMesh classification', () => {
+    it('reports class areas that add up to the area below the reference', async () => {
+        // 10x10 sloped grid, 1 m² pixels, reference above everything
+        const tm = createTestTerrain(slopedGrid(10, 10, 0, 9), { referenceElevation: 10, depthRange: [0, 10] });
+        await tm.setClassification({ breaks: [0, 2, 5, 10] });
+
+        const legend = tm.getLegend();
+        expect(legend.method).toBe('explicit');
+        expect(legend.value).toBe('depth');
+        expect(legend.classes.map(c => [c.min, c.max])).toEqual([[0, 2], [2, 5], [5, 10]]);
+        expect(legend.totalArea).toBeCloseTo(100, 6);
+        expect(legend.classes.reduce((sum, c) => sum + c.fraction, 0)).toBeCloseTo(1, 6);
+        expect(legend.classes[0].color).toMatch(/^#[0-9a-f]{6}$/);
+    });
+
+    it('excludes NoData and above-reference pixels from the areas', async () => {
+        const tm = createTestTerrain(stepGrid(10, 10, 0, 20), { referenceElevation: 10, depthRange: [0, 10] });
+        await tm.setClassification({ method: 'equal', classes: 2 });
+        expect(tm.getLegend().totalArea).toBeCloseTo(50, 6);
+
+        const holed = createTestTerrain(gridWithNoDataHole(10, 10, -5, -9999), { referenceElevation: 0, noDataValue: -9999 });
+        await holed.setClassification({ method: 'equal', classes: 2 });
+        expect(holed.getLegend().totalArea).toBeLessThan(100);
+    });
+
+    it('colors vertices with one color per class on the CPU path', async () => {
+        const tm = createTestTerrain(slopedGrid(16, 16, -30, 0), { referenceElevation: 0.5, depthRange: [0, 31] });
+        tm._createGeometry();
+        await tm.setClassification({ method: 'quantile', classes: 3 });
+
+        const colors = tm.geometry.attributes.color;
+        const distinct = new Set();
+        for (let i = 0; i < colors.count; i++) {
+            distinct.add([colors.getX(i), colors.getY(i), colors.getZ(i)].map(v => v.toFixed(4)).join());
+        }
+        const expected = new Set(tm.getLegend().classes.map(c => c.rgb.map(v => v.toFixed(4)).join()));
+        expect(distinct).toEqual(expected);
+    });
+
+    it('uploads breaks and colors to the shared uniforms and follows the reference', async () => {
+        const tm = createTestTerrain(slopedGrid(10, 10, 0, 9), { referenceElevation: 10, depthRange: [0, 10] });
+        await tm.setClassification({ method: 'equal', classes: 4, colors: ['red', 'lime', 'blue', 'white'] });
+
+        const uniforms = tm.colorUniforms;
+        expect(uniforms.classCount.value).toBe(4);
+        expect(Array.from(uniforms.classColors.value.slice(0, 6))).toEqual([1, 0, 0, 0, 1, 0]);
+        const before = Array.from(uniforms.classBreaks.value.slice(0, 5));
+
+        tm.setElevationConfig(5, [0, 5], null);
+        tm._createGeometry();
+        await tm.updateReferenceElevation(5);
+        expect(Array.from(uniforms.classBreaks.value.slice(0, 5))).not.toEqual(before);
+        expect(tm.getLegend().totalArea).toBeLessThan(100);
+
+        await tm.setClassification(null);
+        expect(uniforms.classCount.value).toBe(0);
+        expect(tm.getLegend()).toBeNull();
+    });
+
+    it('keeps the latest classes when earlier jobs finish last', async () => {
+        const tm = createTestTerrain(slopedGrid(10, 10, 0, 9), { referenceElevation: 10, depthRange: [0, 10] });
+        await tm.setClassification({ method: 'equal', classes: 3 });
+        const expected = tm.getLegend().classes.map(c => c.min);
+
+        // The first job answers after the second
+        const run = tm.workerPool.run.bind(tm.workerPool);
+        let releaseFirst;
+        const firstDone = new Promise(resolve => { releaseFirst = resolve; });
+        vi.spyOn(tm.workerPool, 'run')
+            .mockImplementationOnce(async (...args) => { await firstDone; return run(...args); })
+            .mockImplementation(run);
+
+        tm.referenceElevation = 5;
+        const stale = tm._classifyAsync();
+        tm.referenceElevation = 10;
+        await tm._classifyAsync();
+        releaseFirst();
+        await stale;
+        expect(tm.getLegend().classes.map(c => c.min)).toEqual(expected);
+    });
+
+    it('refilters and reclassifies once a reference drag settles', async () => {
+        const tm = createTestTerrain(slopedGrid(10, 10, 0, 9), { referenceElevation: 10, depthRange: [0, 10] });
+        await tm.setClassification({ method: 'equal', classes: 3 });
+        tm._createGeometry();
+        const run = vi.spyOn(tm.workerPool, 'run');
+
+        await Promise.all([3, 4, 5, 6].map(elevation => tm.updateReferenceElevation(elevation)));
+        const jobs = run.mock.calls.map(([job, params]) => [job, params.referenceElevation]);
+        expect(jobs.sort()).toEqual([['classify', 6], ['filterTriangles', 6]]);
+    });
+
+    it('recolors classes when the colormap changes', async () => {
+        const tm = createTestTerrain(slopedGrid(8, 8, 0, 7), { referenceElevation: 8, depthRange: [0, 8] });
+        await tm.setClassification({ method: 'equal', classes: 2 });
+        const before = tm.getLegend().classes[0].color;
+
+        await tm.setColormap('linear-gradient(black, white)');
+        expect(tm.getLegend().classes[0].color).not.toBe(before);
+    });
+});
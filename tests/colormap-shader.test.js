@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { COLORMAP_SIZE, createColormap } from '../src/core/Colormaps.js';
+import { createColormapTexture, createColorBandTexture } from '../src/core/ColormapShader.js';
+import { TerrainTiles } from '../src/core/TerrainTiles.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { slopedGrid, basin } from './helpers/elevation-grids.js';
+
+/** Terrain on the GPU path (the factory defaults to the CPU fallback). */
+async function createGPUTerrain(grid, options) {
+    const tm = createTestTerrain(grid, options);
+    tm.useGPUDisplacement = true;
+    tm._createGeometry();
+    await tm._filterAboveWaterTrianglesAsync();
+    tm._createMaterial();
+    return tm;
+}
+
+describe('colormap textures', () => {
+    it('stores the lookup table as RGBA bytes', () => {
+        const table = createColormap('viridis');
+        const data = createColormapTexture(table).image.data;
+        expect(data.length).toBe(COLORMAP_SIZE * 4);
+        for (const i of [0, 100, 255]) {
+            expect(data[i * 4]).toBe(Math.round(table[i * 3] * 255));
+            expect(data[i * 4 + 2]).toBe(Math.round(table[i * 3 + 2] * 255));
+            expect(data[i * 4 + 3]).toBe(255);
+        }
+    });
+
+    it('replaces coloring band NoData with the shader sentinel', () => {
+        const texture = createColorBandTexture({ data: new Float32Array([1, NaN, 3, Infinity]), width: 2, height: 2 });
+        expect(Array.from(texture.image.data)).toEqual([1, 1e38, 3, 1e38].map(Math.fround));
+        expect(texture.minFilter).toBe(THREE.NearestFilter);
+    });
+});
+
+describe('TerrainMesh GPU coloring', () => {
+    it('colors in the shader instead of per vertex', async () => {
+        const tm = await createGPUTerrain(slopedGrid(12, 12, -30, 0), { referenceElevation: 0, depthRange: [0, 30] });
+        expect(tm.geometry.attributes.color).toBeUndefined();
+        expect(tm.material.fragmentShader).toContain('terrainColor(vElevation, waterLevel');
+        expect(tm.material.uniforms.colormapMap).toBe(tm.colorUniforms.colormapMap);
+    });
+
+    it('recolors on reference elevation changes through uniforms only', async () => {
+        const tm = await createGPUTerrain(slopedGrid(12, 12, -30, 0), { referenceElevation: 0, depthRange: [0, 30] });
+        tm.setElevationConfig(-10, [0, 20], null);
+        await tm.updateReferenceElevation(-10);
+
+        expect(tm.material.uniforms.waterLevel.value).toBe(-10);
+        expect(tm.material.uniforms.depthRange.value.toArray()).toEqual([0, 20]);
+        expect(tm.geometry.attributes.color).toBeUndefined();
+    });
+
+    it('switches colormaps by rewriting the lookup texture', async () => {
+        const tm = await createGPUTerrain(slopedGrid(8, 8, -10, 0), { referenceElevation: 0, depthRange: [0, 10] });
+        const texture = tm.material.uniforms.colormapMap.value;
+        const version = texture.version;
+
+        await tm.setColormap('linear-gradient(black, white)');
+        expect(tm.material.uniforms.colormapMap.value).toBe(texture);
+        expect(texture.version).toBeGreaterThan(version);
+        expect(Array.from(texture.image.data.slice(0, 4))).toEqual([0, 0, 0, 255]);
+        expect(tm.geometry.attributes.color).toBeUndefined();
+    });
+
+    it('uploads the coloring band for the shader', async () => {
+        const tm = createTestTerrain(slopedGrid(4, 4, -10, 0), { referenceElevation: 0, depthRange: [0, 10] });
+        tm.colorBand = { band: 1, data: new Float32Array(16).fill(2), width: 4, height: 4, range: [1, 3] };
+        tm._updateColorBandUniforms();
+
+        expect(tm.colorUniforms.useColorBand.value).toBe(1);
+        expect(tm.colorUniforms.colorBandRange.value.toArray()).toEqual([1, 3]);
+        expect(tm.colorUniforms.colorBandMap.value.image.width).toBe(4);
+
+        tm.colorBand = null;
+        tm._updateColorBandUniforms();
+        expect(tm.colorUniforms.useColorBand.value).toBe(0);
+        expect(tm.colorUniforms.colorBandMap.value).toBeNull();
+    });
+});
+
+describe('CPU fallback coloring', () => {
+    it('still recomputes vertex colors', async () => {
+        const tm = createTestTerrain(slopedGrid(8, 8, -10, 0), { referenceElevation: 0, depthRange: [0, 10] });
+        tm._createGeometry();
+        await tm._computeVertexColorsAsync();
+        const before = tm.geometry.attributes.color.array.slice();
+
+        await tm.setColormap('linear-gradient(black, white)');
+        expect(tm.geometry.attributes.color.array).not.toEqual(before);
+    });
+});
+
+describe('TerrainTiles coloring', () => {
+    it('shares the base terrain color uniforms', () => {
+        const tm = createTestTerrain(basin(17, 17, 10, 0), { referenceElevation: 10, depthRange: [0, 10] });
+        const tiles = new TerrainTiles({ tileSize: 9 });
+        tiles.init(new THREE.Group(), tm, { width: 17, height: 17, readTile: async () => new Float32Array(81) });
+
+        for (const name of Object.keys(tm.colorUniforms)) {
+            expect(tiles.material.uniforms[name]).toBe(tm.colorUniforms[name]);
+        }
+        expect(tiles.material.fragmentShader).toContain('terrainColor(');
+        tiles.dispose();
+    });
+});
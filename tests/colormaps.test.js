@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+    COLORMAP_SIZE, registerColormap, getColormaps, createColormap, sampleColormap, parseColor
+} from '../src/core/Colormaps.js';
+import { TURBO_COLORMAP } from '../src/core/utils.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { slopedGrid } from './helpers/elevation-grids.js';
+
+function entry(table, i) {
+    return Array.from(table.slice(i * 3, i * 3 + 3));
+}
+
+describe('colormap registry', () => {
+    it('has the built-in colormaps, turbo first', () => {
+        expect(getColormaps().slice(0, 6)).toEqual(['turbo', 'viridis', 'cividis', 'bathymetry', 'hypsometric', 'diverging']);
+    });
+
+    it('maps turbo one-to-one onto its table', () => {
+        const table = createColormap('turbo');
+        expect(table.length).toBe(COLORMAP_SIZE * 3);
+        for (const i of [0, 17, 128, 255]) {
+            entry(table, i).forEach((v, c) => expect(v).toBeCloseTo(TURBO_COLORMAP[i][c], 5));
+        }
+    });
+
+    it('keeps every table entry in [0, 1]', () => {
+        for (const name of getColormaps()) {
+            expect(createColormap(name).every(v => v >= 0 && v <= 1)).toBe(true);
+        }
+    });
+
+    it('rejects unknown names, listing the registered ones', () => {
+        expect(() => createColormap('jet')).toThrow('Unknown colormap: jet (registered: turbo, viridis');
+    });
+
+    it('registers custom ramps by name', () => {
+        registerColormap('test-mono', ['black', 'white']);
+        expect(getColormaps()).toContain('test-mono');
+        expect(sampleColormap(createColormap('test-mono'), 0.5)[0]).toBeCloseTo(0.5, 2);
+    });
+});
+
+describe('parseColor', () => {
+    it('reads hex, rgb() and named colors', () => {
+        expect(parseColor('#ff0000')).toEqual([1, 0, 0]);
+        expect(parseColor('#0f0')).toEqual([0, 1, 0]);
+        expect(parseColor('rgb(0, 0, 255)')).toEqual([0, 0, 1]);
+        expect(parseColor('rgba(255 255 255 / 50%)')).toEqual([1, 1, 1]);
+        expect(parseColor(' Navy ')).toEqual([0, 0, 128 / 255]);
+    });
+
+    it('rejects anything else', () => {
+        expect(() => parseColor('hsl(0, 100%, 50%)')).toThrow('Unrecognized color');
+    });
+});
+
+describe('custom ramps', () => {
+    it('spreads stops without positions evenly', () => {
+        const table = createColormap(['#000000', '#ff0000', '#ffffff']);
+        expect(entry(table, 0)).toEqual([0, 0, 0]);
+        sampleColormap(table, 0.5).forEach((v, c) => expect(v).toBeCloseTo([1, 0, 0][c], 2));
+        expect(entry(table, COLORMAP_SIZE - 1)).toEqual([1, 1, 1]);
+    });
+
+    it('accepts [position, color] pairs and { position, color } objects', () => {
+        const pairs = createColormap([[0, 'black'], [0.25, 'white'], [1, 'white']]);
+        const objects = createColormap([{ position: 0, color: [0, 0, 0] }, { position: 0.25, color: [1, 1, 1] }, { color: 'white' }]);
+        expect(Array.from(objects)).toEqual(Array.from(pairs));
+        expect(sampleColormap(pairs, 0.25)[0]).toBeCloseTo(1, 1);
+    });
+
+    it('parses CSS gradients, ignoring the direction', () => {
+        const css = createColormap('linear-gradient(to right, rgb(0, 0, 0), red 20%, #ffffff)');
+        const list = createColormap([[0, 'black'], [0.2, 'red'], [1, 'white']]);
+        expect(Array.from(css)).toEqual(Array.from(list));
+        expect(Array.from(createColormap('linear-gradient(90deg, black, white)')))
+            .toEqual(Array.from(createColormap(['black', 'white'])));
+    });
+
+    it('clamps stop positions that go backwards, as CSS does', () => {
+        const table = createColormap('linear-gradient(black 60%, white 40%)');
+        expect(sampleColormap(table, 0.55)).toEqual([0, 0, 0]);
+        expect(sampleColormap(table, 0.65)).toEqual([1, 1, 1]);
+    });
+
+    it('rejects ramps with fewer than two stops', () => {
+        expect(() => createColormap(['red'])).toThrow('at least two stops');
+        expect(() => createColormap(42)).toThrow('name, a stop list or a CSS gradient');
+    });
+
+    it('interpolates between neighbouring entries', () => {
+        const table = createColormap('viridis');
+        fc.assert(fc.property(fc.double({ min: 0, max: 1, noNaN: true }), (t) => {
+            const index = Math.min(COLORMAP_SIZE - 2, Math.floor(t * (COLORMAP_SIZE - 1)));
+            const [lo, hi] = [entry(table, index), entry(table, index + 1)];
+            return sampleColormap(table, t).every((v, c) =>
+                v >= Math.min(lo[c], hi[c]) - 1e-6 && v <= Math.max(lo[c], hi[c]) + 1e-6);
+        }));
+    });
+});
+
+describe('TerrainMesh.setColormap', () => {
+    it('recolors vertices without touching the geometry', async () => {
+        const tm = createTestTerrain(slopedGrid(12, 12, -30, 0), { referenceElevation: 0, depthRange: [0, 30] });
+        tm._createGeometry();
+        await tm._computeVertexColorsAsync();
+        const positions = tm.geometry.attributes.position.array.slice();
+        const index = tm.geometry.index;
+        const turbo = tm.geometry.attributes.color.array.slice();
+
+        await tm.setColormap('linear-gradient(black, white)');
+        expect(tm.geometry.index).toBe(index);
+        expect(tm.geometry.attributes.position.array).toEqual(positions);
+        expect(tm.geometry.attributes.color.array).not.toEqual(turbo);
+        // Gray ramp: every below-reference vertex has r = g = b
+        const colors = tm.geometry.attributes.color;
+        for (let i = 0; i < colors.count; i++) {
+            expect(colors.getX(i)).toBeCloseTo(colors.getZ(i), 5);
+        }
+    });
+
+    it('leaves the current colormap in place when the spec is invalid', async () => {
+        const tm = createTestTerrain(slopedGrid(4, 4, -10, 0), { referenceElevation: 0, depthRange: [0, 10] });
+        await expect(tm.setColormap('nope')).rejects.toThrow('Unknown colormap');
+        expect(tm.colormapSpec).toBe('turbo');
+    });
+});
@@ -0,0 +1,272 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fc from 'fast-check';
+import * as THREE from 'three';
+import { generateIsobands, isobandRings } from '../src/core/Contours.js';
+import { normalizeBandSettings } from '../src/core/ContourBands.js';
+import {
+    exportIsobands, isobandPolygons, writeIsobandGeoJSON, writeIsobandDXF, ContourFormat
+} from '../src/core/ContourExport.js';
+import { OverlayLayers } from '../src/core/OverlayLayers.js';
+import { parseGeoKeys } from '../src/core/CRS.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { slopedGrid } from './helpers/elevation-grids.js';
+
+const NZTM = parseGeoKeys({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 2193 });
+const GEO_BOUNDS = [1000, 5000, 1200, 5200];
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+/** Isoband params sampling a raster at its pixels, one model unit per cell. */
+function rasterParams(values, width, height, referenceElevation, minElevation, interval) {
+    return {
+        elevationData: new Float32Array(values),
+        elevationWidth: width,
+        elevationHeight: height,
+        noDataValue: null,
+        gridWidth: width,
+        gridHeight: height,
+        modelWidth: width - 1,
+        modelHeight: height - 1,
+        referenceElevation, minElevation, interval
+    };
+}
+
+/** Signed area of each triangle in x, z. */
+function triangleAreas({ positions, indices }) {
+    const areas = [];
+    for (let t = 0; t < indices.length; t += 3) {
+        const [a, b, c] = [indices[t], indices[t + 1], indices[t + 2]].map(v => [positions[v * 3], positions[v * 3 + 2]]);
+        areas.push(((b[0] - a[0]) * (c[1] - a[1]) - (c[0] - a[0]) * (b[1] - a[1])) / 2);
+    }
+    return areas;
+}
+
+/** Signed area of a closed [x, z] ring. */
+function ringArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return area / 2;
+}
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+describe('generateIsobands', () => {
+    it('tiles every cell once, each vertex within its band', async () => {
+        await fc.assert(fc.asyncProperty(
+            fc.array(fc.integer({ min: 0, max: 12 }), { minLength: 25, maxLength: 25 }),
+            fc.constantFrom(1, 2, 3, 5),
+            async (values, interval) => {
+                const result = await generateIsobands(rasterParams(values, 5, 5, 12, 0, interval));
+                const areas = triangleAreas(result);
+                expect(Math.min(...areas)).toBeGreaterThan(-1e-9);
+                expect(sum(areas)).toBeCloseTo(16, 4);
+
+                const { levels, elevations, bands } = result;
+                for (let i = 0; i < bands.length; i++) {
+                    expect(elevations[i]).toBeLessThanOrEqual(levels[bands[i]]);
+                    expect(elevations[i]).toBeGreaterThanOrEqual(levels[bands[i] + 1]);
+                }
+            }
+        ), { numRuns: 50 });
+    });
+
+    it('splits a slope into strips between the contour lines', async () => {
+        // Elevation = column (0-4)
+        const values = Array.from({ length: 25 }, (_, i) => i % 5);
+        const result = await generateIsobands(rasterParams(values, 5, 5, 4, 0, 1));
+        expect(result.levels[0]).toBe(4);
+        expect(result.levels[result.levels.length - 1]).toBe(0);
+
+        const areas = triangleAreas(result);
+        const bandArea = new Map();
+        for (let t = 0; t < areas.length; t++) {
+            const band = result.bands[result.indices[t * 3]];
+            bandArea.set(band, (bandArea.get(band) ?? 0) + areas[t]);
+        }
+        for (const [band, area] of bandArea) {
+            const { [band]: upper, [band + 1]: lower } = result.levels;
+            expect(area).toBeCloseTo(4 * (Math.min(upper, 4) - Math.max(lower, 0)), 4);
+        }
+    });
+
+    it('joins the side of a saddle the cell center is on, like the contour lines', async () => {
+        // Diagonal corners 2 and 8 around a 5 m contour: the center (5) joins the high corners
+        const high = isobandRings(await generateIsobands(rasterParams([2, 8, 8, 2], 2, 2, 10, 1, 5)));
+        expect(high.get(0)).toHaveLength(1);
+        expect(high.get(1)).toHaveLength(2);
+
+        // Center 4.5: the low corners join instead
+        const low = isobandRings(await generateIsobands(rasterParams([1, 8, 8, 1], 2, 2, 10, 1, 5)));
+        expect(low.get(0)).toHaveLength(2);
+        expect(low.get(1)).toHaveLength(1);
+    });
+
+    it('skips cells with NoData corners, leaving holes in the rings', async () => {
+        const values = new Array(36).fill(1);
+        values[3 * 6 + 3] = NaN;
+        const result = await generateIsobands(rasterParams(values, 6, 6, 2, 1, 1));
+        // Interpolated grid points next to the pixel are NoData too: 3 x 3 cells out
+        expect(sum(triangleAreas(result))).toBeCloseTo(16, 4);
+
+        // Terrain at or above the reference is in the first band
+        const rings = isobandRings(result).get(0);
+        expect(rings.map(ringArea).sort((a, b) => a - b)).toEqual([-9, 25]);
+        for (const ring of rings) {
+            expect(ring[ring.length - 1]).toEqual(ring[0]);
+        }
+    });
+});
+
+describe('TerrainMesh.generateIsobands', () => {
+    it('gives up past the vertex limit', async () => {
+        const tm = createTestTerrain(slopedGrid(20, 20, 0, 19));
+        tm._createGeometry();
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(await tm.generateIsobands(19, 0, 1, { maxVertices: 10 })).toBeNull();
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('vertex limit'));
+
+        const result = await tm.generateIsobands(19, 0, 1);
+        expect(result.levels[0]).toBe(19);
+        // Down to the 0 m contour; nothing lies below it
+        expect([...new Set(result.bands)].sort((a, b) => a - b)).toEqual(Array.from({ length: 19 }, (_, i) => i));
+    });
+});
+
+describe('contour band export', () => {
+    async function slopeBands() {
+        // Elevation = column (0-19) over 200 m: bands 1 m apart run north-south
+        const tm = createTestTerrain(slopedGrid(20, 20, 0, 19), { geoBounds: GEO_BOUNDS });
+        tm.crs = NZTM;
+        tm._createGeometry();
+        return { tm, isobands: await tm.generateIsobands(19, 0, 1) };
+    }
+
+    it('outlines each band as a clockwise ring in the raster CRS', async () => {
+        const { tm, isobands } = await slopeBands();
+        const polygons = isobandPolygons(tm, isobands);
+        expect(polygons.map(({ upper }) => upper)).toEqual(Array.from({ length: 19 }, (_, i) => 19 - i));
+
+        for (const { lower, upper, rings } of polygons) {
+            expect(upper - lower).toBe(1);
+            expect(rings).toHaveLength(1);
+            const eastings = rings[0].map(([x]) => x);
+            expect(Math.min(...eastings)).toBeCloseTo(GEO_BOUNDS[0] + 200 * lower / 19, 0);
+            expect(Math.max(...eastings)).toBeCloseTo(GEO_BOUNDS[0] + 200 * upper / 19, 0);
+            expect(ringArea(rings[0])).toBeLessThan(0);
+        }
+    });
+
+    it('writes GeoJSON MultiPolygons with holes inside their outer ring', () => {
+        const outer = [[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]];
+        const hole = [[2, 2], [4, 2], [4, 4], [2, 4], [2, 2]];
+        const island = [[20, 0], [20, 1], [21, 1], [21, 0], [20, 0]];
+        const collection = JSON.parse(writeIsobandGeoJSON([{ lower: 5, upper: 10, rings: [hole, outer, island] }], NZTM));
+
+        expect(collection.crs.properties.name).toBe('urn:ogc:def:crs:EPSG::2193');
+        const [feature] = collection.features;
+        expect(feature.properties).toEqual({ lower: 5, upper: 10 });
+        expect(feature.geometry.type).toBe('MultiPolygon');
+        const [first, second] = feature.geometry.coordinates;
+        expect(first).toHaveLength(2);
+        expect(second).toHaveLength(1);
+        // RFC 7946: exteriors counter-clockwise, holes clockwise
+        expect(ringArea(first[0])).toBe(100);
+        expect(ringArea(first[1])).toBe(-4);
+    });
+
+    it('writes closed DXF polylines on a layer per band', () => {
+        const square = [[0, 0], [0, 1], [1, 1], [1, 0], [0, 0]];
+        const lines = writeIsobandDXF([{ lower: 2.5, upper: 5, rings: [square] }]).split('\r\n');
+        const polyline = lines.indexOf('LWPOLYLINE');
+        expect(lines[lines.indexOf('8', polyline) + 1]).toBe('BAND_2.5_5');
+        expect(lines[lines.indexOf('90', polyline) + 1]).toBe('4');
+        expect(lines[lines.indexOf('70', polyline) + 1]).toBe('1');
+        expect(lines).not.toContain('38');
+    });
+
+    it('zips a Polygon Shapefile with LOWER and UPPER fields', async () => {
+        const { tm, isobands } = await slopeBands();
+        const blob = exportIsobands(tm, isobands, ContourFormat.SHAPEFILE, { prj: 'PROJCS["NZTM"]' });
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const text = new TextDecoder('latin1').decode(bytes);
+        expect(text).toContain('contour_bands.shp');
+        expect(text).toContain('contour_bands.prj');
+
+        // First entry: the .shp, stored
+        const view = new DataView(bytes.buffer);
+        const shpStart = 30 + view.getUint16(26, true);
+        expect(view.getInt32(shpStart)).toBe(9994);
+        expect(view.getInt32(shpStart + 32, true)).toBe(5);
+        expect(view.getInt32(shpStart + 100 + 8, true)).toBe(5);
+        expect(text).toContain('LOWER');
+        expect(text).toContain('UPPER');
+    });
+
+    it('rejects unknown formats and missing bands', async () => {
+        const { tm, isobands } = await slopeBands();
+        expect(() => exportIsobands(tm, isobands, 'kml')).toThrow('Unknown contour format');
+        expect(() => exportIsobands(tm, null, ContourFormat.GEOJSON)).toThrow('no contour bands');
+    });
+});
+
+describe('OverlayLayers contour bands', () => {
+    async function overlays() {
+        const tm = createTestTerrain(slopedGrid(20, 20, 0, 19));
+        tm._createGeometry();
+        const result = await tm.generateContours(19, 0, 1, 0.0008, null, 0.0001, 0);
+        const isobands = await tm.generateIsobands(19, 0, 1);
+        const layers = new OverlayLayers();
+        layers.init(new THREE.Group(), tm);
+        layers.createContoursFromSegments(result.segments, result.vertexCount, null, result.segmentThresholds, isobands);
+        return { tm, layers, result, isobands };
+    }
+
+    it('colors bands through the terrain colormap and sets heights in the shader', async () => {
+        const { tm, layers } = await overlays();
+        const bands = layers.contourGroup.getObjectByName('contour_bands');
+        const { uniforms } = bands.material;
+        expect(uniforms.colormapMap).toBe(tm.colorUniforms.colormapMap);
+        expect(uniforms.depthRange).toBe(tm.colorUniforms.depthRange);
+        expect(bands.material.clippingPlanes).toBe(tm.clippingPlanes);
+        expect(uniforms.opacity.value).toBe(0.5);
+
+        const positions = bands.geometry.attributes.position.array.slice();
+        tm.setZExaggeration(tm.getZExaggeration() * 2);
+        layers.updateForZExaggeration();
+        bands.onBeforeRender();
+        expect(bands.geometry.attributes.position.array).toEqual(positions);
+        expect(uniforms.heightScale.value).toBe(tm.getHeightScale());
+        layers.dispose();
+    });
+
+    it('applies opacity and flat display, and keeps bands hidden across rebuilds', async () => {
+        const { layers, result, isobands } = await overlays();
+        layers.setBandSettings({ opacity: 0.8, flat: true });
+        let bands = layers.contourGroup.getObjectByName('contour_bands');
+        expect(bands.material.uniforms.opacity.value).toBe(0.8);
+        expect(bands.material.uniforms.flatten.value).toBe(1);
+
+        layers.setVisibility('bands', false);
+        expect(bands.visible).toBe(false);
+        expect(layers.contourGroup.getObjectByName('contours_minor').visible).toBe(true);
+
+        layers.createContoursFromSegments(result.segments, result.vertexCount, null, result.segmentThresholds, isobands);
+        bands = layers.contourGroup.getObjectByName('contour_bands');
+        expect(bands.visible).toBe(false);
+        expect(bands.material.uniforms.flatten.value).toBe(1);
+        layers.dispose();
+    });
+});
+
+describe('normalizeBandSettings', () => {
+    it('fills defaults and rejects bad values', () => {
+        expect(normalizeBandSettings()).toEqual({ opacity: 0.5, flat: false });
+        expect(normalizeBandSettings({ flat: true }).flat).toBe(true);
+        expect(() => normalizeBandSettings({ opacity: 2 })).toThrow('opacity');
+        expect(() => normalizeBandSettings({ flat: 'yes' })).toThrow('flat');
+    });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import { crc32 } from 'node:zlib';
+import {
+    exportContours, contourPolylines, writeContourDXF, writeContourShapefile, ContourFormat
+} from '../src/core/ContourExport.js';
+import { parseGeoKeys } from '../src/core/CRS.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { slopedGrid } from './helpers/elevation-grids.js';
+
+const NZTM = parseGeoKeys({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 2193 });
+const GEO_BOUNDS = [1000, 5000, 1200, 5200];
+
+/** Elevation = column (0-19) over 200 m: contours 1 m apart run north-south. */
+async function slopeContours() {
+    const tm = createTestTerrain(slopedGrid(20, 20, 0, 19), { geoBounds: GEO_BOUNDS });
+    tm.crs = NZTM;
+    tm._createGeometry();
+    const contours = await tm.generateContours(19, 0, 1, 0.0008, null, 0.0001, 0);
+    return { tm, contours };
+}
+
+/** Geo x of the contour at an elevation on the slope. */
+const eastingOf = (elevation) => GEO_BOUNDS[0] + (GEO_BOUNDS[2] - GEO_BOUNDS[0]) * elevation / 19;
+
+/** Entries of a stored zip: name -> bytes, checking each CRC. */
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const entries = new Map();
+    let o = 0;
+    while (view.getUint32(o, true) === 0x04034b50) {
+        const crc = view.getUint32(o + 14, true);
+        const size = view.getUint32(o + 18, true);
+        const nameLength = view.getUint16(o + 26, true);
+        const name = new TextDecoder().decode(bytes.subarray(o + 30, o + 30 + nameLength));
+        const data = bytes.subarray(o + 30 + nameLength, o + 30 + nameLength + size);
+        expect(crc32(data)).toBe(crc);
+        entries.set(name, data);
+        o += 30 + nameLength + size;
+    }
+    expect(view.getUint32(bytes.length - 22, true)).toBe(0x06054b50);
+    expect(view.getUint16(bytes.length - 12, true)).toBe(entries.size);
+    return entries;
+}
+
+describe('contourPolylines', () => {
+    it('chains each contour into one line in the raster CRS', async () => {
+        const { tm, contours } = await slopeContours();
+        const polylines = contourPolylines(tm, contours);
+        expect(polylines.map(({ elevation }) => elevation).sort((a, b) => a - b))
+            .toEqual(Array.from({ length: 18 }, (_, i) => i + 1));
+
+        for (const { elevation, coordinates } of polylines) {
+            const northings = coordinates.map(([, y]) => y);
+            expect(Math.min(...northings)).toBeCloseTo(GEO_BOUNDS[1], 6);
+            expect(Math.max(...northings)).toBeCloseTo(GEO_BOUNDS[3], 6);
+            // On the line, interpolated across the mesh grid cells
+            for (const [x] of coordinates) {
+                expect(Math.abs(x - eastingOf(elevation))).toBeLessThan(0.5);
+            }
+        }
+    });
+
+    it('needs thresholds per segment', () => {
+        expect(() => contourPolylines(null, { segments: new Float32Array(6) })).toThrow('thresholds');
+    });
+});
+
+describe('exportContours', () => {
+    it('writes GeoJSON LineStrings with their elevation and EPSG code', async () => {
+        const { tm, contours } = await slopeContours();
+        const blob = exportContours(tm, contours, ContourFormat.GEOJSON);
+        expect(blob.type).toBe('application/geo+json');
+
+        const collection = JSON.parse(await blob.text());
+        expect(collection.crs.properties.name).toBe('urn:ogc:def:crs:EPSG::2193');
+        expect(collection.features).toHaveLength(18);
+        const feature = collection.features.find(({ properties }) => properties.elevation === 10);
+        expect(feature.geometry.type).toBe('LineString');
+        expect(feature.geometry.coordinates[0][0]).toBeCloseTo(eastingOf(10), 0);
+    });
+
+    it('writes DXF polylines at their elevation in metres', async () => {
+        const { tm, contours } = await slopeContours();
+        const blob = exportContours(tm, contours, ContourFormat.DXF);
+        const lines = (await blob.text()).split('\r\n');
+
+        expect(lines[lines.indexOf('$INSUNITS') + 2]).toBe('6');
+        expect(lines.filter((line) => line === 'LWPOLYLINE')).toHaveLength(18);
+        const elevations = lines.flatMap((line, i) => (line === '38' && i % 2 === 0 ? [Number(lines[i + 1])] : []));
+        expect(elevations.sort((a, b) => a - b)).toEqual(Array.from({ length: 18 }, (_, i) => i + 1));
+        expect(lines.slice(-3)).toEqual(['0', 'EOF', '']);
+    });
+
+    it('closes DXF polylines that form loops', () => {
+        const square = [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]];
+        const lines = writeContourDXF([{ elevation: 5, coordinates: square }]).split('\r\n');
+        expect(lines[lines.indexOf('90') + 1]).toBe('4');
+        expect(lines[lines.indexOf('70', lines.indexOf('LWPOLYLINE')) + 1]).toBe('1');
+    });
+
+    it('zips a PolyLine Shapefile with an ELEV field', async () => {
+        const { tm, contours } = await slopeContours();
+        const blob = exportContours(tm, contours, ContourFormat.SHAPEFILE, { name: 'survey', prj: 'PROJCS["NZGD2000 / New Zealand Transverse Mercator 2000"]' });
+        expect(blob.type).toBe('application/zip');
+
+        const files = readZip(new Uint8Array(await blob.arrayBuffer()));
+        expect([...files.keys()]).toEqual(['survey.shp', 'survey.shx', 'survey.dbf', 'survey.prj']);
+        expect(new TextDecoder().decode(files.get('survey.prj'))).toContain('NZGD2000');
+
+        const shp = new DataView(files.get('survey.shp').buffer, files.get('survey.shp').byteOffset);
+        const shx = new DataView(files.get('survey.shx').buffer, files.get('survey.shx').byteOffset);
+        const dbf = files.get('survey.dbf');
+        expect(shp.getInt32(0)).toBe(9994);
+        expect(shp.getInt32(24) * 2).toBe(files.get('survey.shp').length);
+        expect(shp.getInt32(32, true)).toBe(3);
+        expect(shp.getFloat64(36, true)).toBeCloseTo(eastingOf(1), 0);
+        expect(shp.getFloat64(44, true)).toBeCloseTo(GEO_BOUNDS[1], 6);
+
+        const count = (files.get('survey.shx').length - 100) / 8;
+        expect(count).toBe(18);
+        expect(new DataView(dbf.buffer, dbf.byteOffset).getUint32(4, true)).toBe(count);
+
+        for (let i = 0; i < count; i++) {
+            const offset = shx.getInt32(100 + i * 8) * 2;
+            expect(shp.getInt32(offset)).toBe(i + 1);
+            expect(shp.getInt32(offset + 8, true)).toBe(3);
+            const x = shp.getFloat64(offset + 8 + 48, true);
+
+            const record = new TextDecoder().decode(dbf.subarray(65 + i * 19 + 1, 65 + (i + 1) * 19)).trim();
+            expect(Math.abs(x - eastingOf(Number(record)))).toBeLessThan(0.5);
+        }
+    });
+
+    it('writes a .prj for WGS84 only', () => {
+        const line = [{ elevation: 1, coordinates: [[174, -41], [175, -41]] }];
+        const wgs84 = parseGeoKeys({ GTModelTypeGeoKey: 2, GeographicTypeGeoKey: 4326 });
+        expect(writeContourShapefile(line, { crs: wgs84 }).prj).toContain('WGS_1984');
+        expect(writeContourShapefile(line, { crs: NZTM }).prj).toBeNull();
+    });
+
+    it('rejects unknown formats and missing contours', async () => {
+        const { tm, contours } = await slopeContours();
+        expect(() => exportContours(tm, contours, 'kml')).toThrow('Unknown contour format');
+        expect(() => exportContours(tm, null, ContourFormat.DXF)).toThrow('no contours');
+        expect(() => exportContours(tm, { ...contours, aborted: true }, ContourFormat.DXF)).toThrow('no contours');
+    });
+});
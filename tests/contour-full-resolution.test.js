@@ -0,0 +1,178 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { smoothContourGrid } from '../src/core/Contours.js';
+import { sampleElevation } from '../src/core/ElevationSampling.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { gaussianHill, slopedGrid } from './helpers/elevation-grids.js';
+
+const HEIGHT_OFFSET = 0.0008;
+const FULL = { fullResolution: true, smoothing: 0 };
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+/** Hill over a 41 x 41 raster on a coarse mesh grid. */
+function hillTerrain(targetPolygons = 200) {
+    const tm = createTestTerrain(gaussianHill(41, 41, 100, 0, 8), { targetPolygons });
+    tm._createGeometry();
+    return tm;
+}
+
+/**
+ * Height of the displayed mesh at a point: the triangle of the mesh geometry
+ * under it, with vertex heights as the displacement shader samples them.
+ */
+function meshSurface(tm) {
+    const positions = tm.geometry.attributes.position;
+    const uvs = tm.geometry.attributes.uv;
+    const index = tm.geometry.index.array;
+    const heightScale = tm.getHeightScale();
+    const vertex = (i) => [
+        positions.getX(i),
+        (sampleElevation(tm, uvs.getX(i), 1 - uvs.getY(i)) - tm.referenceElevation) * heightScale,
+        positions.getZ(i)
+    ];
+
+    return (x, z) => {
+        for (let t = 0; t < index.length; t += 3) {
+            const [a, b, c] = [index[t], index[t + 1], index[t + 2]].map(vertex);
+            const det = (b[0] - a[0]) * (c[2] - a[2]) - (c[0] - a[0]) * (b[2] - a[2]);
+            const s = ((x - a[0]) * (c[2] - a[2]) - (c[0] - a[0]) * (z - a[2])) / det;
+            const r = ((b[0] - a[0]) * (z - a[2]) - (x - a[0]) * (b[2] - a[2])) / det;
+            if (s >= -1e-9 && r >= -1e-9 && s + r <= 1 + 1e-9) {
+                return a[1] + s * (b[1] - a[1]) + r * (c[1] - a[1]);
+            }
+        }
+        return NaN;
+    };
+}
+
+/** Total x/z length of the segments of each threshold. */
+function lengthByThreshold({ segments, segmentThresholds, thresholds }) {
+    const lengths = new Map();
+    for (let i = 0; i < segmentThresholds.length; i++) {
+        const o = i * 6;
+        const length = Math.hypot(segments[o + 3] - segments[o], segments[o + 5] - segments[o + 2]);
+        const threshold = thresholds[segmentThresholds[i]];
+        lengths.set(threshold, (lengths.get(threshold) ?? 0) + length);
+    }
+    return lengths;
+}
+
+describe('full-resolution contours', () => {
+    it('do not depend on the mesh polygon count', async () => {
+        const coarse = await hillTerrain(200).generateContours(100, 0, 10, HEIGHT_OFFSET, null, 0, 0, null, null, FULL);
+        const fine = await hillTerrain(2000).generateContours(100, 0, 10, HEIGHT_OFFSET, null, 0, 0, null, null, FULL);
+        const coarseLengths = lengthByThreshold(coarse);
+        const fineLengths = lengthByThreshold(fine);
+        expect([...coarseLengths.keys()]).toEqual([...fineLengths.keys()]);
+        for (const [threshold, length] of coarseLengths) {
+            expect(fineLengths.get(threshold)).toBeCloseTo(length, 5);
+        }
+
+        // On the mesh grid they do
+        const meshCoarse = lengthByThreshold(await hillTerrain(200).generateContours(100, 0, 10, HEIGHT_OFFSET, null, 0, 0));
+        const meshFine = lengthByThreshold(await hillTerrain(2000).generateContours(100, 0, 10, HEIGHT_OFFSET, null, 0, 0));
+        expect(meshFine.get(50)).not.toBeCloseTo(meshCoarse.get(50), 5);
+    });
+
+    it('drape every piece on one mesh triangle, just above it', async () => {
+        const tm = hillTerrain();
+        const result = await tm.generateContours(100, 0, 10, HEIGHT_OFFSET, null, 0.0001, 0, null,
+            { every: 2, spacing: tm.getModelSize() / 8 }, FULL);
+        expect(result.vertexCount).toBeGreaterThan(0);
+
+        const surface = meshSurface(tm);
+        const { segments, labels } = result;
+        for (let o = 0; o < segments.length; o += 6) {
+            const [ax, ay, az, bx, by, bz] = segments.subarray(o, o + 6);
+            expect(ay - surface(ax, az)).toBeCloseTo(HEIGHT_OFFSET, 5);
+            expect(by - surface(bx, bz)).toBeCloseTo(HEIGHT_OFFSET, 5);
+            // Straight across a single triangle: no part dips under a mesh edge
+            expect((ay + by) / 2 - surface((ax + bx) / 2, (az + bz) / 2)).toBeCloseTo(HEIGHT_OFFSET, 5);
+        }
+
+        expect(labels.length).toBeGreaterThan(0);
+        for (let o = 0; o < labels.length; o += 7) {
+            expect(labels[o + 1] - surface(labels[o], labels[o + 2])).toBeCloseTo(HEIGHT_OFFSET, 5);
+        }
+    });
+
+    it('trace the full-resolution raster kept from the normal map', async () => {
+        // Mesh raster at a quarter of the resolution
+        const full = gaussianHill(41, 41, 100, 0, 8);
+        const tm = createTestTerrain(gaussianHill(11, 11, 100, 0, 2), { targetPolygons: 200 });
+        tm._createGeometry();
+        tm.keepFullResElevation = true;
+        vi.spyOn(tm, '_generateNormalMapCPUAsync').mockResolvedValue();
+        await tm._generateNormalMapFromData(Promise.resolve(full), null);
+        expect(tm.fullResElevation.elevationWidth).toBe(41);
+        expect(tm.elevationWidth).toBe(11);
+
+        // The same lines as on a terrain built from the full-resolution raster
+        const lengths = lengthByThreshold(await tm.generateContours(100, 0, 10, HEIGHT_OFFSET, null, 0, 0, null, null, FULL));
+        const expected = lengthByThreshold(await hillTerrain().generateContours(100, 0, 10, HEIGHT_OFFSET, null, 0, 0, null, null, FULL));
+        expect([...lengths.keys()]).toEqual([...expected.keys()]);
+        for (const [threshold, length] of expected) {
+            expect(lengths.get(threshold)).toBeCloseTo(length, 5);
+        }
+        tm.dispose();
+        expect(tm.fullResElevation).toBeNull();
+    });
+
+    it('keep the full-resolution raster only when asked to', async () => {
+        const full = gaussianHill(41, 41, 100, 0, 8);
+        const tm = createTestTerrain(gaussianHill(11, 11, 100, 0, 2), { targetPolygons: 200 });
+        tm._createGeometry();
+        const release = vi.spyOn(tm.workerPool, 'release');
+        vi.spyOn(tm, '_generateNormalMapCPUAsync').mockResolvedValue();
+        await tm._generateNormalMapFromData(Promise.resolve(full), null);
+        expect(tm.fullResElevation).toBeNull();
+        expect(release).toHaveBeenCalledWith(full.elevation);
+
+        // Without it, full-resolution contours trace the mesh raster
+        const mesh = lengthByThreshold(await tm.generateContours(100, 0, 10, HEIGHT_OFFSET, null, 0, 0, null, null, FULL));
+        tm.setFullResElevation({ elevation: full.elevation, width: 41, height: 41 });
+        const fine = lengthByThreshold(await tm.generateContours(100, 0, 10, HEIGHT_OFFSET, null, 0, 0, null, null, FULL));
+        expect(fine.get(50)).not.toBeCloseTo(mesh.get(50), 3);
+
+        tm.setFullResElevation(null);
+        expect(release).toHaveBeenCalledTimes(2);
+    });
+
+    it('smooth the raster before tracing', async () => {
+        // A 1 m/pixel slope with alternating noise along each row
+        const grid = slopedGrid(41, 41, 0, 40);
+        grid.elevation.forEach((value, i) => {
+            grid.elevation[i] = value + (Math.floor(i / 41) % 2 ? 0.45 : -0.45);
+        });
+        const tm = createTestTerrain(grid, { targetPolygons: 200 });
+        tm._createGeometry();
+
+        const rough = await tm.generateContours(40, 0, 1, HEIGHT_OFFSET, null, 0, 0, null, null, FULL);
+        const smooth = await tm.generateContours(40, 0, 1, HEIGHT_OFFSET, null, 0, 0, null, null, { fullResolution: true, smoothing: 2 });
+        const total = (result) => [...lengthByThreshold(result).values()].reduce((a, b) => a + b, 0);
+        expect(total(smooth)).toBeLessThan(total(rough) * 0.8);
+    });
+});
+
+describe('smoothContourGrid', () => {
+    it('keeps planes and NoData, weighting only valid samples', () => {
+        const ramp = Float32Array.from({ length: 15 * 15 }, (_, i) => i % 15);
+        ramp[7 * 15 + 7] = NaN;
+        const smoothed = smoothContourGrid(ramp, 15, 15, 1.5);
+        expect(smoothed[7 * 15 + 7]).toBeNaN();
+
+        const flat = new Float32Array(49).fill(5);
+        flat[24] = NaN;
+        const smoothedFlat = smoothContourGrid(flat, 7, 7, 2);
+        smoothedFlat.forEach((value, i) => {
+            if (i !== 24) expect(value).toBeCloseTo(5, 5);
+        });
+
+        // A ramp stays a ramp away from its ends (and out of reach of the NoData point)
+        for (let x = 5; x < 10; x++) {
+            expect(smoothed[15 + x]).toBeCloseTo(x, 4);
+        }
+    });
+});
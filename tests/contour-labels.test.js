@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import * as THREE from 'three';
+import { placeContourLabels, CONTOUR_LABEL_STRIDE } from '../src/core/Contours.js';
+import { createContourLabelMesh, buildLabelAtlas, formatContourElevation } from '../src/core/ContourLabels.js';
+import { OverlayLayers } from '../src/core/OverlayLayers.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { slopedGrid } from './helpers/elevation-grids.js';
+
+let drawn;
+
+beforeAll(() => {
+    // Label text is drawn into a canvas; record the texts
+    vi.stubGlobal('document', {
+        createElement: () => ({
+            getContext: () => ({
+                measureText: (text) => ({ width: text.length * 16 }),
+                strokeText() {},
+                fillText: (text) => drawn.push(text)
+            })
+        })
+    });
+});
+
+afterAll(() => {
+    vi.unstubAllGlobals();
+});
+
+/** Labels of a label array as objects. */
+function readLabels(labels) {
+    return Array.from({ length: labels.length / CONTOUR_LABEL_STRIDE }, (_, i) => {
+        const [x, y, z, dx, dz, elevation, rank] = labels.subarray(i * CONTOUR_LABEL_STRIDE, (i + 1) * CONTOUR_LABEL_STRIDE);
+        return { x, y, z, dx, dz, elevation, rank };
+    });
+}
+
+describe('placeContourLabels', () => {
+    it('spreads labels evenly along the line with thinning ranks', () => {
+        const labels = placeContourLabels([[0, 0], [4, 0], [10, 0]], 2.5);
+        expect(labels.map(([x]) => x)).toEqual([1.25, 3.75, 6.25, 8.75]);
+        expect(labels.map((label) => label[4])).toEqual([0, 2, 1, 2]);
+        for (const [, z, dx, dz] of labels) {
+            expect([z, dx, dz]).toEqual([0, 1, 0]);
+        }
+    });
+
+    it('follows the line direction around bends', () => {
+        // Up the z axis, then along x
+        const [first, second] = placeContourLabels([[0, 0], [0, 4], [4, 4]], 4);
+        expect(first[0]).toBeCloseTo(0, 9);
+        expect(first[1]).toBeCloseTo(2, 9);
+        expect([first[2], first[3]]).toEqual([0, 1]);
+        expect(second[0]).toBeCloseTo(2, 9);
+        expect([second[2], second[3]]).toEqual([1, 0]);
+    });
+
+    it('labels short lines once and skips tiny ones', () => {
+        const labels = placeContourLabels([[0, 0], [0, 3]], 10);
+        expect(labels).toHaveLength(1);
+        expect(labels[0][1]).toBeCloseTo(1.5, 9);
+        expect(placeContourLabels([[0, 0], [0, 2]], 10)).toEqual([]);
+        expect(placeContourLabels([[0, 0]], 10)).toEqual([]);
+    });
+});
+
+describe('generateContours labels', () => {
+    it('labels every nth contour at its elevation along the line', async () => {
+        // Elevation = column (0-19), reference 19: contours run along z
+        const tm = createTestTerrain(slopedGrid(20, 20, 0, 19));
+        tm._createGeometry();
+        const spacing = tm.getModelSize() / 4;
+        const result = await tm.generateContours(19, 0, 1, 0.0008, null, 0.0001, 0, null, { every: 5, spacing });
+
+        const labels = readLabels(result.labels);
+        // Index contours 5, 10 and 15 m below the reference
+        expect([...new Set(labels.map((label) => label.elevation))]).toEqual([14, 9, 4]);
+        for (const label of labels) {
+            expect(label.y).toBeCloseTo((label.elevation - 19) * tm.getHeightScale(), 6);
+            // On the line, interpolated across the mesh grid cells
+            expect(label.x).toBeCloseTo((label.elevation / 19 - 0.5) * tm.modelWidth, 2);
+            expect(Math.abs(label.dz)).toBeCloseTo(1, 6);
+        }
+        expect(labels.filter((label) => label.elevation === 9)).toHaveLength(4);
+
+        const unlabeled = await tm.generateContours(19, 0, 1, 0.0008, null, 0.0001, 0);
+        expect(unlabeled.labels).toHaveLength(0);
+        expect(unlabeled.vertexCount).toBe(result.vertexCount);
+    });
+});
+
+describe('contour label mesh', () => {
+    /** Two labels at the same elevation and one at another. */
+    const labels = new Float32Array([
+        0, -0.1, 0, 1, 0, 12.5, 0,
+        0.2, -0.1, 0, 0, 1, 12.5, 2,
+        0.1, -0.2, 0.1, 1, 0, 7.25, 1
+    ]);
+
+    it('draws each elevation once and maps every quad into the atlas', () => {
+        drawn = [];
+        const mesh = createContourLabelMesh(labels, 0.25);
+        expect(drawn).toEqual(['12.5', '7.25']);
+        expect(mesh.geometry.index.count).toBe(18);
+
+        const uvRect = mesh.geometry.attributes.uvRect;
+        const rank = mesh.geometry.attributes.rank;
+        for (let i = 0; i < uvRect.count; i++) {
+            const [u0, v0, u1, v1] = [uvRect.getX(i), uvRect.getY(i), uvRect.getZ(i), uvRect.getW(i)];
+            expect(u0).toBeGreaterThanOrEqual(0);
+            expect(u1).toBeLessThanOrEqual(1);
+            expect(u1).toBeGreaterThan(u0);
+            expect(v1).toBeGreaterThan(v0);
+            expect(rank.getX(i)).toBe(labels[Math.floor(i / 4) * CONTOUR_LABEL_STRIDE + 6]);
+        }
+        // Same text, same atlas entry
+        expect(uvRect.getX(0)).toBe(uvRect.getX(4));
+        expect(uvRect.getX(0)).not.toBe(uvRect.getX(8));
+        expect(createContourLabelMesh(new Float32Array(0), 0.25)).toBeNull();
+    });
+
+    it('releases the atlas texture with the material', () => {
+        const mesh = createContourLabelMesh(labels, 0.25);
+        const texture = mesh.material.uniforms.atlas.value;
+        const dispose = vi.spyOn(texture, 'dispose');
+        mesh.material.dispose();
+        expect(dispose).toHaveBeenCalled();
+    });
+
+    it('wraps long atlases into rows', () => {
+        const texts = Array.from({ length: 200 }, (_, i) => formatContourElevation(-i - 0.5));
+        const { canvas, rects } = buildLabelAtlas(texts);
+        expect(canvas.width).toBeLessThanOrEqual(1024);
+        expect(canvas.height).toBeGreaterThan(60);
+        expect(rects.size).toBe(200);
+        expect(formatContourElevation(3.14159)).toBe('3.14');
+        expect(formatContourElevation(-12)).toBe('-12');
+    });
+});
+
+describe('OverlayLayers labels', () => {
+    it('moves labels with the lines under Z-exaggeration and hides them on request', async () => {
+        const tm = createTestTerrain(slopedGrid(20, 20, 0, 19));
+        tm._createGeometry();
+        const overlays = new OverlayLayers();
+        overlays.init(new THREE.Group(), tm);
+
+        const result = await tm.generateContours(19, 0, 1, 0.0008, null, 0.0001, 0, null,
+            { every: 5, spacing: overlays.getLabelSpacing() });
+        overlays.createContoursFromSegments(result.segments, result.vertexCount, result.labels);
+
+        const labelMesh = overlays.contourGroup.getObjectByName('contour_labels');
+        expect(labelMesh.material.clippingPlanes).toBe(tm.clippingPlanes);
+        const before = labelMesh.geometry.attributes.position.array.slice();
+
+        const exaggeration = tm.getZExaggeration();
+        tm.setZExaggeration(exaggeration / 2);
+        overlays.updateForZExaggeration();
+        const after = labelMesh.geometry.attributes.position.array;
+        for (let i = 0; i < before.length; i += 3) {
+            expect(after[i]).toBe(before[i]);
+            expect(after[i + 1]).toBeCloseTo(before[i + 1] / 2, 6);
+        }
+
+        overlays.setVisibility('labels', false);
+        expect(labelMesh.visible).toBe(false);
+        expect(overlays.contourGroup.getObjectByName('contours_minor').visible).toBe(true);
+
+        // Kept hidden when the contours are rebuilt
+        overlays.createContoursFromSegments(result.segments, result.vertexCount, result.labels);
+        expect(overlays.contourGroup.getObjectByName('contour_labels').visible).toBe(false);
+        overlays.dispose();
+    });
+});
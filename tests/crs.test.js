@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { parseGeoKeys, groundDimensions, geodesicInverse } from '../src/core/CRS.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { flatGrid } from './helpers/elevation-grids.js';
+
+describe('parseGeoKeys', () => {
+    it('projected CRS in metres', () => {
+        const crs = parseGeoKeys({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 2193, ProjLinearUnitsGeoKey: 9001 });
+        expect(crs.type).toBe('projected');
+        expect(crs.epsg).toBe(2193);
+        expect(crs.metresPerUnit).toBe(1);
+        expect(crs.isGeographic).toBe(false);
+    });
+
+    it('projected CRS in US survey feet', () => {
+        const crs = parseGeoKeys({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 2227, ProjLinearUnitsGeoKey: 9003 });
+        expect(crs.units).toBe('US survey foot');
+        expect(crs.metresPerUnit).toBeCloseTo(0.3048006, 6);
+    });
+
+    it('geographic CRS', () => {
+        const crs = parseGeoKeys({ GTModelTypeGeoKey: 2, GeographicTypeGeoKey: 4326 });
+        expect(crs.type).toBe('geographic');
+        expect(crs.epsg).toBe(4326);
+        expect(crs.isGeographic).toBe(true);
+    });
+
+    it('user-defined projection with no codes → unknown, metres', () => {
+        const crs = parseGeoKeys({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 32767 });
+        expect(crs.epsg).toBeNull();
+        expect(crs.metresPerUnit).toBe(1);
+    });
+
+    it('missing GeoKeys → unknown, metres', () => {
+        const crs = parseGeoKeys(null);
+        expect(crs.type).toBe('unknown');
+        expect(crs.metresPerUnit).toBe(1);
+    });
+});
+
+describe('geodesicInverse', () => {
+    it('one degree of longitude on the equator', () => {
+        expect(geodesicInverse(0, 0, 1, 0).distance).toBeCloseTo(111319.491, 2);
+    });
+
+    it('Vincenty reference: Flinders Peak → Buninyong', () => {
+        const lat1 = -(37 + 57 / 60 + 3.72030 / 3600);
+        const lon1 = 144 + 25 / 60 + 29.52440 / 3600;
+        const lat2 = -(37 + 39 / 60 + 10.15610 / 3600);
+        const lon2 = 143 + 55 / 60 + 35.38390 / 3600;
+        const { distance, bearing } = geodesicInverse(lon1, lat1, lon2, lat2);
+        expect(distance).toBeCloseTo(54972.271, 2);
+        expect(bearing).toBeCloseTo(306 + 52 / 60 + 5.37 / 3600, 4);
+    });
+
+    it('coincident points → 0', () => {
+        expect(geodesicInverse(10, 20, 10, 20).distance).toBe(0);
+    });
+
+    it('nearly antipodal points fall back without NaN', () => {
+        const { distance } = geodesicInverse(0, 0, 179.7, 0.5);
+        expect(Number.isFinite(distance)).toBe(true);
+        expect(distance).toBeGreaterThan(19e6);
+    });
+});
+
+describe('groundDimensions', () => {
+    it('scales projected feet to metres', () => {
+        const dims = groundDimensions([0, 0, 1000, 500], { isGeographic: false, metresPerUnit: 0.3048 });
+        expect(dims.width).toBeCloseTo(304.8, 6);
+        expect(dims.height).toBeCloseTo(152.4, 6);
+    });
+
+    it('geographic bounds shrink east-west with latitude', () => {
+        const dims = groundDimensions([170, -45.1, 170.1, -45], { isGeographic: true });
+        expect(dims.height).toBeCloseTo(11113, -1);
+        expect(dims.width).toBeCloseTo(dims.height * Math.cos(45.05 * Math.PI / 180), -2);
+    });
+});
+
+describe('TerrainMesh with geographic CRS', () => {
+    const bounds = [170, -45.1, 170.1, -45];
+    const crs = parseGeoKeys({ GTModelTypeGeoKey: 2, GeographicTypeGeoKey: 4326 });
+
+    function geographicTerrain() {
+        const tm = createTestTerrain(flatGrid(32, 32, 10), { geoBounds: bounds });
+        tm.crs = crs;
+        tm._calculateModelDimensions(bounds);
+        return tm;
+    }
+
+    it('model aspect follows ground distance, not degrees', () => {
+        const tm = geographicTerrain();
+        const ground = groundDimensions(bounds, crs);
+        expect(tm.modelWidth / tm.modelHeight).toBeCloseTo(ground.width / ground.height, 6);
+        expect(tm.realWorldWidth).toBeCloseTo(ground.width, 6);
+    });
+
+    it('measureGroundDistance is geodesic', () => {
+        const tm = geographicTerrain();
+        const a = tm.geoToLocal(170.01, -45.01);
+        const b = tm.geoToLocal(170.09, -45.09);
+        const expected = geodesicInverse(170.01, -45.01, 170.09, -45.09);
+
+        const result = tm.measureGroundDistance(a, b);
+        expect(result.distance).toBeCloseTo(expected.distance, 3);
+        expect(result.bearing).toBeCloseTo(expected.bearing, 6);
+    });
+
+    it('projected terrain keeps planar distance', () => {
+        const tm = createTestTerrain(flatGrid(32, 32, 10), { geoBounds: [0, 0, 1000, 1000] });
+        const result = tm.measureGroundDistance(
+            new THREE.Vector3(-tm.modelWidth / 2, 0, 0),
+            new THREE.Vector3(tm.modelWidth / 2, 0, 0)
+        );
+        expect(result.distance).toBeCloseTo(1000, 6);
+        expect(result.bearing).toBeCloseTo(90, 6);
+    });
+});
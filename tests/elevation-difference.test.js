@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+    resampleSurvey, computeDifference, thresholdDifference, differenceRange, differenceStatistics,
+    normalizeDifferenceSettings
+} from '../src/core/Difference.js';
+import { parseGeoKeys } from '../src/core/CRS.js';
+import { slopedGrid } from './helpers/elevation-grids.js';
+
+const NZTM = parseGeoKeys({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 2193 });
+const MGA50 = parseGeoKeys({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 28350 });
+
+describe('resampleSurvey', () => {
+    // 1 unit per pixel; elevation = pixel column
+    const target = { ...slopedGrid(21, 10, 0, 20), geoBounds: [0, 0, 21, 10], crs: NZTM };
+
+    /** Survey of the same ramp (elevation = x - 0.5) at 2 units per pixel. */
+    function coarseRamp(bounds) {
+        const width = (bounds[2] - bounds[0]) / 2;
+        const height = (bounds[3] - bounds[1]) / 2;
+        const elevation = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) elevation[y * width + x] = bounds[0] + 2 * x + 1 - 0.5;
+        }
+        return { elevation, width, height, geoBounds: bounds, crs: NZTM, noDataValue: null };
+    }
+
+    it('resamples by geo bounds onto the target grid', () => {
+        const resampled = resampleSurvey(target, coarseRamp([-1, -2, 23, 12]));
+        for (let i = 0; i < resampled.length; i++) {
+            expect(resampled[i]).toBeCloseTo(target.elevation[i], 4);
+        }
+    });
+
+    it('leaves cells outside the survey as NoData', () => {
+        const resampled = resampleSurvey(target, coarseRamp([9, -2, 33, 12]));
+        expect(Number.isNaN(resampled[0])).toBe(true);
+        expect(resampled[15]).toBeCloseTo(15, 4);
+    });
+
+    it('rejects surveys in another CRS or elsewhere', () => {
+        expect(() => resampleSurvey(target, { ...coarseRamp([-1, -2, 23, 12]), crs: MGA50 })).toThrow('different CRS');
+        expect(() => resampleSurvey(target, coarseRamp([41, -2, 65, 12]))).toThrow('does not overlap');
+    });
+});
+
+describe('computeDifference', () => {
+    it('subtracts the earlier survey, with NoData from either', () => {
+        const change = computeDifference(
+            new Float32Array([10, 10, -9999, 10]),
+            new Float32Array([12, NaN, 10, 9.5]),
+            -9999
+        );
+        expect(change[0]).toBe(2);
+        expect(Number.isNaN(change[1])).toBe(true);
+        expect(Number.isNaN(change[2])).toBe(true);
+        expect(change[3]).toBe(-0.5);
+    });
+});
+
+describe('differenceStatistics', () => {
+    it('sums cut and fill beyond the threshold', () => {
+        // 4 m² cells: two filled by 1 m, one cut by 0.5 m, one within the threshold
+        const change = new Float32Array([1, 1, -0.5, 0.05, NaN]);
+        const stats = differenceStatistics(change, 4, { threshold: 0.1 });
+        expect(stats.fillVolume).toBeCloseTo(8, 6);
+        expect(stats.cutVolume).toBeCloseTo(2, 6);
+        expect(stats.netVolume).toBeCloseTo(6, 6);
+        expect(stats.fillArea).toBe(8);
+        expect(stats.cutArea).toBe(4);
+        expect(stats.unchangedArea).toBe(4);
+        expect(stats.totalArea).toBe(16);
+        expect(stats.meanChange).toBeCloseTo(1.55 / 4, 6);
+        expect([stats.minChange, stats.maxChange]).toEqual([-0.5, 1]);
+
+        const raised = differenceStatistics(change, 4, { threshold: 0.6 });
+        expect(raised.cutVolume).toBe(0);
+        expect(raised.unchangedArea).toBe(8);
+    });
+
+    it('has a histogram covering every cell with data', () => {
+        fc.assert(fc.property(
+            fc.array(fc.oneof(fc.float({ min: -50, max: 50, noNaN: true }), fc.constant(NaN)), { minLength: 1, maxLength: 200 }),
+            fc.float({ min: 0, max: 5, noNaN: true }),
+            fc.integer({ min: 1, max: 30 }),
+            (values, threshold, bins) => {
+                const change = new Float32Array(values);
+                const stats = differenceStatistics(change, 2, { threshold, bins });
+                const histogramArea = stats.histogram.areas.reduce((sum, area) => sum + area, 0);
+                return stats.histogram.areas.length === bins &&
+                    stats.histogram.edges.length === bins + 1 &&
+                    Math.abs(histogramArea - stats.totalArea) < 1e-9 &&
+                    Math.abs(stats.cutArea + stats.fillArea + stats.unchangedArea - stats.totalArea) < 1e-9;
+            }
+        ), { numRuns: 100 });
+    });
+});
+
+describe('thresholdDifference and differenceRange', () => {
+    it('zeroes insignificant change and centres the range on zero', () => {
+        const change = new Float32Array([0.05, -0.05, 2, -1, NaN]);
+        expect(Array.from(thresholdDifference(change, 0.1))).toEqual([0, 0, 2, -1, NaN]);
+
+        const [low, high] = differenceRange(change, 0.1);
+        expect(low).toBe(-high);
+        expect(high).toBe(2);
+        expect(differenceRange(new Float32Array([0.01]), 0.5)).toEqual([-0.5, 0.5]);
+        expect(differenceRange(new Float32Array([NaN]), 0)).toEqual([-1, 1]);
+    });
+
+    it('validates settings', () => {
+        expect(normalizeDifferenceSettings()).toMatchObject({ threshold: 0.1, bins: 20, colormap: 'change' });
+        expect(() => normalizeDifferenceSettings({ threshold: -1 })).toThrow('threshold');
+        expect(() => normalizeDifferenceSettings({ bins: 2.5 })).toThrow('bins');
+    });
+});
@@ -0,0 +1,208 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import fc from 'fast-check';
+import {
+    loadElevation, detectElevationFormat, registerElevationFormat, getElevationFormats,
+    createElevationData, parseAsciiGrid, gridXYZ, decodeTerrainRGB, webMercatorTileBounds
+} from '../src/core/ElevationFormats.js';
+import { groundDimensions } from '../src/core/CRS.js';
+import { AbortError } from '../src/core/utils.js';
+import { slopedGrid } from './helpers/elevation-grids.js';
+
+const ASC = `ncols 4
+nrows 3
+xllcorner 1000
+yllcorner 2000
+cellsize 10
+NODATA_value -9999
+1 2 3 4
+5 -9999 7 8
+9 10 11 12
+`;
+
+function file(name, content) {
+    return new File([content], name);
+}
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('parseAsciiGrid', () => {
+    it('reads header, bounds and north-to-south rows', () => {
+        const grid = parseAsciiGrid(ASC);
+        expect([grid.width, grid.height]).toEqual([4, 3]);
+        expect(grid.geoBounds).toEqual([1000, 2000, 1040, 2030]);
+        expect(grid.noDataValue).toBe(-9999);
+        expect(Array.from(grid.elevation)).toEqual([1, 2, 3, 4, 5, -9999, 7, 8, 9, 10, 11, 12]);
+    });
+
+    it('handles centre registration, CRLF and values wrapped across lines', () => {
+        const grid = parseAsciiGrid('NCOLS 2\r\nNROWS 2\r\nXLLCENTER 5\r\nYLLCENTER 5\r\nCELLSIZE 10\r\n1 2 3\r\n4\r\n');
+        expect(grid.geoBounds).toEqual([0, 0, 20, 20]);
+        expect(grid.noDataValue).toBeNull();
+        expect(Array.from(grid.elevation)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('rejects truncated grids', () => {
+        expect(() => parseAsciiGrid('ncols 3\nnrows 3\ncellsize 1\n1 2 3\n')).toThrow('expected 9 values, found 3');
+        expect(() => parseAsciiGrid('1 2 3')).toThrow('header needs');
+    });
+});
+
+describe('gridXYZ', () => {
+    it('grids regular soundings at their spacing', () => {
+        const lines = ['X,Y,Z'];
+        for (let j = 0; j < 3; j++) {
+            for (let i = 0; i < 4; i++) lines.push(`${100 + i * 5},${200 + j * 5},${-(i + j * 4)}`);
+        }
+        const grid = gridXYZ(lines.join('\n'));
+
+        expect(grid.cellSize).toBe(5);
+        expect([grid.width, grid.height]).toEqual([4, 3]);
+        expect(grid.geoBounds).toEqual([97.5, 197.5, 117.5, 212.5]);
+        // Northernmost points (largest Y) form the first row
+        expect(grid.elevation[0]).toBe(-8);
+        expect(grid.elevation[11]).toBe(-3);
+    });
+
+    it('averages points sharing a cell and leaves empty cells NaN', () => {
+        const grid = gridXYZ('0 0 1\n0.2 0.1 3\n2 0 5\n0 2 7', { cellSize: 1 });
+        expect([grid.width, grid.height]).toEqual([3, 3]);
+        expect(grid.elevation[6]).toBe(2);
+        expect(grid.elevation[8]).toBe(5);
+        expect(grid.elevation[0]).toBe(7);
+        expect(grid.elevation[4]).toBeNaN();
+    });
+
+    it('keeps every point inside the grid bounds', () => {
+        const point = fc.tuple(fc.double({ min: -1e4, max: 1e4, noNaN: true }), fc.double({ min: -1e4, max: 1e4, noNaN: true }));
+        fc.assert(fc.property(fc.array(point, { minLength: 1, maxLength: 50 }), fc.double({ min: 50, max: 500, noNaN: true }), (points, cellSize) => {
+            const text = points.map(([x, y]) => `${x} ${y} 1`).join('\n');
+            const grid = gridXYZ(text, { cellSize });
+            const [minX, minY, maxX, maxY] = grid.geoBounds;
+            return points.every(([x, y]) => x >= minX && x <= maxX && y >= minY && y <= maxY);
+        }), { numRuns: 50 });
+    });
+
+    it('rejects files without points', () => {
+        expect(() => gridXYZ('x y z\n')).toThrow('no "x y z" points');
+    });
+});
+
+describe('decodeTerrainRGB', () => {
+    it('decodes Mapbox and Terrarium encodings', () => {
+        // Mapbox: 0 m = 100000 * 0.1 -> R=1, G=134, B=160
+        const mapbox = decodeTerrainRGB(new Uint8Array([1, 134, 160, 255, 0, 0, 0, 0]), 2, 1, 'mapbox');
+        expect(mapbox[0]).toBeCloseTo(0, 5);
+        expect(mapbox[1]).toBeNaN();
+
+        // Terrarium: -12.5 m = 32755.5 -> R=127, G=243, B=128
+        const terrarium = decodeTerrainRGB(new Uint8Array([127, 243, 128, 255]), 1, 1, 'terrarium');
+        expect(terrarium[0]).toBeCloseTo(-12.5, 5);
+    });
+
+    it('rejects unknown encodings', () => {
+        expect(() => decodeTerrainRGB(new Uint8Array(4), 1, 1, 'esri')).toThrow('Unknown RGB elevation encoding');
+    });
+});
+
+describe('webMercatorTileBounds', () => {
+    it('covers the world at zoom 0 and measures ground metres', () => {
+        const world = webMercatorTileBounds(0, 0, 0);
+        expect(world.geoBounds[0]).toBeCloseTo(-20037508.34, 1);
+        expect(world.geoBounds[3]).toBeCloseTo(20037508.34, 1);
+        expect(world.crs.epsg).toBe(3857);
+
+        // A z12 tile near 60°N is about half its Mercator width on the ground
+        const tile = webMercatorTileBounds(12, 2048, 1191);
+        const ground = groundDimensions(tile.geoBounds, tile.crs);
+        expect(ground.width / (tile.geoBounds[2] - tile.geoBounds[0])).toBeCloseTo(0.5, 1);
+    });
+});
+
+describe('createElevationData', () => {
+    it('reduces large rasters to the mesh size and keeps NoData as NaN', async () => {
+        const grid = slopedGrid(200, 100, 0, 100);
+        for (let y = 0; y < 4; y++) grid.elevation.fill(-9999, y * 200, y * 200 + 4);
+        const data = createElevationData(grid.elevation, 200, 100, [0, 0, 200, 100], null, -9999, { maxMeshDim: 50, maxNormalDim: 100 });
+
+        expect([data.width, data.height]).toEqual([50, 25]);
+        expect(data.elevation[0]).toBeNaN();
+        expect(data.tileSource).toBeNull();
+        const normal = await data.fullResElevationPromise;
+        expect([normal.width, normal.height]).toEqual([100, 50]);
+    });
+
+    it('uses small rasters as they are', async () => {
+        const grid = slopedGrid(10, 10, 0, 1);
+        const data = createElevationData(grid.elevation, 10, 10, [0, 0, 10, 10], null, null);
+        expect(data.elevation).toBe(grid.elevation);
+        expect((await data.fullResElevationPromise).elevation).toBe(grid.elevation);
+    });
+});
+
+describe('detectElevationFormat', () => {
+    it('detects by extension, ignoring URL query strings', async () => {
+        expect(await detectElevationFormat('https://example.com/dem.TIF?token=1')).toBe('geotiff');
+        expect(await detectElevationFormat('tiles/12/3745/2567.png')).toBe('terrain-rgb');
+        expect(await detectElevationFormat(file('survey.asc', ''))).toBe('ascii-grid');
+        expect(await detectElevationFormat(file('soundings.xyz', ''))).toBe('xyz');
+    });
+
+    it('falls back to magic bytes', async () => {
+        expect(await detectElevationFormat(file('dem', new Uint8Array([0x49, 0x49, 42, 0])))).toBe('geotiff');
+        expect(await detectElevationFormat(file('dem', new Uint8Array([0x4D, 0x4D, 0, 42])))).toBe('geotiff');
+        expect(await detectElevationFormat(file('tile', new Uint8Array([0x89, 0x50, 0x4E, 0x47])))).toBe('terrain-rgb');
+        expect(await detectElevationFormat(file('grid.txt', ASC))).toBe('ascii-grid');
+        expect(await detectElevationFormat(file('points.txt', 'E N Depth\n100.5 200 -3.2\n'))).toBe('xyz');
+    });
+
+    it('sniffs URLs with a range request', async () => {
+        const fetchMock = vi.fn(async () => new Response(ASC));
+        vi.stubGlobal('fetch', fetchMock);
+
+        expect(await detectElevationFormat('https://example.com/download?id=7')).toBe('ascii-grid');
+        expect(fetchMock.mock.calls[0][1].headers.Range).toBe('bytes=0-511');
+    });
+
+    it('reports unrecognized files', async () => {
+        await expect(detectElevationFormat(file('notes.doc', 'hello'))).rejects.toThrow(/Unrecognized elevation format \(\.doc\)/);
+    });
+});
+
+describe('loadElevation', () => {
+    it('loads an ASCII grid File', async () => {
+        const data = await loadElevation(file('survey.asc', ASC));
+        expect([data.width, data.height]).toEqual([4, 3]);
+        expect(data.geoBounds).toEqual([1000, 2000, 1040, 2030]);
+        expect(data.noDataValue).toBe(-9999);
+        expect(data.crs.type).toBe('unknown');
+    });
+
+    it('loads an XYZ URL with a configured cell size', async () => {
+        vi.stubGlobal('fetch', async () => new Response('0 0 -1\n10 0 -2\n0 10 -3\n10 10 -4\n'));
+        const data = await loadElevation('https://example.com/soundings.xyz', { cellSize: 5 });
+        expect([data.width, data.height]).toEqual([3, 3]);
+        expect(data.elevation[0]).toBe(-3);
+        expect(data.elevation[4]).toBeNaN();
+    });
+
+    it('honours an explicit format and AbortSignal', async () => {
+        await expect(loadElevation(file('data.bin', ASC), { format: 'ascii-grid' })).resolves.toBeTruthy();
+        await expect(loadElevation(file('survey.asc', ASC), { signal: AbortSignal.abort() })).rejects.toBeInstanceOf(AbortError);
+        await expect(loadElevation(file('survey.asc', ASC), { format: 'las' })).rejects.toThrow('Unknown elevation format: las');
+    });
+
+    it('accepts registered formats', async () => {
+        registerElevationFormat({
+            name: 'test-constant',
+            extensions: ['const'],
+            sniff: () => false,
+            load: async () => createElevationData(new Float32Array(4).fill(7), 2, 2, [0, 0, 2, 2], null, null)
+        });
+
+        expect(getElevationFormats()).toContain('test-constant');
+        const data = await loadElevation(file('x.const', ''));
+        expect(data.elevation[3]).toBe(7);
+    });
+});
@@ -0,0 +1,237 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import fc from 'fast-check';
+import * as THREE from 'three';
+import {
+    parseWorldFile, boundsToGeoTransform, imageryTransform, resampleImagery, bandsToRGBA, resizeRGBA, loadImagery
+} from '../src/core/Imagery.js';
+import { parseGeoKeys } from '../src/core/CRS.js';
+import { TerrainTiles } from '../src/core/TerrainTiles.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { basin, slopedGrid } from './helpers/elevation-grids.js';
+
+/** RGBA image whose red channel is the column and green the row. */
+function gridImage(width, height) {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            pixels.set([x, y, 0, 255], (y * width + x) * 4);
+        }
+    }
+    return { pixels, width, height };
+}
+
+describe('parseWorldFile', () => {
+    it('reorders A D B E C F into a geotransform', () => {
+        expect(parseWorldFile('0.5\n0\n0\n-0.5\n100.25\n200.75\n')).toEqual([0.5, 0, 100.25, 0, -0.5, 200.75]);
+    });
+
+    it('rejects malformed files', () => {
+        expect(() => parseWorldFile('1\n0\n0')).toThrow('six numbers');
+        expect(() => parseWorldFile('0 0 0 0 1 1')).toThrow('pixel size');
+    });
+});
+
+describe('resampleImagery', () => {
+    it('reproduces imagery that matches the terrain grid', async () => {
+        const image = gridImage(8, 4);
+        const bounds = [100, 0, 116, 8];
+        const out = await resampleImagery(
+            { ...image, geoTransform: boundsToGeoTransform(bounds, 8, 4) },
+            { geoBounds: bounds, width: 8, height: 4 }
+        );
+        expect(out).toEqual(image.pixels);
+    });
+
+    it('clips to the terrain and leaves uncovered pixels transparent', async () => {
+        // Imagery covers the west half of the terrain
+        const image = gridImage(4, 4);
+        const out = await resampleImagery(
+            { ...image, geoTransform: boundsToGeoTransform([0, 0, 4, 4], 4, 4) },
+            { geoBounds: [0, 0, 8, 4], width: 8, height: 4 }
+        );
+        for (let y = 0; y < 4; y++) {
+            expect(out[(y * 8 + 1) * 4 + 3]).toBe(255);
+            expect(out[(y * 8 + 6) * 4 + 3]).toBe(0);
+        }
+    });
+
+    it('follows rotated and flipped world files', async () => {
+        // Rows run east, columns run north
+        const image = gridImage(4, 4);
+        const out = await resampleImagery(
+            { ...image, geoTransform: [0, 1, 0.5, 1, 0, 0.5] },
+            { geoBounds: [0, 0, 4, 4], width: 4, height: 4 }
+        );
+        // North-east target pixel (x 3.5, y 3.5) is column 3, row 3; north-west is column 3, row 0
+        expect(Array.from(out.slice(3 * 4, 3 * 4 + 2))).toEqual([3, 3]);
+        expect(Array.from(out.slice(0, 2))).toEqual([3, 0]);
+    });
+
+    it('interpolates between pixel centres', async () => {
+        await fc.assert(fc.asyncProperty(fc.double({ min: 0.5, max: 3.5, noNaN: true }), async (x) => {
+            const image = gridImage(4, 1);
+            const out = await resampleImagery(
+                { ...image, geoTransform: boundsToGeoTransform([0, 0, 4, 1], 4, 1) },
+                { geoBounds: [x - 0.005, 0, x + 0.005, 1], width: 1, height: 1 }
+            );
+            return Math.abs(out[0] - (x - 0.5)) <= 1;
+        }), { numRuns: 50 });
+    });
+});
+
+describe('imageryTransform', () => {
+    const mercator = parseGeoKeys({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 3857 });
+    const lonLat = parseGeoKeys({ GTModelTypeGeoKey: 2, GeographicTypeGeoKey: 4326 });
+    const nztm = parseGeoKeys({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 2193 });
+
+    it('needs no transform for matching or unknown CRS', () => {
+        expect(imageryTransform(nztm, nztm)).toBeNull();
+        expect(imageryTransform(parseGeoKeys(null), nztm)).toBeNull();
+    });
+
+    it('converts between Web Mercator and longitude/latitude', () => {
+        const toLonLat = imageryTransform(mercator, lonLat);
+        const toMercator = imageryTransform(lonLat, mercator);
+        const [lon, lat] = toLonLat(19926188.85, -4865942.28);
+        expect(lon).toBeCloseTo(179, 4);
+        expect(lat).toBeCloseTo(-40, 4);
+        const [x, y] = toMercator(lon, lat);
+        expect(x).toBeCloseTo(19926188.85, 2);
+        expect(y).toBeCloseTo(-4865942.28, 2);
+    });
+
+    it('asks for a transform for other CRS pairs', () => {
+        expect(() => imageryTransform(nztm, lonLat)).toThrow('pass options.transform');
+    });
+});
+
+describe('bandsToRGBA', () => {
+    it('passes 8-bit RGB through and marks NoData transparent', () => {
+        const rgba = bandsToRGBA([new Uint8Array([10, 0]), new Uint8Array([20, 0]), new Uint8Array([30, 0])], 0);
+        expect(Array.from(rgba)).toEqual([10, 20, 30, 255, 0, 0, 0, 0]);
+    });
+
+    it('stretches a float band to gray', () => {
+        const db = Float32Array.from({ length: 101 }, (_, i) => -40 + i * 0.3);
+        db[5] = NaN;
+        const rgba = bandsToRGBA([db]);
+        expect(rgba[0]).toBe(0);
+        expect(rgba[100 * 4]).toBe(255);
+        expect(rgba[50 * 4]).toBe(rgba[50 * 4 + 2]);
+        expect(rgba[5 * 4 + 3]).toBe(0);
+    });
+});
+
+describe('loadImagery', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    /** geotiff.js stand-in for an 8-bit RGB ortho covering [0, 0, 200, 100]. */
+    function fakeOrtho(reads) {
+        const image = {
+            fileDirectory: {},
+            getWidth: () => 200,
+            getHeight: () => 100,
+            getSamplesPerPixel: () => 3,
+            getBoundingBox: () => [0, 0, 200, 100],
+            getGeoKeys: () => ({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 2193 }),
+            readRasters: async ({ window, width, height, samples }) => {
+                reads.push({ window, width, height });
+                return samples.map(() => new Uint8Array(width * height).fill(200));
+            }
+        };
+        return { getImage: async () => image };
+    }
+
+    it('reads only the window under the terrain, within maxSize', async () => {
+        const reads = [];
+        vi.stubGlobal('GeoTIFF', { fromArrayBuffer: async () => fakeOrtho(reads) });
+        const file = { name: 'ortho.tif', arrayBuffer: async () => new ArrayBuffer(0) };
+        const terrain = { geoBounds: [50, 20, 150, 70], crs: parseGeoKeys({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 2193 }) };
+
+        const imagery = await loadImagery(file, terrain, { pool: null, maxSize: 64 });
+
+        expect(reads[0].window).toEqual([49, 29, 151, 81]);
+        expect(Math.max(reads[0].width, reads[0].height)).toBe(64);
+        // Resampled at the read resolution: the terrain spans 100x50 of the 102x52 window
+        const { width, height } = reads[0];
+        expect(imagery.width).toBe(Math.round(100 * width / 102));
+        expect(imagery.height).toBe(Math.round(50 * height / 52));
+        expect(imagery.coverage).toBe(1);
+        expect(imagery.geoBounds).toEqual(terrain.geoBounds);
+        expect(Array.from(imagery.pixels.slice(0, 4))).toEqual([200, 200, 200, 255]);
+    });
+
+    it('rejects imagery outside the terrain and unknown formats', async () => {
+        vi.stubGlobal('GeoTIFF', { fromArrayBuffer: async () => fakeOrtho([]) });
+        const file = { name: 'ortho.tif', arrayBuffer: async () => new ArrayBuffer(0) };
+        await expect(loadImagery(file, { geoBounds: [500, 500, 600, 600], crs: null }, { pool: null }))
+            .rejects.toThrow('does not overlap');
+        await expect(loadImagery({ name: 'ortho.bmp' }, { geoBounds: [0, 0, 1, 1] }))
+            .rejects.toThrow('Unsupported imagery format');
+    });
+
+    it('needs a world file for local PNGs', async () => {
+        vi.stubGlobal('createImageBitmap', async () => ({ width: 2, height: 2, close() {} }));
+        vi.stubGlobal('OffscreenCanvas', class {
+            getContext() {
+                return { drawImage() {}, getImageData: () => ({ data: new Uint8ClampedArray(16).fill(255) }) };
+            }
+        });
+        const png = { name: 'ortho.png', arrayBuffer: async () => new ArrayBuffer(0) };
+        await expect(loadImagery(png, { geoBounds: [0, 0, 2, 2] })).rejects.toThrow('world file');
+
+        const worldFile = { name: 'ortho.pgw', arrayBuffer: async () => new TextEncoder().encode('1\n0\n0\n-1\n0.5\n1.5\n').buffer };
+        const imagery = await loadImagery(png, { geoBounds: [0, 0, 2, 2] }, { worldFile });
+        expect(imagery.coverage).toBe(1);
+    });
+});
+
+describe('TerrainMesh imagery', () => {
+    it('uploads imagery to the shared uniforms and blends it', () => {
+        const tm = createTestTerrain(slopedGrid(8, 8, 0, 7));
+        expect(tm.colorUniforms.imageryBlend.value).toBe(0);
+
+        tm.setImageryBlend(0.4);
+        expect(tm.colorUniforms.imageryBlend.value).toBe(0);
+
+        tm.setImagery(gridImage(8, 8));
+        expect(tm.colorUniforms.imageryMap.value).toBe(tm.imageryTexture);
+        expect(tm.colorUniforms.imageryBlend.value).toBe(0.4);
+        expect(() => tm.setImageryBlend(2)).toThrow('between 0 and 1');
+
+        tm.setImagery(null);
+        expect(tm.colorUniforms.imageryMap.value).toBeNull();
+        expect(tm.colorUniforms.imageryBlend.value).toBe(0);
+    });
+
+    it('downsamples imagery beyond the GPU texture limit', () => {
+        const tm = createTestTerrain(slopedGrid(8, 8, 0, 7));
+        tm.maxTextureSize = 16;
+        tm.setImagery(gridImage(64, 32));
+        expect([tm.imageryTexture.image.width, tm.imageryTexture.image.height]).toEqual([16, 8]);
+    });
+
+    it('drapes in the terrain, CPU fallback and tile shaders', () => {
+        const tm = createTestTerrain(basin(17, 17, 10, 0));
+        tm._createMaterial();
+        expect(tm.material.fragmentShader).toContain('drapeImagery(vColor');
+
+        tm.useGPUDisplacement = true;
+        tm._createMaterial();
+        expect(tm.material.fragmentShader).toContain('drapeImagery(terrainColor(');
+
+        const tiles = new TerrainTiles({ tileSize: 9 });
+        tiles.init(new THREE.Group(), tm, { width: 17, height: 17, readTile: async () => new Float32Array(81) });
+        expect(tiles.material.uniforms.imageryMap).toBe(tm.colorUniforms.imageryMap);
+        tiles.dispose();
+    });
+});
+
+describe('resizeRGBA', () => {
+    it('averages neighbouring pixels when halving', () => {
+        const pixels = new Uint8ClampedArray([0, 0, 0, 255, 100, 100, 100, 255]);
+        expect(Array.from(resizeRGBA(pixels, 2, 1, 1, 1))).toEqual([50, 50, 50, 255]);
+    });
+});
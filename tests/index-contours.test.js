@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { splitIndexContours, isIndexContour } from '../src/core/Contours.js';
+import { OverlayLayers } from '../src/core/OverlayLayers.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { slopedGrid } from './helpers/elevation-grids.js';
+
+/** Elevation = column (0-19), reference 19: contours 1 m apart run along z. */
+async function slopeContours() {
+    const tm = createTestTerrain(slopedGrid(20, 20, 0, 19));
+    tm._createGeometry();
+    const result = await tm.generateContours(19, 0, 1, 0.0008, null, 0.0001, 0);
+    return { tm, result };
+}
+
+describe('contour thresholds per segment', () => {
+    it('records the threshold of every segment', async () => {
+        const { tm, result } = await slopeContours();
+        expect(result.segmentThresholds).toHaveLength(result.vertexCount / 2);
+        expect(result.thresholds[0]).toBe(18);
+
+        for (let i = 0; i < result.segmentThresholds.length; i++) {
+            const elevation = result.thresholds[result.segmentThresholds[i]];
+            expect(result.segments[i * 6 + 1]).toBeCloseTo((elevation - 19) * tm.getHeightScale(), 6);
+            expect(result.segments[i * 6 + 4]).toBeCloseTo((elevation - 19) * tm.getHeightScale(), 6);
+        }
+    });
+
+    it('splits index contours every nth interval', async () => {
+        const { tm, result } = await slopeContours();
+        const { major, minor } = splitIndexContours(result.segments, result.segmentThresholds, 5);
+        expect(major.length + minor.length).toBe(result.segments.length);
+
+        // Index contours 5, 10 and 15 m below the reference
+        const heights = (segments) => new Set(Array.from({ length: segments.length / 3 }, (_, i) => segments[i * 3 + 1].toFixed(6)));
+        const indexHeights = [14, 9, 4].map((elevation) => ((elevation - 19) * tm.getHeightScale()).toFixed(6));
+        expect(heights(major)).toEqual(new Set(indexHeights));
+        for (const height of heights(minor)) {
+            expect(indexHeights).not.toContain(height);
+        }
+
+        expect(isIndexContour(4, 5)).toBe(true);
+        expect(isIndexContour(5, 5)).toBe(false);
+        expect(isIndexContour(4, 0)).toBe(false);
+        expect(splitIndexContours(result.segments, null, 5).minor).toBe(result.segments);
+        expect(splitIndexContours(result.segments, result.segmentThresholds, 0).major).toHaveLength(0);
+    });
+});
+
+describe('OverlayLayers index contours', () => {
+    async function overlays(config) {
+        const { tm, result } = await slopeContours();
+        const layers = new OverlayLayers(config);
+        layers.init(new THREE.Group(), tm);
+        layers.createContoursFromSegments(result.segments, result.vertexCount, null, result.segmentThresholds);
+        return { tm, layers, result };
+    }
+
+    it('draws major and minor contours as wide lines in their own style', async () => {
+        const { tm, layers } = await overlays({ contourMajorColor: 0xff0000, contourMajorWidth: 3, contourMinorWidth: 1 });
+        const major = layers.contourGroup.getObjectByName('contours_major');
+        const minor = layers.contourGroup.getObjectByName('contours_minor');
+        expect(major.isLineSegments2 && minor.isLineSegments2).toBe(true);
+        expect(major.material.color.getHex()).toBe(0xff0000);
+        expect(minor.material.color.getHex()).toBe(0x000000);
+        expect(major.material.clippingPlanes).toBe(tm.clippingPlanes);
+
+        // Widths in CSS pixels of the viewport being drawn
+        const renderer = {
+            getCurrentViewport: (target) => target.set(0, 0, 800, 600),
+            getPixelRatio: () => 2
+        };
+        major.onBeforeRender(renderer);
+        minor.onBeforeRender(renderer);
+        expect(major.material.resolution.toArray()).toEqual([800, 600]);
+        expect(major.material.linewidth).toBe(6);
+        expect(minor.material.linewidth).toBe(2);
+        layers.dispose();
+    });
+
+    it('toggles major and minor contours separately', async () => {
+        const { layers } = await overlays();
+        layers.setVisibility('minor', false);
+        expect(layers.contourGroup.getObjectByName('contours_minor').visible).toBe(false);
+        expect(layers.contourGroup.getObjectByName('contours_major').visible).toBe(true);
+        expect(layers.getContourLines().map((lines) => lines.name)).toEqual(['contours_major']);
+
+        // Kept when the contours are rebuilt
+        const { result } = await slopeContours();
+        layers.createContoursFromSegments(result.segments, result.vertexCount, null, result.segmentThresholds);
+        expect(layers.contourGroup.getObjectByName('contours_minor').visible).toBe(false);
+
+        layers.setVisibility('contours', false);
+        expect(layers.getContourLines()).toEqual([]);
+        layers.dispose();
+    });
+
+    it('scales segment heights, not the line quad, under Z-exaggeration', async () => {
+        const { tm, layers } = await overlays();
+        const major = layers.contourGroup.getObjectByName('contours_major');
+        const segments = major.geometry.attributes.instanceStart.data.array;
+        const before = segments.slice();
+        const quad = major.geometry.attributes.position.array.slice();
+
+        tm.setZExaggeration(tm.getZExaggeration() / 2);
+        layers.updateForZExaggeration();
+        for (let i = 0; i < before.length; i++) {
+            expect(segments[i]).toBeCloseTo(i % 3 === 1 ? before[i] / 2 : before[i], 6);
+        }
+        expect(major.geometry.attributes.position.array).toEqual(quad);
+
+        // Export lines share the scaled data
+        const [, exported] = layers.getContourLines();
+        expect(exported.isLineSegments).toBe(true);
+        expect(exported.geometry.attributes.position.array).toBe(segments);
+        layers.dispose();
+    });
+});
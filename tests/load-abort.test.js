@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { TerrainMesh } from '../src/core/TerrainMesh.js';
+import { extractCOGData } from '../src/core/COGLoader.js';
+import { AbortError, processInChunks } from '../src/core/utils.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { basin, gaussianHill } from './helpers/elevation-grids.js';
+
+/** Minimal geotiff.js stand-in whose raster reads honour an AbortSignal. */
+function fakeTiff(grid) {
+    const image = {
+        fileDirectory: {},
+        getWidth: () => grid.width,
+        getHeight: () => grid.height,
+        getBoundingBox: () => [0, 0, grid.width, grid.height],
+        getGeoKeys: () => ({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 2193 }),
+        readRasters: ({ signal }) => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => resolve([grid.elevation]), 20);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                const err = new Error('Request aborted');
+                err.name = 'AbortError';
+                reject(err);
+            });
+        })
+    };
+    return { getImage: async () => image };
+}
+
+describe('AbortError', () => {
+    it('is an Error named AbortError', () => {
+        const err = new AbortError();
+        expect(err).toBeInstanceOf(Error);
+        expect(err.name).toBe('AbortError');
+    });
+});
+
+describe('processInChunks with AbortSignal', () => {
+    it('stops between chunks once aborted', async () => {
+        const controller = new AbortController();
+        let processed = 0;
+        const promise = processInChunks(100, 10, () => processed++, (done) => {
+            if (done === 30) controller.abort();
+        }, controller.signal);
+
+        await expect(promise).rejects.toBeInstanceOf(AbortError);
+        expect(processed).toBe(30);
+    });
+});
+
+describe('extractCOGData with AbortSignal', () => {
+    it('rejects with AbortError when aborted during the raster read', async () => {
+        const controller = new AbortController();
+        const promise = extractCOGData(fakeTiff(basin(16, 16, 10, 0)), { signal: controller.signal });
+        setTimeout(() => controller.abort(), 0);
+
+        await expect(promise).rejects.toBeInstanceOf(AbortError);
+    });
+
+    it('rejects immediately for an already-aborted signal', async () => {
+        const promise = extractCOGData(fakeTiff(basin(16, 16, 10, 0)), { signal: AbortSignal.abort() });
+        await expect(promise).rejects.toBeInstanceOf(AbortError);
+    });
+
+    it('completes normally without a signal', async () => {
+        const data = await extractCOGData(fakeTiff(basin(16, 16, 10, 0)));
+        expect(data.width).toBe(16);
+        expect(data.crs.epsg).toBe(2193);
+    });
+});
+
+describe('TerrainMesh.createFromData with AbortSignal', () => {
+    it('releases geometry and textures when aborted mid-build', async () => {
+        const grid = gaussianHill(64, 64, 50, 0, 10);
+        const tm = new TerrainMesh({ targetPolygons: 20000 });
+        tm.useGPUDisplacement = false;
+        tm.setElevationConfig(50, [0, 50], null);
+
+        const controller = new AbortController();
+        const promise = tm.createFromData({
+            elevation: grid.elevation,
+            width: grid.width,
+            height: grid.height,
+            geoBounds: [0, 0, 64, 64],
+            signal: controller.signal
+        }, null, (stage) => {
+            if (stage === 'COMPUTE_COLORS') controller.abort();
+        });
+
+        await expect(promise).rejects.toBeInstanceOf(AbortError);
+        expect(tm.geometry).toBeNull();
+        expect(tm.elevationTexture).toBeNull();
+        expect(tm.mesh).toBeNull();
+    });
+});
+
+describe('generateContours with AbortSignal', () => {
+    it('rejects with AbortError when aborted between thresholds', async () => {
+        const tm = createTestTerrain(gaussianHill(48, 48, 50, 0, 10), { referenceElevation: 50 });
+        tm._createGeometry();
+        const controller = new AbortController();
+
+        const promise = tm.generateContours(50, 0, 1, 0.0008, (p) => {
+            if (p > 0.2) controller.abort();
+        }, 0, 0, controller.signal);
+
+        await expect(promise).rejects.toBeInstanceOf(AbortError);
+    });
+
+    it('vertex-limit aborts still resolve with aborted: true', async () => {
+        const tm = createTestTerrain(gaussianHill(48, 48, 50, 0, 10), { referenceElevation: 50 });
+        tm._createGeometry();
+
+        const result = await tm.generateContours(50, 0, 1, 0.0008, null, 0, 10, new AbortController().signal);
+        expect(result.aborted).toBe(true);
+    });
+});
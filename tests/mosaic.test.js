@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fc from 'fast-check';
+import { planMosaic, mergeRasters, OVERLAP_RULES } from '../src/core/Mosaic.js';
+import { loadCOGMosaic } from '../src/core/COGLoader.js';
+import { parseGeoKeys } from '../src/core/CRS.js';
+import { flatGrid, slopedGrid } from './helpers/elevation-grids.js';
+
+const NZTM = parseGeoKeys({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 2193 });
+const WGS84 = parseGeoKeys({ GTModelTypeGeoKey: 2, GeographicTypeGeoKey: 4326 });
+
+/** A constant-valued source covering `bounds` at 1 unit per pixel. */
+function constantSource(bounds, value, noDataValue = null) {
+    const width = bounds[2] - bounds[0];
+    const height = bounds[3] - bounds[1];
+    return { data: new Float32Array(width * height).fill(value), width, height, bounds, noDataValue, crs: NZTM };
+}
+
+/** geotiff.js stand-in for one mosaic source. */
+function fakeTiff(grid, bounds, { geoKeys = { GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 2193 }, noData } = {}) {
+    const image = {
+        fileDirectory: noData !== undefined ? { GDAL_NODATA: String(noData) } : {},
+        getWidth: () => grid.width,
+        getHeight: () => grid.height,
+        getBoundingBox: () => bounds,
+        getGeoKeys: () => geoKeys,
+        readRasters: async ({ width, height }) => {
+            expect([width, height]).toEqual([grid.width, grid.height]);
+            return [grid.elevation];
+        }
+    };
+    return { getImage: async () => image };
+}
+
+describe('planMosaic', () => {
+    it('covers the union of the source bounds at the shared resolution', () => {
+        const grid = planMosaic([
+            constantSource([0, 0, 20, 10], 1),
+            constantSource([20, 0, 40, 10], 2),
+            constantSource([10, 10, 30, 25], 3)
+        ]);
+
+        expect(grid.bounds).toEqual([0, 0, 40, 25]);
+        expect([grid.width, grid.height]).toEqual([40, 25]);
+        expect(grid.resolution).toEqual([1, 1]);
+        expect(grid.crs).toBe(NZTM);
+    });
+
+    it('rejects sources in different CRSs', () => {
+        const a = constantSource([0, 0, 10, 10], 1);
+        const b = { ...constantSource([10, 0, 20, 10], 1), crs: WGS84 };
+        expect(() => planMosaic([a, b])).toThrow(/different CRS.*EPSG:4326.*EPSG:2193/);
+    });
+
+    it('rejects sources with different resolutions beyond the tolerance', () => {
+        const a = constantSource([0, 0, 10, 10], 1);
+        const b = { ...constantSource([10, 0, 20, 10], 1), width: 5, height: 5 };
+        expect(() => planMosaic([a, b])).toThrow('different resolutions');
+        expect(planMosaic([a, b], { resolutionTolerance: 1 }).width).toBe(20);
+    });
+
+    it('accepts geographic sources', () => {
+        const a = { ...constantSource([0, 0, 10, 10], 1), crs: WGS84 };
+        const b = { ...constantSource([10, 0, 20, 10], 1), crs: WGS84 };
+        expect(planMosaic([a, b]).width).toBe(20);
+    });
+});
+
+describe('mergeRasters', () => {
+    it('places adjacent tiles side by side without gaps', () => {
+        const left = constantSource([0, 0, 10, 10], 1);
+        const right = constantSource([10, 0, 20, 10], 2);
+        const out = mergeRasters([left, right], [0, 0, 20, 10], 20, 10);
+
+        for (let j = 0; j < 10; j++) {
+            for (let i = 0; i < 20; i++) {
+                expect(out[j * 20 + i]).toBe(i < 10 ? 1 : 2);
+            }
+        }
+    });
+
+    it('keeps north-up row order', () => {
+        const north = constantSource([0, 10, 10, 20], 5);
+        const south = constantSource([0, 0, 10, 10], 7);
+        const out = mergeRasters([north, south], [0, 0, 10, 20], 10, 20);
+        expect(out[0]).toBe(5);
+        expect(out[19 * 10]).toBe(7);
+    });
+
+    it('leaves cells outside every source as NaN', () => {
+        const out = mergeRasters([constantSource([0, 0, 10, 10], 1)], [0, 0, 20, 20], 20, 20);
+        expect(out[0]).toBeNaN();
+        expect(out[19 * 20 + 5]).toBe(1);
+        expect(out[19 * 20 + 15]).toBeNaN();
+    });
+
+    it('combines overlaps by rule', () => {
+        const a = constantSource([0, 0, 10, 10], 2);
+        const b = constantSource([5, 0, 15, 10], 6);
+        const expected = { first: 2, last: 6, mean: 4, min: 2, max: 6 };
+
+        for (const rule of OVERLAP_RULES) {
+            const out = mergeRasters([a, b], [0, 0, 15, 10], 15, 10, rule);
+            expect(out[2], rule).toBe(2);
+            expect(out[7], rule).toBe(expected[rule]);
+            expect(out[12], rule).toBe(6);
+        }
+    });
+
+    it('lets another source show through NoData', () => {
+        const a = constantSource([0, 0, 10, 10], 3);
+        const b = constantSource([0, 0, 10, 10], -9999, -9999);
+        b.data[0] = 8;
+        const out = mergeRasters([a, b], [0, 0, 10, 10], 10, 10, 'last');
+        expect(out[55]).toBe(3);
+    });
+
+    it('rejects unknown overlap rules', () => {
+        expect(() => mergeRasters([], [0, 0, 1, 1], 1, 1, 'median')).toThrow('Unknown overlap rule');
+    });
+
+    it('reproduces a single source sampled at its own grid', () => {
+        fc.assert(fc.property(
+            fc.integer({ min: 2, max: 30 }),
+            fc.integer({ min: 2, max: 30 }),
+            (w, h) => {
+                const grid = slopedGrid(w, h, 0, 100);
+                const source = { data: grid.elevation, width: w, height: h, bounds: [100, 200, 100 + w, 200 + h] };
+                const out = mergeRasters([source], source.bounds, w, h);
+                for (let i = 0; i < out.length; i++) {
+                    if (Math.abs(out[i] - grid.elevation[i]) > 1e-3) return false;
+                }
+                return true;
+            }
+        ), { numRuns: 30 });
+    });
+});
+
+describe('loadCOGMosaic', () => {
+    const tiffs = new Map();
+
+    beforeAll(() => {
+        vi.stubGlobal('GeoTIFF', { fromUrl: async (url) => tiffs.get(url) });
+        tiffs.set('west.tif', fakeTiff(flatGrid(20, 10, 4), [0, 0, 20, 10], { noData: -9999 }));
+        tiffs.set('east.tif', fakeTiff(flatGrid(20, 10, 6), [20, 0, 40, 10]));
+        tiffs.set('north.tif', fakeTiff(flatGrid(20, 10, 9), [10, 10, 30, 20]));
+        tiffs.set('latlon.tif', fakeTiff(flatGrid(20, 10, 9), [20, 0, 40, 10],
+            { geoKeys: { GTModelTypeGeoKey: 2, GeographicTypeGeoKey: 4326 } }));
+    });
+
+    afterAll(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('returns combined data in extractCOGData\'s shape', async () => {
+        const data = await loadCOGMosaic(['west.tif', 'east.tif', 'north.tif'], { pool: null });
+
+        expect(data.geoBounds).toEqual([0, 0, 40, 20]);
+        expect([data.width, data.height]).toEqual([40, 20]);
+        expect(data.crs.epsg).toBe(2193);
+        expect(data.noDataValue).toBeNull();
+        expect(data.tileSource).toBeNull();
+
+        // Row 0 is the north edge: only the north tile covers x 10-30
+        expect(data.elevation[0]).toBeNaN();
+        expect(data.elevation[15]).toBe(9);
+        expect(data.elevation[15 * 40 + 5]).toBe(4);
+        expect(data.elevation[15 * 40 + 35]).toBe(6);
+
+        const fullRes = await data.fullResElevationPromise;
+        expect(fullRes.elevation).toBe(data.elevation);
+    });
+
+    it('reads mixed URL and File sources', async () => {
+        const file = { arrayBuffer: async () => new ArrayBuffer(0) };
+        vi.stubGlobal('GeoTIFF', {
+            fromUrl: async (url) => tiffs.get(url),
+            fromArrayBuffer: async () => tiffs.get('east.tif')
+        });
+
+        const data = await loadCOGMosaic(['west.tif', file], { pool: null });
+        expect(data.width).toBe(40);
+    });
+
+    it('reports incompatible sources', async () => {
+        await expect(loadCOGMosaic(['west.tif', 'latlon.tif'], { pool: null })).rejects.toThrow('different CRS');
+        await expect(loadCOGMosaic([], { pool: null })).rejects.toThrow('at least one');
+    });
+});
@@ -0,0 +1,212 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import fc from 'fast-check';
+import { RangeCache } from '../src/core/RangeCache.js';
+import { openCOG } from '../src/core/COGLoader.js';
+import { AbortError } from '../src/core/utils.js';
+
+const URL_A = 'https://example.com/survey.tif';
+const BLOCK = 16;
+
+/** HTTP server stand-in for range requests on one or more files. */
+function fakeServer(files) {
+    const server = {
+        files,
+        online: true,
+        ranges: [],
+        fetch: vi.fn(async (url, { method = 'GET', headers = {} } = {}) => {
+            if (!server.online) throw new TypeError('Failed to fetch');
+            const file = server.files[url];
+            if (!file) return new Response(null, { status: 404 });
+
+            const base = { ETag: file.etag };
+            if (method === 'HEAD') {
+                return new Response(null, { headers: { ...base, 'Content-Length': String(file.data.length) } });
+            }
+            const [, start, end] = /bytes=(\d+)-(\d+)/.exec(headers.Range);
+            server.ranges.push(headers.Range);
+            const last = Math.min(Number(end), file.data.length - 1);
+            return new Response(file.data.slice(Number(start), last + 1), {
+                status: 206,
+                headers: { ...base, 'Content-Range': `bytes ${start}-${last}/${file.data.length}` }
+            });
+        })
+    };
+    vi.stubGlobal('fetch', server.fetch);
+    return server;
+}
+
+function bytes(length, seed = 0) {
+    return new Uint8Array(length).map((_, i) => (i * 7 + seed) % 256);
+}
+
+async function readVia(client, start, end) {
+    const response = await client.request({ headers: { Range: `bytes=${start}-${end}` } });
+    return { data: new Uint8Array(await response.getData()), contentRange: response.getHeader('Content-Range') };
+}
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('RangeCache client', () => {
+    it('serves repeated ranges from the cache', async () => {
+        const file = bytes(100);
+        const server = fakeServer({ [URL_A]: { data: file, etag: '"v1"' } });
+        const cache = new RangeCache({ blockSize: BLOCK });
+
+        const client = await cache.createClient(URL_A);
+        const first = await readVia(client, 10, 40);
+        expect(Array.from(first.data)).toEqual(Array.from(file.slice(10, 41)));
+        expect(first.contentRange).toBe('bytes 10-40/100');
+        expect(server.ranges).toEqual(['bytes=0-47']);
+
+        const again = await readVia(client, 20, 30);
+        expect(Array.from(again.data)).toEqual(Array.from(file.slice(20, 31)));
+        expect(server.ranges).toHaveLength(1);
+
+        const stats = await cache.getStats();
+        expect(stats.blocks).toBe(3);
+        expect(stats.hits).toBe(1);
+        expect(stats.misses).toBe(3);
+    });
+
+    it('returns exactly the requested bytes for any range', async () => {
+        const file = bytes(200, 3);
+        fakeServer({ [URL_A]: { data: file, etag: '"v1"' } });
+        const cache = new RangeCache({ blockSize: BLOCK });
+        const client = await cache.createClient(URL_A);
+
+        await fc.assert(fc.asyncProperty(
+            fc.integer({ min: 0, max: 199 }),
+            fc.integer({ min: 0, max: 250 }),
+            async (start, length) => {
+                const { data } = await readVia(client, start, start + length);
+                const expected = file.slice(start, Math.min(200, start + length + 1));
+                return data.length === expected.length && data.every((b, i) => b === expected[i]);
+            }
+        ), { numRuns: 50 });
+    });
+
+    it('fetches only missing blocks', async () => {
+        const server = fakeServer({ [URL_A]: { data: bytes(128), etag: '"v1"' } });
+        const cache = new RangeCache({ blockSize: BLOCK });
+        const client = await cache.createClient(URL_A);
+
+        await readVia(client, 16, 31);
+        await readVia(client, 48, 63);
+        await readVia(client, 0, 79);
+        expect(server.ranges).toEqual(['bytes=16-31', 'bytes=48-63', 'bytes=0-15', 'bytes=32-47', 'bytes=64-79']);
+    });
+
+    it('drops blocks when the ETag changes', async () => {
+        const server = fakeServer({ [URL_A]: { data: bytes(64), etag: '"v1"' } });
+        const cache = new RangeCache({ blockSize: BLOCK });
+        await readVia(await cache.createClient(URL_A), 0, 63);
+
+        server.files[URL_A] = { data: bytes(64, 100), etag: '"v2"' };
+        const { data } = await readVia(await cache.createClient(URL_A), 0, 15);
+        expect(data[0]).toBe(100);
+        expect((await cache.getStats()).datasets).toEqual([{ url: URL_A, etag: '"v2"', size: 64, cachedBytes: 16 }]);
+    });
+
+    it('reads cached datasets offline and skips unknown ones', async () => {
+        const file = bytes(64);
+        const server = fakeServer({ [URL_A]: { data: file, etag: '"v1"' } });
+        const cache = new RangeCache({ blockSize: BLOCK });
+        await cache.prefetch(URL_A);
+
+        server.online = false;
+        const { data } = await readVia(await cache.createClient(URL_A), 5, 50);
+        expect(Array.from(data)).toEqual(Array.from(file.slice(5, 51)));
+        expect(await cache.createClient('https://example.com/other.tif')).toBeNull();
+    });
+
+    it('does not cache URLs without a validator', async () => {
+        vi.stubGlobal('fetch', async () => new Response(null, { headers: { 'Content-Length': '64' } }));
+        expect(await new RangeCache().createClient(URL_A)).toBeNull();
+    });
+
+    it('keeps blocks across instances sharing a store', async () => {
+        const server = fakeServer({ [URL_A]: { data: bytes(64), etag: '"v1"' } });
+        const cache = new RangeCache({ blockSize: BLOCK });
+        await readVia(await cache.createClient(URL_A), 0, 31);
+
+        const reopened = new RangeCache({ blockSize: BLOCK, store: cache.store });
+        await readVia(await reopened.createClient(URL_A), 0, 31);
+        expect(server.ranges).toHaveLength(1);
+        expect((await reopened.getStats()).bytes).toBe(32);
+    });
+});
+
+describe('RangeCache eviction', () => {
+    it('evicts least recently used blocks beyond maxBytes', async () => {
+        const server = fakeServer({ [URL_A]: { data: bytes(128), etag: '"v1"' } });
+        const cache = new RangeCache({ blockSize: BLOCK, maxBytes: 3 * BLOCK });
+        const client = await cache.createClient(URL_A);
+
+        await readVia(client, 0, 15);    // block 0
+        await readVia(client, 16, 31);   // block 1
+        await readVia(client, 32, 47);   // block 2
+        await readVia(client, 0, 15);    // touch block 0
+        await readVia(client, 48, 63);   // block 3 evicts block 1
+
+        const stats = await cache.getStats();
+        expect(stats.bytes).toBe(3 * BLOCK);
+        server.ranges.length = 0;
+        await readVia(client, 0, 15);
+        await readVia(client, 16, 31);
+        expect(server.ranges).toEqual(['bytes=16-31']);
+    });
+});
+
+describe('RangeCache.prefetch', () => {
+    it('caches a whole dataset and reports progress', async () => {
+        const server = fakeServer({ [URL_A]: { data: bytes(100), etag: '"v1"' } });
+        const cache = new RangeCache({ blockSize: BLOCK });
+        const progress = [];
+
+        const result = await cache.prefetch(URL_A, { blocksPerRequest: 2, onProgress: p => progress.push(p) });
+        expect(result).toEqual({ url: URL_A, size: 100 });
+        expect(server.ranges).toEqual(['bytes=0-31', 'bytes=32-63', 'bytes=64-95', 'bytes=96-99']);
+        expect(progress.at(-1)).toBe(1);
+        expect((await cache.getStats()).datasets[0].cachedBytes).toBe(100);
+    });
+
+    it('rejects datasets larger than the cache and honours abort', async () => {
+        fakeServer({ [URL_A]: { data: bytes(100), etag: '"v1"' } });
+        await expect(new RangeCache({ maxBytes: 50 }).prefetch(URL_A)).rejects.toThrow('exceeds the');
+        await expect(new RangeCache().prefetch(URL_A, { signal: AbortSignal.abort() })).rejects.toBeInstanceOf(AbortError);
+    });
+
+    it('clears one dataset or everything', async () => {
+        const URL_B = 'https://example.com/other.tif';
+        fakeServer({ [URL_A]: { data: bytes(40), etag: '"a"' }, [URL_B]: { data: bytes(40), etag: '"b"' } });
+        const cache = new RangeCache({ blockSize: BLOCK });
+        await cache.prefetch(URL_A);
+        await cache.prefetch(URL_B);
+
+        await cache.clear(URL_A);
+        let stats = await cache.getStats();
+        expect(stats.datasets.map(d => d.url)).toEqual([URL_B]);
+        expect(stats.bytes).toBe(40);
+
+        await cache.clear();
+        stats = await cache.getStats();
+        expect([stats.bytes, stats.blocks, stats.datasets.length]).toEqual([0, 0, 0]);
+    });
+});
+
+describe('openCOG with a range cache', () => {
+    it('opens cacheable URLs through a custom client', async () => {
+        fakeServer({ [URL_A]: { data: bytes(64), etag: '"v1"' } });
+        const fromCustomClient = vi.fn(async client => ({ client }));
+        const fromUrl = vi.fn(async () => ({ uncached: true }));
+        vi.stubGlobal('GeoTIFF', { fromCustomClient, fromUrl });
+
+        const tiff = await openCOG(URL_A, undefined, new RangeCache());
+        expect(tiff.client.url).toBe(URL_A);
+        expect(fromUrl).not.toHaveBeenCalled();
+
+        expect(await openCOG('https://example.com/missing.tif', undefined, new RangeCache())).toEqual({ uncached: true });
+    });
+});
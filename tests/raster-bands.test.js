@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import * as THREE from 'three';
+import { extractCOGData, createCOGTileSource } from '../src/core/COGLoader.js';
+import { createColormap, colorForValue } from '../src/core/Colormaps.js';
+import { TerrainViewer } from '../src/TerrainViewer.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { flatGrid, slopedGrid, gaussianHill } from './helpers/elevation-grids.js';
+
+/** geotiff.js stand-in for a multi-band raster read at full size. */
+function fakeTiff(bands, width, height, fileDirectory = {}) {
+    const image = {
+        fileDirectory,
+        getWidth: () => width,
+        getHeight: () => height,
+        getSamplesPerPixel: () => bands.length,
+        getBoundingBox: () => [0, 0, width * 10, height * 10],
+        getGeoKeys: () => ({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 2193 }),
+        readRasters: async ({ samples = [0], window } = {}) => {
+            const band = bands[samples[0]];
+            if (!window) return [band];
+            const [x0, y0, x1, y1] = window;
+            const out = new Float32Array((x1 - x0) * (y1 - y0));
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) out[(y - y0) * (x1 - x0) + (x - x0)] = band[y * width + x];
+            }
+            return [out];
+        }
+    };
+    return { getImage: async () => image, getImageCount: async () => 1 };
+}
+
+describe('extractCOGData band selection', () => {
+    const depth = new Float32Array([-10, -20, -30, -40]);
+    const uncertainty = new Float32Array([100, 300, -9999, 500]);
+
+    it('reads the first band by default and reports the band count', async () => {
+        const data = await extractCOGData(fakeTiff([depth, uncertainty], 2, 2), { pool: null });
+        expect(Array.from(data.elevation)).toEqual([-10, -20, -30, -40]);
+        expect(data.band).toBe(0);
+        expect(data.bandCount).toBe(2);
+        expect(data.colorBand).toBeNull();
+    });
+
+    it('reads the requested band', async () => {
+        const data = await extractCOGData(fakeTiff([depth, uncertainty], 2, 2), { pool: null, band: 1 });
+        expect(data.elevation[3]).toBe(500);
+        expect(data.band).toBe(1);
+    });
+
+    it('reads a coloring band with its own scale, NoData as NaN', async () => {
+        const tiff = fakeTiff([depth, uncertainty], 2, 2, {
+            GDAL_NODATA: '-9999',
+            GDAL_METADATA: '<GDALMetadata>\n<Item name="SCALE" sample="1" role="scale">0.01</Item>\n</GDALMetadata>\n'
+        });
+        const data = await extractCOGData(tiff, { pool: null, colorBand: 1 });
+
+        expect(data.elevation[0]).toBe(-10);
+        expect(data.colorBand).toMatchObject({ band: 1, width: 2, height: 2, range: [1, 5] });
+        expect(data.colorBand.data[1]).toBeCloseTo(3, 5);
+        expect(data.colorBand.data[2]).toBeNaN();
+    });
+
+    it('rejects bands the raster does not have', async () => {
+        const tiff = fakeTiff([depth, uncertainty], 2, 2);
+        await expect(extractCOGData(tiff, { pool: null, band: 2 })).rejects.toThrow('Band 2 is out of range: the raster has 2 bands');
+        await expect(extractCOGData(tiff, { pool: null, colorBand: -1 })).rejects.toThrow('out of range');
+    });
+
+    it('reads LOD tiles from the selected band', async () => {
+        const grid = slopedGrid(4, 4, 0, 30);
+        const source = await createCOGTileSource(fakeTiff([flatGrid(4, 4, 7).elevation, grid.elevation], 4, 4), null, null, 1);
+        const tile = await source.readTile(0, 0, 1, 1, 4);
+        expect(tile[5]).toBeCloseTo(grid.elevation[5], 4);
+    });
+});
+
+const TURBO = createColormap('turbo');
+const turboColorForValue = (value, min, max) => colorForValue(TURBO, value, min, max);
+
+describe('coloring by a second band', () => {
+    it('colors below-reference vertices by the band value', async () => {
+        const tm = createTestTerrain(flatGrid(10, 10, -20), { referenceElevation: 0, depthRange: [0, 20] });
+        // Left half low, right half high
+        const data = new Float32Array(100).map((_, i) => (i % 10 < 5 ? 0 : 1));
+        tm.colorBand = { band: 1, data, width: 10, height: 10, range: [0, 1] };
+        tm._createGeometry();
+        await tm._computeVertexColorsAsync();
+
+        const colors = tm.geometry.attributes.color;
+        const uvs = tm.geometry.attributes.uv;
+        const low = turboColorForValue(0, 0, 1);
+        const high = turboColorForValue(1, 0, 1);
+        for (let i = 0; i < uvs.count; i++) {
+            const u = uvs.getX(i);
+            if (u > 0.3 && u < 0.7) continue;
+            const expected = u <= 0.3 ? low : high;
+            expect(colors.getX(i)).toBeCloseTo(expected[0], 3);
+            expect(colors.getZ(i)).toBeCloseTo(expected[2], 3);
+        }
+    });
+
+    it('grays vertices where the coloring band has no data', async () => {
+        const tm = createTestTerrain(flatGrid(8, 8, -5), { referenceElevation: 0, depthRange: [0, 5] });
+        tm.colorBand = { band: 1, data: new Float32Array(64).fill(Number.NaN), width: 8, height: 8, range: [0, 1] };
+        tm._createGeometry();
+        await tm._computeVertexColorsAsync();
+
+        const colors = tm.geometry.attributes.color;
+        expect(colors.getX(0)).toBeCloseTo(0.5, 3);
+        expect(colors.getY(0)).toBeCloseTo(0.5, 3);
+    });
+
+    it('maps values across the range from blue to red', () => {
+        const [r0, , b0] = turboColorForValue(0, 0, 10);
+        const [r1, , b1] = turboColorForValue(10, 0, 10);
+        expect(b0).toBeGreaterThan(r0);
+        expect(r1).toBeGreaterThan(b1);
+        expect(turboColorForValue(3, 3, 3)).toEqual(turboColorForValue(5, 0, 10));
+    });
+});
+
+describe('TerrainViewer band switching', () => {
+    const hill = gaussianHill(16, 16, 40, 0, 4);
+    const slope = slopedGrid(16, 16, 0, 20);
+
+    beforeAll(() => {
+        vi.stubGlobal('document', {
+            createElement: () => ({
+                getContext: () => ({
+                    createImageData: (w, h) => ({ data: new Uint8ClampedArray(w * h * 4) }),
+                    putImageData() {}
+                })
+            })
+        });
+        vi.stubGlobal('GeoTIFF', { fromUrl: async () => fakeTiff([hill.elevation, slope.elevation], 16, 16) });
+    });
+
+    afterAll(() => {
+        vi.unstubAllGlobals();
+    });
+
+    function createViewer() {
+        const viewer = new TerrainViewer({}, { terrain: { polygons: 2000 }, enableContours: false });
+        const container = new THREE.Group();
+        viewer.arManager = {
+            getARScene: () => ({ getRenderer: () => null }),
+            getModelContainer: () => container,
+            setTerrainMesh() {},
+            setTerrainTiles() {},
+            setOverlayLayers() {},
+            setWaterSurface() {},
+            setSectionClipping() {},
+            setTerrainSkirt() {},
+            dispose() {}
+        };
+        viewer.toolManager = { setTerrainMesh() {}, dispose() {}, reattach() {} };
+        return viewer;
+    }
+
+    it('switches the displayed band and coloring band at runtime', async () => {
+        const viewer = createViewer();
+        await viewer.load('bands.tif');
+        expect(viewer.getElevationInfo()).toMatchObject({ band: 0, bandCount: 2, colorBand: null });
+        expect(viewer.getElevationInfo().maxElevation).toBeGreaterThan(30);
+
+        await viewer.setBand(1);
+        expect(viewer.getElevationInfo().band).toBe(1);
+        expect(viewer.getElevationInfo().maxElevation).toBeCloseTo(20, 0);
+
+        await viewer.setColorBand(0);
+        expect(viewer.getElevationInfo().colorBand).toBe(0);
+        expect(viewer.terrainMesh.colorBand.band).toBe(0);
+
+        await viewer.setColorBand(null);
+        expect(viewer.terrainMesh.colorBand).toBeNull();
+    });
+
+    it('keeps the current band after an invalid switch', async () => {
+        const viewer = createViewer();
+        viewer.onError = () => {};
+        await viewer.load('bands.tif');
+        const before = viewer.terrainMesh;
+
+        await expect(viewer.setBand(5)).rejects.toThrow('out of range');
+        expect(viewer.terrainMesh).toBe(before);
+        expect(viewer.options.terrain.band).toBe(0);
+    });
+
+    it('needs a loaded dataset', async () => {
+        await expect(createViewer().setBand(1)).rejects.toThrow('no dataset loaded');
+    });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import * as THREE from 'three';
+import { TERRAIN_JOBS } from '../src/core/TerrainJobs.js';
+import { RenderMode, normalizeRenderSettings, renderModeIndex } from '../src/core/RenderModes.js';
+import { TerrainTiles } from '../src/core/TerrainTiles.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { flatGrid, slopedGrid, gaussianHill, basin } from './helpers/elevation-grids.js';
+
+function normalMapOf(grid, strength = 1) {
+    return TERRAIN_JOBS.normalMap({
+        elevationData: grid.elevation,
+        elevationWidth: grid.width,
+        elevationHeight: grid.height,
+        noDataValue: null,
+        cellSizeX: 1,
+        cellSizeY: 1,
+        strength
+    });
+}
+
+/** What the shaders read from the gradient texture at texel i. */
+function decodeGradient(gradient, i) {
+    return [THREE.DataUtils.fromHalfFloat(gradient[i * 2]), THREE.DataUtils.fromHalfFloat(gradient[i * 2 + 1])];
+}
+
+describe('normalMap curvature channel', () => {
+    it('encodes convex peaks high and concave basins low', async () => {
+        const hill = await normalMapOf(gaussianHill(21, 21, 50, 0, 4));
+        const bowl = await normalMapOf(basin(21, 21, 50, 0));
+        const center = 10 * 21 + 10;
+
+        expect(hill.pixels[center * 4 + 2]).toBeGreaterThan(200);
+        expect(bowl.pixels[center * 4 + 2]).toBeLessThan(128);
+        expect(hill.curvatureScale).toBeGreaterThan(0);
+    });
+
+    it('keeps planes at the neutral midpoint', async () => {
+        for (const grid of [flatGrid(8, 8, 1234.5), slopedGrid(8, 8, 1000, 1007)]) {
+            const { pixels } = await normalMapOf(grid);
+            for (let i = 0; i < 64; i++) expect(Math.abs(pixels[i * 4 + 2] - 128)).toBeLessThanOrEqual(1);
+        }
+    });
+
+});
+
+describe('normalMap gradient texture', () => {
+    it('carries the gradient the shaders read, to half-float precision', async () => {
+        await fc.assert(fc.asyncProperty(
+            fc.double({ min: -20, max: 20, noNaN: true }),
+            fc.double({ min: -20, max: 20, noNaN: true }),
+            async (a, b) => {
+                const elevation = Float32Array.from({ length: 25 }, (_, i) => a * (i % 5) + b * Math.floor(i / 5));
+                const { gradient } = await normalMapOf({ elevation, width: 5, height: 5 }, 5);
+                const [gx, gy] = decodeGradient(gradient, 12);
+                return Math.abs(gx - a) <= Math.abs(a) * 1e-3 + 1e-4 && Math.abs(gy - b) <= Math.abs(b) * 1e-3 + 1e-4;
+            }
+        ), { numRuns: 100 });
+    });
+
+    it('matches the analytic slope and aspect of steep planes', async () => {
+        for (const degrees of [30, 45, 60, 75, 85]) {
+            for (const azimuth of [0, 37, 135, 250]) {
+                // Plane rising towards the azimuth (clockwise from north, rows run south)
+                const rise = Math.tan(degrees * Math.PI / 180);
+                const gx = rise * Math.sin(azimuth * Math.PI / 180);
+                const gy = -rise * Math.cos(azimuth * Math.PI / 180);
+                const elevation = Float32Array.from({ length: 25 }, (_, i) => gx * (i % 5) + gy * Math.floor(i / 5));
+                const { gradient } = await normalMapOf({ elevation, width: 5, height: 5 }, 5);
+
+                const [dx, dy] = decodeGradient(gradient, 12);
+                const slope = Math.atan(Math.hypot(dx, dy)) * 180 / Math.PI;
+                expect(slope).toBeCloseTo(degrees, 1);
+                const uphill = (Math.atan2(dx, -dy) * 180 / Math.PI + 360) % 360;
+                expect(uphill).toBeCloseTo(azimuth, 1);
+            }
+        }
+    });
+
+    it('is flat on NoData texels', async () => {
+        const grid = slopedGrid(6, 6, 0, 50);
+        grid.elevation[14] = NaN;
+        const { gradient } = await normalMapOf(grid);
+        expect(decodeGradient(gradient, 14)).toEqual([0, 0]);
+        expect(decodeGradient(gradient, 2)[0]).toBeCloseTo(10, 2);
+    });
+});
+
+describe('normalizeRenderSettings', () => {
+    it('fills defaults and wraps the azimuth', () => {
+        expect(normalizeRenderSettings({})).toEqual({ sunAzimuth: 315, sunAltitude: 45, slopeMax: 45 });
+        expect(normalizeRenderSettings({ sunAzimuth: -90 }).sunAzimuth).toBe(270);
+        expect(normalizeRenderSettings({ sunAzimuth: 720 }).sunAzimuth).toBe(0);
+    });
+
+    it('rejects invalid modes and angles', () => {
+        expect(() => renderModeIndex('relief')).toThrow('Unknown render mode');
+        expect(() => normalizeRenderSettings({ sunAltitude: 95 })).toThrow('Sun altitude');
+        expect(() => normalizeRenderSettings({ slopeMax: 0 })).toThrow('Slope maximum');
+        expect(() => normalizeRenderSettings({ sunAzimuth: NaN })).toThrow('Sun azimuth');
+    });
+});
+
+describe('TerrainMesh render modes', () => {
+    it('switches modes through the shared uniforms', () => {
+        const tm = createTestTerrain(slopedGrid(8, 8, 0, 7));
+        tm.setRenderMode(RenderMode.HILLSHADE, { sunAzimuth: 90, sunAltitude: 30 });
+
+        const uniforms = tm.colorUniforms;
+        expect(uniforms.renderMode.value).toBe(1);
+        expect(uniforms.sunAzimuth.value).toBeCloseTo(Math.PI / 2, 10);
+        expect(uniforms.sunAltitude.value).toBeCloseTo(Math.PI / 6, 10);
+        expect(tm.getRenderMode()).toMatchObject({ mode: 'hillshade', sunAzimuth: 90, sunAltitude: 30, slopeMax: 45 });
+
+        // Omitted settings are kept
+        tm.setRenderMode('slope', { slopeMax: 30 });
+        expect(tm.getRenderMode()).toMatchObject({ mode: 'slope', sunAzimuth: 90, slopeMax: 30 });
+        expect(uniforms.renderMode.value).toBe(2);
+    });
+
+    it('leaves the current mode untouched on invalid input', () => {
+        const tm = createTestTerrain(slopedGrid(8, 8, 0, 7));
+        tm.setRenderMode('aspect');
+        expect(() => tm.setRenderMode('curvature', { sunAltitude: -5 })).toThrow();
+        expect(tm.getRenderMode().mode).toBe('aspect');
+        expect(tm.colorUniforms.renderMode.value).toBe(3);
+    });
+
+    it('follows the Z-exaggeration for hillshading', () => {
+        const tm = createTestTerrain(slopedGrid(8, 8, 0, 7));
+        tm._createGeometry();
+        tm.setZExaggeration(2);
+        expect(tm.colorUniforms.zFactor.value).toBe(2);
+    });
+
+    it('supports the modes on both shader paths and in tiles', () => {
+        const tm = createTestTerrain(basin(17, 17, 10, 0));
+        tm._createMaterial();
+        expect(tm.material.fragmentShader).toContain('renderModeColor(gradient');
+        expect(tm.material.uniforms.renderMode).toBe(tm.colorUniforms.renderMode);
+
+        tm.useGPUDisplacement = true;
+        tm._createMaterial();
+        expect(tm.material.fragmentShader).toContain('renderModeColor(gradient');
+        expect(tm.material.fragmentShader).toContain('texture2D(gradientMap');
+        expect(tm.material.uniforms.gradientMap).toBeDefined();
+
+        const tiles = new TerrainTiles({ tileSize: 9 });
+        tiles.init(new THREE.Group(), tm, { width: 17, height: 17, readTile: async () => new Float32Array(81) });
+        expect(tiles.material.uniforms.renderMode).toBe(tm.colorUniforms.renderMode);
+        expect(tiles.material.fragmentShader).toContain('renderModeColor(vGradient');
+        tiles.dispose();
+    });
+});
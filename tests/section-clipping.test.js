@@ -0,0 +1,273 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import * as THREE from 'three';
+import { SectionClipping, normalizeSection, sectionBaseElevation } from '../src/core/SectionClipping.js';
+import { TerrainTiles } from '../src/core/TerrainTiles.js';
+import { OverlayLayers } from '../src/core/OverlayLayers.js';
+import { WaterSurface } from '../src/core/WaterSurface.js';
+import { ToolManager } from '../src/tools/ToolManager.js';
+import { SectionTool } from '../src/tools/SectionTool.js';
+import { ToolType } from '../src/ar/HandMenu.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { basin } from './helpers/elevation-grids.js';
+
+/** 16x16 basin (rim 20, bottom 0) over [0, 0, 16, 16], referenced at the rim. */
+function createSection(section, parent = new THREE.Group()) {
+    const tm = createTestTerrain(basin(16, 16, 20, 0), { referenceElevation: 20 });
+    tm._createElevationTexture();
+    const clipping = new SectionClipping(section);
+    clipping.init(parent, tm);
+    return { tm, parent, clipping };
+}
+
+/** Model-local point over a CRS position, at a given model height. */
+function modelPoint(tm, x, y, height = 0) {
+    return tm.geoToLocal(x, y).setY(height);
+}
+
+describe('normalizeSection', () => {
+    it('returns null without planes', () => {
+        expect(normalizeSection(null)).toBeNull();
+        expect(normalizeSection({ capColor: '#fff' })).toBeNull();
+    });
+
+    it('wraps the azimuth and fills defaults', () => {
+        const section = normalizeSection({ vertical: { x: 1, y: 2, azimuth: -90 } });
+        expect(section.vertical).toEqual({ x: 1, y: 2, azimuth: 270 });
+        expect(section).toMatchObject({ horizontal: null, baseDepth: null });
+    });
+
+    it('rejects planes the clipping cannot use', () => {
+        expect(() => normalizeSection({ vertical: { x: 1, y: 2 } })).toThrow('azimuth');
+        expect(() => normalizeSection({ vertical: { from: [0, 0], to: [0, 0] } })).toThrow('different points');
+        expect(() => normalizeSection({ vertical: { from: [0, 0] } })).toThrow('from and to');
+        expect(() => normalizeSection({ horizontal: { elevation: NaN } })).toThrow('elevation');
+        expect(() => normalizeSection({ horizontal: { elevation: 5 }, baseDepth: -1 })).toThrow('base depth');
+    });
+});
+
+describe('SectionClipping planes', () => {
+    it('removes the half in the azimuth direction', () => {
+        const { tm } = createSection({ vertical: { x: 8, y: 8, azimuth: 90 } });
+        const [plane] = tm.clippingPlanes;
+
+        // Three clips the negative side
+        expect(plane.distanceToPoint(modelPoint(tm, 12, 8))).toBeLessThan(0);
+        expect(plane.distanceToPoint(modelPoint(tm, 4, 8))).toBeGreaterThan(0);
+        expect(plane.distanceToPoint(modelPoint(tm, 8, 2, -0.1))).toBeCloseTo(0, 12);
+    });
+
+    it('removes the right-hand side of a line', () => {
+        fc.assert(fc.property(
+            fc.double({ min: 1, max: 15, noNaN: true }),
+            fc.double({ min: 1, max: 15, noNaN: true }),
+            fc.double({ min: 0, max: 359, noNaN: true }),
+            (x, y, bearing) => {
+                const rad = THREE.MathUtils.degToRad(bearing);
+                const to = [x + Math.sin(rad), y + Math.cos(rad)];
+                const { tm } = createSection({ vertical: { from: [x, y], to } });
+                const [plane] = tm.clippingPlanes;
+                // A point to the right (bearing + 90) is removed, to the left kept
+                const right = modelPoint(tm, x + Math.cos(rad) * 0.5, y - Math.sin(rad) * 0.5);
+                const left = modelPoint(tm, x - Math.cos(rad) * 0.5, y + Math.sin(rad) * 0.5);
+                return plane.distanceToPoint(right) < 0 && plane.distanceToPoint(left) > 0;
+            }
+        ), { numRuns: 30 });
+    });
+
+    it('follows Z-exaggeration and reference elevation for horizontal cuts', async () => {
+        const { tm, clipping } = createSection({ horizontal: { elevation: 10 } });
+        const [plane] = tm.clippingPlanes;
+        expect(plane.distanceToPoint(new THREE.Vector3(0, -10 * tm.getHeightScale(), 0))).toBeCloseTo(0, 12);
+
+        tm._createGeometry();
+        tm.setZExaggeration(8);
+        tm.setElevationConfig(15, [0, 15], null);
+        await tm.updateReferenceElevation(15);
+        clipping.update();
+
+        expect(tm.clippingPlanes[0]).toBe(plane);
+        expect(plane.distanceToPoint(new THREE.Vector3(0, -5 * tm.getHeightScale(), 0))).toBeCloseTo(0, 12);
+        expect(plane.distanceToPoint(new THREE.Vector3(0, 0, 0))).toBeLessThan(0);
+    });
+
+    it('moves the planes with the model container', () => {
+        const parent = new THREE.Group();
+        parent.position.set(2, 1, -3);
+        parent.scale.setScalar(0.5);
+        const { tm } = createSection({ vertical: { x: 8, y: 8, azimuth: 90 } }, parent);
+        const [plane] = tm.clippingPlanes;
+
+        parent.updateMatrixWorld();
+        const onCut = modelPoint(tm, 8, 3).applyMatrix4(parent.matrixWorld);
+        const removed = modelPoint(tm, 10, 3).applyMatrix4(parent.matrixWorld);
+        expect(plane.distanceToPoint(onCut)).toBeCloseTo(0, 12);
+        expect(plane.distanceToPoint(removed)).toBeLessThan(0);
+    });
+});
+
+describe('SectionClipping caps', () => {
+    it('caps each plane, clipped by the other planes only', () => {
+        const { tm, parent, clipping } = createSection({
+            vertical: { x: 8, y: 8, azimuth: 0 },
+            horizontal: { elevation: 12 }
+        });
+        expect(parent.children).toContain(clipping.group);
+        expect(clipping.caps.map(cap => cap.kind)).toEqual(['vertical', 'horizontal']);
+        const [vertical, horizontal] = clipping.caps;
+        expect(vertical.material.clippingPlanes).toEqual([horizontal.plane]);
+        expect(horizontal.material.clippingPlanes).toEqual([vertical.plane]);
+        expect(tm.clippingPlanes).toEqual([vertical.plane, horizontal.plane]);
+        expect(vertical.material.side).toBe(THREE.DoubleSide);
+        expect(vertical.material.uniforms.elevationMap.value).toBe(tm.elevationTexture);
+    });
+
+    it('spans the footprint from the solid base to the reference', () => {
+        const { tm, clipping } = createSection({ vertical: { x: 8, y: 8, azimuth: 0 } });
+        // The base sits 5% of the relief (at least 1 m) below the lowest elevation
+        const min = Math.min(...tm.elevationData);
+        const max = Math.max(...tm.elevationData);
+        expect(clipping.baseElevation).toBeCloseTo(min - Math.max(1, 0.05 * (max - min)), 5);
+
+        const box = new THREE.Box3().setFromBufferAttribute(clipping.caps[0].mesh.geometry.attributes.position);
+        const baseHeight = (clipping.baseElevation - 20) * tm.getHeightScale();
+        expect(box.min.y).toBeCloseTo(baseHeight, 6);
+        expect(box.max.y).toBe(0);
+        // East-west cut through the centre, longer than the footprint is wide
+        expect(box.min.z).toBeCloseTo(0, 12);
+        expect(box.max.z).toBeCloseTo(0, 12);
+        expect(box.max.x - box.min.x).toBeGreaterThan(tm.modelWidth);
+        expect(clipping.caps[0].material.uniforms.baseHeight.value).toBeCloseTo(baseHeight, 6);
+    });
+
+    it('keeps the caps while the same planes move', () => {
+        const { tm, clipping } = createSection({ vertical: { from: [2, 2], to: [2, 10] } });
+        const mesh = clipping.caps[0].mesh;
+        clipping.setSection({ vertical: { from: [6, 2], to: [6, 10] }, capColor: '#ff0000' });
+
+        expect(clipping.caps[0].mesh).toBe(mesh);
+        expect(clipping.caps[0].material.uniforms.capColor.value.getHex()).toBe(0xff0000);
+        expect(tm.clippingPlanes[0].distanceToPoint(modelPoint(tm, 6, 5))).toBeCloseTo(0, 12);
+
+        clipping.setSection({ vertical: { from: [6, 2], to: [6, 10] }, horizontal: { elevation: 5 } });
+        expect(clipping.caps).toHaveLength(2);
+        expect(tm.clippingPlanes).toHaveLength(2);
+    });
+
+    it('restores the uncut terrain on dispose', () => {
+        const { tm, parent, clipping } = createSection({ horizontal: { elevation: 5 } });
+        const planes = tm.clippingPlanes;
+        clipping.dispose();
+
+        expect(tm.clippingPlanes).toBe(planes);
+        expect(planes).toHaveLength(0);
+        expect(parent.children).toHaveLength(0);
+        expect(tm.elevationTexture).not.toBeNull();
+    });
+
+    it('honours an explicit base depth and ignores NoData', () => {
+        const grid = basin(8, 8, 20, 4);
+        const min = Math.min(...grid.elevation);
+        grid.elevation[0] = -9999;
+        const tm = createTestTerrain(grid, { noDataValue: -9999 });
+        expect(sectionBaseElevation(tm, 10)).toBeCloseTo(min - 10, 5);
+    });
+});
+
+describe('terrain materials share the section planes', () => {
+    it('clips the mesh, tiles, water and contours', () => {
+        const { tm } = createSection({ vertical: { x: 8, y: 8, azimuth: 0 } });
+
+        tm._createMaterial();
+        expect(tm.material.clipping).toBe(true);
+        expect(tm.material.clippingPlanes).toBe(tm.clippingPlanes);
+        expect(tm.material.fragmentShader).toContain('#include <clipping_planes_fragment>');
+
+        tm.useGPUDisplacement = true;
+        tm._createMaterial();
+        expect(tm.material.clippingPlanes).toBe(tm.clippingPlanes);
+        expect(tm.material.vertexShader).toContain('#include <clipping_planes_vertex>');
+
+        const tiles = new TerrainTiles({ tileSize: 9 });
+        tiles.init(new THREE.Group(), tm, { width: 16, height: 16, readTile: async () => new Float32Array(81) });
+        expect(tiles.material.clippingPlanes).toBe(tm.clippingPlanes);
+        expect(tiles.material.fragmentShader).toContain('#include <clipping_planes_fragment>');
+        tiles.dispose();
+
+        const water = new WaterSurface();
+        water.init(new THREE.Group(), tm);
+        expect(water.material.clippingPlanes).toBe(tm.clippingPlanes);
+        water.dispose();
+
+        const overlays = new OverlayLayers();
+        overlays.init(new THREE.Group(), tm);
+        overlays.createContoursFromSegments(new Float32Array(6), 2);
+        expect(overlays.contourGroup.children[0].material.clippingPlanes).toBe(tm.clippingPlanes);
+        overlays.dispose();
+    });
+});
+
+describe('SectionTool', () => {
+    /** Drop a section tool placed from the hand menu (hand data lost on release). */
+    function place(manager, tool) {
+        tool.createVisuals();
+        manager.menuGrabTool = tool;
+        manager.menuGrabType = ToolType.SECTION;
+        manager.grabHandIndex = 0;
+        manager._updateMenuGrab([null, null], [false, false], [true, false]);
+    }
+
+    it('reports its line and keeps a single section tool', () => {
+        const manager = new ToolManager();
+        const lines = [];
+        manager.onSectionChange = (line) => lines.push(line);
+
+        const first = new SectionTool();
+        first.group.position.set(0.1, 0, 0.2);
+        place(manager, first);
+        expect(lines).toHaveLength(1);
+        expect(lines[0].from.toArray()).toEqual([0.07, 0, 0.2]);
+        expect(lines[0].to.toArray()).toEqual([0.13, 0, 0.2]);
+
+        const second = new SectionTool();
+        place(manager, second);
+        expect(manager.tools.map(entry => entry.tool)).toEqual([second]);
+        expect(first.group.parent).toBeNull();
+        expect(lines).toHaveLength(2);
+    });
+
+    it('lifts the section when the tools are cleared', () => {
+        const manager = new ToolManager();
+        const lines = [];
+        manager.onSectionChange = (line) => lines.push(line);
+
+        // Other tools do not touch the section
+        manager.tools.push({ tool: { dispose() {} }, type: ToolType.MEASURE });
+        manager.setTerrainMesh(null);
+        expect(lines).toHaveLength(0);
+
+        place(manager, new SectionTool());
+        manager.setTerrainMesh(null);
+        expect(manager.tools).toHaveLength(0);
+        expect(lines).toHaveLength(2);
+        expect(lines[1]).toBeNull();
+
+        place(manager, new SectionTool());
+        manager.dispose();
+        expect(lines).toHaveLength(4);
+        expect(lines[3]).toBeNull();
+    });
+
+    it('moves the grabbed endpoint', () => {
+        const tool = new SectionTool();
+        tool.createVisuals();
+        tool.startGrab(1);
+        tool.updateGrab(new THREE.Vector3(0.05, 0.01, -0.04));
+        tool.endGrab();
+
+        const { from, to } = tool.getSectionLine();
+        expect(from.toArray()).toEqual([-0.03, 0, 0]);
+        expect(to.toArray()).toEqual([0.05, 0, -0.04]);
+        expect(tool.getInteractionPoints()[1].y).toBeCloseTo(0.01, 12);
+    });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import * as THREE from 'three';
+import { exportTerrain, buildExportScene } from '../src/core/TerrainExport.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { basin } from './helpers/elevation-grids.js';
+
+/** 24x24 basin (rim 20, bottom 0) with a NoData notch on the west edge and a hole. */
+function notchedBasin() {
+    const grid = basin(24, 24, 20, 0);
+    for (let y = 8; y < 14; y++) {
+        for (let x = 0; x < 5; x++) grid.elevation[y * 24 + x] = NaN;
+        for (let x = 12; x < 16; x++) grid.elevation[y * 24 + x] = NaN;
+    }
+    return grid;
+}
+
+/** Triangles of a binary STL as arrays of three [x, y, z] vertices. */
+async function readSTL(blob) {
+    const view = new DataView(await blob.arrayBuffer());
+    const count = view.getUint32(80, true);
+    expect(view.byteLength).toBe(84 + count * 50);
+    return Array.from({ length: count }, (_, t) => [0, 1, 2].map((v) => [0, 1, 2].map((k) =>
+        view.getFloat32(84 + t * 50 + 12 + v * 12 + k * 4, true))));
+}
+
+/** GLB JSON chunk. */
+async function readGLB(blob) {
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+    expect(view.getUint32(0, true)).toBe(0x46546c67); // 'glTF'
+    const jsonLength = view.getUint32(12, true);
+    return JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 20, jsonLength)));
+}
+
+beforeAll(() => {
+    // GLTFExporter assembles GLB files through FileReader
+    vi.stubGlobal('FileReader', class {
+        readAsArrayBuffer(blob) {
+            blob.arrayBuffer().then((result) => {
+                this.result = result;
+                this.onloadend();
+            });
+        }
+    });
+});
+
+afterAll(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('exportTerrain', () => {
+    it('writes a watertight STL with a base', async () => {
+        const tm = createTestTerrain(notchedBasin(), { targetPolygons: 4000 });
+        const triangles = await readSTL(await exportTerrain(tm, 'stl', { base: true }));
+
+        // Every directed edge is matched by its reverse exactly once
+        const key = (p) => p.map((c) => c.toFixed(3)).join(',');
+        const edges = new Map();
+        for (const triangle of triangles) {
+            for (let i = 0; i < 3; i++) {
+                const edge = `${key(triangle[i])}|${key(triangle[(i + 1) % 3])}`;
+                edges.set(edge, (edges.get(edge) ?? 0) + 1);
+            }
+        }
+        for (const [edge, count] of edges) {
+            const [from, to] = edge.split('|');
+            expect(count).toBe(1);
+            expect(edges.get(`${to}|${from}`)).toBe(1);
+        }
+
+        // Z-up, 150 units across, top at the reference
+        const points = triangles.flat();
+        const xs = points.map((p) => p[0]);
+        const zs = points.map((p) => p[2]);
+        expect(Math.max(...xs) - Math.min(...xs)).toBeCloseTo(150, 3);
+        expect(Math.max(...zs)).toBeCloseTo(0, 6);
+        expect(Math.min(...zs)).toBeLessThan(0);
+    });
+
+    it('bakes the current Z-exaggeration into the surface', async () => {
+        const tm = createTestTerrain(basin(16, 16, 20, 0), { targetPolygons: 2000 });
+        const depth = async () => {
+            const scene = await buildExportScene(tm);
+            const surface = scene.getObjectByName('terrainSurface');
+            expect(scene.getObjectByName('terrainBase')).toBeUndefined();
+            surface.geometry.computeBoundingBox();
+            return surface.geometry.boundingBox.min.y;
+        };
+
+        const before = await depth();
+        tm.setZExaggeration(tm.getZExaggeration() * 2);
+        expect(await depth()).toBeCloseTo(before * 2, 9);
+    });
+
+    it('drops triangles touching NoData without a base', async () => {
+        // Reference above the rim: every valid height is below zero
+        const tm = createTestTerrain(notchedBasin(), { targetPolygons: 4000, referenceElevation: 30 });
+        const scene = await buildExportScene(tm);
+        const surface = scene.getObjectByName('terrainSurface');
+        const position = surface.geometry.attributes.position;
+        for (let i = 0; i < position.count; i++) {
+            const x = position.getX(i);
+            const z = position.getZ(i);
+            // Nothing inside the hole (texels 12-15 by 8-13)
+            const u = x / tm.modelWidth + 0.5;
+            const v = z / tm.modelHeight + 0.5;
+            expect(u > 12.5 / 23 && u < 14.5 / 23 && v > 8.5 / 23 && v < 12.5 / 23).toBe(false);
+            expect(position.getY(i)).toBeLessThan(0);
+
+            // Heights match the viewer away from the NoData edges (0 there)
+            const height = tm.getHeightAtLocalPosition(x, z);
+            if (height !== 0) expect(position.getY(i)).toBeCloseTo(height, 6);
+        }
+    });
+
+    it('writes GLB with vertex colors and contour lines', async () => {
+        const tm = createTestTerrain(basin(16, 16, 20, 0), { targetPolygons: 2000 });
+        const contourGeometry = new THREE.BufferGeometry();
+        contourGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array([0, -0.01, 0, 0.1, -0.01, 0]), 3));
+        const contours = new THREE.LineSegments(contourGeometry, new THREE.LineBasicMaterial({ color: 0x000000 }));
+
+        const blob = await exportTerrain(tm, 'glb', { contours: [contours], base: true });
+        expect(blob.type).toBe('model/gltf-binary');
+        const json = await readGLB(blob);
+        const primitives = json.meshes.flatMap((mesh) => mesh.primitives);
+        expect(primitives.some((p) => 'COLOR_0' in p.attributes)).toBe(true);
+        expect(primitives.filter((p) => p.mode === 1)).toHaveLength(1);
+        expect(json.nodes.map((node) => node.name)).toEqual(expect.arrayContaining(['terrainSurface', 'terrainBase']));
+        // The contours belong to the viewer
+        expect(contourGeometry.attributes.position.array[0]).toBe(0);
+    });
+
+    it('writes OBJ geometry with contour lines', async () => {
+        const tm = createTestTerrain(basin(8, 8, 20, 0), { targetPolygons: 500 });
+        const contourGeometry = new THREE.BufferGeometry();
+        contourGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+        const contours = new THREE.LineSegments(contourGeometry, new THREE.LineBasicMaterial());
+
+        const text = await (await exportTerrain(tm, 'obj', { contours: [contours] })).text();
+        expect(text).toContain('o terrainSurface');
+        expect(text).toMatch(/^l \d+ \d+$/m);
+    });
+
+    it('rejects unknown formats, bad sizes and missing terrain', async () => {
+        const tm = createTestTerrain(basin(8, 8, 20, 0), { targetPolygons: 500 });
+        await expect(exportTerrain(tm, 'fbx')).rejects.toThrow('Unknown export format');
+        await expect(exportTerrain(tm, 'stl', { size: 0 })).rejects.toThrow('size');
+        await expect(exportTerrain(null, 'glb')).rejects.toThrow('no terrain');
+    });
+});
@@ -0,0 +1,211 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import * as THREE from 'three';
+import { TerrainSkirt, normalizeSkirtSettings } from '../src/core/TerrainSkirt.js';
+import { TERRAIN_JOBS } from '../src/core/TerrainJobs.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { basin, flatGrid, gridWithNoDataHole, slopedGrid } from './helpers/elevation-grids.js';
+
+async function createSkirt(grid, settings = {}, options = {}) {
+    const tm = createTestTerrain(grid, { targetPolygons: 2000, ...options });
+    const skirt = new TerrainSkirt(settings);
+    await skirt.init(new THREE.Group(), tm);
+    return { tm, skirt };
+}
+
+/** Model height of a skirt vertex, as computed by the vertex shader. */
+function vertexHeight(skirt, i) {
+    const { waterLevel, heightScale, baseElevation } = skirt.material.uniforms;
+    const attributes = skirt.mesh.geometry.attributes;
+    const surface = attributes.elevation.getX(i);
+    const top = attributes.triangleMin.getX(i) < waterLevel.value ? surface : Math.min(surface, waterLevel.value);
+    const elevation = attributes.base.getX(i) > 0.5 ? baseElevation.value : top;
+    return (elevation - waterLevel.value) * heightScale.value;
+}
+
+/** Triangles as [i0, i1, i2] vertex index triples. */
+function triangles(geometry) {
+    const index = geometry.index.array;
+    return Array.from({ length: index.length / 3 }, (_, t) => [index[t * 3], index[t * 3 + 1], index[t * 3 + 2]]);
+}
+
+describe('normalizeSkirtSettings', () => {
+    it('fills defaults and rejects unusable settings', () => {
+        expect(normalizeSkirtSettings()).toMatchObject({ baseDepth: null, bandInterval: null });
+        expect(() => normalizeSkirtSettings({ baseDepth: -1 })).toThrow('base depth');
+        expect(() => normalizeSkirtSettings({ bandInterval: 0 })).toThrow('band interval');
+        expect(() => normalizeSkirtSettings({ colors: [] })).toThrow('band colors');
+        expect(() => normalizeSkirtSettings({ colors: new Array(9).fill('#fff') })).toThrow('band colors');
+    });
+});
+
+describe('skirtGeometry', () => {
+    function run(grid, gw, gh) {
+        return TERRAIN_JOBS.skirtGeometry({
+            elevationData: grid.elevation,
+            elevationWidth: grid.width,
+            elevationHeight: grid.height,
+            noDataValue: null,
+            gridWidth: gw,
+            gridHeight: gh,
+            modelWidth: 1,
+            modelHeight: 1
+        });
+    }
+
+    it('walls the outer edge of a full grid and covers it with the base', async () => {
+        const result = await run(flatGrid(16, 16, 5), 9, 9);
+        expect(result.wallCount).toBe(4 * 8);
+
+        let baseArea = 0;
+        for (let t = 0; t < result.indices.length; t += 3) {
+            const [a, b, c] = [0, 1, 2].map(k => result.indices[t + k]);
+            if (result.normals[a * 3 + 1] !== -1) continue;
+            const ab = [result.positions[b * 3] - result.positions[a * 3], result.positions[b * 3 + 2] - result.positions[a * 3 + 2]];
+            const ac = [result.positions[c * 3] - result.positions[a * 3], result.positions[c * 3 + 2] - result.positions[a * 3 + 2]];
+            baseArea += Math.abs(ab[0] * ac[1] - ab[1] * ac[0]) / 2;
+        }
+        expect(baseArea).toBeCloseTo(1, 10);
+    });
+
+    it('follows NoData holes', async () => {
+        const grid = gridWithNoDataHole(16, 16, 5);
+        const result = await run(grid, 16, 16);
+        expect(result.wallCount).toBeGreaterThan(4 * 15);
+
+        // No skirt vertex lies inside the hole (texels 4-10 of 0-15)
+        for (let i = 0; i < result.positions.length; i += 3) {
+            const inside = Math.abs(result.positions[i]) < 0.15 && Math.abs(result.positions[i + 2]) < 0.15;
+            expect(inside).toBe(false);
+        }
+    });
+
+    it('winds every face toward its normal', async () => {
+        await fc.assert(fc.asyncProperty(
+            fc.integer({ min: 0, max: 9 }), fc.integer({ min: 0, max: 9 }), fc.integer({ min: 1, max: 6 }),
+            async (x0, y0, size) => {
+                const grid = flatGrid(16, 16, 5);
+                for (let y = y0; y < Math.min(16, y0 + size); y++) {
+                    for (let x = x0; x < Math.min(16, x0 + size); x++) grid.elevation[y * 16 + x] = NaN;
+                }
+                const result = await run(grid, 16, 16);
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position', new THREE.BufferAttribute(result.positions, 3));
+                geometry.setIndex(new THREE.BufferAttribute(result.indices, 1));
+                const base = result.base;
+
+                // Lift wall tops so the walls have height
+                const lifted = (i) => new THREE.Vector3().fromArray(result.positions, i * 3).setY(base[i] > 0.5 ? 0 : 1);
+                return triangles(geometry).every(([a, b, c]) => {
+                    const [pa, pb, pc] = [a, b, c].map(lifted);
+                    const face = pb.sub(pa).cross(pc.sub(pa)).normalize();
+                    return face.dot(new THREE.Vector3().fromArray(result.normals, a * 3)) > 0.999;
+                });
+            }
+        ), { numRuns: 30 });
+    });
+});
+
+describe('TerrainSkirt', () => {
+    it('meets the terrain surface and sits on the base', async () => {
+        const { tm, skirt } = await createSkirt(basin(16, 16, 20, 0), { baseDepth: 3 }, { referenceElevation: 20 });
+        const positions = skirt.mesh.geometry.attributes.position;
+        const base = skirt.mesh.geometry.attributes.base;
+        const baseHeight = (skirt.baseElevation - 20) * tm.getHeightScale();
+
+        for (let i = 0; i < positions.count; i++) {
+            const expected = base.getX(i) > 0.5
+                ? baseHeight
+                : tm.getHeightAtLocalPosition(positions.getX(i), positions.getZ(i));
+            expect(vertexHeight(skirt, i)).toBeCloseTo(expected, 6);
+        }
+    });
+
+    it('follows Z-exaggeration and the reference elevation', async () => {
+        const { tm, skirt } = await createSkirt(basin(16, 16, 20, 0), {}, { referenceElevation: 20 });
+        const bottom = skirt.mesh.geometry.attributes.base.array.indexOf(1);
+
+        tm.setZExaggeration(tm.getZExaggeration() * 2);
+        tm.referenceElevation = 15;
+        skirt.mesh.onBeforeRender();
+        expect(vertexHeight(skirt, bottom)).toBeCloseTo((skirt.baseElevation - 15) * tm.getHeightScale(), 6);
+
+        // Wall tops along dry surface triangles stop at the reference
+        const { position, triangleMin } = skirt.mesh.geometry.attributes;
+        const heights = Array.from({ length: position.count }, (_, i) => i)
+            .filter(i => triangleMin.getX(i) >= 15)
+            .map(i => vertexHeight(skirt, i));
+        expect(heights.length).toBeGreaterThan(0);
+        expect(Math.max(...heights)).toBeCloseTo(0, 12);
+    });
+
+    it('follows partially dry boundary triangles of the surface up', async () => {
+        // East-west ramp: cells along the north and south edges straddle the reference
+        const { tm, skirt } = await createSkirt(slopedGrid(16, 16, 0, 20), {}, { referenceElevation: 10 });
+        tm._createGeometry();
+        await tm._filterAboveWaterTrianglesAsync();
+
+        // Edges of the drawn surface triangles, by model x/z
+        const key = (x, z) => `${x.toFixed(6)},${z.toFixed(6)}`;
+        const meshPositions = tm.geometry.attributes.position;
+        const drawnEdges = new Set();
+        for (const tri of triangles(tm.geometry)) {
+            const points = tri.map(i => key(meshPositions.getX(i), meshPositions.getZ(i)));
+            for (let k = 0; k < 3; k++) drawnEdges.add([points[k], points[(k + 1) % 3]].sort().join('|'));
+        }
+
+        // Walls are four vertices: two on the base, then the tops of B and A
+        const positions = skirt.mesh.geometry.attributes.position;
+        const base = skirt.mesh.geometry.attributes.base;
+        const elevation = skirt.mesh.geometry.attributes.elevation;
+        let raised = 0;
+        for (let i = 0; i < positions.count; i += 4) {
+            if (base.getX(i + 2) > 0.5) continue;
+            const edge = [i + 2, i + 3].map(j => key(positions.getX(j), positions.getZ(j))).sort().join('|');
+            for (const j of [i + 2, i + 3]) {
+                if (drawnEdges.has(edge)) {
+                    expect(vertexHeight(skirt, j)).toBeCloseTo((elevation.getX(j) - 10) * tm.getHeightScale(), 9);
+                    if (elevation.getX(j) > 10) raised++;
+                } else {
+                    expect(vertexHeight(skirt, j)).toBeLessThanOrEqual(1e-12);
+                }
+            }
+        }
+        expect(raised).toBeGreaterThan(0);
+    });
+
+    it('picks round band intervals and restyles through uniforms', async () => {
+        const { tm, skirt } = await createSkirt(basin(16, 16, 20, 0), { baseDepth: 1 }, { referenceElevation: 20 });
+        const geometry = skirt.mesh.geometry;
+        // About six bands from the reference to the base
+        tm.referenceElevation = skirt.baseElevation + 30;
+        skirt.update();
+        expect(skirt.material.uniforms.bandInterval.value).toBe(5);
+        tm.referenceElevation = skirt.baseElevation + 13;
+        skirt.update();
+        expect(skirt.material.uniforms.bandInterval.value).toBe(2);
+
+        skirt.setConfig({ bandInterval: 2, colors: ['#ff0000', '#00ff00'] });
+        expect(skirt.mesh.geometry).toBe(geometry);
+        expect(skirt.material.uniforms.bandInterval.value).toBe(2);
+        expect(skirt.material.uniforms.strataCount.value).toBe(2);
+        expect(Array.from(skirt.material.uniforms.strataColors.value.slice(0, 6))).toEqual([1, 0, 0, 0, 1, 0]);
+    });
+
+    it('is cut by sections with the terrain', async () => {
+        const { tm, skirt } = await createSkirt(flatGrid(8, 8, 5));
+        expect(skirt.material.clipping).toBe(true);
+        expect(skirt.material.clippingPlanes).toBe(tm.clippingPlanes);
+    });
+
+    it('does not attach when disposed during the build', async () => {
+        const tm = createTestTerrain(flatGrid(8, 8, 5), { targetPolygons: 2000 });
+        const parent = new THREE.Group();
+        const skirt = new TerrainSkirt();
+        const building = skirt.init(parent, tm);
+        skirt.dispose();
+        await building;
+        expect(skirt.mesh).toBeNull();
+        expect(parent.children).toHaveLength(0);
+    });
+});
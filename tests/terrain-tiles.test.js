@@ -0,0 +1,195 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { TerrainTiles } from '../src/core/TerrainTiles.js';
+import { OverlayLayers } from '../src/core/OverlayLayers.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { basin, gridWithNoDataHole } from './helpers/elevation-grids.js';
+
+/**
+ * Tile source backed by the terrain's own bilinear sampler, mirroring the
+ * exact-UV sampling of the COG tile source.
+ */
+function createGridTileSource(tm) {
+    return {
+        width: tm.elevationWidth,
+        height: tm.elevationHeight,
+        async readTile(u0, v0, u1, v1, samples) {
+            const out = new Float32Array(samples * samples);
+            for (let j = 0; j < samples; j++) {
+                const v = v0 + (v1 - v0) * (j / (samples - 1));
+                for (let i = 0; i < samples; i++) {
+                    const u = u0 + (u1 - u0) * (i / (samples - 1));
+                    const e = tm._sampleElevation(u, v);
+                    out[j * samples + i] = Number.isFinite(e) ? e : NaN;
+                }
+            }
+            return out;
+        }
+    };
+}
+
+function createTiles(grid, terrainOptions = {}, tileConfig = {}) {
+    const tm = createTestTerrain(grid, terrainOptions);
+    const tiles = new TerrainTiles({ tileSize: 9, ...tileConfig });
+    tiles.init(new THREE.Group(), tm, createGridTileSource(tm));
+    return { tm, tiles };
+}
+
+async function settle(tiles, points) {
+    for (let i = 0; i < 20; i++) {
+        tiles.updateForLocalPoints(points);
+        await tiles.whenIdle();
+    }
+    tiles.updateForLocalPoints(points);
+}
+
+/** Elevation along a tile edge at parameter pos (u or v), linear between vertices. */
+function edgeValueAt(tile, side, pos, n) {
+    const horizontal = side >= 2;
+    const a = horizontal ? tile.u0 : tile.v0;
+    const b = horizontal ? tile.u1 : tile.v1;
+    const f = ((pos - a) / (b - a)) * (n - 1);
+    const k0 = Math.max(0, Math.min(n - 2, Math.floor(f)));
+    const frac = f - k0;
+    const at = (k) => {
+        if (side === 0) return tile.elevation[k * n];
+        if (side === 1) return tile.elevation[k * n + (n - 1)];
+        if (side === 2) return tile.elevation[k];
+        return tile.elevation[(n - 1) * n + k];
+    };
+    return at(k0) + (at(k0 + 1) - at(k0)) * frac;
+}
+
+describe('TerrainTiles', () => {
+    it('loads the root tile and hides the base mesh', async () => {
+        const { tm, tiles } = createTiles(basin(65, 65, 10, 0), { referenceElevation: 10, depthRange: [0, 10] });
+        tm.mesh = new THREE.Mesh();
+
+        await settle(tiles, []);
+
+        expect(tiles.root.state).toBe('ready');
+        expect([...tiles.displayed]).toEqual([tiles.root]);
+        expect(tm.mesh.visible).toBe(false);
+    });
+
+    it('refines near the focus point and stays coarse far away', async () => {
+        const { tm, tiles } = createTiles(basin(65, 65, 10, 0), { referenceElevation: 10, depthRange: [0, 10] });
+        const corner = new THREE.Vector3(-tm.modelWidth / 2, 0, -tm.modelHeight / 2);
+
+        await settle(tiles, [corner]);
+
+        const displayed = [...tiles.displayed];
+        const near = displayed.find(t => t.u0 === 0 && t.v0 === 0);
+        const far = displayed.find(t => t.u1 === 1 && t.v1 === 1);
+
+        expect(near.level).toBe(tiles.maxLevel);
+        expect(far.level).toBeLessThan(near.level);
+    });
+
+    it('displayed tiles cover the domain without overlap', async () => {
+        const { tm, tiles } = createTiles(basin(65, 65, 10, 0), { referenceElevation: 10, depthRange: [0, 10] });
+        await settle(tiles, [new THREE.Vector3(tm.modelWidth / 4, 0, 0)]);
+
+        const area = [...tiles.displayed].reduce((sum, t) => sum + (t.u1 - t.u0) * (t.v1 - t.v0), 0);
+        expect(area).toBeCloseTo(1, 10);
+    });
+
+    it('edges bordering a coarser tile lie on that tile\'s edge', async () => {
+        const { tm, tiles } = createTiles(basin(65, 65, 10, 0), { referenceElevation: 10, depthRange: [0, 10] });
+        await settle(tiles, [new THREE.Vector3(-tm.modelWidth / 2, 0, -tm.modelHeight / 2)]);
+
+        const n = tiles.config.tileSize;
+        const byKey = new Map([...tiles.displayed].map(t => [t.key, t]));
+        let checked = 0;
+
+        for (const tile of tiles.displayed) {
+            const neighbors = tiles._coarserNeighbors(tile, byKey);
+            neighbors.forEach((nb, side) => {
+                if (!nb) return;
+                const opposite = [1, 0, 3, 2][side];
+                for (let k = 0; k < n; k++) {
+                    const t = k / (n - 1);
+                    const pos = side >= 2 ? tile.u0 + (tile.u1 - tile.u0) * t : tile.v0 + (tile.v1 - tile.v0) * t;
+                    const own = edgeValueAt(tile, side, pos, n);
+                    const theirs = edgeValueAt(nb, opposite, pos, n);
+                    expect(own).toBeCloseTo(theirs, 4);
+                    checked++;
+                }
+            });
+        }
+
+        expect(checked).toBeGreaterThan(0);
+    });
+
+    it('excludes triangles touching NoData', async () => {
+        const { tiles } = createTiles(gridWithNoDataHole(65, 65, 5, NaN), { referenceElevation: 10, depthRange: [0, 10] });
+        await settle(tiles, []);
+
+        const root = tiles.root;
+        const index = root.mesh.geometry.index.array;
+        const elevation = root.mesh.geometry.attributes.elevation.array;
+
+        expect(index.length).toBeGreaterThan(0);
+        expect(index.length).toBeLessThan((tiles.config.tileSize - 1) ** 2 * 6);
+        for (let i = 0; i < index.length; i++) {
+            expect(Number.isNaN(elevation[index[i]])).toBe(false);
+        }
+    });
+
+    it('tracks Z exaggeration through the shared material', async () => {
+        const { tm, tiles } = createTiles(basin(65, 65, 10, 0), { referenceElevation: 10, depthRange: [0, 10] });
+        tm._createGeometry();
+        tm.setZExaggeration(8);
+        tiles.updateForZExaggeration();
+
+        expect(tiles.material.uniforms.heightScale.value).toBeCloseTo(tm.getHeightScale(), 10);
+    });
+
+    it('masks the displayed area finer than the base mesh grid', async () => {
+        const tm = createTestTerrain(basin(65, 65, 10, 0), { referenceElevation: 10, depthRange: [0, 10], targetPolygons: 512 });
+        tm._createGeometry();
+        const tiles = new TerrainTiles({ tileSize: 9 });
+        tiles.init(new THREE.Group(), tm, createGridTileSource(tm));
+        await settle(tiles, [new THREE.Vector3(-tm.modelWidth / 2, 0, -tm.modelHeight / 2)]);
+
+        const mask = tiles.refinedMask.image;
+        const baseQuads = Math.max(tm.gridWidth, tm.gridHeight) - 1;
+        const levels = new Set();
+        for (const tile of tiles.displayed) {
+            const finer = (tiles.config.tileSize - 1) * 2 ** tile.level > baseQuads;
+            const x = Math.floor((tile.u0 + tile.u1) / 2 * mask.width);
+            const y = Math.floor((tile.v0 + tile.v1) / 2 * mask.height);
+            expect(mask.data[y * mask.width + x]).toBe(finer ? 255 : 0);
+            levels.add(finer);
+        }
+        expect([...levels].sort()).toEqual([false, true]);
+
+        // Back to the root tile: nothing is refined
+        await settle(tiles, []);
+        expect(mask.data.every((value) => value === 0)).toBe(true);
+    });
+
+    it('hides contour overlays over refined tiles', async () => {
+        const { tm, tiles } = createTiles(basin(65, 65, 10, 0), { referenceElevation: 10, depthRange: [0, 10] });
+        const layers = new OverlayLayers();
+        layers.init(new THREE.Group(), tm, tiles);
+        layers.createContoursFromSegments(new Float32Array([0, 0, 0, 0.01, 0, 0]), 2);
+
+        const compile = (material) => {
+            const shader = { uniforms: {}, vertexShader: material.vertexShader, fragmentShader: material.fragmentShader };
+            material.onBeforeCompile(shader);
+            return shader;
+        };
+        const lines = compile(layers.contourGroup.getObjectByName('contours_minor').material);
+        expect(lines.uniforms.refinedMask.value).toBe(tiles.refinedMask);
+        expect(lines.vertexShader).toContain('instanceStart : instanceEnd).xz / refinedMaskModelSize');
+        expect(lines.fragmentShader).toContain('if (texture2D(refinedMask, vRefinedMaskUv).r > 0.5) discard;');
+
+        // Without tiles nothing is patched
+        const plain = new OverlayLayers();
+        plain.init(new THREE.Group(), tm);
+        plain.createContoursFromSegments(new Float32Array([0, 0, 0, 0.01, 0, 0]), 2);
+        const material = plain.contourGroup.getObjectByName('contours_minor').material;
+        expect(compile(material).fragmentShader).not.toContain('refinedMask');
+    });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import { parseVerticalKeys } from '../src/core/CRS.js';
+import { extractCOGData, createCOGTileSource } from '../src/core/COGLoader.js';
+import { analyzeElevation } from '../src/core/ElevationAnalysis.js';
+import { formatElevation } from '../src/tools/ToolUtils.js';
+
+const PROJECTED = { GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 2193 };
+
+function gdalMetadata(items) {
+    return `<GDALMetadata>\n${items.join('\n')}\n</GDALMetadata>\n`;
+}
+
+/** geotiff.js stand-in serving a raw (integer) raster. */
+function fakeTiff(raw, width, height, { geoKeys = PROJECTED, fileDirectory = {} } = {}) {
+    const image = {
+        fileDirectory,
+        getWidth: () => width,
+        getHeight: () => height,
+        getBoundingBox: () => [0, 0, width, height],
+        getGeoKeys: () => geoKeys,
+        readRasters: async ({ window } = {}) => {
+            if (!window) return [raw];
+            const [x0, y0, x1, y1] = window;
+            const out = new raw.constructor((x1 - x0) * (y1 - y0));
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) out[(y - y0) * (x1 - x0) + (x - x0)] = raw[y * width + x];
+            }
+            return [out];
+        }
+    };
+    return { getImage: async () => image, getImageCount: async () => 1 };
+}
+
+describe('parseVerticalKeys', () => {
+    it('defaults to metres with no datum', () => {
+        expect(parseVerticalKeys(null)).toEqual({ epsg: null, datum: null, units: 'metre', metresPerUnit: 1 });
+    });
+
+    it('names common vertical datums and units', () => {
+        const v = parseVerticalKeys({ VerticalCSTypeGeoKey: 5703, VerticalUnitsGeoKey: 9003 });
+        expect(v.datum).toBe('NAVD88');
+        expect(v.units).toBe('US survey foot');
+        expect(v.metresPerUnit).toBeCloseTo(0.3048006, 7);
+    });
+
+    it('falls back to the citation, then the EPSG code', () => {
+        expect(parseVerticalKeys({ VerticalCitationGeoKey: 'Chart Datum|' }).datum).toBe('Chart Datum');
+        expect(parseVerticalKeys({ VerticalCSTypeGeoKey: 6360 }).datum).toBe('EPSG:6360');
+    });
+
+    it('uses GDAL UNITTYPE when there is no vertical units key', () => {
+        expect(parseVerticalKeys({}, 'ft').metresPerUnit).toBe(0.3048);
+        expect(parseVerticalKeys({ VerticalUnitsGeoKey: 9001 }, 'ft').metresPerUnit).toBe(1);
+        expect(parseVerticalKeys({}, 'furlong').units).toBe('metre');
+    });
+});
+
+describe('extractCOGData vertical scaling', () => {
+    it('applies band scale and offset, with NoData as NaN', async () => {
+        const raw = new Int16Array([1000, 2000, -32768, 3000]);
+        const tiff = fakeTiff(raw, 2, 2, {
+            fileDirectory: {
+                GDAL_NODATA: '-32768',
+                GDAL_METADATA: gdalMetadata([
+                    '<Item name="OFFSET" sample="0" role="offset">-50</Item>',
+                    '<Item name="SCALE" sample="0" role="scale">0.01</Item>',
+                    '<Item name="SCALE" sample="1" role="scale">99</Item>'
+                ])
+            }
+        });
+
+        const data = await extractCOGData(tiff, { pool: null });
+        expect(Array.from(data.elevation)).toEqual([-40, -30, NaN, -20]);
+        expect(data.noDataValue).toBeNull();
+        expect(data.crs.vertical).toMatchObject({ scale: 0.01, offset: -50 });
+
+        const analysis = analyzeElevation(data.elevation, data.noDataValue);
+        expect(analysis.minElevation).toBe(-40);
+        expect(analysis.maxElevation).toBe(-20);
+    });
+
+    it('converts feet to metres and reports the datum', async () => {
+        const tiff = fakeTiff(new Float32Array([10, 20, -9999, 30]), 2, 2, {
+            geoKeys: { ...PROJECTED, VerticalCSTypeGeoKey: 5703, VerticalUnitsGeoKey: 9002 },
+            fileDirectory: { GDAL_NODATA: '-9999' }
+        });
+
+        const data = await extractCOGData(tiff, { pool: null });
+        expect(data.elevation[0]).toBeCloseTo(3.048, 5);
+        expect(data.elevation[2]).toBeNaN();
+        expect(data.crs.vertical).toMatchObject({ datum: 'NAVD88', units: 'foot' });
+    });
+
+    it('leaves metre rasters and their NoData value untouched', async () => {
+        const raw = new Float32Array([1, 2, -9999, 4]);
+        const data = await extractCOGData(fakeTiff(raw, 2, 2, { fileDirectory: { GDAL_NODATA: '-9999' } }), { pool: null });
+        expect(Array.from(data.elevation)).toEqual([1, 2, -9999, 4]);
+        expect(data.noDataValue).toBe(-9999);
+    });
+
+    it('scales LOD tiles the same way', async () => {
+        const raw = new Uint16Array(16).map((_, i) => i * 100);
+        const tiff = fakeTiff(raw, 4, 4, {
+            fileDirectory: { GDAL_METADATA: gdalMetadata(['<Item name="SCALE" role="scale">0.5</Item>', '<Item name="UNITTYPE" role="unittype">ft</Item>']) }
+        });
+
+        const source = await createCOGTileSource(tiff, null, null);
+        const tile = await source.readTile(0, 0, 1, 1, 4);
+        expect(tile[5]).toBeCloseTo(500 * 0.5 * 0.3048, 4);
+    });
+
+    it('keeps scaled integer tiles above the 1e5 NoData heuristic', async () => {
+        // Centimetre DEM: raw 150000 is 1500 m; only the declared NoData is a hole
+        const raw = new Int32Array(16).fill(150000);
+        raw[15] = -999999;
+        const tiff = fakeTiff(raw, 4, 4, {
+            fileDirectory: { GDAL_METADATA: gdalMetadata(['<Item name="SCALE" role="scale">0.01</Item>']) }
+        });
+
+        const source = await createCOGTileSource(tiff, -999999, null);
+        const tile = await source.readTile(0, 0, 1, 1, 4);
+        expect(tile[0]).toBeCloseTo(1500, 3);
+        expect(tile[5]).toBeCloseTo(1500, 3);
+        expect(tile[15]).toBeNaN();
+    });
+});
+
+describe('formatElevation', () => {
+    it('appends the vertical datum when known', () => {
+        expect(formatElevation(-12.34, { crs: { vertical: { datum: 'NAVD88' } } })).toBe('-12.3m NAVD88');
+        expect(formatElevation(5, { crs: null })).toBe('5.0m');
+    });
+});
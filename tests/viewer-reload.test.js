@@ -0,0 +1,419 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import * as THREE from 'three';
+import { TerrainViewer } from '../src/TerrainViewer.js';
+import { AbortError } from '../src/core/utils.js';
+import { ToolManager } from '../src/tools/ToolManager.js';
+import { SectionTool } from '../src/tools/SectionTool.js';
+import { ToolType } from '../src/ar/HandMenu.js';
+import { gaussianHill, basin } from './helpers/elevation-grids.js';
+
+/** Minimal geotiff.js image/tiff over an elevation grid. */
+function fakeTiff(grid, { delay = 0, fail = false } = {}) {
+    const image = {
+        fileDirectory: {},
+        getWidth: () => grid.width,
+        getHeight: () => grid.height,
+        getBoundingBox: () => [0, 0, grid.width * 10, grid.height * 10],
+        getGeoKeys: () => ({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 2193 }),
+        readRasters: ({ signal }) => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => resolve([grid.elevation]), delay);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new AbortError());
+            });
+        })
+    };
+    return {
+        getImage: async () => {
+            if (fail) throw new Error('Not a GeoTIFF');
+            return image;
+        }
+    };
+}
+
+/** Stand-in for ARManager: a model container and no renderer. */
+function fakeARManager() {
+    const container = new THREE.Group();
+    return {
+        container,
+        terrainMesh: null,
+        getARScene: () => ({ getRenderer: () => null }),
+        getModelContainer: () => container,
+        setTerrainMesh(tm) { this.terrainMesh = tm; },
+        setTerrainTiles(tiles) { this.terrainTiles = tiles; },
+        setOverlayLayers(layers) { this.overlayLayers = layers; },
+        setWaterSurface(water) { this.waterSurface = water; },
+        setSectionClipping(section) { this.sectionClipping = section; },
+        setTerrainSkirt(skirt) { this.terrainSkirt = skirt; },
+        dispose() {}
+    };
+}
+
+const tiffs = new Map();
+
+beforeAll(() => {
+    // Normal maps and contour label text are drawn into canvases on the main thread
+    vi.stubGlobal('document', {
+        createElement: () => ({
+            getContext: () => ({
+                createImageData: (w, h) => ({ data: new Uint8ClampedArray(w * h * 4) }),
+                putImageData() {},
+                measureText: (text) => ({ width: text.length * 16 }),
+                strokeText() {},
+                fillText() {}
+            })
+        })
+    });
+    vi.stubGlobal('GeoTIFF', { fromUrl: async (url) => tiffs.get(url) });
+});
+
+afterAll(() => {
+    vi.unstubAllGlobals();
+});
+
+function createViewer(options = {}) {
+    const viewer = new TerrainViewer({}, { terrain: { polygons: 5000 }, ...options });
+    viewer.arManager = fakeARManager();
+    viewer.toolManager = { terrainMesh: null, setTerrainMesh(tm) { this.terrainMesh = tm; }, dispose() {}, reattach() {} };
+    return viewer;
+}
+
+describe('TerrainViewer.load into an existing viewer', () => {
+    tiffs.set('hill.tif', fakeTiff(gaussianHill(32, 32, 50, 0, 8)));
+    tiffs.set('basin.tif', fakeTiff(basin(24, 40, 20, 5)));
+    tiffs.set('slow.tif', fakeTiff(basin(24, 24, 20, 5), { delay: 50 }));
+    tiffs.set('broken.tif', fakeTiff(basin(8, 8, 20, 5), { fail: true }));
+
+    // basin.tif with 1 m deposited over its northern quarter
+    const later = basin(24, 40, 20, 5);
+    for (let i = 0; i < 24 * 10; i++) later.elevation[i] += 1;
+    tiffs.set('basin-later.tif', fakeTiff(later));
+
+    it('replaces terrain, overlays and tools but keeps the scene', async () => {
+        let ready = 0;
+        const viewer = createViewer({ onReady: () => ready++ });
+        const arManager = viewer.arManager;
+
+        await viewer.load('hill.tif');
+        const first = viewer.terrainMesh;
+        const firstOverlays = viewer.overlayLayers;
+        expect(arManager.container.children).toContain(first.mesh);
+
+        await viewer.load('basin.tif');
+
+        expect(ready).toBe(2);
+        expect(viewer.arManager).toBe(arManager);
+        expect(viewer.terrainMesh).not.toBe(first);
+        expect(first.geometry).toBeNull();
+        expect(firstOverlays.contourGroup).toBeNull();
+        expect(arManager.terrainMesh).toBe(viewer.terrainMesh);
+        expect(viewer.toolManager.terrainMesh).toBe(viewer.terrainMesh);
+        expect(arManager.container.children).toContain(viewer.terrainMesh.mesh);
+        expect(arManager.container.children).toContain(viewer.overlayLayers.contourGroup);
+        expect(arManager.container.children).toHaveLength(2);
+        expect(viewer.getElevationInfo().height).toBe(40);
+    });
+
+    it('carries the current Z-exaggeration over to the new terrain', async () => {
+        const viewer = createViewer();
+        await viewer.load('hill.tif');
+        viewer.setZExaggeration(7);
+        await viewer.load('basin.tif');
+
+        expect(viewer.terrainMesh.getZExaggeration()).toBe(7);
+    });
+
+    it('applies per-load options to later loads', async () => {
+        const viewer = createViewer();
+        await viewer.load('hill.tif');
+        await viewer.load('basin.tif', { enableContours: false, terrain: { polygons: 2000 } });
+
+        expect(viewer.options.terrain.polygons).toBe(2000);
+        expect(viewer.terrainMesh.config.targetPolygons).toBe(2000);
+        expect(viewer.overlayLayers.contourGroup.children).toHaveLength(0);
+    });
+
+    it('a cancelled reload leaves the previous terrain in place', async () => {
+        const viewer = createViewer();
+        await viewer.load('hill.tif');
+        const before = viewer.terrainMesh;
+        const info = viewer.getElevationInfo();
+
+        const promise = viewer.load('slow.tif');
+        viewer.abortLoad();
+
+        await expect(promise).rejects.toBeInstanceOf(AbortError);
+        expect(viewer.terrainMesh).toBe(before);
+        expect(before.geometry).not.toBeNull();
+        expect(viewer.getElevationInfo()).toEqual(info);
+        expect(viewer.arManager.container.children).toContain(before.mesh);
+    });
+
+    it('a failed reload reports the error and keeps the previous terrain', async () => {
+        const errors = [];
+        const viewer = createViewer({ onError: (err) => errors.push(err) });
+        await viewer.load('hill.tif');
+        const before = viewer.terrainMesh;
+
+        await expect(viewer.load('broken.tif')).rejects.toThrow('Not a GeoTIFF');
+        expect(errors).toHaveLength(1);
+        expect(viewer.terrainMesh).toBe(before);
+        expect(viewer.arManager).not.toBeNull();
+    });
+
+    it('keeps the options of the displayed terrain when a reload fails or is cancelled', async () => {
+        const viewer = createViewer();
+        await viewer.load('hill.tif');
+        const options = JSON.parse(JSON.stringify(viewer.options));
+
+        await expect(viewer.load('broken.tif', { enableContours: false, terrain: { polygons: 2000 }, contours: { interval: 5 } }))
+            .rejects.toThrow('Not a GeoTIFF');
+        expect(JSON.parse(JSON.stringify(viewer.options))).toEqual(options);
+        expect(viewer._contoursVisible).toBe(true);
+
+        // An invalid colormap does not break later loads
+        await expect(viewer.load('hill.tif', { terrain: { colormap: 'no-such-colormap' } })).rejects.toThrow();
+        expect(viewer.options.terrain.colormap).toEqual(options.terrain.colormap);
+        await viewer.load('basin.tif');
+
+        // A superseded load restores the options of the terrain on display, not its own
+        const first = viewer.load('slow.tif', { terrain: { polygons: 2000 } });
+        const second = viewer.load('slow.tif', { terrain: { polygons: 3000 } });
+        viewer.abortLoad();
+        await expect(first).rejects.toBeInstanceOf(AbortError);
+        await expect(second).rejects.toBeInstanceOf(AbortError);
+        expect(viewer.options.terrain.polygons).toBe(options.terrain.polygons);
+    });
+
+    it('rebuilds the water plane over the new terrain', async () => {
+        const viewer = createViewer();
+        await viewer.load('hill.tif');
+        viewer.setWater({ enabled: true, opacity: 0.3 });
+        const first = viewer.waterSurface;
+        expect(viewer.arManager.container.children).toContain(first.group);
+
+        await viewer.load('basin.tif');
+        expect(first.group).toBeNull();
+        expect(viewer.waterSurface.terrainMesh).toBe(viewer.terrainMesh);
+        expect(viewer.waterSurface.config.opacity).toBe(0.3);
+        expect(viewer.arManager.waterSurface).toBe(viewer.waterSurface);
+        expect(viewer.arManager.container.children).toContain(viewer.waterSurface.group);
+
+        viewer.setWater({ enabled: false });
+        expect(viewer.waterSurface).toBeNull();
+        expect(viewer.arManager.container.children).toHaveLength(2);
+    });
+
+    it('keeps a section across reloads and restores the terrain when cleared', async () => {
+        const changes = [];
+        const viewer = createViewer({ onSectionChange: (section) => changes.push(section) });
+        await viewer.load('hill.tif');
+        viewer.setSection({ vertical: { x: 160, y: 160, azimuth: 90 } });
+        const first = viewer.sectionClipping;
+        expect(viewer.terrainMesh.clippingPlanes).toHaveLength(1);
+
+        await viewer.load('basin.tif');
+        expect(first.group).toBeNull();
+        expect(viewer.sectionClipping.terrainMesh).toBe(viewer.terrainMesh);
+        expect(viewer.terrainMesh.clippingPlanes).toHaveLength(1);
+        expect(viewer.arManager.sectionClipping).toBe(viewer.sectionClipping);
+        expect(viewer.arManager.container.children).toContain(viewer.sectionClipping.group);
+
+        // The AR section tool reports model-local lines
+        viewer._applySectionLine({ from: new THREE.Vector3(0, 0, 0.4), to: new THREE.Vector3(0, 0, -0.4) });
+        expect(viewer.getSection().vertical.from[0]).toBeCloseTo(120, 6);
+        expect(changes).toHaveLength(1);
+        viewer._applySectionLine(null);
+        expect(viewer.getSection()).toBeNull();
+        expect(viewer.sectionClipping).toBeNull();
+        expect(viewer.terrainMesh.clippingPlanes).toHaveLength(0);
+        expect(viewer.arManager.container.children).toHaveLength(2);
+    });
+
+    it('uncuts the terrain when a reload clears the AR section tool', async () => {
+        const viewer = createViewer();
+        const toolManager = viewer.toolManager = new ToolManager();
+        toolManager.onSectionChange = (line) => viewer._applySectionLine(line);
+        await viewer.load('hill.tif');
+
+        const tool = new SectionTool();
+        tool.createVisuals();
+        toolManager.tools.push({ tool, type: ToolType.SECTION });
+        toolManager._notifySection(tool);
+        expect(viewer.terrainMesh.clippingPlanes).toHaveLength(1);
+
+        await viewer.load('basin.tif');
+        expect(toolManager.tools).toHaveLength(0);
+        expect(viewer.getSection()).toBeNull();
+        expect(viewer.sectionClipping).toBeNull();
+        expect(viewer.terrainMesh.clippingPlanes).toHaveLength(0);
+    });
+
+    it('rebuilds the skirt for each terrain and removes it when disabled', async () => {
+        const viewer = createViewer({ skirt: { enabled: true, baseDepth: 2 } });
+        await viewer.load('hill.tif');
+        const first = viewer.terrainSkirt;
+        expect(first.mesh).not.toBeNull();
+        expect(viewer.arManager.terrainSkirt).toBe(first);
+
+        await viewer.load('basin.tif');
+        expect(first.group).toBeNull();
+        expect(viewer.terrainSkirt.terrainMesh).toBe(viewer.terrainMesh);
+        expect(viewer.arManager.container.children).toContain(viewer.terrainSkirt.group);
+        const lowest = Math.min(...viewer.terrainMesh.elevationData);
+        expect(viewer.terrainSkirt.baseElevation).toBeCloseTo(lowest - 2, 5);
+
+        await viewer.setSkirt({ baseDepth: 10 });
+        expect(viewer.terrainSkirt.material.uniforms.baseElevation.value).toBeCloseTo(lowest - 10, 5);
+        await expect(viewer.setSkirt({ bandInterval: 0 })).rejects.toThrow('band interval');
+
+        await viewer.setSkirt({ enabled: false });
+        expect(viewer.terrainSkirt).toBeNull();
+        expect(viewer.getSkirt()).toMatchObject({ enabled: false, baseDepth: 10 });
+        expect(viewer.arManager.container.children).toHaveLength(2);
+    });
+
+    it('colors the terrain by the change from a later survey', async () => {
+        const viewer = createViewer();
+        await viewer.load('basin.tif', { compareTo: 'basin-later.tif' });
+
+        // 10 x 24 cells of 10 x 10 m raised by 1 m
+        const stats = viewer.getDifference();
+        expect(stats.fillVolume).toBeCloseTo(24000, 3);
+        expect(stats.cutVolume).toBe(0);
+        expect(stats.fillArea).toBeCloseTo(24000, 6);
+        expect(stats.meanChange).toBeCloseTo(0.25, 6);
+        expect(viewer.getElevationInfo().difference).toBe(stats);
+        expect(viewer.terrainMesh.colorBand.value).toBe('difference');
+        const [low, high] = viewer.terrainMesh.colorBand.range;
+        expect(low).toBe(-high);
+        expect(high).toBeCloseTo(1, 5);
+        expect(viewer.getColormap()).toBe('change');
+
+        // Raising the threshold recolors without a reload
+        const terrainMesh = viewer.terrainMesh;
+        await viewer.setDifference({ threshold: 2 });
+        expect(viewer.terrainMesh).toBe(terrainMesh);
+        expect(viewer.getDifference().fillVolume).toBe(0);
+        expect(terrainMesh.colorBand.data.every(d => d === 0)).toBe(true);
+        await expect(viewer.setDifference({ threshold: -1 })).rejects.toThrow('threshold');
+
+        // Back to the single survey
+        await viewer.setComparison(null);
+        expect(viewer.getDifference()).toBeNull();
+        expect(viewer.getColormap()).toBe('turbo');
+        expect(viewer.terrainMesh.colorBand).toBeNull();
+    });
+
+    it('exports the current terrain with a base when the skirt is shown', async () => {
+        const viewer = createViewer({ skirt: { enabled: true } });
+        await viewer.load('hill.tif');
+        const triangleCount = async (options) => {
+            const blob = await viewer.exportModel('stl', options);
+            expect(blob.type).toBe('model/stl');
+            return new DataView(await blob.arrayBuffer()).getUint32(80, true);
+        };
+        const solid = await triangleCount();
+        const surface = await triangleCount({ base: false });
+        expect(solid).toBeGreaterThan(surface);
+        await expect(viewer.exportModel('dxf')).rejects.toThrow('Unknown export format');
+    });
+
+    it('keeps the full-resolution raster only while full-resolution contours are on', async () => {
+        const viewer = createViewer();
+        await viewer.load('hill.tif');
+        expect(viewer.terrainMesh.fullResElevation).toBeNull();
+
+        // Read again on demand, without reloading
+        const terrainMesh = viewer.terrainMesh;
+        await viewer.setContourResolution({ fullResolution: true });
+        expect(viewer.terrainMesh).toBe(terrainMesh);
+        expect(terrainMesh.fullResElevation.elevationWidth).toBe(32);
+
+        await viewer.setContourResolution({ fullResolution: false });
+        expect(terrainMesh.fullResElevation).toBeNull();
+
+        // Kept from the start when on at load
+        await viewer.setContourResolution({ fullResolution: true });
+        await viewer.load('basin.tif');
+        expect(viewer.terrainMesh.fullResElevation.elevationHeight).toBe(40);
+    });
+
+    it('keeps imagery for reloads of the same area only', async () => {
+        const viewer = createViewer();
+        await viewer.load('hill.tif');
+        const imagery = { pixels: new Uint8ClampedArray(16).fill(255), width: 2, height: 2, geoBounds: [...viewer.terrainMesh.geoBounds] };
+        viewer._imagery = imagery;
+        viewer.terrainMesh.setImagery(imagery);
+
+        await viewer.load('hill.tif');
+        expect(viewer.terrainMesh.imagery).toBe(imagery);
+
+        // Dropped for another area, and not draped again on coming back
+        await viewer.load('basin.tif');
+        expect(viewer._imagery).toBeNull();
+        await viewer.load('hill.tif');
+        expect(viewer.terrainMesh.imagery).toBeNull();
+    });
+
+    /** Hold the next contour job of the displayed terrain until resolved. */
+    function holdContours(viewer) {
+        const held = {};
+        vi.spyOn(viewer.terrainMesh, 'generateContours').mockImplementation((...args) => {
+            held.signal = args[7];
+            return new Promise((resolve) => { held.resolve = resolve; });
+        });
+        return held;
+    }
+
+    const STALE = { segments: new Float32Array(6), vertexCount: 2, segmentThresholds: new Uint32Array(1), thresholds: [0], labels: null };
+
+    it('drops contours traced on a terrain replaced meanwhile', async () => {
+        const viewer = createViewer();
+        await viewer.load('hill.tif');
+        const held = holdContours(viewer);
+        const pending = viewer.setContourInterval(5);
+
+        await viewer.load('basin.tif');
+        const current = viewer._lastContourResult;
+        expect(held.signal.aborted).toBe(true);
+        held.resolve(STALE);
+        await pending;
+        expect(viewer._lastContourResult).toBe(current);
+    });
+
+    it('keeps the newest contours when regenerations overlap', async () => {
+        const viewer = createViewer();
+        await viewer.load('hill.tif');
+        const jobs = [];
+        vi.spyOn(viewer.terrainMesh, 'generateContours').mockImplementation((...args) =>
+            new Promise((resolve) => jobs.push({ signal: args[7], resolve })));
+
+        const older = viewer.setReferenceElevation(40);
+        await vi.waitFor(() => expect(jobs).toHaveLength(1));
+        const newer = viewer.setReferenceElevation(45);
+        await vi.waitFor(() => expect(jobs).toHaveLength(2));
+        expect(jobs[0].signal.aborted).toBe(true);
+
+        // The older job finishes last
+        const latest = { ...STALE };
+        jobs[1].resolve(latest);
+        await newer;
+        jobs[0].resolve(STALE);
+        await older;
+        expect(viewer._lastContourResult).toBe(latest);
+    });
+
+    it('drops contours traced on a disposed viewer', async () => {
+        const viewer = createViewer();
+        await viewer.load('hill.tif');
+        const held = holdContours(viewer);
+        const pending = viewer.setContourInterval(5);
+
+        viewer.dispose();
+        expect(held.signal.aborted).toBe(true);
+        held.resolve(STALE);
+        await expect(pending).resolves.toBeUndefined();
+        expect(viewer._lastContourResult).toBeNull();
+    });
+});
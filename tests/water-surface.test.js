@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { WaterSurface, normalizeWaterSettings, DEFAULT_WATER_SETTINGS } from '../src/core/WaterSurface.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { basin } from './helpers/elevation-grids.js';
+
+function createWater(config) {
+    const tm = createTestTerrain(basin(16, 8, 20, 5), { referenceElevation: 15, depthRange: [0, 10] });
+    tm._createElevationTexture();
+    const parent = new THREE.Group();
+    const water = new WaterSurface(config);
+    water.init(parent, tm);
+    return { tm, parent, water };
+}
+
+describe('normalizeWaterSettings', () => {
+    it('fills defaults and keeps overrides', () => {
+        expect(normalizeWaterSettings()).toEqual(DEFAULT_WATER_SETTINGS);
+        expect(normalizeWaterSettings({ opacity: 0.2, shoreline: false })).toMatchObject({ opacity: 0.2, shoreline: false, animate: true });
+    });
+
+    it('rejects settings the shader cannot use', () => {
+        expect(() => normalizeWaterSettings({ opacity: 1.5 })).toThrow('opacity');
+        expect(() => normalizeWaterSettings({ shorelineWidth: 0 })).toThrow('Shoreline width');
+    });
+});
+
+describe('WaterSurface', () => {
+    it('covers the terrain footprint at the reference height', () => {
+        const { tm, parent, water } = createWater();
+        expect(parent.children).toContain(water.group);
+
+        const box = new THREE.Box3().setFromObject(water.mesh);
+        expect(box.min.y).toBeCloseTo(0, 12);
+        expect(box.max.y).toBeCloseTo(0, 12);
+        expect(box.max.x - box.min.x).toBeCloseTo(tm.modelWidth, 10);
+        expect(box.max.z - box.min.z).toBeCloseTo(tm.modelHeight, 10);
+        expect(water.material.transparent).toBe(true);
+        expect(water.material.depthWrite).toBe(false);
+    });
+
+    it('clips to the terrain elevation texture at the water level', () => {
+        const { tm, water } = createWater();
+        const uniforms = water.material.uniforms;
+        expect(uniforms.elevationMap.value).toBe(tm.elevationTexture);
+        expect(uniforms.elevationSize.value.toArray()).toEqual([16, 8]);
+        expect(uniforms.waterLevel.value).toBe(15);
+        expect(water.material.fragmentShader).toContain('discard');
+        expect(water.material.fragmentShader).toContain('fwidth(depth)');
+    });
+
+    it('follows reference elevation changes, at any Z-exaggeration', async () => {
+        const { tm, water } = createWater();
+        tm._createGeometry();
+        tm.setElevationConfig(12, [0, 7], null);
+        await tm.updateReferenceElevation(12);
+        tm.setZExaggeration(9);
+        water.updateReferenceElevation();
+
+        expect(water.material.uniforms.waterLevel.value).toBe(12);
+        // Terrain heights are relative to the reference, so the plane stays at 0
+        expect(new THREE.Box3().setFromObject(water.mesh).max.y).toBeCloseTo(0, 12);
+    });
+
+    it('updates colors and shoreline without recreating the material', () => {
+        const { water } = createWater();
+        const material = water.material;
+        water.setConfig({ color: '#ff0000', shoreline: false });
+
+        expect(water.material).toBe(material);
+        expect(material.uniforms.waterColor.value.getHex()).toBe(0xff0000);
+        expect(material.uniforms.shoreline.value).toBe(0);
+        expect(() => water.setConfig({ opacity: -1 })).toThrow();
+        expect(water.config.opacity).toBe(DEFAULT_WATER_SETTINGS.opacity);
+    });
+
+    it('leaves the terrain texture alone on dispose', () => {
+        const { tm, parent, water } = createWater();
+        water.dispose();
+        expect(parent.children).toHaveLength(0);
+        expect(tm.elevationTexture).not.toBeNull();
+        expect(water.mesh).toBeNull();
+    });
+});
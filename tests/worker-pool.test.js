@@ -0,0 +1,260 @@
+import { describe, it, expect } from 'vitest';
+import { WorkerPool } from '../src/core/WorkerPool.js';
+import { TERRAIN_JOBS, unpackResidentParams } from '../src/core/TerrainJobs.js';
+import { AbortError } from '../src/core/utils.js';
+import { createTestTerrain } from './helpers/terrain-factory.js';
+import { gaussianHill } from './helpers/elevation-grids.js';
+
+/**
+ * In-process stand-in for terrain.worker.js: same message protocol,
+ * structured-clones its input and answers asynchronously.
+ */
+function fakeWorkerFactory(spawned = []) {
+    return () => {
+        const resident = new Map();
+        const worker = {
+            onmessage: null,
+            onerror: null,
+            terminated: false,
+            messages: [],
+            resident,
+            postMessage(msg) {
+                worker.messages.push(msg);
+                const { id, job } = msg;
+                const params = unpackResidentParams(structuredClone(msg), resident);
+                setTimeout(async () => {
+                    if (worker.terminated) return;
+                    const post = (data) => { if (!worker.terminated) worker.onmessage({ data }); };
+                    try {
+                        const result = await TERRAIN_JOBS[job](params, {
+                            onProgress: (value) => post({ id, type: 'progress', value })
+                        });
+                        post({ id, type: 'done', result });
+                    } catch (err) {
+                        post({ id, type: 'error', error: { name: err.name, message: err.message } });
+                    }
+                }, 0);
+            },
+            terminate() { worker.terminated = true; }
+        };
+        spawned.push(worker);
+        return worker;
+    };
+}
+
+/** Worker whose jobs never finish (for abort and queueing tests). */
+function hangingWorkerFactory(spawned = []) {
+    return () => {
+        const worker = { onmessage: null, onerror: null, terminated: false, postMessage() {}, terminate() { worker.terminated = true; } };
+        spawned.push(worker);
+        return worker;
+    };
+}
+
+function terrainWithPool(grid, workerPool) {
+    const tm = createTestTerrain(grid, { referenceElevation: 50 });
+    tm.workerPool = workerPool;
+    tm._createGeometry();
+    return tm;
+}
+
+describe('WorkerPool same-thread fallback', () => {
+    it('is disabled without a Worker global (Node)', () => {
+        expect(WorkerPool.isSupported()).toBe(false);
+        expect(new WorkerPool().enabled).toBe(false);
+    });
+
+    it('runs jobs inline with progress', async () => {
+        const pool = new WorkerPool();
+        const progress = [];
+        const grid = gaussianHill(20, 20, 50, 0, 10);
+        const result = await pool.run('normalMap', {
+            elevationData: grid.elevation,
+            elevationWidth: grid.width,
+            elevationHeight: grid.height,
+            noDataValue: null,
+            cellSizeX: 1,
+            cellSizeY: 1,
+            strength: 1
+        }, { onProgress: p => progress.push(p) });
+
+        expect(result.pixels.length).toBe(20 * 20 * 4);
+        expect(progress.at(-1)).toBe(1);
+    });
+
+    it('rejects unknown jobs', async () => {
+        await expect(new WorkerPool().run('nope', {})).rejects.toThrow('Unknown terrain job');
+    });
+});
+
+describe('WorkerPool with workers', () => {
+    it('produces the same terrain results as the same-thread fallback', async () => {
+        const grid = gaussianHill(40, 40, 50, 0, 10);
+        for (let y = 5; y < 12; y++) {
+            for (let x = 25; x < 32; x++) grid.elevation[y * 40 + x] = NaN;
+        }
+        const inline = terrainWithPool(grid, new WorkerPool({ size: 0 }));
+        const pooled = terrainWithPool(grid, new WorkerPool({ size: 2, createWorker: fakeWorkerFactory() }));
+
+        for (const tm of [inline, pooled]) {
+            await tm._computeVertexColorsAsync();
+            await tm._filterAboveWaterTrianglesAsync();
+        }
+        expect(pooled.geometry.attributes.color.array).toEqual(inline.geometry.attributes.color.array);
+        expect(pooled.geometry.index.array).toEqual(inline.geometry.index.array);
+
+        const a = await inline.generateContours(50, 0, 2, 0.001, null, 0.002);
+        const b = await pooled.generateContours(50, 0, 2, 0.001, null, 0.002);
+        expect(a.vertexCount).toBeGreaterThan(0);
+        expect(b.vertexCount).toBe(a.vertexCount);
+        expect(b.segments).toEqual(a.segments);
+    });
+
+    it('forwards progress messages', async () => {
+        const pool = new WorkerPool({ size: 1, createWorker: fakeWorkerFactory() });
+        const tm = terrainWithPool(gaussianHill(32, 32, 50, 0, 10), pool);
+        const progress = [];
+        await tm.generateContours(50, 0, 5, 0.001, p => progress.push(p));
+
+        expect(progress.length).toBeGreaterThan(1);
+        expect(progress.at(-1)).toBe(1);
+    });
+
+    it('spawns at most `size` workers and queues the rest', async () => {
+        const spawned = [];
+        const pool = new WorkerPool({ size: 2, createWorker: fakeWorkerFactory(spawned) });
+        const grid = gaussianHill(16, 16, 50, 0, 10);
+        const params = { elevationData: grid.elevation, elevationWidth: 16, elevationHeight: 16, noDataValue: null, cellSizeX: 1, cellSizeY: 1, strength: 1 };
+
+        const results = await Promise.all([1, 2, 3, 4, 5].map(() => pool.run('normalMap', params)));
+        expect(results).toHaveLength(5);
+        expect(spawned).toHaveLength(2);
+    });
+
+    it('sends resident arrays to each worker once', async () => {
+        const spawned = [];
+        const pool = new WorkerPool({ size: 1, createWorker: fakeWorkerFactory(spawned) });
+        const tm = terrainWithPool(gaussianHill(32, 32, 50, 0, 10), pool);
+
+        await tm._filterAboveWaterTrianglesAsync();
+        const first = spawned[0].messages[0];
+        expect(first.store.map(([, array]) => array)).toEqual(
+            expect.arrayContaining([tm.elevationData, tm.geometry.attributes.uv.array, tm.originalIndices]));
+        expect(first.params.elevationData).toEqual({ residentId: expect.any(Number) });
+
+        // A slider step: only scalars and references
+        tm.referenceElevation = 40;
+        await tm._filterAboveWaterTrianglesAsync();
+        await tm.generateContours(50, 0, 5, 0.001);
+        for (const msg of spawned[0].messages.slice(1)) {
+            expect(msg.store).toEqual([]);
+        }
+        expect(spawned[0].resident.size).toBe(3);
+    });
+
+    it('releases the least recently used resident arrays over the byte limit', async () => {
+        const spawned = [];
+        const pool = new WorkerPool({ size: 1, createWorker: fakeWorkerFactory(spawned), residentBytes: 20 * 20 * 4 * 2 });
+        const rasters = [1, 2, 3].map(() => pool.resident(gaussianHill(20, 20, 50, 0, 10).elevation));
+        const run = (elevationData) => pool.run('normalMap', {
+            elevationData, elevationWidth: 20, elevationHeight: 20, noDataValue: null, cellSizeX: 1, cellSizeY: 1, strength: 1
+        });
+
+        for (const raster of rasters) await run(raster);
+        const [, , third] = spawned[0].messages;
+        expect(third.release).toEqual([pool.residentIds.get(rasters[0])]);
+        expect(spawned[0].resident.size).toBe(2);
+
+        // Dropped arrays are sent again when needed
+        await run(rasters[0]);
+        expect(spawned[0].messages[3].store).toHaveLength(1);
+    });
+
+    it('drops released arrays in the workers, e.g. when a terrain is disposed', async () => {
+        const spawned = [];
+        const pool = new WorkerPool({ size: 1, createWorker: fakeWorkerFactory(spawned) });
+        const tm = terrainWithPool(gaussianHill(32, 32, 50, 0, 10), pool);
+        await tm._filterAboveWaterTrianglesAsync();
+        expect(spawned[0].resident.size).toBe(3);
+
+        tm.dispose();
+        const other = terrainWithPool(gaussianHill(16, 16, 50, 0, 10), pool);
+        await other.generateContours(50, 0, 5, 0.001);
+        expect(spawned[0].messages[1].release).toHaveLength(3);
+        expect(spawned[0].resident.size).toBe(1);
+    });
+
+    it('drops a replaced coloring band in the workers', async () => {
+        const spawned = [];
+        const pool = new WorkerPool({ size: 1, createWorker: fakeWorkerFactory(spawned) });
+        const tm = terrainWithPool(gaussianHill(32, 32, 50, 0, 10), pool);
+        const band = (value) => ({ band: null, value: 'difference', data: new Float32Array(32 * 32).fill(value), width: 32, height: 32, range: [-1, 1] });
+        const first = band(0.5);
+        await tm.setColorBand(first);
+        await tm.computeColorsAt(new Float32Array([0.5, 0.5]));
+        const { resident } = spawned[0];
+        const size = resident.size;
+        const holds = (value) => [...resident.values()].some((array) => array.length === first.data.length && array[0] === value);
+        expect(holds(0.5)).toBe(true);
+
+        // The same band again stays resident
+        await tm.setColorBand(first);
+        await tm.computeColorsAt(new Float32Array([0.5, 0.5]));
+        expect(holds(0.5)).toBe(true);
+
+        await tm.setColorBand(band(-0.5));
+        await tm.computeColorsAt(new Float32Array([0.5, 0.5]));
+        expect(resident.size).toBe(size);
+        expect(holds(0.5)).toBe(false);
+        expect(holds(-0.5)).toBe(true);
+    });
+
+    it('abort terminates the running worker and rejects with AbortError', async () => {
+        const spawned = [];
+        const pool = new WorkerPool({ size: 1, createWorker: hangingWorkerFactory(spawned) });
+        const controller = new AbortController();
+        const promise = pool.run('normalMap', {}, { signal: controller.signal });
+        controller.abort();
+
+        await expect(promise).rejects.toBeInstanceOf(AbortError);
+        expect(spawned[0].terminated).toBe(true);
+        expect(pool.slots).toHaveLength(0);
+    });
+
+    it('abort removes a queued job without touching the busy worker', async () => {
+        const spawned = [];
+        const pool = new WorkerPool({ size: 1, createWorker: hangingWorkerFactory(spawned) });
+        pool.run('normalMap', {}).catch(() => {});
+        const controller = new AbortController();
+        const queued = pool.run('normalMap', {}, { signal: controller.signal });
+        controller.abort();
+
+        await expect(queued).rejects.toBeInstanceOf(AbortError);
+        expect(spawned[0].terminated).toBe(false);
+        expect(pool.queue).toHaveLength(0);
+        pool.dispose();
+    });
+
+    it('falls back to the calling thread when a worker fails to load', async () => {
+        const spawned = [];
+        const pool = new WorkerPool({ size: 1, createWorker: hangingWorkerFactory(spawned) });
+        const tm = terrainWithPool(gaussianHill(24, 24, 50, 0, 10), pool);
+        const promise = tm._computeVertexColorsAsync();
+        spawned[0].onerror({ message: 'Failed to load module script' });
+        await promise;
+
+        expect(pool.enabled).toBe(false);
+        expect(spawned[0].terminated).toBe(true);
+        expect(tm.geometry.attributes.color.count).toBe(tm.geometry.attributes.uv.count);
+    });
+
+    it('dispose rejects outstanding jobs', async () => {
+        const pool = new WorkerPool({ size: 1, createWorker: hangingWorkerFactory() });
+        const running = pool.run('normalMap', {});
+        const queued = pool.run('normalMap', {});
+        pool.dispose();
+
+        await expect(running).rejects.toBeInstanceOf(AbortError);
+        await expect(queued).rejects.toBeInstanceOf(AbortError);
+    });
+});